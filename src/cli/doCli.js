@@ -0,0 +1,474 @@
+#!/usr/bin/env node
+
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs');
+
+const PRODUCTS = require('@f5devcentral/f5-cloud-libs').sharedConstants.PRODUCTS;
+
+const configFileConverter = require('../lib/configFileConverter');
+const DeclarationParser = require('../lib/declarationParser');
+const declarationDiff = require('../lib/declarationDiff');
+const declarationTemplate = require('../lib/declarationTemplate');
+const schemaConverter = require('../lib/schemaConverter');
+const secretResolver = require('../lib/secretResolver');
+const Validator = require('../lib/validator');
+
+const EXIT = {
+    OK: 0,
+    INVALID: 1,
+    USAGE: 2
+};
+
+const USAGE = `Usage: do-cli <command> [options] <file>...
+
+Commands:
+    validate <file>          Validate a declaration
+    parse <file>             Validate a declaration and print it in the form used to configure the device
+    diff <fromFile> <toFile> Validate two declarations and print the differences between them
+    upgrade <file>           Convert a declaration to another schema version (newer or older)
+    render <file>            Resolve the parameters in a template and print the declaration
+    convert <file>           Convert a tmsh config file (bigip_base.conf, for example) into a declaration
+
+Options:
+    --format <json|text>     Output format. Default is text.
+    --all                    Report all validation errors instead of just the first ones found.
+    --to <version>           Schema version to upgrade to. Default is the latest (${getSchemaVersions()[0]}).
+    --vars <file>            Variables for the parameters of templates.
+    --version <version>      BIG-IP version for convert. Default is the version in the config file.
+    --platform <BIG-IP|BIG-IQ>
+                             Platform DO would run on, for the checks that depend on it. Default is BIG-IP.
+
+Files may be declarations, DO wrappers or templates. Use - to read from stdin.
+Exits with 1 if a declaration is not valid (or cannot be converted cleanly) and 2 for usage or file errors.`;
+
+const COMMANDS = {
+    validate(io, options) {
+        const wrapper = load(io, options.files[0], options);
+        return validate(wrapper, options)
+            .then((validation) => {
+                if (options.format === 'json') {
+                    writeJson(io, getValidationReport(validation));
+                } else if (validation.isValid) {
+                    io.stdout.write('valid\n');
+                } else {
+                    writeErrors(io, validation);
+                }
+                return validation.isValid ? EXIT.OK : EXIT.INVALID;
+            });
+    },
+
+    parse(io, options) {
+        const wrapper = load(io, options.files[0], options);
+        return validate(wrapper, options)
+            .then((validation) => {
+                if (!validation.isValid) {
+                    return reportInvalid(io, validation, options);
+                }
+
+                const parser = new DeclarationParser(wrapper.declaration);
+                const parsed = parser.parse().parsedDeclaration;
+                delete parsed.parsed;
+                writeJson(io, parsed);
+                return EXIT.OK;
+            });
+    },
+
+    diff(io, options) {
+        const from = load(io, options.files[0], options);
+        const to = load(io, options.files[1], options);
+        let toValidation;
+        return validate(to, options)
+            .then((validation) => {
+                toValidation = validation;
+                return validate(from, options);
+            })
+            .then((fromValidation) => {
+                if (!fromValidation.isValid) {
+                    io.stderr.write(`${options.files[0]} is not valid\n`);
+                    return reportInvalid(io, fromValidation, options);
+                }
+                if (!toValidation.isValid) {
+                    io.stderr.write(`${options.files[1]} is not valid\n`);
+                    return reportInvalid(io, toValidation, options);
+                }
+
+                const changes = declarationDiff.diff(from.declaration, to.declaration);
+                if (options.format === 'json') {
+                    writeJson(io, changes);
+                } else {
+                    writeChanges(io, changes);
+                }
+                return EXIT.OK;
+            });
+    },
+
+    upgrade(io, options) {
+        const toVersion = options.to || getSchemaVersions()[0];
+        const body = readDeclaration(io, options.files[0], options);
+
+        // Validate a copy so that the output does not have the defaults
+        return validate(getWrapper(JSON.parse(JSON.stringify(body))), options)
+            .then((validation) => {
+                if (!validation.isValid) {
+                    return reportInvalid(io, validation, options);
+                }
+
+                let result;
+                try {
+                    result = schemaConverter.convert(body, toVersion);
+                } catch (err) {
+                    if (err.code !== 422) {
+                        throw err;
+                    }
+                    return reportInvalid(io, { isValid: false, messages: err.errors }, options);
+                }
+
+                writeJson(io, result.declaration);
+                if (options.format !== 'json') {
+                    result.changes.forEach((change) => {
+                        io.stderr.write(`${change}\n`);
+                    });
+                }
+                return EXIT.OK;
+            });
+    },
+
+    render(io, options) {
+        const body = readDeclaration(io, options.files[0], options);
+
+        // Validate a copy so that the output does not have the defaults
+        return validate(getWrapper(JSON.parse(JSON.stringify(body))), options)
+            .then((validation) => {
+                if (!validation.isValid) {
+                    return reportInvalid(io, validation, options);
+                }
+                writeJson(io, body);
+                return EXIT.OK;
+            });
+    },
+
+    convert(io, options) {
+        let text;
+        try {
+            text = io.readFile(options.files[0]);
+        } catch (err) {
+            throw new Error(`Unable to read ${options.files[0]}: ${err.message}`);
+        }
+
+        return configFileConverter.convert(text, { version: options.version })
+            .then((result) => {
+                if (options.format === 'json') {
+                    writeJson(io, result);
+                } else {
+                    writeJson(io, result.declaration);
+                    result.errors.forEach((error) => {
+                        io.stderr.write(`${typeof error === 'string' ? error : JSON.stringify(error)}\n`);
+                    });
+                    if (result.skipped.length > 0) {
+                        io.stderr.write(`skipped: ${result.skipped.join(', ')}\n`);
+                    }
+                }
+                return result.code === 200 ? EXIT.OK : EXIT.INVALID;
+            });
+    }
+};
+
+/**
+ * Command line tool to work with declarations without a BIG-IP.
+ */
+module.exports = {
+    EXIT,
+
+    /**
+     * Runs a command.
+     *
+     * @param {String[]} args - The command line arguments (without node and the script).
+     * @param {Object} [io] - Where to read and write. Default is the process streams.
+     * @param {Object} [io.stdout] - Stream for output.
+     * @param {Object} [io.stderr] - Stream for errors.
+     * @param {Function} [io.readFile] - Function that reads a file (or stdin for '-') and returns its text.
+     *
+     * @returns {Promise} A promise which is resolved with the exit code.
+     */
+    run(args, io) {
+        const context = Object.assign(
+            {
+                stdout: process.stdout,
+                stderr: process.stderr,
+                readFile
+            },
+            io
+        );
+
+        let options;
+        try {
+            options = parseArgs(args);
+        } catch (err) {
+            context.stderr.write(`${err.message}\n\n${USAGE}\n`);
+            return Promise.resolve(EXIT.USAGE);
+        }
+
+        if (options.help) {
+            context.stdout.write(`${USAGE}\n`);
+            return Promise.resolve(EXIT.OK);
+        }
+
+        return Promise.resolve()
+            .then(() => COMMANDS[options.command](context, options))
+            .catch((err) => {
+                context.stderr.write(`${err.message}\n`);
+                return EXIT.USAGE;
+            });
+    }
+};
+
+function parseArgs(args) {
+    const options = {
+        format: 'text',
+        platform: PRODUCTS.BIGIP,
+        files: []
+    };
+
+    for (let i = 0; i < args.length; i += 1) {
+        const arg = args[i];
+        switch (arg) {
+        case '-h':
+        case '--help':
+            options.help = true;
+            break;
+        case '--all':
+            options.all = true;
+            break;
+        case '--format':
+            i += 1;
+            options.format = args[i];
+            if (options.format !== 'json' && options.format !== 'text') {
+                throw new Error(`Invalid format: ${options.format}`);
+            }
+            break;
+        case '--to':
+            i += 1;
+            options.to = args[i];
+            if (!options.to) {
+                throw new Error('--to requires a version');
+            }
+            break;
+        case '--vars':
+            i += 1;
+            options.vars = args[i];
+            if (!options.vars) {
+                throw new Error('--vars requires a file');
+            }
+            break;
+        case '--platform':
+            i += 1;
+            options.platform = args[i];
+            if (options.platform !== PRODUCTS.BIGIP && options.platform !== PRODUCTS.BIGIQ) {
+                throw new Error(`Invalid platform: ${options.platform}`);
+            }
+            break;
+        case '--version':
+            i += 1;
+            options.version = args[i];
+            if (!options.version) {
+                throw new Error('--version requires a version');
+            }
+            break;
+        default:
+            if (arg.startsWith('--')) {
+                throw new Error(`Unknown option: ${arg}`);
+            }
+            if (!options.command) {
+                options.command = arg;
+            } else {
+                options.files.push(arg);
+            }
+        }
+    }
+
+    if (options.help) {
+        return options;
+    }
+    if (!COMMANDS[options.command]) {
+        throw new Error(options.command ? `Unknown command: ${options.command}` : 'Missing command');
+    }
+
+    const fileCount = options.command === 'diff' ? 2 : 1;
+    if (options.files.length !== fileCount) {
+        throw new Error(`${options.command} requires ${fileCount === 1 ? 'a file' : 'two files'}`);
+    }
+    return options;
+}
+
+function readFile(file) {
+    return fs.readFileSync(file === '-' ? 0 : file, 'utf8');
+}
+
+/**
+ * Reads a declaration or DO wrapper
+ */
+function readJson(io, file) {
+    let body;
+    try {
+        body = JSON.parse(io.readFile(file));
+    } catch (err) {
+        throw new Error(`Unable to read ${file}: ${err.message}`);
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new Error(`${file} does not contain a declaration`);
+    }
+    return body;
+}
+
+/**
+ * Reads a declaration, DO wrapper or template and resolves the template parameters
+ */
+function readDeclaration(io, file, options) {
+    const body = readJson(io, file);
+    let variables;
+    if (options.vars) {
+        try {
+            variables = JSON.parse(io.readFile(options.vars));
+        } catch (err) {
+            throw new Error(`Unable to read ${options.vars}: ${err.message}`);
+        }
+    }
+    try {
+        if (declarationTemplate.isTemplateRequest(body)) {
+            return declarationTemplate.resolve(body.template, Object.assign({}, body.variables, variables));
+        }
+        return declarationTemplate.resolve(body, variables);
+    } catch (err) {
+        throw new Error(`Unable to resolve ${file}: ${err.message}`);
+    }
+}
+
+/**
+ * Reads a declaration, DO wrapper or template and returns a DO wrapper for it
+ */
+function load(io, file, options) {
+    return getWrapper(readDeclaration(io, file, options));
+}
+
+function getWrapper(body) {
+    if (body.class === 'DO') {
+        return body;
+    }
+    return {
+        class: 'DO',
+        declaration: body
+    };
+}
+
+/**
+ * Validates a DO wrapper. Defaults from the schema are added to the declaration.
+ *
+ * Secrets are only resolved on the device, so secret references are checked and then
+ * replaced with placeholders.
+ */
+function validate(wrapper, options) {
+    try {
+        Object.assign(wrapper, secretResolver.replaceWithPlaceholders(wrapper));
+    } catch (err) {
+        return Promise.resolve({ isValid: false, messages: err.errors || [err.message] });
+    }
+    return getValidator(options.platform).validate(wrapper, { all: !!options.all });
+}
+
+const validators = {};
+function getValidator(platform) {
+    // Compiling the schema is slow, so only do it once for each platform
+    if (!validators[platform]) {
+        validators[platform] = new Validator({ platform });
+    }
+    return validators[platform];
+}
+
+function getSchemaVersions() {
+    return schemaConverter.getSchemaVersions();
+}
+
+function getValidationReport(validation) {
+    const report = {
+        isValid: validation.isValid
+    };
+    if (!validation.isValid) {
+        report.errors = validation.messages || validation.errors || [];
+        report.rawErrors = validation.errors || [];
+    }
+    return report;
+}
+
+function reportInvalid(io, validation, options) {
+    if (options.format === 'json') {
+        writeJson(io, getValidationReport(validation));
+    } else {
+        writeErrors(io, validation);
+    }
+    return EXIT.INVALID;
+}
+
+function writeErrors(io, validation) {
+    (validation.messages || validation.errors || []).forEach((error) => {
+        io.stdout.write(`${typeof error === 'string' ? error : JSON.stringify(error)}\n`);
+    });
+}
+
+function writeJson(io, value) {
+    io.stdout.write(`${JSON.stringify(value, null, 4)}\n`);
+}
+
+/**
+ * Writes the changes from declarationDiff.diff as lines of text, like
+ *
+ *     VLAN myVlan modified
+ *         modified /mtu: 1400 -> 1500
+ */
+function writeChanges(io, changes) {
+    const schemaClasses = Object.keys(changes);
+    if (schemaClasses.length === 0) {
+        io.stdout.write('no changes\n');
+        return;
+    }
+
+    schemaClasses.forEach((schemaClass) => {
+        Object.keys(changes[schemaClass]).forEach((name) => {
+            const change = changes[schemaClass][name];
+            io.stdout.write(`${schemaClass} ${name} ${change.action}\n`);
+            (change.changes || []).forEach((propertyChange) => {
+                const values = [];
+                if ('from' in propertyChange) {
+                    values.push(JSON.stringify(propertyChange.from));
+                }
+                if ('to' in propertyChange) {
+                    values.push(JSON.stringify(propertyChange.to));
+                }
+                io.stdout.write(`    ${propertyChange.action} ${propertyChange.path}: ${values.join(' -> ')}\n`);
+            });
+        });
+    });
+}
+
+if (require.main === module) {
+    module.exports.run(process.argv.slice(2))
+        .then((exitCode) => {
+            process.exitCode = exitCode;
+        });
+}
@@ -17,6 +17,7 @@
 'use strict';
 
 const Ajv = require('ajv');
+const validationErrorFormatter = require('./validationErrorFormatter');
 
 const remoteSchema = require('../schema/latest/remote.schema.json');
 const baseSchema = require('../schema/latest/base.schema.json');
@@ -31,10 +32,21 @@ const gslbSchema = require('../schema/latest/gslb.schema.json');
 const customFormats = require('../schema/latest/formats');
 
 class AjvValidator {
-    constructor() {
+    /**
+     * Constructor
+     *
+     * @param {Object} [options] - Optional parameters
+     * @param {Boolean} [options.allErrors] - Report all errors instead of stopping at the first.
+     *                                        Also reports the location of errors as JSON pointers.
+     *                                        Default false.
+     */
+    constructor(options) {
+        const allErrors = !!(options && options.allErrors);
         const ajv = new Ajv(
             {
-                allErrors: false,
+                allErrors,
+                jsonPointers: allErrors,
+                verbose: true,
                 useDefaults: true,
                 coerceTypes: true,
                 extendRefs: 'fail'
@@ -57,13 +69,35 @@ class AjvValidator {
             .compile(remoteSchema);
     }
 
+    /**
+     * Validates data against the schema
+     *
+     * @param {Object} data - The data to validate. Defaults from the schema are filled in.
+     *
+     * @returns {Promise} A promise which is resolved with { isValid, errors, messages }. The errors
+     *                    are the Ajv errors and the messages are readable versions of them.
+     */
     validate(data) {
         const isValid = this.validator(data);
+        const errors = this.validator.errors;
         return Promise.resolve({
             isValid,
-            errors: this.validator.errors
+            errors: errors ? errors.map(stripVerbose) : errors,
+            messages: errors ? validationErrorFormatter.formatAjvErrors(errors, data) : null
         });
     }
 }
 
+/**
+ * Removes the parts of an error that the verbose option adds. They are only needed for
+ * formatting and the schema is too large to send back.
+ */
+function stripVerbose(error) {
+    const stripped = Object.assign({}, error);
+    delete stripped.schema;
+    delete stripped.parentSchema;
+    delete stripped.data;
+    return stripped;
+}
+
 module.exports = AjvValidator;
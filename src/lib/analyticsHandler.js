@@ -40,6 +40,7 @@ class AnalyticsHandler {
         this.bigIp = bigIp;
         this.eventEmitter = eventEmitter;
         this.state = state;
+        this.logger = logger.forTask(state, bigIp, 'AnalyticsHandler');
     }
 
     /**
@@ -49,13 +50,13 @@ class AnalyticsHandler {
      *                    or rejected if an error occurs.
      */
     process() {
-        logger.fine('Processing analytics declaration.');
+        this.logger.fine('Processing analytics declaration.');
         if (!this.declaration.Common) {
             return Promise.resolve();
         }
         return handleAnalytics.call(this)
             .catch((err) => {
-                logger.severe(`Error processing analytics declaration: ${err.message}`);
+                this.logger.severe(`Error processing analytics declaration: ${err.message}`);
                 return Promise.reject(err);
             });
     }
@@ -43,6 +43,7 @@ class AuthHandler {
         this.bigIp = bigIp;
         this.eventEmitter = eventEmitter;
         this.state = state;
+        this.logger = logger.forTask(state, bigIp, 'AuthHandler');
     }
 
     /**
@@ -52,7 +53,7 @@ class AuthHandler {
      *                    or rejected if an error occurs.
      */
     process() {
-        logger.fine('Processing authentication declaration.');
+        this.logger.fine('Processing authentication declaration.');
         const auth = (this.declaration.Common || {}).Authentication;
 
         if (!auth) {
@@ -141,7 +142,7 @@ function handleRadius() {
             return Promise.resolve();
         })
         .catch((err) => {
-            logger.severe(`Error configuring remote RADIUS auth: ${err.message}`);
+            this.logger.severe(`Error configuring remote RADIUS auth: ${err.message}`);
             return Promise.reject(err);
         });
 }
@@ -168,7 +169,7 @@ function handleTacacs() {
 
     return this.bigIp.createOrModify(PATHS.AuthTacacs, tacacsObj)
         .catch((err) => {
-            logger.severe(`Error configuring remote TACACS auth: ${err.message}`);
+            this.logger.severe(`Error configuring remote TACACS auth: ${err.message}`);
         });
 }
 
@@ -234,7 +235,7 @@ function handleLdap() {
     return Promise.all(certPromises)
         .then(() => this.bigIp.createOrModify(PATHS.AuthLdap, ldapObj, undefined, undefined, options))
         .catch((err) => {
-            logger.severe(`Error configuring remote LDAP auth: ${err.message}`);
+            this.logger.severe(`Error configuring remote LDAP auth: ${err.message}`);
             return Promise.reject(err);
         });
 }
@@ -28,11 +28,13 @@ class BigIqSettingsValidator {
 
         let isValid = true;
         const errors = [];
+        const pointers = [];
 
         const deviceGroup = doUtil.getClassObjects(data.declaration, 'DeviceGroup');
         if (deviceGroup && !data.bigIqSettings.clusterName) {
             isValid = false;
             errors.push("When onboarding from BIG-IQ, 'clusterName' is required if the BIG-IP will be a member of a device group");
+            pointers.push('/bigIqSettings');
         }
 
         // technically we can have more than one provision object, but there really should just be one
@@ -43,13 +45,15 @@ class BigIqSettingsValidator {
                 if (!data.bigIqSettings.accessModuleProperties) {
                     isValid = false;
                     errors.push("When onboarding from BIG-IQ, 'accessModuleProperties' is required if the apm module will be provisioned");
+                    pointers.push('/bigIqSettings');
                 }
             }
         }
 
         return Promise.resolve({
             isValid,
-            errors
+            errors,
+            pointers
         });
     }
 }
@@ -22,6 +22,7 @@ class BusinessLogicValidator {
     validate(data) {
         let isValid = true;
         const errors = [];
+        const pointers = [];
 
         if (!data || !data.declaration) {
             return Promise.resolve({ isValid });
@@ -39,6 +40,7 @@ class BusinessLogicValidator {
             && sysWrapper[sysClassKey].mgmtDhcpEnabled !== sysWrapper[sysClassKey].preserveOrigDhcpRoutes) {
             isValid = false;
             errors.push('the values of mgmtDhcpEnabled and preserveOrigDhcpRoutes must match');
+            pointers.push(`/declaration/Common/${sysClassKey}/preserveOrigDhcpRoutes`);
         }
 
         // hostname is in Common and System is present but not default value ('bigip1')
@@ -47,11 +49,13 @@ class BusinessLogicValidator {
             && sysWrapper[sysClassKey].hostname !== 'bigip1') {
             isValid = false;
             errors.push('multiple hostnames in declaration');
+            pointers.push('/declaration/Common/hostname');
         }
 
         return Promise.resolve({
             isValid,
-            errors
+            errors,
+            pointers
         });
     }
 }
@@ -0,0 +1,185 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const querystring = require('querystring');
+
+const Logger = require('./logger');
+const tmshConfigParser = require('./tmshConfigParser');
+
+const logger = new Logger(module);
+
+const DEFAULT_VERSION = '15.1.0';
+const DEFAULT_HOSTNAME = 'bigip1';
+
+/**
+ * Stand-in for the f5-cloud-libs BigIp object which reads configuration that was
+ * parsed from a config file (see {@link tmshConfigParser}) instead of a device.
+ *
+ * Only the read methods used by the {@link ConfigManager} are supported.
+ *
+ * @class
+ */
+class ConfigFileBigIp {
+    /**
+     * Constructor
+     *
+     * @param {Object} config - The parsed configuration from tmshConfigParser.parse.
+     * @param {Object} [options] - Optional parameters
+     * @param {String} [options.version] - The BIG-IP version. Default is the version in the
+     *                                     config, if any, or 15.1.0.
+     */
+    constructor(config, options) {
+        this.config = config;
+        this.version = (options && options.version) || config.version || DEFAULT_VERSION;
+        this.host = 'localhost';
+    }
+
+    /**
+     * Gets the basic information about the device
+     *
+     * @returns {Promise} A promise which is resolved with { hostname, version, machineId }
+     */
+    deviceInfo() {
+        const globalSettings = this.config.objects['/tm/sys/global-settings'] || {};
+        return Promise.resolve({
+            hostname: globalSettings.hostname || DEFAULT_HOSTNAME,
+            version: this.version,
+            machineId: 'config-file'
+        });
+    }
+
+    /**
+     * Lists an iControl REST path.
+     *
+     * Supports the $filter (partition only) and $select query parameters.
+     *
+     * @param {String} path - The iControl REST path, optionally with a query.
+     *
+     * @returns {Promise} A promise which is resolved with what iControl REST would return.
+     */
+    list(path) {
+        const queryIndex = path.indexOf('?');
+        const pathname = queryIndex === -1 ? path : path.substring(0, queryIndex);
+        const query = queryIndex === -1 ? {} : querystring.parse(path.substring(queryIndex + 1));
+
+        logger.finest(`Listing ${pathname} from config file`);
+
+        let result = getItems.call(this, pathname);
+        if (Array.isArray(result)) {
+            const partitionFilter = /^partition eq (.+)$/.exec(query.$filter || '');
+            if (partitionFilter) {
+                result = result.filter((item) => !item.partition || item.partition === partitionFilter[1]);
+            }
+            result = result.map((item) => select(item, query.$select));
+        } else {
+            result = select(result, query.$select);
+        }
+        return Promise.resolve(JSON.parse(JSON.stringify(result)));
+    }
+}
+
+/**
+ * Finds what is at a path: a collection, a singleton, an item in a collection, or
+ * the sub-collection of an item
+ */
+function getItems(pathname) {
+    const objects = this.config.objects;
+
+    if (pathname === '/tm/cm/device') {
+        return getDevices.call(this).map((item) => addReferences(pathname, item));
+    }
+
+    if (objects[pathname]) {
+        return Array.isArray(objects[pathname])
+            ? objects[pathname].map((item) => addReferences(pathname, item))
+            : addReferences(pathname, objects[pathname]);
+    }
+
+    const collectionPath = Object.keys(objects)
+        .concat('/tm/cm/device')
+        .filter((key) => pathname.startsWith(`${key}/`))
+        .sort((a, b) => b.length - a.length)[0];
+    if (collectionPath) {
+        const collection = collectionPath === '/tm/cm/device' ? getDevices.call(this) : objects[collectionPath];
+        const pathParts = pathname.substring(collectionPath.length + 1).split('/');
+        const itemId = pathParts[0].replace(/~/g, '/');
+        const item = (Array.isArray(collection) ? collection : [])
+            .find((candidate) => candidate.fullPath === itemId || candidate.name === itemId);
+        if (item && pathParts.length === 1) {
+            return addReferences(collectionPath, item);
+        }
+        if (item && pathParts.length === 2) {
+            return Array.isArray(item[pathParts[1]]) ? item[pathParts[1]] : [];
+        }
+    }
+
+    // Not in the config, so the device would have the defaults
+    return tmshConfigParser.isSingleton(pathname) ? {} : [];
+}
+
+/**
+ * Gets the cm devices. The ConfigManager needs a device with our hostname, which
+ * bigip_base.conf does not always have.
+ */
+function getDevices() {
+    const devices = (this.config.objects['/tm/cm/device'] || []).slice();
+    const hostname = (this.config.objects['/tm/sys/global-settings'] || {}).hostname || DEFAULT_HOSTNAME;
+    if (!devices.some((device) => device.hostname === hostname)) {
+        devices.push({
+            name: hostname,
+            partition: 'Common',
+            fullPath: `/Common/${hostname}`,
+            hostname
+        });
+    }
+    return devices;
+}
+
+/**
+ * Adds links to the sub-collections of an item, like iControl REST does
+ */
+function addReferences(collectionPath, item) {
+    const withReferences = Object.assign({}, item);
+    const itemId = (item.fullPath || item.name || '').replace(/\//g, '~');
+    Object.keys(item).forEach((property) => {
+        const value = item[property];
+        if (Array.isArray(value) && value.length > 0 && value.every((entry) => typeof entry === 'object')) {
+            const itemPath = itemId ? `${collectionPath}/${itemId}` : collectionPath;
+            withReferences[`${property}Reference`] = {
+                link: `https://localhost/mgmt${itemPath}/${property}`
+            };
+        }
+    });
+    return withReferences;
+}
+
+function select(item, selectQuery) {
+    if (!selectQuery || !item || typeof item !== 'object') {
+        return item;
+    }
+
+    const selected = {};
+    selectQuery.split(',').forEach((property) => {
+        if (typeof item[property] !== 'undefined') {
+            selected[property] = item[property];
+        }
+    });
+    return selected;
+}
+
+module.exports = ConfigFileBigIp;
@@ -0,0 +1,99 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const configItems = require('./configItems.json');
+const ConfigFileBigIp = require('./configFileBigIp');
+const ConfigManager = require('./configManager');
+const InspectHandler = require('./inspectHandler');
+const tmshConfigParser = require('./tmshConfigParser');
+
+const NAMELESS_CLASSES = ConfigManager.getNamelessClasses(configItems);
+
+/**
+ * Converts configuration in tmsh format (bigip_base.conf, for example) into a declaration.
+ *
+ * The configuration goes through the same {@link ConfigManager} and {@link InspectHandler}
+ * steps as the /inspect endpoint, so no device is needed.
+ */
+module.exports = {
+    /**
+     * Converts tmsh configuration into a declaration.
+     *
+     * @param {String} text - The configuration.
+     * @param {Object} [options] - Optional parameters
+     * @param {String} [options.version] - The BIG-IP version the configuration is from. Default is the
+     *                                     version in the #TMSH-VERSION header.
+     *
+     * @returns {Promise} A promise which is resolved with the result
+     *
+     *     {
+     *         code: <200, or the /inspect code if something is wrong, like 409 for duplicate names>,
+     *         declaration: <the DO wrapper>,
+     *         errors: <array of error messages>,
+     *         skipped: <array of the tmsh types that are not part of a declaration>
+     *     }
+     */
+    convert(text, options) {
+        const config = tmshConfigParser.parse(text);
+        const bigIp = new ConfigFileBigIp(config, options);
+        const inspectHandler = new InspectHandler({}, { bigIp });
+
+        return inspectHandler.process()
+            .then((result) => {
+                if (result.declaration) {
+                    removeMissingClasses(result.declaration.declaration, config);
+                }
+                return {
+                    code: inspectHandler.getCode(),
+                    declaration: result.declaration,
+                    errors: inspectHandler.getErrors(),
+                    skipped: config.skipped.filter((type, index) => config.skipped.indexOf(type) === index)
+                };
+            });
+    }
+};
+
+/**
+ * Removes the classes which are not in the configuration at all. On a device, they
+ * would have their default values, but the defaults are not in a config file.
+ */
+function removeMissingClasses(declaration, config) {
+    Object.keys(declaration).forEach((tenantName) => {
+        const tenant = declaration[tenantName];
+        if (!tenant || tenant.class !== 'Tenant') {
+            return;
+        }
+
+        Object.keys(tenant).forEach((key) => {
+            const schemaClass = tenant[key] && tenant[key].class;
+            if (NAMELESS_CLASSES.indexOf(schemaClass) !== -1 && !isInConfig(schemaClass, config)) {
+                delete tenant[key];
+            }
+        });
+    });
+}
+
+function isInConfig(schemaClass, config) {
+    return configItems
+        .filter((configItem) => configItem.schemaClass === schemaClass && configItem.path)
+        .some((configItem) => {
+            // Items for the device (ConfigSync, etc.) are under the device with our hostname
+            const path = configItem.path.replace(/\/~Common~{{deviceName}}$/, '');
+            return typeof config.objects[path] !== 'undefined';
+        });
+}
@@ -111,6 +111,7 @@ class ConfigManager {
      *                    or rejected if an error occurs.
      */
     get(declaration, state, doState, options) {
+        this.logger = logger.forTask(state, this.bigIp);
         const currentCurrentConfig = state.currentConfig || {};
         const currentConfig = {
             InternalUse: {}
@@ -683,7 +684,7 @@ class ConfigManager {
                 return Promise.resolve();
             })
             .catch((err) => {
-                logger.severe(`Error getting current config: ${err.message}`);
+                this.logger.severe(`Error getting current config: ${err.message}`);
                 return Promise.reject(err);
             });
     }
@@ -1075,11 +1076,11 @@ function getDeviceAndHostNames(deviceInfo) {
             }
 
             const message = 'Too many devices match our name';
-            logger.severe(message);
+            this.logger.severe(message);
             return Promise.reject(new Error(message));
         })
         .catch((err) => {
-            logger.severe(`Error getting device and host names: ${err.message}`);
+            this.logger.severe(`Error getting device and host names: ${err.message}`);
             return Promise.reject(err);
         });
 }
@@ -0,0 +1,169 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const querystring = require('querystring');
+
+const Logger = require('./logger');
+const schemaConverter = require('./schemaConverter');
+const secretResolver = require('./secretResolver');
+const BASE_URL = require('./sharedConstants').BASE_URL;
+const ENDPOINTS = require('./sharedConstants').ENDPOINTS;
+const STATUS = require('./sharedConstants').STATUS;
+
+const logger = new Logger(module);
+
+/**
+ * Converts a declaration to another schema version. See {@link schemaConverter}.
+ *
+ * @class
+ */
+class ConvertResponse {
+    /**
+     * Constructor
+     *
+     * @param {Validator} validator - The validator to check the declaration with before converting it.
+     * @param {Object} body - The declaration or DO wrapper to convert. Undefined if the request body
+     *                        could not be parsed.
+     * @param {Object} [options] - Optional parameters
+     * @param {String} [options.toVersion] - The schema version to convert to. Default is the latest.
+     * @param {String[]} [options.errors] - Errors found before validation, like template parameters
+     *                                      which are not defined. If there are any, the declaration
+     *                                      is reported as bad without validating it.
+     * @param {Object} [options.queryParams] - The query params of the request.
+     */
+    constructor(validator, body, options) {
+        this.validator = validator;
+        this.body = body;
+        this.options = options || {};
+        this.queryParams = this.options.queryParams || {};
+        this.errors = [];
+    }
+
+    getSelfLink() {
+        const query = querystring.stringify(this.queryParams);
+        return `${BASE_URL}/${ENDPOINTS.CONVERT}${query ? '?' : ''}${query}`;
+    }
+
+    exists() {
+        return true;
+    }
+
+    getIds() {
+        return [0];
+    }
+
+    getCode() {
+        let code = this.code;
+        if (typeof code === 'undefined') {
+            code = this.errors.length ? 500 : 200;
+        }
+        return code;
+    }
+
+    getStatus() {
+        return this.getCode() >= 300 ? STATUS.STATUS_ERROR : STATUS.STATUS_OK;
+    }
+
+    getMessage() {
+        let message = this.message;
+        if (typeof message === 'undefined') {
+            message = this.getCode() >= 300 ? 'failed' : '';
+        }
+        return message;
+    }
+
+    getErrors() {
+        return this.errors;
+    }
+
+    getRawErrors() {
+        return this.rawErrors;
+    }
+
+    /**
+     * Validates and converts the declaration
+     *
+     * @returns {Promise} A promise which is resolved with { declaration, fromVersion, toVersion, changes }
+     *                    or {} if the declaration cannot be converted.
+     */
+    getData() {
+        if (typeof this.body === 'undefined') {
+            this.code = 400;
+            this.message = 'bad declaration';
+            this.errors.push('Unable to parse request body. Should be JSON format.');
+            return Promise.resolve({});
+        }
+
+        if (this.options.errors && this.options.errors.length > 0) {
+            this.code = 400;
+            this.message = 'bad declaration';
+            this.errors = this.errors.concat(this.options.errors);
+            return Promise.resolve({});
+        }
+
+        const toVersion = this.options.toVersion || schemaConverter.getSchemaVersions()[0];
+
+        // The validator adds defaults, which should not end up in the converted declaration.
+        // Secret references are checked but not resolved.
+        let copy;
+        try {
+            copy = JSON.parse(JSON.stringify(secretResolver.replaceWithPlaceholders(this.body)));
+        } catch (err) {
+            this.code = 400;
+            this.message = 'bad declaration';
+            this.errors = this.errors.concat(err.errors || [err.message]);
+            return Promise.resolve({});
+        }
+        const wrapper = copy.class === 'DO' ? copy : { class: 'DO', declaration: copy };
+
+        return Promise.resolve()
+            .then(() => this.validator.validate(wrapper))
+            .then((validation) => {
+                if (!validation.isValid) {
+                    this.code = 400;
+                    this.message = 'bad declaration';
+                    this.errors = this.errors.concat(validation.messages || validation.errors || []);
+                    if (validation.messages && validation.errors) {
+                        this.rawErrors = validation.errors;
+                    }
+                    return {};
+                }
+
+                try {
+                    const result = schemaConverter.convert(this.body, toVersion);
+                    this.message = 'converted';
+                    return result;
+                } catch (err) {
+                    if (!err.code) {
+                        throw err;
+                    }
+                    this.code = err.code;
+                    this.message = 'unable to convert';
+                    this.errors = this.errors.concat(err.errors);
+                    return {};
+                }
+            })
+            .catch((err) => {
+                logger.severe(`Error converting declaration: ${err.message}`);
+                this.errors.push(err.message);
+                return {};
+            });
+    }
+}
+
+module.exports = ConvertResponse;
@@ -0,0 +1,254 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const deepDiff = require('deep-diff');
+const configItems = require('./configItems.json');
+const ConfigManager = require('./configManager');
+const DeclarationParser = require('./declarationParser');
+
+const NAMELESS_CLASSES = ConfigManager.getNamelessClasses(configItems);
+
+/**
+ * Semantic diff between two declarations.
+ *
+ * Declarations are compared in the form created by the {@link DeclarationParser}, so
+ * differences in object order, json-pointers or the class property do not show up.
+ */
+module.exports = {
+    /**
+     * Diffs two declarations.
+     *
+     * @param {Object} from - The older declaration.
+     * @param {Object} to - The newer declaration.
+     *
+     * @returns {Object} The changes, grouped by schema class and then object name. See groupDifferences.
+     */
+    diff(from, to) {
+        const parsedFrom = parse(from);
+        const parsedTo = parse(to);
+        const differences = deepDiff.diff(parsedFrom, parsedTo) || [];
+
+        return this.groupDifferences(
+            differences,
+            (tenant, schemaClass) => findNamelessName(to, tenant, schemaClass)
+                || findNamelessName(from, tenant, schemaClass)
+        );
+    },
+
+    /**
+     * Groups deep-diff differences between two parsed declarations by schema class and object name.
+     *
+     * @param {Object[]} differences - The deep-diff differences. Paths start with the tenant name.
+     * @param {Function} [getNamelessName] - Function called with the tenant and class to get the object
+     *                                       name for classes which do not have names (DNS, NTP, etc).
+     *                                       Default is the class name.
+     *
+     * @returns {Object} The changes
+     *
+     *     {
+     *         VLAN: {
+     *             myVlan: {
+     *                 action: 'modified',
+     *                 changes: [
+     *                     { action: 'modified', path: '/mtu', from: 1400, to: 1500 }
+     *                 ]
+     *             },
+     *             otherVlan: {
+     *                 action: 'added',
+     *                 to: { <the new object> }
+     *             }
+     *         }
+     *     }
+     *
+     *     Tenant level properties (like hostname in older declarations) are grouped under
+     *     the Tenant class with the tenant name as the object name.
+     */
+    groupDifferences(differences, getNamelessName) {
+        const changes = {};
+        const getName = getNamelessName || (() => undefined);
+
+        differences.forEach((difference) => {
+            expand(normalize(difference)).forEach((change) => {
+                addChange(changes, change, getName);
+            });
+        });
+
+        return changes;
+    },
+
+    /**
+     * Gets the name used in a declaration for an object of a class which does not
+     * have a name on the BIG-IP (DNS, NTP, etc).
+     *
+     * @param {Object} declaration - The declaration.
+     * @param {String} tenantName - The tenant.
+     * @param {String} schemaClass - The class.
+     *
+     * @returns {String} The name or undefined if the declaration does not have the class.
+     */
+    getNamelessName(declaration, tenantName, schemaClass) {
+        return findNamelessName(declaration, tenantName, schemaClass);
+    }
+};
+
+function parse(declaration) {
+    if (!declaration) {
+        return {};
+    }
+
+    // The parser modifies its input
+    const parser = new DeclarationParser(JSON.parse(JSON.stringify(declaration)));
+    const parsed = parser.parse().parsedDeclaration;
+    delete parsed.parsed;
+    return parsed;
+}
+
+/**
+ * Gets the name used in the declaration for an object of a class which does not
+ * have a name on the BIG-IP (DNS, NTP, etc).
+ */
+function findNamelessName(declaration, tenantName, schemaClass) {
+    const tenant = (declaration || {})[tenantName] || {};
+    return Object.keys(tenant).find((key) => tenant[key] && tenant[key].class === schemaClass);
+}
+
+/**
+ * Turns array differences into plain differences with the index in the path.
+ */
+function normalize(difference) {
+    if (difference.kind !== 'A') {
+        return {
+            kind: difference.kind,
+            path: difference.path || [],
+            lhs: difference.lhs,
+            rhs: difference.rhs
+        };
+    }
+    return {
+        kind: difference.item.kind,
+        path: (difference.path || []).concat(difference.index),
+        lhs: difference.item.lhs,
+        rhs: difference.item.rhs
+    };
+}
+
+/**
+ * Splits additions and removals of whole tenants or classes into additions and
+ * removals of the objects in them.
+ */
+function expand(change) {
+    const value = change.kind === 'N' ? change.rhs : change.lhs;
+    const isObject = value && typeof value === 'object' && !Array.isArray(value);
+    const depth = getObjectDepth(change.path);
+
+    if ((change.kind !== 'N' && change.kind !== 'D') || !isObject || change.path.length >= depth) {
+        return [change];
+    }
+
+    let expanded = [];
+    Object.keys(value).forEach((key) => {
+        const child = {
+            kind: change.kind,
+            path: change.path.concat(key)
+        };
+        child[change.kind === 'N' ? 'rhs' : 'lhs'] = value[key];
+        expanded = expanded.concat(expand(child));
+    });
+    return expanded;
+}
+
+/**
+ * Gets the length of the path to an object. Paths look like [tenant, class, name, ...]
+ * or [tenant, class, ...] for nameless classes.
+ */
+function getObjectDepth(path) {
+    if (path.length < 2) {
+        return 2;
+    }
+    return NAMELESS_CLASSES.indexOf(path[1]) === -1 ? 3 : 2;
+}
+
+function addChange(changes, change, getNamelessName) {
+    const tenant = change.path[0];
+    const prefix = tenant === 'Common' ? '' : `${tenant}/`;
+    const value = change.kind === 'N' ? change.rhs : change.lhs;
+
+    let schemaClass;
+    let name;
+    let propertyPath;
+    if (change.path.length === 2 && (typeof value !== 'object' || value === null)) {
+        // property of the tenant itself
+        schemaClass = 'Tenant';
+        name = tenant;
+        propertyPath = change.path.slice(1);
+    } else {
+        schemaClass = change.path[1];
+        const depth = getObjectDepth(change.path);
+        if (depth === 2) {
+            name = prefix + (getNamelessName(tenant, schemaClass) || schemaClass);
+        } else {
+            name = prefix + change.path[2];
+        }
+        propertyPath = change.path.slice(depth);
+    }
+
+    if (!changes[schemaClass]) {
+        changes[schemaClass] = {};
+    }
+
+    if (propertyPath.length === 0 && change.kind === 'N') {
+        changes[schemaClass][name] = { action: 'added', to: change.rhs };
+        return;
+    }
+    if (propertyPath.length === 0 && change.kind === 'D') {
+        changes[schemaClass][name] = { action: 'removed', from: change.lhs };
+        return;
+    }
+
+    if (!changes[schemaClass][name]) {
+        changes[schemaClass][name] = { action: 'modified', changes: [] };
+    }
+    const propertyChange = {
+        action: getAction(change.kind),
+        path: toPointer(propertyPath)
+    };
+    if (change.kind !== 'N') {
+        propertyChange.from = change.lhs;
+    }
+    if (change.kind !== 'D') {
+        propertyChange.to = change.rhs;
+    }
+    changes[schemaClass][name].changes.push(propertyChange);
+}
+
+function getAction(kind) {
+    switch (kind) {
+    case 'N':
+        return 'added';
+    case 'D':
+        return 'removed';
+    default:
+        return 'modified';
+    }
+}
+
+function toPointer(path) {
+    return path
+        .map((token) => `/${token.toString().replace(/~/g, '~0').replace(/\//g, '~1')}`)
+        .join('');
+}
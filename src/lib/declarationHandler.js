@@ -17,6 +17,7 @@
 'use strict';
 
 const crypto = require('crypto');
+const EventEmitter = require('events');
 const TeemDevice = require('@f5devcentral/f5-teem').Device;
 const TeemRecord = require('@f5devcentral/f5-teem').Record;
 const ipUtil = require('@f5devcentral/atg-shared-utilities').ipUtils;
@@ -34,9 +35,11 @@ const DeprovisionHandler = require('./deprovisionHandler');
 const AuthHandler = require('./authHandler');
 const GSLBHandler = require('./gslbHandler');
 const TraceManager = require('./traceManager');
+const RecordingBigIp = require('./recordingBigIp');
 const RoutingAccessListValidator = require('./routingAccessListValidator');
 const configItems = require('./configItems.json');
 const doUtil = require('./doUtil');
+const EVENTS = require('./sharedConstants').EVENTS;
 
 const logger = new Logger(module);
 const ralv = new RoutingAccessListValidator();
@@ -53,11 +56,14 @@ const CLASSES_OF_TRUTH = ConfigManager.getClassesOfTruth(configItems);
  *
  * @param {Object} bigIp - BigIp object.
  * @param {EventEmitter} - Restnoded event channel.
+ * @param {Object} [options] - Optional parameters
+ * @param {Boolean} [options.teemEnabled] - Whether to send a TEEM report. Default true.
  */
 class DeclarationHandler {
-    constructor(bigIp, eventEmitter) {
+    constructor(bigIp, eventEmitter, options) {
         this.bigIp = bigIp;
         this.eventEmitter = eventEmitter;
+        this.teemEnabled = !options || options.teemEnabled !== false;
     }
 
     /**
@@ -70,91 +76,38 @@ class DeclarationHandler {
      *                    or rejected if an error occurs.
      */
     process(declaration, state) {
-        logger.fine('Processing declaration.');
-        let parsedNewDeclaration;
-        let parsedOldDeclaration;
-        let origLdapCertData;
-
-        const newDeclaration = JSON.parse(JSON.stringify(declaration));
-        const oldDeclaration = {};
-        Object.assign(oldDeclaration, state.currentConfig);
+        this.logger = logger.forTask(state, this.bigIp);
+        this.logger.fine('Processing declaration.');
         let updateDeclaration;
         let deleteDeclaration;
         let status;
 
-        // modules available on the target BIG-IP
-        const modules = [];
+        return diffDeclaration.call(this, declaration, state)
+            .then((diffResults) => {
+                updateDeclaration = diffResults.declarationDiffs.toUpdate;
+                deleteDeclaration = diffResults.declarationDiffs.toDelete;
 
-        return Promise.resolve()
-            .then(() => this.bigIp.list('/tm/sys/provision'))
-            .then((provisionModules) => {
-                provisionModules.forEach((module) => {
-                    modules.push(module.name);
-                });
-            })
-            .then(() => {
-                if (oldDeclaration.parsed) {
-                    return Object.assign({}, oldDeclaration);
-                }
-                const declarationParser = new DeclarationParser(oldDeclaration, modules);
-                return declarationParser.parse().parsedDeclaration;
-            })
-            .then((parsedDeclaration) => {
-                parsedOldDeclaration = parsedDeclaration;
-            })
-            .then(() => {
-                if (newDeclaration.parsed) {
-                    return Object.assign({}, newDeclaration);
-                }
-                const declarationParser = new DeclarationParser(newDeclaration, modules);
-                return declarationParser.parse().parsedDeclaration;
-            })
-            .then((parsedDeclaration) => {
-                parsedNewDeclaration = parsedDeclaration;
-                parsedNewDeclaration.Common.InternalUse = {};
-            })
-            .then(() => removeUnwantedProperties(parsedNewDeclaration, parsedOldDeclaration))
-            .then(() => {
-                applyDefaults(parsedNewDeclaration, state);
-                applyDnsResolverFixes(parsedNewDeclaration);
-                applyHostnameFixes(parsedNewDeclaration);
-                applyManagementIpFixes(parsedNewDeclaration, parsedOldDeclaration);
-                applyManagementIpFirewallFixes(parsedNewDeclaration);
-                applyRouteDomainFixes(parsedNewDeclaration, parsedOldDeclaration);
-                applyFailoverUnicastFixes(parsedNewDeclaration, parsedOldDeclaration);
-                applyHttpdFixes(parsedNewDeclaration);
-                applyGSLBServerFixes(parsedNewDeclaration);
-                applyRoutingAccessListFixes(parsedNewDeclaration);
-                applyRoutingPrefixListFixes(parsedNewDeclaration);
-                applyRouteMapFixes(parsedNewDeclaration);
-                applyRoutingBgpFixes(parsedNewDeclaration);
-                applyGSLBProberPoolFixes(parsedNewDeclaration);
-                applyFirewallAddressListFixes(parsedNewDeclaration);
-                applyFirewallPortListFixes(parsedNewDeclaration);
-                applyFirewallPolicyFixes(parsedNewDeclaration);
-                applySelfIpFixes(parsedNewDeclaration);
-                applyTunnelFixes(parsedNewDeclaration);
-                applyManagementRouteFixes(parsedNewDeclaration, state.originalConfig);
-                origLdapCertData = applyLdapCertFixes(parsedNewDeclaration);
-            })
-            .then(() => removeEmptyObjects(parsedNewDeclaration))
-            .then(() => removeEmptyObjects(parsedOldDeclaration))
-            .then(() => {
-                const diffHandler = new DiffHandler(CLASSES_OF_TRUTH, NAMELESS_CLASSES, this.eventEmitter, state);
-                return diffHandler.process(parsedNewDeclaration, parsedOldDeclaration, declaration);
-            })
-            .then((declarationDiffs) => {
-                updateDeclaration = declarationDiffs.toUpdate;
-                deleteDeclaration = declarationDiffs.toDelete;
-
-                applyLdapCertOrigData(updateDeclaration, origLdapCertData);
+                applyLdapCertOrigData(updateDeclaration, diffResults.origLdapCertData);
 
                 const traceManager = new TraceManager(declaration, this.eventEmitter, state);
-                return traceManager.traceConfigs(parsedOldDeclaration, parsedNewDeclaration);
+                return traceManager.traceConfigs(
+                    diffResults.parsedOldDeclaration,
+                    diffResults.parsedNewDeclaration
+                );
             })
             .then(() => {
+                if (declaration.controls && declaration.controls.dryRun === 'detailed') {
+                    this.logger.info('Detailed dryRun requested. Recording updates.');
+                    return makePlan(
+                        this.bigIp,
+                        declaration,
+                        updateDeclaration,
+                        deleteDeclaration,
+                        state
+                    );
+                }
                 if (declaration.controls && declaration.controls.dryRun) {
-                    logger.info('dryRun requested. Skipping updates.');
+                    this.logger.info('dryRun requested. Skipping updates.');
                     return Promise.resolve();
                 }
                 return makeUpdates(
@@ -168,14 +121,128 @@ class DeclarationHandler {
             })
             .then((result) => {
                 status = result || {};
+                if (!this.teemEnabled) {
+                    this.logger.fine('TEEM reporting is turned off in the settings.');
+                    return Promise.resolve();
+                }
                 return handleTeemReport(declaration);
             })
             .then(() => status)
             .catch((err) => {
-                logger.severe(`Error processing declaration: ${err.message}`);
+                this.logger.severe(`Error processing declaration: ${err.message}`);
                 return Promise.reject(err);
             });
     }
+
+    /**
+     * Calculates what processing a declaration would change without changing anything.
+     *
+     * @param {Object} declaration - The declaration to compare with the current config
+     * @param {Object} state - The [doState]{@link State} object. state.currentConfig should
+     *                         hold the current config of the device.
+     *
+     * @returns {Promise} A promise which is resolved with the deep-diff differences from
+     *                    the current config to the declaration for the classes we are the
+     *                    source of truth for.
+     */
+    getDiffs(declaration, state) {
+        return diffDeclaration.call(this, declaration, state)
+            .then((diffResults) => diffResults.declarationDiffs.diffs);
+    }
+}
+
+/**
+ * Parses a declaration and the current config in the state, applies all of the
+ * fixes we need and diffs them.
+ *
+ * @param {Object} declaration - The declaration to process
+ * @param {Object} state - The [doState]{@link State} object
+ *
+ * @returns {Promise} A promise which is resolved with
+ *
+ *     {
+ *         parsedOldDeclaration: <the parsed current config>,
+ *         parsedNewDeclaration: <the parsed declaration, with fixes>,
+ *         origLdapCertData: <original LDAP SSL cert data>,
+ *         declarationDiffs: <the results from DiffHandler.process>
+ *     }
+ */
+function diffDeclaration(declaration, state) {
+    let parsedNewDeclaration;
+    let parsedOldDeclaration;
+    let origLdapCertData;
+
+    const newDeclaration = JSON.parse(JSON.stringify(declaration));
+    const oldDeclaration = {};
+    Object.assign(oldDeclaration, state.currentConfig);
+
+    // modules available on the target BIG-IP
+    const modules = [];
+
+    return Promise.resolve()
+        .then(() => this.bigIp.list('/tm/sys/provision'))
+        .then((provisionModules) => {
+            provisionModules.forEach((module) => {
+                modules.push(module.name);
+            });
+        })
+        .then(() => {
+            if (oldDeclaration.parsed) {
+                return Object.assign({}, oldDeclaration);
+            }
+            const declarationParser = new DeclarationParser(oldDeclaration, modules);
+            return declarationParser.parse().parsedDeclaration;
+        })
+        .then((parsedDeclaration) => {
+            parsedOldDeclaration = parsedDeclaration;
+        })
+        .then(() => {
+            if (newDeclaration.parsed) {
+                return Object.assign({}, newDeclaration);
+            }
+            const declarationParser = new DeclarationParser(newDeclaration, modules);
+            return declarationParser.parse().parsedDeclaration;
+        })
+        .then((parsedDeclaration) => {
+            parsedNewDeclaration = parsedDeclaration;
+            parsedNewDeclaration.Common.InternalUse = {};
+        })
+        .then(() => removeUnwantedProperties(parsedNewDeclaration, parsedOldDeclaration))
+        .then(() => {
+            applyDefaults(parsedNewDeclaration, state);
+            applyDnsResolverFixes(parsedNewDeclaration);
+            applyHostnameFixes(parsedNewDeclaration);
+            applyManagementIpFixes(parsedNewDeclaration, parsedOldDeclaration);
+            applyManagementIpFirewallFixes(parsedNewDeclaration);
+            applyRouteDomainFixes(parsedNewDeclaration, parsedOldDeclaration);
+            applyFailoverUnicastFixes(parsedNewDeclaration, parsedOldDeclaration);
+            applyHttpdFixes(parsedNewDeclaration);
+            applyGSLBServerFixes(parsedNewDeclaration);
+            applyRoutingAccessListFixes(parsedNewDeclaration);
+            applyRoutingPrefixListFixes(parsedNewDeclaration);
+            applyRouteMapFixes(parsedNewDeclaration);
+            applyRoutingBgpFixes(parsedNewDeclaration);
+            applyGSLBProberPoolFixes(parsedNewDeclaration);
+            applyFirewallAddressListFixes(parsedNewDeclaration);
+            applyFirewallPortListFixes(parsedNewDeclaration);
+            applyFirewallPolicyFixes(parsedNewDeclaration);
+            applySelfIpFixes(parsedNewDeclaration);
+            applyTunnelFixes(parsedNewDeclaration);
+            applyManagementRouteFixes(parsedNewDeclaration, state.originalConfig);
+            origLdapCertData = applyLdapCertFixes(parsedNewDeclaration);
+        })
+        .then(() => removeEmptyObjects(parsedNewDeclaration))
+        .then(() => removeEmptyObjects(parsedOldDeclaration))
+        .then(() => {
+            const diffHandler = new DiffHandler(CLASSES_OF_TRUTH, NAMELESS_CLASSES, this.eventEmitter, state);
+            return diffHandler.process(parsedNewDeclaration, parsedOldDeclaration, declaration);
+        })
+        .then((declarationDiffs) => ({
+            parsedOldDeclaration,
+            parsedNewDeclaration,
+            origLdapCertData,
+            declarationDiffs
+        }));
 }
 
 /**
@@ -1097,26 +1164,138 @@ function processHandler(Handler, declaration, bigIp, eventEmitter, state) {
  *             }
  *         }
  *     }
+ * @param {Object[]} handlerReports - Array in which to store the timing and outcome of each handler
+ *                                    that runs. See runHandler. If processing fails, the array is
+ *                                    also the handlers property of the error.
  * @param {BigIp} bigIp - BigIp used for processing
  * @param {EventEmitter} eventEmitter - EventEmitter to which events should be sent
  * @param {Object} state - The [doState]{@link State} object
  * @param {*} index - Index of handler in handlers array. Used for recursion.
  */
-function processHandlers(handlers, handlerStatuses, bigIp, eventEmitter, state, index) {
+function processHandlers(handlers, handlerStatuses, handlerReports, bigIp, eventEmitter, state, index) {
     const i = index || 0;
 
+    // Cancellation only happens between handlers so that no handler is left half done
+    if (state && state.cancelRequest && i < handlers.length) {
+        const completedHandlers = handlers.slice(0, i).map((handler) => handler[0].name);
+        const error = new Error(`Task cancelled. Completed handlers: ${completedHandlers.join(', ') || 'none'}`);
+        error.code = 409;
+        error.cancelled = true;
+        error.completedHandlers = completedHandlers;
+        error.handlers = handlerReports;
+        logger.forTask(state, bigIp).info(error.message);
+        return Promise.reject(error);
+    }
+
     if (i < handlers.length) {
         const handler = handlers[i][0];
         const declaration = handlers[i][1];
-        return processHandler(handler, declaration, bigIp, eventEmitter, state)
+        emitProgress(eventEmitter, state, 'handlerStarted', { handler: handler.name });
+        return runHandler(handler, declaration, bigIp, eventEmitter, state, handlerReports)
             .then((status) => {
+                emitProgress(eventEmitter, state, 'handlerFinished', { handler: handler.name });
                 handlerStatuses.push(status || {});
-                return processHandlers(handlers, handlerStatuses, bigIp, eventEmitter, state, i + 1);
+                return processHandlers(
+                    handlers,
+                    handlerStatuses,
+                    handlerReports,
+                    bigIp,
+                    eventEmitter,
+                    state,
+                    i + 1
+                );
             });
     }
     return handlerStatuses;
 }
 
+/**
+ * Runs a handler and reports how long it took, how many iControl REST requests it made
+ * and whether it succeeded.
+ *
+ * Requests are counted by wrapping the request method of the iControl object of the BigIp,
+ * so requests made on other BigIp objects (like the one for licensing via the reachable API)
+ * are not counted. The count is left out if the BigIp does not have an iControl object.
+ *
+ * @param {Object} Handler - The handler class.
+ * @param {Object} declaration - The declaration for the handler.
+ * @param {BigIp} bigIp - BigIp used for processing
+ * @param {EventEmitter} eventEmitter - EventEmitter to which events should be sent
+ * @param {Object} state - The [doState]{@link State} object
+ * @param {Object[]} handlerReports - Array to add the report to. Reports look like
+ *
+ *     {
+ *         name: 'NetworkHandler',
+ *         start: '2022-05-09T18:44:41.123Z',
+ *         end: '2022-05-09T18:44:45.623Z',
+ *         durationMs: 4500,
+ *         iControlCalls: 42,
+ *         outcome: 'success' (or 'failed')
+ *     }
+ *
+ * @returns {Promise} A promise which is resolved with the status of the handler or rejected
+ *                    with its error.
+ */
+function runHandler(Handler, declaration, bigIp, eventEmitter, state, handlerReports) {
+    const iControl = bigIp && bigIp.icontrol;
+    const hasOwnRequest = !!iControl && Object.prototype.hasOwnProperty.call(iControl, 'request');
+    const request = iControl ? iControl.request : undefined;
+    let iControlCalls = 0;
+    if (typeof request === 'function') {
+        iControl.request = function countRequest() {
+            iControlCalls += 1;
+            return request.apply(this, arguments);
+        };
+    }
+
+    const start = new Date();
+    const report = (outcome) => {
+        if (typeof request === 'function') {
+            if (hasOwnRequest) {
+                iControl.request = request;
+            } else {
+                delete iControl.request;
+            }
+        }
+
+        const end = new Date();
+        const handlerReport = {
+            name: Handler.name,
+            start: start.toISOString(),
+            end: end.toISOString(),
+            durationMs: end.getTime() - start.getTime(),
+            outcome
+        };
+        if (typeof request === 'function') {
+            handlerReport.iControlCalls = iControlCalls;
+        }
+        handlerReports.push(handlerReport);
+    };
+
+    return Promise.resolve()
+        .then(() => processHandler(Handler, declaration, bigIp, eventEmitter, state))
+        .then((status) => {
+            report('success');
+            return status;
+        })
+        .catch((err) => {
+            report('failed');
+            if (err && typeof err === 'object') {
+                err.handlers = handlerReports;
+            }
+            return Promise.reject(err);
+        });
+}
+
+/**
+ * Lets the rest worker know how a task is progressing. See {@link TaskEvents}.
+ */
+function emitProgress(eventEmitter, state, type, data) {
+    if (eventEmitter && state && state.id) {
+        eventEmitter.emit(EVENTS.TASK_PROGRESS, state.id, type, data);
+    }
+}
+
 /**
  * Recursively counts the number of types in Authentication classes in the provided declaration.
  *
@@ -1154,6 +1333,7 @@ function removeEmptyObjects(declaration) {
 }
 
 function makeUpdates(bigIp, eventEmitter, declaration, updateDeclaration, deleteDeclaration, state) {
+    const handlerReports = [];
     return Promise.resolve()
         .then(() => bigIp.modify('/tm/sys/global-settings', { guiSetup: 'disabled' }))
         .then(() => {
@@ -1173,6 +1353,7 @@ function makeUpdates(bigIp, eventEmitter, declaration, updateDeclaration, delete
             return processHandlers(
                 handlers,
                 handlerStatuses,
+                handlerReports,
                 bigIp,
                 eventEmitter,
                 state
@@ -1180,7 +1361,8 @@ function makeUpdates(bigIp, eventEmitter, declaration, updateDeclaration, delete
         })
         .then((handlerStatuses) => {
             const status = {
-                rollbackInfo: {}
+                rollbackInfo: {},
+                handlers: handlerReports
             };
             handlerStatuses.forEach((handlerStatus) => {
                 if (handlerStatus.rebootRequired === true) {
@@ -1192,11 +1374,59 @@ function makeUpdates(bigIp, eventEmitter, declaration, updateDeclaration, delete
                     });
                 }
             });
-            logger.info('Done processing declaration.');
+            logger.forTask(state, bigIp).info('Done processing declaration.');
             return Promise.resolve(status);
         });
 }
 
+/**
+ * Runs all of the handlers against a {@link RecordingBigIp} so that we can report the
+ * operations that would be sent to the device without sending them.
+ *
+ * @param {Object} bigIp - BigIp object. Only used for reads.
+ * @param {Object} declaration - The original declaration
+ * @param {Object} updateDeclaration - The parsed declaration of items to update
+ * @param {Object} deleteDeclaration - The parsed declaration of items to delete
+ * @param {Object} state - The [doState]{@link State} object
+ *
+ * @returns {Promise} A promise which resolves with a status containing the plan.
+ */
+function makePlan(bigIp, declaration, updateDeclaration, deleteDeclaration, state) {
+    const recordingBigIp = new RecordingBigIp(bigIp);
+
+    // Handlers wait on these events, but nothing in a dry run should act on them
+    const eventEmitter = new EventEmitter();
+    eventEmitter.on(EVENTS.LICENSE_WILL_BE_REVOKED, () => {
+        eventEmitter.emit(EVENTS.READY_FOR_REVOKE);
+    });
+    eventEmitter.on(EVENTS.REBOOT_NOW, () => {
+        recordingBigIp.reboot();
+    });
+
+    // Handlers update rollbackInfo and the like in the state, so give them a copy. A cancel
+    // request arrives on the live state while the plan is being made, so read it from there.
+    const planState = JSON.parse(JSON.stringify(state));
+    Object.defineProperty(planState, 'cancelRequest', {
+        enumerable: true,
+        get: () => state.cancelRequest
+    });
+
+    return makeUpdates(
+        recordingBigIp,
+        eventEmitter,
+        declaration,
+        updateDeclaration,
+        deleteDeclaration,
+        planState
+    )
+        .then((status) => ({
+            plan: {
+                rebootRequired: !!status.rebootRequired,
+                operations: recordingBigIp.operations
+            }
+        }));
+}
+
 function handleTeemReport(declaration) {
     if (!declaration.parsed) {
         const assetInfo = {
@@ -0,0 +1,170 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+// {{ name }}, with optional spaces. Names are like JavaScript identifiers, plus '-' and '.'
+const REFERENCE = /{{\s*([A-Za-z_][0-9A-Za-z_.-]*)\s*}}/g;
+const WHOLE_REFERENCE = /^{{\s*([A-Za-z_][0-9A-Za-z_.-]*)\s*}}$/;
+
+/**
+ * Declaration templates.
+ *
+ * A template is a declaration (or DO wrapper) with a parameters section in the declaration,
+ * mapping parameter names to their default values. Strings anywhere in the template can refer
+ * to a parameter with {{ name }}. A string which is just a reference is replaced by the value
+ * itself, so parameters can be numbers, arrays or objects. Otherwise the value is put into the string.
+ *
+ * Templates can also be sent with a separate variables object, which overrides the defaults:
+ *
+ *     {
+ *         "template": { <declaration or DO wrapper> },
+ *         "variables": { "hostname": "bigip2.example.com" }
+ *     }
+ */
+module.exports = {
+    /**
+     * Whether or not a request body is a template with separate variables
+     *
+     * @param {Object} body - The request body.
+     *
+     * @returns {Boolean} True if the body has a template property (and optionally variables).
+     */
+    isTemplateRequest(body) {
+        return !!body && typeof body === 'object' && !Array.isArray(body)
+            && typeof body.class === 'undefined' && typeof body.template !== 'undefined';
+    },
+
+    /**
+     * Resolves a request body. The body may be a template with separate variables
+     * (see isTemplateRequest), a template, or a declaration or DO wrapper which is not a
+     * template at all.
+     *
+     * @param {Object} body - The request body. It is not modified.
+     *
+     * @returns {Object} The declaration or DO wrapper with all references replaced and
+     *                   the parameters removed.
+     * @throws {Error} If the template cannot be resolved. The error has a code of 400 and
+     *                 an array of errors with the reasons.
+     */
+    resolveRequest(body) {
+        if (this.isTemplateRequest(body)) {
+            return this.resolve(body.template, body.variables || {});
+        }
+        return this.resolve(body);
+    },
+
+    /**
+     * Resolves a template.
+     *
+     * Declarations without parameters are returned as they are, unless there are variables.
+     *
+     * @param {Object} template - The declaration or DO wrapper. It is not modified.
+     * @param {Object} [variables] - Values for the parameters, overriding the defaults in the template.
+     *
+     * @returns {Object} The declaration or DO wrapper with all references replaced and
+     *                   the parameters removed.
+     * @throws {Error} If the template cannot be resolved. The error has a code of 400 and
+     *                 an array of errors with the reasons.
+     */
+    resolve(template, variables) {
+        if (!template || typeof template !== 'object' || Array.isArray(template)) {
+            throw getError(['template must be a declaration or DO wrapper']);
+        }
+        if (typeof variables !== 'undefined' && !isObject(variables)) {
+            throw getError(['/variables: must be an object']);
+        }
+
+        const resolved = JSON.parse(JSON.stringify(template));
+        const declaration = resolved.class === 'DO' ? resolved.declaration : resolved;
+        const parameters = declaration ? declaration.parameters : undefined;
+
+        if (typeof parameters === 'undefined' && typeof variables === 'undefined') {
+            return resolved;
+        }
+        if (typeof parameters !== 'undefined' && !isObject(parameters)) {
+            throw getError([`${resolved === declaration ? '' : '/declaration'}/parameters: must be an object`]);
+        }
+
+        if (declaration) {
+            delete declaration.parameters;
+        }
+        const values = Object.assign({}, parameters, variables);
+        const errors = [];
+        const result = substitute(resolved, values, '', errors);
+        if (errors.length > 0) {
+            throw getError(errors);
+        }
+        return result;
+    }
+};
+
+function getError(errors) {
+    const error = new Error(errors.join(' '));
+    error.code = 400;
+    error.errors = errors;
+    return error;
+}
+
+function isObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Replaces the references in a value. Returns the new value.
+ */
+function substitute(value, values, pointer, errors) {
+    if (Array.isArray(value)) {
+        return value.map((item, index) => substitute(item, values, `${pointer}/${index}`, errors));
+    }
+
+    if (isObject(value)) {
+        Object.keys(value).forEach((key) => {
+            const escapedKey = key.replace(/~/g, '~0').replace(/\//g, '~1');
+            value[key] = substitute(value[key], values, `${pointer}/${escapedKey}`, errors);
+        });
+        return value;
+    }
+
+    if (typeof value !== 'string') {
+        return value;
+    }
+
+    const missing = [];
+    const getValue = (name) => {
+        if (!Object.prototype.hasOwnProperty.call(values, name)) {
+            missing.push(name);
+            return undefined;
+        }
+        return values[name];
+    };
+
+    let substituted;
+    const wholeReference = WHOLE_REFERENCE.exec(value);
+    if (wholeReference) {
+        substituted = getValue(wholeReference[1]);
+    } else {
+        substituted = value.replace(REFERENCE, (match, name) => {
+            const parameterValue = getValue(name);
+            return typeof parameterValue === 'object' ? JSON.stringify(parameterValue) : `${parameterValue}`;
+        });
+    }
+
+    missing.forEach((name) => {
+        errors.push(`${pointer || '/'}: parameter ${name} is not defined`);
+    });
+    return substituted;
+}
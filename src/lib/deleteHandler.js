@@ -70,6 +70,7 @@ class DeleteHandler {
         this.bigIp = bigIp;
         this.eventEmitter = eventEmitter;
         this.state = state;
+        this.logger = logger.forTask(state, bigIp, 'DeleteHandler');
     }
 
     /**
@@ -89,7 +90,7 @@ class DeleteHandler {
      *                    or rejected if an error occurs.
      */
     process() {
-        logger.fine('Processing deletes.');
+        this.logger.fine('Processing deletes.');
 
         function isRetainedItem(aClass, item) {
             const items = {
@@ -200,11 +201,11 @@ class DeleteHandler {
             }))))
             .then(() => Promise.all(getAuthClassPromises.call(this)))
             .catch((err) => {
-                logger.severe(`Error processing deletes: ${err.message}`);
+                this.logger.severe(`Error processing deletes: ${err.message}`);
                 return Promise.reject(err);
             })
             .then(() => {
-                logger.fine('Done processing deletes.');
+                this.logger.fine('Done processing deletes.');
                 return Promise.resolve();
             });
     }
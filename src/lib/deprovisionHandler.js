@@ -16,7 +16,11 @@
 
 'use strict';
 
+const Logger = require('./logger');
 const ProvisionHandler = require('./provisionHandler');
+
+const logger = new Logger(module);
+
 /**
  * Handles provisioning parts of a declaration.
  *
@@ -33,6 +37,7 @@ class DeprovisionHandler extends ProvisionHandler {
      */
     constructor(declaration, bigIp, eventEmitter, state) {
         super(declaration, bigIp, eventEmitter, state);
+        this.logger = logger.forTask(state, bigIp, 'DeprovisionHandler');
         this.isDeprovisioning = true;
     }
 }
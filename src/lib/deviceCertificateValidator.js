@@ -33,14 +33,17 @@ class DeviceCertificateValidator {
             });
         }
 
-        const deviceCertificate = deviceCertificateWrapper[Object.keys(deviceCertificateWrapper)[0]];
+        const deviceCertificateName = Object.keys(deviceCertificateWrapper)[0];
+        const deviceCertificate = deviceCertificateWrapper[deviceCertificateName];
 
         let isValid = true;
         const errors = [];
+        const pointers = [];
 
         function addError(propertyName) {
             isValid = false;
             errors.push(`DeviceCertificate base64 decoded ${propertyName} property is missing BEGIN and/or END delimiters`);
+            pointers.push(`/declaration/Common/${deviceCertificateName}/${propertyName}/base64`);
         }
 
         const certificate = Buffer.from(
@@ -65,7 +68,8 @@ class DeviceCertificateValidator {
 
         return Promise.resolve({
             isValid,
-            errors
+            errors,
+            pointers
         });
     }
 }
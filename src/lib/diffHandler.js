@@ -51,6 +51,7 @@ class DiffHandler {
      *     {
      *         toDelete: <delete_declaration>
      *         toUpdate: <update_declaration>
+     *         diffs: <the deep-diff differences for the classes of truth>
      *     }
      */
     process(toDeclaration, fromDeclaration, originalDeclaration) {
@@ -164,7 +165,8 @@ class DiffHandler {
             .then(() => Promise.resolve(
                 {
                     toDelete,
-                    toUpdate: final
+                    toUpdate: final,
+                    diffs: accumulatedDiffs
                 }
             ));
     }
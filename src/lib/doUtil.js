@@ -360,6 +360,50 @@ module.exports = {
         return masked;
     },
 
+    /**
+     * Gets the values in a JSON object which {@link mask} would remove
+     *
+     * @param {Object} data - JSON object
+     *
+     * @returns {Object[]} Array of { path, value } where path is the array of keys to the value.
+     */
+    getMaskedValues(data) {
+        const maskedValues = [];
+
+        const find = (value, path) => {
+            if (!value || typeof value !== 'object') {
+                return;
+            }
+            Object.keys(value).forEach((key) => {
+                if (!Array.isArray(value) && MASK_REGEX.test(key)) {
+                    maskedValues.push({ path: path.concat(key), value: value[key] });
+                } else {
+                    find(value[key], path.concat(key));
+                }
+            });
+        };
+        find(data, []);
+
+        return maskedValues;
+    },
+
+    /**
+     * Puts back values which were returned by {@link getMaskedValues}. Values whose parent no longer
+     * exists are skipped.
+     *
+     * @param {Object} data - JSON object
+     * @param {Object[]} maskedValues - Array of { path, value } where path is the array of keys to the value.
+     */
+    setMaskedValues(data, maskedValues) {
+        maskedValues.forEach((maskedValue) => {
+            const parentPath = maskedValue.path.slice(0, -1);
+            const parent = parentPath.reduce((value, key) => (value ? value[key] : undefined), data);
+            if (parent && typeof parent === 'object') {
+                parent[maskedValue.path[maskedValue.path.length - 1]] = maskedValue.value;
+            }
+        });
+    },
+
     /**
      * Removes the CIDR from an IP address
      *
@@ -500,6 +544,10 @@ module.exports = {
      * @param {Object} bigIp - Big-IP object.
      */
     waitForReboot(bigIp) {
+        if (bigIp.recording) {
+            // Dry run - nothing is actually rebooting
+            return Promise.resolve();
+        }
         return this.getCurrentPlatform()
             .then((platform) => {
                 if (platform !== PRODUCTS.BIGIP) {
@@ -632,5 +680,47 @@ module.exports = {
                 array.splice(i, 1);
             }
         }
+    },
+
+    /**
+     * Gets the target device from the targetHost, targetPort, targetUsername and targetPassword
+     * query parameters. The result is an empty object when none of them are given.
+     *
+     * @param {Object} query - The query parameters.
+     *
+     * @returns {Object} The target info (host, port, username, password).
+     * @throws {Error} If the parameters are not valid.
+     */
+    getTargetDevice(query) {
+        const params = {
+            host: 'targetHost',
+            port: 'targetPort',
+            username: 'targetUsername',
+            password: 'targetPassword'
+        };
+        const target = {};
+        const errors = [];
+
+        Object.keys(params).forEach((key) => {
+            const value = query[params[key]];
+            if (typeof value === 'string' && value) {
+                target[key] = value;
+            } else if (typeof value !== 'undefined') {
+                errors.push(`Invalid value for parameter '${params[key]}'.`);
+            }
+        });
+        if (target.port) {
+            target.port = parseInt(target.port, 10);
+            if (!(target.port >= 0 && target.port <= 65535)) {
+                errors.push('"targetPort" should be in range (0, 65535).');
+            }
+        }
+        if (!target.host && Object.keys(target).length) {
+            errors.push('"targetHost" should be specified.');
+        }
+        if (errors.length) {
+            throw new Error(errors.join(' '));
+        }
+        return target;
     }
 };
@@ -0,0 +1,240 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const EventEmitter = require('events');
+
+const configItems = require('./configItems.json');
+const ConfigManager = require('./configManager');
+const DeclarationHandler = require('./declarationHandler');
+const declarationDiff = require('./declarationDiff');
+const doUtil = require('./doUtil');
+const Logger = require('./logger');
+const TaskQueue = require('./taskQueue');
+const STATUS = require('./sharedConstants').STATUS;
+
+const logger = new Logger(module);
+
+/**
+ * Compares the configuration of a device with the last declaration that was
+ * successfully applied to it. Nothing is changed on the device or in the state.
+ *
+ * @class
+ */
+class DriftHandler {
+    /**
+     * Constructor
+     *
+     * @param {State} state - A copy of the [doState]{@link State}.
+     * @param {Object} queryParams - query params (targetHost, targetPort, targetUsername, targetPassword)
+     */
+    constructor(state, queryParams) {
+        this.state = state;
+        this.queryParams = queryParams || {};
+        this.errors = [];
+    }
+
+    /**
+     * Get status code
+     *
+     * @returns {Integer}
+     */
+    getCode() {
+        let code = this.code;
+        if (typeof code === 'undefined') {
+            code = this.errors.length ? 500 : 200;
+        }
+        return code;
+    }
+
+    /**
+     * Get status string
+     *
+     * @returns {String}
+     */
+    getStatus() {
+        return this.getCode() >= 300 ? STATUS.STATUS_ERROR : STATUS.STATUS_OK;
+    }
+
+    /**
+     * Get status message
+     *
+     * @returns {String}
+     */
+    getMessage() {
+        let message = this.message;
+        if (typeof message === 'undefined') {
+            message = this.getCode() >= 300 ? 'failed' : '';
+        }
+        return message;
+    }
+
+    /**
+     * Get error messages
+     *
+     * @returns {Array.<String>}
+     */
+    getErrors() {
+        return this.errors;
+    }
+
+    /**
+     * Starts processing.
+     *
+     * @returns {Promise} A promise which is resolved with the drift report
+     *
+     *     {
+     *         taskId: <id of the task whose declaration was compared>,
+     *         target: <the target device>,
+     *         hasDrift: <whether or not anything changed>,
+     *         changes: <changes from the declaration to the device, see declarationDiff.groupDifferences>,
+     *         maskedSecrets: <pointers to secrets which were not stored with the declaration, if there are any>
+     *     }
+     */
+    process() {
+        logger.fine('Processing drift request.');
+        return processRequest.call(this)
+            .catch((err) => {
+                logger.severe(`Error processing drift request: ${err.message}`);
+                this.errors.push(err.message);
+                return {};
+            });
+    }
+}
+
+/**
+ * Process request
+ *
+ * @returns {Promise} resolved with the drift report
+ */
+function processRequest() {
+    let targetDevice;
+    try {
+        targetDevice = validateRequest.call(this);
+    } catch (err) {
+        return Promise.reject(err);
+    }
+
+    const host = targetDevice.host;
+    const port = targetDevice.port;
+    const target = TaskQueue.getTarget(host, port);
+
+    // Tasks without a targetPort are recorded without one
+    const taskId = this.state.getLastSuccessfulTaskId(target)
+        || (port ? this.state.getLastSuccessfulTaskId(TaskQueue.getTarget(host)) : null);
+    if (!taskId) {
+        this.code = 404;
+        this.message = 'Not Found';
+        this.errors.push(`There is no successful declaration for ${target}`);
+        return Promise.resolve({});
+    }
+
+    // Traces are for tasks, not for this comparison. Neither are secrets, which cannot
+    // be read from the device, so drop any secret references.
+    const declaration = doUtil.mask(this.state.getDeclaration(taskId));
+    if (declaration.controls) {
+        delete declaration.controls.trace;
+        delete declaration.controls.traceResponse;
+    }
+
+    const taskState = {};
+    let bigIp;
+    return doUtil.getBigIp(
+        logger,
+        {
+            host,
+            port,
+            user: targetDevice.username,
+            password: targetDevice.password
+        }
+    )
+        .then((bigIpObject) => {
+            bigIp = bigIpObject;
+            const configManager = new ConfigManager(configItems, bigIp);
+            return configManager.get(declaration, taskState, this.state);
+        })
+        .then(() => {
+            const declarationHandler = new DeclarationHandler(bigIp, new EventEmitter());
+            return declarationHandler.getDiffs(declaration, taskState);
+        })
+        .then((differences) => {
+            // The differences are from the device to the declaration. Report them
+            // the other way around, which is how the device drifted.
+            const changes = declarationDiff.groupDifferences(
+                differences.map(invert),
+                (tenant, schemaClass) => declarationDiff.getNamelessName(declaration, tenant, schemaClass)
+            );
+            const report = {
+                taskId,
+                target,
+                hasDrift: Object.keys(changes).length > 0,
+                changes
+            };
+
+            // These cannot be re-applied, so remediation is not done for the declaration
+            const maskedSecrets = this.state.getMaskedSecrets(taskId);
+            if (maskedSecrets.length > 0) {
+                report.maskedSecrets = maskedSecrets;
+            }
+            return report;
+        });
+}
+
+/**
+ * Validate request. Result is an empty object when no target* params are specified in query
+ *
+ * @returns {Object} The target info
+ */
+function validateRequest() {
+    try {
+        return doUtil.getTargetDevice(this.queryParams);
+    } catch (err) {
+        this.code = 400;
+        this.message = 'Bad Request';
+        throw err;
+    }
+}
+
+/**
+ * Swaps the sides of a deep-diff difference.
+ */
+function invert(difference) {
+    const inverted = {
+        kind: difference.kind,
+        path: difference.path
+    };
+    if (difference.kind === 'A') {
+        inverted.index = difference.index;
+        inverted.item = invert(difference.item);
+        return inverted;
+    }
+
+    if (difference.kind === 'N') {
+        inverted.kind = 'D';
+    } else if (difference.kind === 'D') {
+        inverted.kind = 'N';
+    }
+    if ('rhs' in difference) {
+        inverted.lhs = difference.rhs;
+    }
+    if ('lhs' in difference) {
+        inverted.rhs = difference.lhs;
+    }
+    return inverted;
+}
+
+module.exports = DriftHandler;
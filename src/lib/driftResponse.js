@@ -0,0 +1,73 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const querystring = require('querystring');
+
+const DriftHandler = require('./driftHandler');
+const BASE_URL = require('./sharedConstants').BASE_URL;
+const ENDPOINTS = require('./sharedConstants').ENDPOINTS;
+
+/**
+ * Drift Response Class
+ *
+ * @class
+ *
+ * @param {Object} state - A copy of the [doState]{@link State}
+ * @param {Object} queryParams - query params
+ */
+class DriftResponse {
+    constructor(state, queryParams) {
+        this.queryParams = queryParams || {};
+        this.driftHandler = new DriftHandler(state, this.queryParams);
+    }
+
+    getSelfLink() {
+        const query = querystring.stringify(this.queryParams);
+        return `${BASE_URL}/${ENDPOINTS.DRIFT}${query ? '?' : ''}${query}`;
+    }
+
+    exists() {
+        return true;
+    }
+
+    getIds() {
+        return [0];
+    }
+
+    getCode() {
+        return this.driftHandler.getCode();
+    }
+
+    getStatus() {
+        return this.driftHandler.getStatus();
+    }
+
+    getMessage() {
+        return this.driftHandler.getMessage();
+    }
+
+    getErrors() {
+        return this.driftHandler.getErrors();
+    }
+
+    getData() {
+        return this.driftHandler.process();
+    }
+}
+
+module.exports = DriftResponse;
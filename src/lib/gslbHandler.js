@@ -42,6 +42,7 @@ class GSLBHandler {
         this.bigIp = bigIp;
         this.eventEmitter = eventEmitter;
         this.state = state;
+        this.logger = logger.forTask(state, bigIp, 'GSLBHandler');
     }
 
     /**
@@ -51,27 +52,27 @@ class GSLBHandler {
      *                    or rejected if an error occurs.
      */
     process() {
-        logger.fine('Processing GSLB declaration.');
+        this.logger.fine('Processing GSLB declaration.');
         if (!this.declaration.Common) {
             return Promise.resolve();
         }
         return handleGSLBGlobals.call(this)
             .then(() => {
-                logger.fine('Checking Monitors');
+                this.logger.fine('Checking Monitors');
                 return handleGSLBMonitor.call(this);
             })
             .then(() => {
                 const transactionCommands = [
                     (() => {
-                        logger.fine('Checking Data Centers');
+                        this.logger.fine('Checking Data Centers');
                         return handleGSLBDataCenter.call(this);
                     })(),
                     (() => {
-                        logger.fine('Checking Servers');
+                        this.logger.fine('Checking Servers');
                         return handleGSLBServer.call(this);
                     })(),
                     (() => {
-                        logger.fine('Checking Prober Pools');
+                        this.logger.fine('Checking Prober Pools');
                         return handleGSLBProberPool.call(this);
                     })()
                 ].reduce((array, commands) => array.concat(commands), []);
@@ -83,7 +84,7 @@ class GSLBHandler {
                 return this.bigIp.transaction(transactionCommands);
             })
             .catch((err) => {
-                logger.severe(`Error processing GSLB declaration: ${err.message}`);
+                this.logger.severe(`Error processing GSLB declaration: ${err.message}`);
                 return Promise.reject(err);
             });
     }
@@ -194,7 +195,7 @@ function handleGSLBMonitor() {
 
     return Promise.all(promises)
         .catch((err) => {
-            logger.severe(`Error creating Monitors: ${err.message}`);
+            this.logger.severe(`Error creating Monitors: ${err.message}`);
             throw err;
         });
 }
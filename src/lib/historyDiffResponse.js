@@ -0,0 +1,115 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const querystring = require('querystring');
+
+const declarationDiff = require('./declarationDiff');
+const HistoryResponse = require('./historyResponse');
+const BASE_URL = require('./sharedConstants').BASE_URL;
+const ENDPOINTS = require('./sharedConstants').ENDPOINTS;
+const STATUS = require('./sharedConstants').STATUS;
+
+/**
+ * Diff between the declarations of two tasks.
+ *
+ * The tasks are given in the from and to query parameters.
+ *
+ * @class
+ */
+class HistoryDiffResponse {
+    constructor(state, queryParams) {
+        this.state = state;
+        this.queryParams = queryParams || {};
+        this.errors = [];
+    }
+
+    getSelfLink(id) {
+        const query = querystring.stringify(this.queryParams);
+        return `${BASE_URL}/${ENDPOINTS.HISTORY}/${id}${query ? '?' : ''}${query}`;
+    }
+
+    exists() {
+        return true;
+    }
+
+    getIds() {
+        return ['diff'];
+    }
+
+    getCode() {
+        let code = this.code;
+        if (typeof code === 'undefined') {
+            code = this.errors.length ? 500 : 200;
+        }
+        return code;
+    }
+
+    getStatus() {
+        return this.getCode() >= 300 ? STATUS.STATUS_ERROR : STATUS.STATUS_OK;
+    }
+
+    getMessage() {
+        let message = this.message;
+        if (typeof message === 'undefined') {
+            message = this.getCode() >= 300 ? 'failed' : '';
+        }
+        return message;
+    }
+
+    getErrors() {
+        return this.errors;
+    }
+
+    getData() {
+        const fromId = this.queryParams.from;
+        const toId = this.queryParams.to;
+
+        if (!fromId || !toId) {
+            setError.call(this, 400, 'Bad Request', 'from and to query parameters are required');
+            return {};
+        }
+
+        const missing = [fromId, toId].filter((taskId) => !this.state.getTask(taskId));
+        if (missing.length > 0) {
+            setError.call(this, 404, 'Not Found', `Task ${missing[0]} does not exist`);
+            return {};
+        }
+
+        try {
+            return {
+                from: HistoryResponse.getEntry(this.state, fromId),
+                to: HistoryResponse.getEntry(this.state, toId),
+                changes: declarationDiff.diff(
+                    this.state.getDeclaration(fromId),
+                    this.state.getDeclaration(toId)
+                )
+            };
+        } catch (err) {
+            this.errors.push(err.message);
+            return {};
+        }
+    }
+}
+
+function setError(code, message, error) {
+    this.code = code;
+    this.message = message;
+    this.errors.push(error);
+}
+
+module.exports = HistoryDiffResponse;
@@ -0,0 +1,150 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+const BASE_URL = require('./sharedConstants').BASE_URL;
+const ENDPOINTS = require('./sharedConstants').ENDPOINTS;
+const STATUS = require('./sharedConstants').STATUS;
+const DEFAULT_TARGET = require('./sharedConstants').DEFAULT_TARGET;
+
+/**
+ * Lists the declarations which were successfully applied, grouped by target device.
+ *
+ * The ids for this responder are the targets (host or host:port).
+ *
+ * @class
+ */
+class HistoryResponse {
+    constructor(state) {
+        this.state = state;
+    }
+
+    /**
+     * Gets the history entry for a task
+     *
+     * @param {Object} state - The [doState]{@link State}
+     * @param {String} taskId - The id of the task.
+     *
+     * @returns {Object} The entry
+     *
+     *     {
+     *         id: <task_id>,
+     *         timestamp: <time of the last update to the task>,
+     *         userAgent: <controls.userAgent from the declaration>,
+     *         hash: <sha256 of the declaration as stored, without secrets>
+     *     }
+     */
+    static getEntry(state, taskId) {
+        const declaration = state.getDeclaration(taskId) || {};
+        const hash = crypto.createHash('sha256');
+        hash.update(canonicalize(declaration));
+
+        return {
+            id: taskId,
+            timestamp: new Date(state.getLastUpdate(taskId)).toISOString(),
+            userAgent: declaration.controls ? declaration.controls.userAgent : undefined,
+            hash: hash.digest('hex')
+        };
+    }
+
+    getSelfLink(target) {
+        return `${BASE_URL}/${ENDPOINTS.HISTORY}/${target}`;
+    }
+
+    exists(target) {
+        return getIdsByTarget.call(this)[target] !== undefined;
+    }
+
+    getIds() {
+        return Object.keys(getIdsByTarget.call(this)).sort();
+    }
+
+    getCode() {
+        return 200;
+    }
+
+    getStatus() {
+        return STATUS.STATUS_OK;
+    }
+
+    getMessage() {
+        return '';
+    }
+
+    getErrors() {
+        return [];
+    }
+
+    getData(target) {
+        if (!this.exists(target)) {
+            return { httpStatus: 404 };
+        }
+
+        const entries = getIdsByTarget.call(this)[target]
+            .map((taskId) => HistoryResponse.getEntry(this.state, taskId))
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+        return {
+            target,
+            declarations: entries
+        };
+    }
+}
+
+/**
+ * Gets the ids of the tasks which successfully applied a declaration, by target.
+ *
+ * Dry runs and rollbacks are not declarations that were applied, so they are not included.
+ */
+function getIdsByTarget() {
+    const idsByTarget = {};
+    this.state.getTaskIds().forEach((taskId) => {
+        const declaration = this.state.getDeclaration(taskId) || {};
+        if (this.state.getStatus(taskId) !== STATUS.STATUS_OK
+            || (declaration.controls && declaration.controls.dryRun)
+            || this.state.getRollbackOf(taskId)) {
+            return;
+        }
+
+        const target = this.state.getTarget(taskId) || DEFAULT_TARGET;
+        if (!idsByTarget[target]) {
+            idsByTarget[target] = [];
+        }
+        idsByTarget[target].push(taskId);
+    });
+    return idsByTarget;
+}
+
+/**
+ * JSON with the keys sorted so that equal declarations have equal hashes.
+ */
+function canonicalize(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalize).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const properties = Object.keys(value)
+            .filter((key) => typeof value[key] !== 'undefined')
+            .sort()
+            .map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+        return `{${properties.join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+module.exports = HistoryResponse;
@@ -24,6 +24,15 @@ const doUtil = require('./doUtil');
 const schema = require('../schema/latest/base.schema.json');
 
 class InfoResponse {
+    /**
+     * Constructor
+     *
+     * @param {State} [state] - The doState. If given, the settings are included in the data.
+     */
+    constructor(state) {
+        this.state = state;
+    }
+
     // Many of these methods do not need 'this' as they return constants
     // but the must be instance methods for consistency with other responders
     getSelfLink() {
@@ -57,12 +66,16 @@ class InfoResponse {
     getData() {
         const schemaVersions = schema.properties.schemaVersion.enum;
         const versionInfo = doUtil.getDoVersion();
-        return {
+        const info = {
             version: versionInfo.VERSION,
             release: versionInfo.RELEASE,
             schemaCurrent: schemaVersions[0],
             schemaMinimum: schemaVersions[schemaVersions.length - 1]
         };
+        if (this.state) {
+            info.settings = this.state.getSettings();
+        }
+        return info;
     }
 }
 
@@ -33,6 +33,16 @@ const SCHEMA_VERSION = require('../schema/latest/base.schema.json').properties.s
 const STATUS = require('./sharedConstants').STATUS;
 
 const NAMELESS_CLASSES = ConfigManager.getNamelessClasses(configItems);
+const INSPECTABLE_CLASSES = configItems
+    .filter((configItem) => configItem.path && configItem.declaration !== false)
+    .map((configItem) => configItem.schemaClass)
+    .filter((schemaClass, index, schemaClasses) => schemaClasses.indexOf(schemaClass) === index);
+
+// Classes whose config items are needed to fill in properties of other classes
+// (System.mcpAuditLog comes from a db variable)
+const CLASS_DEPENDENCIES = {
+    System: ['DbVariables']
+};
 
 const logger = new Logger(module);
 
@@ -46,10 +56,20 @@ class InspectHandler {
      * Constructor
      *
      * @param {Object} queryParams - query params
+     * @param {String} [queryParams.classes] - Comma separated list of classes to inspect. Default is all.
+     * @param {String} [queryParams.names] - Comma separated list of object names to inspect. Default is all.
+     * @param {Object} [options] - Optional parameters
+     * @param {Object} [options.bigIp] - BigIp object to read the configuration from instead of
+     *                                   connecting to a device (see {@link ConfigFileBigIp}).
+     *                                   The query params are ignored.
+     * @param {Number} [options.timeout] - Milliseconds to wait before giving up on the request.
+     *                                     Default is ENDPOINT_MAX_TIMEOUT.
      */
-    constructor(queryParams) {
-        this.processTimeout = PROCESS_MAX_TIMEOUT;
+    constructor(queryParams, options) {
+        this.processTimeout = (options && options.timeout) || PROCESS_MAX_TIMEOUT;
         this.queryParams = queryParams || {};
+        this.bigIp = options && options.bigIp;
+        this.filters = {};
         this.errors = [];
     }
 
@@ -151,6 +171,13 @@ function isTargetLoopback(targetHost) {
  */
 function processRequest() {
     let targetDevice;
+    if (this.bigIp) {
+        return fetchCurrentConfiguration.call(this)
+            .then((currentConfig) => makeDeclarationFromConfig.call(this, currentConfig))
+            .then((declaration) => validateDeclaration.call(this, declaration))
+            .then((declaration) => ({ declaration }));
+    }
+
     return validateRequest.call(this)
         .then((targetDeviceFromRequest) => {
             targetDevice = targetDeviceFromRequest;
@@ -222,6 +249,23 @@ function validateRequest() {
             delete target[key];
         }
     });
+    ['classes', 'names'].forEach((param) => {
+        const value = this.queryParams[param];
+        if (typeof value === 'undefined') {
+            return;
+        }
+        const list = typeof value === 'string' ? parseList(value) : [];
+        if (list.length === 0) {
+            errors.push(`Invalid value for parameter '${param}'.`);
+        } else {
+            this.filters[param] = list;
+        }
+    });
+    (this.filters.classes || []).forEach((schemaClass) => {
+        if (INSPECTABLE_CLASSES.indexOf(schemaClass) === -1) {
+            errors.push(`Invalid class '${schemaClass}' for parameter 'classes'.`);
+        }
+    });
     if (target.port) {
         target.port = parseInt(target.port, 10);
         if (!(target.port >= 0 && target.port <= 65535)) {
@@ -244,6 +288,19 @@ function validateRequest() {
     return Promise.resolve(target);
 }
 
+/**
+ * Splits a comma separated query parameter into its non-empty values
+ *
+ * @param {String} value - query parameter value
+ *
+ * @returns {Array.<String>}
+ */
+function parseList(value) {
+    return value.split(',')
+        .map((item) => item.trim())
+        .filter((item) => item);
+}
+
 /**
  * Validate platform
  *
@@ -277,9 +334,19 @@ function fetchCurrentConfiguration(targetDevice) {
     const state = {};
     const doState = new State();
 
-    return doUtil.getBigIp(logger, targetDevice)
+    const getBigIp = this.bigIp ? Promise.resolve(this.bigIp) : doUtil.getBigIp(logger, targetDevice);
+    return getBigIp
         .then((bigIp) => {
-            const configManager = new ConfigManager(`${__dirname}/configItems.json`, bigIp);
+            let items = `${__dirname}/configItems.json`;
+            if (this.filters.classes) {
+                // only query the paths of the requested classes (and the classes they need)
+                const classes = this.filters.classes.reduce(
+                    (acc, schemaClass) => acc.concat(schemaClass, CLASS_DEPENDENCIES[schemaClass] || []),
+                    []
+                );
+                items = configItems.filter((configItem) => classes.indexOf(configItem.schemaClass) !== -1);
+            }
+            const configManager = new ConfigManager(items, bigIp);
             const configOptions = {
                 translateToNewId: true
             };
@@ -538,11 +605,17 @@ function makeDeclarationFromConfig(config) {
             if (!configItem.path) {
                 return;
             }
+            if (this.filters.classes && this.filters.classes.indexOf(configItem.schemaClass) === -1) {
+                return;
+            }
             processConfigItem(configItem, tenantConfig, (declKey, declObj) => {
                 // undefined means that item should be removed from declaration
                 if (typeof declObj === 'undefined') {
                     return;
                 }
+                if (this.filters.names && this.filters.names.indexOf(declKey) === -1) {
+                    return;
+                }
                 let targetKey = declKey;
                 // check for duplicates - objects share same name (usually SelfIPs, VLANs, Routes)
                 if (declKey in tenantDeclaration) {
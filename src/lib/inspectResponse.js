@@ -28,11 +28,13 @@ const ENDPOINTS = require('./sharedConstants').ENDPOINTS;
  * @class
  *
  * @param {Object} queryParams - query params
+ * @param {Object} [options] - Optional parameters
+ * @param {Number} [options.timeout] - Milliseconds to wait before giving up on the request.
  */
 class InspectResponse {
-    constructor(queryParams) {
+    constructor(queryParams, options) {
         this.queryParams = queryParams || {};
-        this.inspectHandler = new InspectHandler(this.queryParams);
+        this.inspectHandler = new InspectHandler(this.queryParams, { timeout: options && options.timeout });
     }
 
     getSelfLink() {
@@ -0,0 +1,191 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const deepDiff = require('deep-diff');
+
+/**
+ * Minimal implementation of JSON Patch (RFC 6902).
+ *
+ * Supports the add, remove, replace, move, copy and test operations.
+ */
+module.exports = {
+    /**
+     * Applies JSON Patch operations to a document.
+     *
+     * The document is not modified.
+     *
+     * @param {Object} document - The document to patch.
+     * @param {Object[]} operations - Array of JSON Patch operations.
+     *
+     * @returns {Object} The patched document.
+     * @throws {Error} If an operation is invalid or cannot be applied. The whole patch fails.
+     */
+    apply(document, operations) {
+        if (!Array.isArray(operations)) {
+            throw new Error('JSON Patch must be an array of operations');
+        }
+
+        let patched = JSON.parse(JSON.stringify(document));
+        operations.forEach((operation, index) => {
+            try {
+                patched = applyOperation(patched, operation);
+            } catch (err) {
+                err.message = `JSON Patch operation ${index} failed: ${err.message}`;
+                throw err;
+            }
+        });
+        return patched;
+    },
+
+    /**
+     * Parses a JSON pointer (RFC 6901) into its reference tokens.
+     *
+     * @param {String} pointer - The JSON pointer.
+     *
+     * @returns {String[]} The unescaped reference tokens.
+     */
+    parsePointer(pointer) {
+        return parsePointer(pointer);
+    }
+};
+
+function applyOperation(document, operation) {
+    if (!operation || typeof operation !== 'object') {
+        throw new Error('operation must be an object');
+    }
+
+    const path = parsePointer(operation.path);
+
+    switch (operation.op) {
+    case 'add':
+        requireValue(operation);
+        return add(document, path, clone(operation.value));
+    case 'remove':
+        return remove(document, path);
+    case 'replace':
+        requireValue(operation);
+        getValue(document, path);
+        return add(remove(document, path), path, clone(operation.value));
+    case 'move': {
+        const from = parsePointer(operation.from);
+        if (path.length > from.length && from.every((token, i) => token === path[i])) {
+            throw new Error(`cannot move '${operation.from}' into one of its children`);
+        }
+        const value = getValue(document, from);
+        return add(remove(document, from), path, value);
+    }
+    case 'copy': {
+        const from = parsePointer(operation.from);
+        return add(document, path, clone(getValue(document, from)));
+    }
+    case 'test':
+        requireValue(operation);
+        if (deepDiff.diff(getValue(document, path), operation.value)) {
+            throw new Error(`test failed for '${operation.path}'`);
+        }
+        return document;
+    default:
+        throw new Error(`unsupported op '${operation.op}'`);
+    }
+}
+
+function parsePointer(pointer) {
+    if (typeof pointer !== 'string') {
+        throw new Error('path must be a string');
+    }
+    if (pointer === '') {
+        return [];
+    }
+    if (!pointer.startsWith('/')) {
+        throw new Error(`invalid JSON pointer '${pointer}'`);
+    }
+    return pointer.substring(1).split('/')
+        .map((token) => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function requireValue(operation) {
+    if (!('value' in operation)) {
+        throw new Error(`'${operation.op}' requires a value`);
+    }
+}
+
+function clone(value) {
+    return typeof value === 'undefined' ? value : JSON.parse(JSON.stringify(value));
+}
+
+function getValue(document, path) {
+    let value = document;
+    path.forEach((token) => {
+        if (value === null || typeof value !== 'object') {
+            throw new Error(`path '/${path.join('/')}' does not exist`);
+        }
+        const key = Array.isArray(value) ? arrayIndex(value, token, false) : token;
+        if (!Object.prototype.hasOwnProperty.call(value, key)) {
+            throw new Error(`path '/${path.join('/')}' does not exist`);
+        }
+        value = value[key];
+    });
+    return value;
+}
+
+function arrayIndex(array, token, allowEnd) {
+    if (allowEnd && token === '-') {
+        return array.length;
+    }
+    if (!/^(0|[1-9][0-9]*)$/.test(token)) {
+        throw new Error(`invalid array index '${token}'`);
+    }
+    const index = parseInt(token, 10);
+    if (index > array.length || (!allowEnd && index === array.length)) {
+        throw new Error(`array index '${token}' is out of bounds`);
+    }
+    return index;
+}
+
+function add(document, path, value) {
+    if (path.length === 0) {
+        return value;
+    }
+
+    const parent = getValue(document, path.slice(0, -1));
+    const token = path[path.length - 1];
+    if (Array.isArray(parent)) {
+        parent.splice(arrayIndex(parent, token, true), 0, value);
+    } else if (parent !== null && typeof parent === 'object') {
+        parent[token] = value;
+    } else {
+        throw new Error(`cannot add to '/${path.slice(0, -1).join('/')}'`);
+    }
+    return document;
+}
+
+function remove(document, path) {
+    if (path.length === 0) {
+        return undefined;
+    }
+
+    getValue(document, path);
+    const parent = getValue(document, path.slice(0, -1));
+    const token = path[path.length - 1];
+    if (Array.isArray(parent)) {
+        parent.splice(arrayIndex(parent, token, false), 1);
+    } else {
+        delete parent[token];
+    }
+    return document;
+}
@@ -20,6 +20,17 @@ const PRODUCTS = require('@f5devcentral/f5-cloud-libs').sharedConstants.PRODUCTS
 const doUtil = require('./doUtil');
 
 class LicensePoolValidator {
+    /**
+     * Constructor
+     *
+     * @param {Object} [options] - Optional parameters
+     * @param {String} [options.platform] - The platform DO is running on (BIG-IP, BIG-IQ, etc).
+     *                                      Default is to ask the device this is running on.
+     */
+    constructor(options) {
+        this.platform = options && options.platform;
+    }
+
     validate(data) {
         if (!data || !data.declaration) {
             return Promise.resolve({
@@ -34,7 +45,8 @@ class LicensePoolValidator {
             });
         }
 
-        const license = licenseWrapper[Object.keys(licenseWrapper)[0]];
+        const licenseName = Object.keys(licenseWrapper)[0];
+        const license = licenseWrapper[licenseName];
         if (!license || license.licenseType !== 'licensePool') {
             return Promise.resolve({
                 isValid: true
@@ -43,8 +55,10 @@ class LicensePoolValidator {
 
         let isValid = true;
         const errors = [];
+        const pointers = [];
 
-        return doUtil.getCurrentPlatform()
+        const getPlatform = this.platform ? Promise.resolve(this.platform) : doUtil.getCurrentPlatform();
+        return getPlatform
             .then((currentPlatform) => {
                 if (currentPlatform !== PRODUCTS.BIGIQ) {
                     if (!license.bigIqHost
@@ -53,15 +67,18 @@ class LicensePoolValidator {
                         // If not on BIG-IQ, host, user and password info are required
                         isValid = false;
                         errors.push("If not running on BIG-IQ, licensePool info requires 'bigIqHost', 'bigIqUsername', and either 'bigIqPassword' or 'bigIqPasswordUri'");
+                        pointers.push(`/declaration/Common/${licenseName}`);
                     } else if (license.bigIqHost === 'localhost') {
                         isValid = false;
                         errors.push("If not running on BIG-IQ, 'bigIqHost' cannot be 'localhost'");
+                        pointers.push(`/declaration/Common/${licenseName}/bigIqHost`);
                     }
                 }
 
                 return Promise.resolve({
                     isValid,
-                    errors
+                    errors,
+                    pointers
                 });
             });
     }
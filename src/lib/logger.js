@@ -29,6 +29,27 @@ const MASK_REGEX = require('./sharedConstants').MASK_REGEX;
 
 const MASK_REGEX_REGKEY = /[0-9a-f]{5}-[0-9a-f]{5}-[0-9a-f]{5}-[0-9a-f]{5}-[0-9a-f]{7}/i;
 
+const FORMATS = ['text', 'json'];
+
+// Shared by all loggers so that the whole worker logs in the same format
+let format = 'text';
+
+// restnoded levels, lowest first
+const LEVELS = ['finest', 'finer', 'fine', 'info', 'warning', 'severe'];
+
+// controls.logLevel names for the restnoded levels
+const LEVEL_NAMES = {
+    finest: 'silly',
+    finer: 'verbose',
+    fine: 'debug',
+    info: 'info',
+    warning: 'warning',
+    severe: 'error'
+};
+
+// Where to keep the messages of tasks with controls.logLevel. See {@link TaskLogs}.
+let taskLogs;
+
 let f5Logger;
 try {
     /* eslint-disable global-require */
@@ -41,12 +62,28 @@ try {
 /**
  * Logger that works with f5-cloud-libs and restnoded styles.
  *
+ * Messages are logged as text, like '[f5-declarative-onboarding: restWorker.js] message', or, if
+ * the format is 'json', as JSON records which also have the task ID, handler, target host and
+ * elapsed time from the context of the logger (see {@link Logger#forTask}):
+ *
+ *     {"timestamp":"2022-05-09T18:44:41.123Z","level":"info","tag":"f5-declarative-onboarding",
+ *      "file":"systemHandler.js","taskId":"1234","handler":"SystemHandler","targetHost":"localhost",
+ *      "elapsedMs":230,"message":"Checking DNS"}
+ *
+ * @param {Object} module - The module which is logging.
+ * @param {Object} [context] - Properties to add to every JSON record.
+ * @param {String} [context.taskId] - The id of the task.
+ * @param {String} [context.handler] - The name of the handler.
+ * @param {String} [context.targetHost] - The host being configured.
+ * @param {Number} [context.startTime] - Time (ms since the epoch) to measure elapsedMs from.
+ *
  * @class
  */
 class Logger {
-    constructor(module) {
+    constructor(module, context) {
         this.tag = 'f5-declarative-onboarding';
         this.filename = path.basename(module.filename);
+        this.context = context || {};
 
         // If we weren't able to get the f5-logger, create a mock (so our unit tests run)
         this.logger = f5Logger
@@ -66,6 +103,72 @@ class Logger {
             };
     }
 
+    /**
+     * Sets the format of all loggers
+     *
+     * @param {String} newFormat - 'text' or 'json'.
+     */
+    static setFormat(newFormat) {
+        if (FORMATS.indexOf(newFormat) === -1) {
+            throw new Error(`${newFormat} is not a log format. Use one of ${FORMATS.join(', ')}`);
+        }
+        format = newFormat;
+    }
+
+    /**
+     * Gets the format of all loggers
+     *
+     * @returns {String} 'text' or 'json'.
+     */
+    static getFormat() {
+        return format;
+    }
+
+    /**
+     * Sets where to keep the log messages of tasks which ask for them with controls.logLevel.
+     * Only messages from loggers with a task ID in their context are kept.
+     *
+     * @param {TaskLogs} newTaskLogs - The task logs.
+     */
+    static setTaskLogs(newTaskLogs) {
+        taskLogs = newTaskLogs;
+    }
+
+    /**
+     * Creates a logger for the same module with more context. Elapsed time is
+     * measured from when this is called.
+     *
+     * @param {Object} context - Properties to add to the context of this logger.
+     *
+     * @returns {Logger} The new logger.
+     */
+    withContext(context) {
+        const contextLogger = new Logger(
+            { filename: this.filename },
+            Object.assign({}, this.context, context, { startTime: Date.now() })
+        );
+        contextLogger.logger = this.logger;
+        return contextLogger;
+    }
+
+    /**
+     * Creates a logger for the work done for a task, so that records from tasks
+     * which run at the same time can be told apart.
+     *
+     * @param {Object} [state] - The state of the task. The task ID is state.id.
+     * @param {Object} [bigIp] - The BigIp being configured.
+     * @param {String} [handler] - The name of the handler doing the work.
+     *
+     * @returns {Logger} The new logger.
+     */
+    forTask(state, bigIp, handler) {
+        return this.withContext({
+            taskId: state ? state.id : undefined,
+            targetHost: bigIp ? bigIp.host : undefined,
+            handler
+        });
+    }
+
     silly(message) {
         log.call(this, 'finest', message, Array.prototype.slice.call(arguments, 1));
     }
@@ -150,7 +253,64 @@ function log(level, message, extraArgs) {
         fullMessage = `${fullMessage} ${expandedArg}`;
     });
 
-    this.logger[level](`[${this.tag}: ${this.filename}] ${fullMessage}`);
+    const logLevel = keepForTask.call(this, level, fullMessage);
+
+    if (format === 'json') {
+        this.logger[logLevel](JSON.stringify(getRecord.call(this, level, fullMessage)));
+        return;
+    }
+    this.logger[logLevel](`[${this.tag}: ${this.filename}] ${fullMessage}`);
+}
+
+/**
+ * Keeps a message for the task of this logger if the task asked for messages at this level.
+ *
+ * @returns {String} The level to send the message to restnoded at. Messages which are kept
+ *                   for a task are sent at info or above so that they are in the restnoded log
+ *                   with its default log level.
+ */
+function keepForTask(level, message) {
+    const taskId = this.context.taskId;
+    const taskLogLevel = taskLogs && taskId ? taskLogs.getLogLevel(taskId) : undefined;
+    if (!taskLogLevel || LEVELS.indexOf(level) < LEVELS.indexOf(getLevel(taskLogLevel))) {
+        return level;
+    }
+
+    const kept = {
+        timestamp: new Date().toISOString(),
+        level: LEVEL_NAMES[level],
+        file: this.filename
+    };
+    if (this.context.handler) {
+        kept.handler = this.context.handler;
+    }
+    kept.message = typeof message === 'string' ? message : String(message);
+    taskLogs.add(taskId, kept);
+
+    return LEVELS.indexOf(level) < LEVELS.indexOf('info') ? 'info' : level;
+}
+
+function getLevel(levelName) {
+    return Object.keys(LEVEL_NAMES).find((level) => LEVEL_NAMES[level] === levelName) || 'info';
+}
+
+function getRecord(level, message) {
+    const record = {
+        timestamp: new Date().toISOString(),
+        level,
+        tag: this.tag,
+        file: this.filename
+    };
+    ['taskId', 'handler', 'targetHost'].forEach((key) => {
+        if (this.context[key] !== undefined) {
+            record[key] = this.context[key];
+        }
+    });
+    if (this.context.startTime !== undefined) {
+        record.elapsedMs = Date.now() - this.context.startTime;
+    }
+    record.message = typeof message === 'string' ? message : String(message);
+    return record;
 }
 
 function mask(message) {
@@ -0,0 +1,181 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+// Handlers usually take seconds, but licensing and provisioning can take many minutes
+const DURATION_BUCKETS = [1, 5, 15, 30, 60, 120, 300, 600, 1200, 1800];
+
+/**
+ * The metrics of the worker. Counters only go up and histograms count observations
+ * in buckets, as in Prometheus.
+ */
+const DEFINITIONS = {
+    do_tasks_total: {
+        type: 'counter',
+        help: 'Tasks which finished, by final status and code.'
+    },
+    do_validation_failures_total: {
+        type: 'counter',
+        help: 'Declarations which failed validation, by validator.'
+    },
+    do_handler_duration_seconds: {
+        type: 'histogram',
+        help: 'How long handlers took, by handler and outcome.',
+        buckets: DURATION_BUCKETS
+    },
+    do_rollbacks_total: {
+        type: 'counter',
+        help: 'Rollbacks started, by reason (failed, cancelled or requested).'
+    },
+    do_reboots_total: {
+        type: 'counter',
+        help: 'Reboots started at the end of a task.'
+    },
+    do_webhook_failures_total: {
+        type: 'counter',
+        help: 'Webhooks which could not be delivered.'
+    },
+    do_licensing_attempts_total: {
+        type: 'counter',
+        help: 'Times licensing was started, by license type.'
+    }
+};
+
+/**
+ * Keeps the metrics of the worker in memory and formats them in the Prometheus text
+ * exposition format. The metrics start from 0 when restnoded restarts.
+ *
+ * @class
+ */
+class Metrics {
+    constructor() {
+        this.values = {}; // map of metric name -> map of label key -> value
+        Object.keys(DEFINITIONS).forEach((name) => {
+            this.values[name] = {};
+        });
+    }
+
+    /**
+     * Adds 1 to a counter
+     *
+     * @param {String} name - The name of the counter, like 'do_reboots_total'.
+     * @param {Object} [labels] - The labels, like { status: 'OK' }.
+     */
+    increment(name, labels) {
+        const value = getValue.call(this, name, labels, () => ({ count: 0 }));
+        value.count += 1;
+    }
+
+    /**
+     * Adds an observation to a histogram
+     *
+     * @param {String} name - The name of the histogram, like 'do_handler_duration_seconds'.
+     * @param {Number} observed - The observed value.
+     * @param {Object} [labels] - The labels, like { handler: 'SystemHandler' }.
+     */
+    observe(name, observed, labels) {
+        const buckets = DEFINITIONS[name].buckets;
+        const value = getValue.call(this, name, labels, () => ({
+            buckets: buckets.map(() => 0),
+            sum: 0,
+            count: 0
+        }));
+        buckets.forEach((bucket, index) => {
+            if (observed <= bucket) {
+                value.buckets[index] += 1;
+            }
+        });
+        value.sum += observed;
+        value.count += 1;
+    }
+
+    /**
+     * Gets the value of a counter
+     *
+     * @param {String} name - The name of the counter.
+     * @param {Object} [labels] - The labels.
+     *
+     * @returns {Number} The count.
+     */
+    getCount(name, labels) {
+        const value = this.values[name][getLabelKey(labels)];
+        return value ? value.count : 0;
+    }
+
+    /**
+     * Formats the metrics in the Prometheus text exposition format (version 0.0.4)
+     *
+     * @returns {String} The metrics.
+     */
+    toText() {
+        const lines = [];
+        Object.keys(DEFINITIONS).forEach((name) => {
+            const definition = DEFINITIONS[name];
+            lines.push(`# HELP ${name} ${definition.help}`, `# TYPE ${name} ${definition.type}`);
+
+            const values = this.values[name];
+            if (definition.type === 'counter' && Object.keys(values).length === 0) {
+                lines.push(`${name} 0`);
+            }
+            Object.keys(values).forEach((labelKey) => {
+                const value = values[labelKey];
+                if (definition.type === 'counter') {
+                    lines.push(`${name}${formatLabels(value.labels)} ${value.count}`);
+                    return;
+                }
+                definition.buckets.forEach((bucket, index) => {
+                    const labels = Object.assign({}, value.labels, { le: `${bucket}` });
+                    lines.push(`${name}_bucket${formatLabels(labels)} ${value.buckets[index]}`);
+                });
+                const infLabels = Object.assign({}, value.labels, { le: '+Inf' });
+                lines.push(`${name}_bucket${formatLabels(infLabels)} ${value.count}`);
+                lines.push(`${name}_sum${formatLabels(value.labels)} ${value.sum}`);
+                lines.push(`${name}_count${formatLabels(value.labels)} ${value.count}`);
+            });
+        });
+        return lines.map((line) => `${line}\n`).join('');
+    }
+}
+
+function getValue(name, labels, create) {
+    if (!DEFINITIONS[name]) {
+        throw new Error(`${name} is not a metric`);
+    }
+    const labelKey = getLabelKey(labels);
+    if (!this.values[name][labelKey]) {
+        this.values[name][labelKey] = Object.assign(create(), { labels: Object.assign({}, labels) });
+    }
+    return this.values[name][labelKey];
+}
+
+function getLabelKey(labels) {
+    return JSON.stringify(Object.keys(labels || {}).sort().map((key) => [key, `${labels[key]}`]));
+}
+
+function formatLabels(labels) {
+    const keys = Object.keys(labels || {});
+    if (keys.length === 0) {
+        return '';
+    }
+    const formatted = keys.map((key) => {
+        const value = `${labels[key]}`.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+        return `${key}="${value}"`;
+    });
+    return `{${formatted.join(',')}}`;
+}
+
+module.exports = Metrics;
@@ -44,6 +44,7 @@ class NetworkHandler {
         this.bigIp = bigIp;
         this.eventEmitter = eventEmitter;
         this.state = state;
+        this.logger = logger.forTask(state, bigIp, 'NetworkHandler');
         this.needsMcpdRestart = false;
     }
 
@@ -54,87 +55,87 @@ class NetworkHandler {
      *                    or rejected if an error occurs.
      */
     process() {
-        logger.fine('Proessing network declaration.');
-        logger.fine('Checking Trunks.');
+        this.logger.fine('Proessing network declaration.');
+        this.logger.fine('Checking Trunks.');
         return handleTrunk.call(this)
             .then(() => {
-                logger.fine('Checking VLANs');
+                this.logger.fine('Checking VLANs');
                 return handleVlan.call(this);
             })
             .then(() => {
-                logger.fine('Checking RouteDomains');
+                this.logger.fine('Checking RouteDomains');
                 return handleRouteDomain.call(this);
             })
             .then(() => {
-                logger.fine('Checking DNS_Resolvers');
+                this.logger.fine('Checking DNS_Resolvers');
                 return handleDnsResolver.call(this);
             })
             .then(() => {
-                logger.fine('Checking Tunnels');
+                this.logger.fine('Checking Tunnels');
                 return handleTunnel.call(this);
             })
             .then(() => {
-                logger.fine('Checking Firewall Address Lists');
+                this.logger.fine('Checking Firewall Address Lists');
                 return handleFirewallAddressList.call(this);
             })
             .then(() => {
-                logger.fine('Checking Firewall Port Lists');
+                this.logger.fine('Checking Firewall Port Lists');
                 return handleFirewallPortList.call(this);
             })
             .then(() => {
-                logger.fine('Checking Firewall Policies');
+                this.logger.fine('Checking Firewall Policies');
                 return handleFirewallPolicy.call(this);
             })
             .then(() => {
-                logger.fine('Checking ManagementIpFirewall.');
+                this.logger.fine('Checking ManagementIpFirewall.');
                 return handleManagementIpFirewall.call(this);
             })
             .then(() => {
-                logger.fine('Checking SelfIps');
+                this.logger.fine('Checking SelfIps');
                 return handleSelfIp.call(this);
             })
             .then(() => {
-                logger.fine('Checking Routes');
+                this.logger.fine('Checking Routes');
                 return handleRoute.call(this);
             })
             .then(() => {
-                logger.fine('Checking DagGlobals');
+                this.logger.fine('Checking DagGlobals');
                 return handleDagGlobals.call(this);
             })
             .then(() => {
-                logger.info('Checking Enable Routing Module');
+                this.logger.info('Checking Enable Routing Module');
                 return handleEnableRouting.call(this);
             })
             .then(() => {
-                logger.info('Checking RoutingAsPath');
+                this.logger.info('Checking RoutingAsPath');
                 return handleRoutingAsPath.call(this);
             })
             .then(() => {
-                logger.info('Checking RoutingAccessList');
+                this.logger.info('Checking RoutingAccessList');
                 return handleRoutingAccessList.call(this);
             })
             .then(() => {
-                logger.info('Checking RoutingPrefixList');
+                this.logger.info('Checking RoutingPrefixList');
                 return handleRoutingPrefixList.call(this);
             })
             .then(() => {
-                logger.info('Checking RoutingBGP and RouteMap');
+                this.logger.info('Checking RoutingBGP and RouteMap');
                 return handleRoutingBGP.call(this);
             })
             .then(() => {
-                logger.info('Done processing network declartion.');
+                this.logger.info('Done processing network declartion.');
                 return Promise.resolve();
             })
             .then(() => {
                 if (this.needsMcpdRestart) {
-                    logger.info('Saving config');
+                    this.logger.info('Saving config');
                     return this.bigIp.save();
                 }
                 return Promise.resolve();
             })
             .then(() => {
                 if (this.needsMcpdRestart) {
-                    logger.info('Restarting mcpd');
+                    this.logger.info('Restarting mcpd');
                     const servicesToWaitFor = [
                         'cbrd',
                         'alertd',
@@ -160,7 +161,7 @@ class NetworkHandler {
                 return Promise.resolve();
             })
             .catch((err) => {
-                logger.severe(`Error processing network declaration: ${err.message}`);
+                this.logger.severe(`Error processing network declaration: ${err.message}`);
                 return Promise.reject(err);
             });
     }
@@ -220,7 +221,7 @@ function handleVlan() {
                 resolve();
             })
             .catch((err) => {
-                logger.severe(`Error creating vlans: ${err.message}`);
+                this.logger.severe(`Error creating vlans: ${err.message}`);
                 reject(err);
             });
     });
@@ -252,7 +253,7 @@ function handleFirewallAddressList() {
 
     return Promise.all(promises)
         .catch((err) => {
-            logger.severe(`Error creating Firewall Address List: ${err.message}`);
+            this.logger.severe(`Error creating Firewall Address List: ${err.message}`);
             throw err;
         });
 }
@@ -274,7 +275,7 @@ function handleFirewallPolicy() {
 
     return Promise.all(promises)
         .catch((err) => {
-            logger.severe(`Error creating Firewall Policies: ${err.message}`);
+            this.logger.severe(`Error creating Firewall Policies: ${err.message}`);
             throw err;
         });
 }
@@ -297,7 +298,7 @@ function handleManagementIpFirewall() {
 
     return this.bigIp.modify(PATHS.ManagementIpFirewall, body)
         .catch((err) => {
-            logger.severe(`Error creating Management IP Firewall: ${err.message}`);
+            this.logger.severe(`Error creating Management IP Firewall: ${err.message}`);
             throw err;
         });
 }
@@ -322,7 +323,7 @@ function handleFirewallPortList() {
 
     return Promise.all(promises)
         .catch((err) => {
-            logger.severe(`Error creating Firewall Port List: ${err.message}`);
+            this.logger.severe(`Error creating Firewall Port List: ${err.message}`);
             throw err;
         });
 }
@@ -468,7 +469,7 @@ function handleSelfIp() {
             return Promise.all(createPromises);
         })
         .catch((err) => {
-            logger.severe(`Error creating self IPs: ${err.message}`);
+            this.logger.severe(`Error creating self IPs: ${err.message}`);
             throw err;
         });
 }
@@ -563,7 +564,7 @@ function handleRoute() {
             return promise
                 .then(() => this.bigIp.transaction(commands))
                 .catch((err) => {
-                    logger.severe(`Error creating routes: ${err.message}`);
+                    this.logger.severe(`Error creating routes: ${err.message}`);
                     throw err;
                 });
         });
@@ -595,7 +596,7 @@ function handleDnsResolver() {
 
     return Promise.all(promises)
         .catch((err) => {
-            logger.severe(`Error creating DNS_Resolvers: ${err.message}`);
+            this.logger.severe(`Error creating DNS_Resolvers: ${err.message}`);
             throw err;
         });
 }
@@ -624,7 +625,7 @@ function handleTrunk() {
 
     return Promise.all(promises)
         .catch((err) => {
-            logger.severe(`Error creating Trunks: ${err.message}`);
+            this.logger.severe(`Error creating Trunks: ${err.message}`);
             throw err;
         });
 }
@@ -666,7 +667,7 @@ function handleRouteDomain() {
     return Promise.resolve()
         .then(() => this.bigIp.transaction(commands))
         .catch((err) => {
-            logger.severe(`Error creating RouteDomains: ${err.message}`);
+            this.logger.severe(`Error creating RouteDomains: ${err.message}`);
             throw err;
         });
 }
@@ -757,7 +758,7 @@ function handleTunnel() {
         .then(() => promiseUtil.parallel(vxlanPromises))
         .then(() => promiseUtil.parallel(promises))
         .catch((err) => {
-            logger.severe(`Error creating Tunnels: ${err.message}`);
+            this.logger.severe(`Error creating Tunnels: ${err.message}`);
             throw err;
         });
 }
@@ -779,7 +780,7 @@ function handleEnableRouting() {
 
     return Promise.all(promises)
         .catch((err) => {
-            logger.severe(`Error enabling routing module: ${err.message}`);
+            this.logger.severe(`Error enabling routing module: ${err.message}`);
             throw err;
         });
 }
@@ -813,7 +814,7 @@ function handleRoutingAsPath() {
 
     return Promise.all(promises)
         .catch((err) => {
-            logger.severe(`Error creating RoutingAsPath: ${err.message}`);
+            this.logger.severe(`Error creating RoutingAsPath: ${err.message}`);
             throw err;
         });
 }
@@ -848,7 +849,7 @@ function handleRoutingAccessList() {
 
     return Promise.all(promises)
         .catch((err) => {
-            logger.severe(`Error creating RoutingAccessList: ${err.message}`);
+            this.logger.severe(`Error creating RoutingAccessList: ${err.message}`);
             throw err;
         });
 }
@@ -883,7 +884,7 @@ function handleRoutingPrefixList() {
 
     return Promise.all(promises)
         .catch((err) => {
-            logger.severe(`Error creating RoutingPrefixList: ${err.message}`);
+            this.logger.severe(`Error creating RoutingPrefixList: ${err.message}`);
             throw err;
         });
 }
@@ -950,14 +951,14 @@ function handleRouteMap() {
             return Promise.all(promises);
         })
         .catch((err) => {
-            logger.severe(`Error creating route maps: ${err.message}`);
+            this.logger.severe(`Error creating route maps: ${err.message}`);
             throw err;
         });
 }
 
 function handleRoutingBGP() {
     if (!this.declaration.Common.RoutingBGP) {
-        logger.info('Checking RouteMap');
+        this.logger.info('Checking RouteMap');
         return handleRouteMap.call(this);
     }
 
@@ -974,7 +975,7 @@ function handleRoutingBGP() {
                         const curBgp = this.state.currentConfig.Common.RoutingBGP[name];
                         if ((curBgp.peerGroups && curBgp.peerGroups.length > 0)
                             || (curBgp.localAs !== declBgp.localAs)) {
-                            logger.info('Pre-deleting RoutingBGP');
+                            this.logger.info('Pre-deleting RoutingBGP');
                             promises.push(
                                 this.bigIp.delete(`${PATHS.RoutingBGP}/~Common~${name}`, null, null, cloudUtil.NO_RETRY)
                             );
@@ -991,14 +992,14 @@ function handleRoutingBGP() {
 
             return Promise.all(promises)
                 .catch((err) => {
-                    logger.severe(`Error deleting existing RoutingBGP: ${err.message}`);
+                    this.logger.severe(`Error deleting existing RoutingBGP: ${err.message}`);
                     throw err;
                 });
         })
         .then(() => {
             // This is the best time to do this if a RouteMap referenced by a peer group in the singleton RoutingBGP has
             // a route domain change.
-            logger.info('Checking RouteMap before creating RoutingBGP');
+            this.logger.info('Checking RouteMap before creating RoutingBGP');
             return handleRouteMap.call(this);
         })
         .then(() => {
@@ -1087,7 +1088,7 @@ function handleRoutingBGP() {
 
             return Promise.all(promises)
                 .catch((err) => {
-                    logger.severe(`Error creating RoutingBGP: ${err.message}`);
+                    this.logger.severe(`Error creating RoutingBGP: ${err.message}`);
                     throw err;
                 });
         });
@@ -1220,7 +1221,7 @@ function deleteExistingSelfIps(selfIpBodies) {
             { deletedRoutes, deletedFloatingSelfIps, deletedConfigSyncIp }
         ))
         .catch((err) => {
-            logger.severe(`Error deleting SelfIp: ${err.message}`);
+            this.logger.severe(`Error deleting SelfIp: ${err.message}`);
             return Promise.reject(err);
         });
 }
@@ -1287,7 +1288,7 @@ function findMatchingFloatingSelfIps(selfIpsToDelete) {
             return Promise.resolve(matchingSelfIps);
         })
         .catch((err) => {
-            logger.severe(`Error finding matching floating self ips: ${err.message}`);
+            this.logger.severe(`Error finding matching floating self ips: ${err.message}`);
             return Promise.reject(err);
         });
 }
@@ -1321,7 +1322,7 @@ function findMatchingRoutes(selfIpsToDelete) {
             return Promise.resolve(matchingRoutes);
         })
         .catch((err) => {
-            logger.severe(`Error finding matching routes: ${err.message}`);
+            this.logger.severe(`Error finding matching routes: ${err.message}`);
             return Promise.reject(err);
         });
 }
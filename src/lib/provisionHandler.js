@@ -40,6 +40,7 @@ class ProvisionHandler {
         this.bigIp = bigIp;
         this.eventEmitter = eventEmitter;
         this.state = state;
+        this.logger = logger.forTask(state, bigIp, 'ProvisionHandler');
         this.isDeprovisioning = false;
     }
 
@@ -50,14 +51,14 @@ class ProvisionHandler {
      *                    or rejected if an error occurs.
      */
     process() {
-        logger.fine('Processing provision declaration.');
+        this.logger.fine('Processing provision declaration.');
         if (!this.declaration.Common) {
             return Promise.resolve();
         }
 
         return Promise.resolve()
             .then(() => {
-                logger.info('Checking Provision.');
+                this.logger.info('Checking Provision.');
                 return handleProvision.call(this);
             });
     }
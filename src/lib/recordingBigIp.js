@@ -0,0 +1,295 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const cloudUtil = require('@f5devcentral/f5-cloud-libs').util;
+const doUtil = require('./doUtil');
+const Logger = require('./logger');
+
+const logger = new Logger(module);
+
+const BASH_PATH = '/tm/util/bash';
+const DIG_PATH = '/tm/util/dig';
+
+// Bash commands which only read from the device. They are only passed through on their
+// own, without anything (redirects, pipes, other commands) which could make them write.
+const READ_ONLY_COMMANDS = ['cat', 'diff'];
+const SHELL_OPERATORS = /[;&|<>`$\n]/;
+
+/**
+ * Stand-in for the f5-cloud-libs BigIp object which is used for detailed dry runs.
+ *
+ * Reads are passed through to the real BIG-IP so that handlers can make the same
+ * decisions they would make during a real run. Writes are not sent to the device but
+ * are recorded, in order, so that they can be reported back to the user.
+ *
+ * @class
+ */
+class RecordingBigIp {
+    /**
+     * Constructor
+     *
+     * @param {Object} bigIp - The real BigIp object used for reads.
+     */
+    constructor(bigIp) {
+        this.bigIp = bigIp;
+        this.recording = true;
+        this.operations = [];
+
+        this.host = bigIp.host;
+        this.port = bigIp.port;
+        this.user = bigIp.user;
+        this.password = bigIp.password;
+
+        this.onboard = createOnboard.call(this, bigIp.onboard);
+        this.cluster = createCluster.call(this, bigIp.cluster);
+    }
+
+    /**
+     * Records an operation that would have been sent to the device.
+     *
+     * @param {String} method - The operation (create, modify, delete, bash, license, reboot, ...)
+     * @param {String} [path] - The iControl REST path, if any.
+     * @param {Object} [body] - The request body, if any. Secrets are removed.
+     * @param {Object} [options] - Options passed to the original call.
+     * @param {Boolean} [options.silent] - Body contains sensitive data and is not recorded.
+     *
+     * @returns {Object} The recorded operation.
+     */
+    record(method, path, body, options) {
+        const operation = { method };
+        if (typeof path !== 'undefined' && path !== null) {
+            operation.path = path;
+        }
+        if (typeof body !== 'undefined' && body !== null) {
+            if (options && options.silent) {
+                operation.body = '********';
+            } else {
+                operation.body = typeof body === 'object' ? doUtil.mask(body) : body;
+            }
+        }
+        logger.fine(`Recording ${method}${operation.path ? ` ${operation.path}` : ''}`);
+        this.operations.push(operation);
+        return operation;
+    }
+
+    list() {
+        return this.bigIp.list.apply(this.bigIp, arguments);
+    }
+
+    deviceInfo() {
+        return this.bigIp.deviceInfo.apply(this.bigIp, arguments);
+    }
+
+    deviceState() {
+        return this.bigIp.deviceState.apply(this.bigIp, arguments);
+    }
+
+    active() {
+        return this.bigIp.active.apply(this.bigIp, arguments);
+    }
+
+    ready() {
+        return this.bigIp.ready.apply(this.bigIp, arguments);
+    }
+
+    isBigIp() {
+        return this.bigIp.isBigIp();
+    }
+
+    isBigIq() {
+        return this.bigIp.isBigIq();
+    }
+
+    create(path, body, iControlOptions, retryOptions, options) {
+        if (path === DIG_PATH) {
+            // DNS lookups do not change the device
+            return this.bigIp.create(path, body, iControlOptions, retryOptions, options);
+        }
+        if (path === BASH_PATH && isReadOnlyCommand(body.utilCmdArgs)) {
+            return this.bigIp.create(path, body, iControlOptions, retryOptions, options);
+        }
+        if (path === BASH_PATH) {
+            this.record('bash', null, body.utilCmdArgs, options);
+            return Promise.resolve({ commandResult: '' });
+        }
+        this.record('create', path, body, options);
+        return Promise.resolve(Object.assign({}, body));
+    }
+
+    modify(path, body, iControlOptions, retryOptions, options) {
+        this.record('modify', path, body, options);
+        return Promise.resolve(Object.assign({}, body));
+    }
+
+    replace(path, body, iControlOptions, retryOptions, options) {
+        this.record('replace', path, body, options);
+        return Promise.resolve(Object.assign({}, body));
+    }
+
+    delete(path, body, iControlOptions, retryOptions, options) {
+        this.record('delete', path, body, options);
+        return Promise.resolve();
+    }
+
+    createOrModify(path, body, iControlOptions, retryOptions, options) {
+        // user objects handle partitions in their own way (same as f5-cloud-libs)
+        let partitionPath;
+        if (path === '/tm/auth/user' || path === '/tm/net/trunk') {
+            partitionPath = '';
+        } else if (body.partition) {
+            partitionPath = `~${body.partition}~`;
+        } else {
+            partitionPath = '~Common~';
+        }
+        const namePath = `${path}/${partitionPath}${body.name.replace(/\//g, '~')}`;
+
+        return this.bigIp.list(namePath, null, cloudUtil.NO_RETRY)
+            .then(() => this.modify(namePath, body, iControlOptions, retryOptions, options))
+            .catch((err) => {
+                if (err.code === 404) {
+                    return this.create(path, body, iControlOptions, retryOptions, options);
+                }
+                return Promise.reject(err);
+            });
+    }
+
+    createFolder(folder, options) {
+        const subPath = options ? options.subPath || '/Common' : '/Common';
+        const fullPath = subPath + (subPath.endsWith('/') ? '' : '/') + folder;
+
+        return this.bigIp.list('/tm/sys/folder')
+            .then((folders) => {
+                if ((folders || []).find((element) => element.fullPath === fullPath)) {
+                    return Promise.resolve();
+                }
+                return this.create(
+                    '/tm/sys/folder',
+                    {
+                        subPath,
+                        name: folder,
+                        deviceGroup: (options && options.deviceGroup) || 'none',
+                        trafficGroup: (options && options.trafficGroup) || 'none'
+                    }
+                );
+            });
+    }
+
+    transaction(commands) {
+        if (!commands || commands.length === 0) {
+            return Promise.resolve();
+        }
+        const operation = this.record('transaction');
+        operation.commands = commands.map((command) => {
+            const recorded = { method: command.method, path: command.path };
+            if (command.body) {
+                recorded.body = doUtil.mask(command.body);
+            }
+            return recorded;
+        });
+        return Promise.resolve([]);
+    }
+
+    save() {
+        return this.create('/tm/sys/config', { command: 'save' });
+    }
+
+    reboot() {
+        this.record('reboot');
+        return Promise.resolve();
+    }
+
+    init(host, user, password, options) {
+        this.record('reconnect', null, { host, user, port: options ? options.port : undefined });
+        return Promise.resolve();
+    }
+
+    setHost(host) {
+        this.record('reconnect', null, { host });
+        this.host = host;
+        return Promise.resolve();
+    }
+
+    setPort(port) {
+        this.record('reconnect', null, { port });
+        this.port = port;
+        return Promise.resolve();
+    }
+}
+
+/**
+ * Whether or not a bash command only reads from the device.
+ *
+ * @param {String} utilCmdArgs - The arguments for /tm/util/bash, as in -c "<command>".
+ *
+ * @returns {Boolean} True if the command is one of READ_ONLY_COMMANDS on its own.
+ */
+function isReadOnlyCommand(utilCmdArgs) {
+    const match = /^-c "(.*)"$/.exec(utilCmdArgs || '');
+    if (!match || SHELL_OPERATORS.test(match[1])) {
+        return false;
+    }
+    return READ_ONLY_COMMANDS.indexOf(match[1].trim().split(/\s+/)[0]) !== -1;
+}
+
+/**
+ * Creates the onboard helper. Calls that only talk to the device go through the
+ * recorder, license calls that talk to other hosts are recorded as a single operation.
+ *
+ * @param {Object} onboard - The BigIp onboard object.
+ */
+function createOnboard(onboard) {
+    const recorder = Object.create(onboard || {});
+    recorder.core = this;
+    recorder.license = (options) => {
+        this.record('license', null, Object.assign({}, options));
+        return Promise.resolve();
+    };
+    recorder.licenseViaBigIq = (bigIqHost, user, password, poolName, bigIpMgmtAddress, options) => {
+        this.record('license', null, Object.assign({ bigIqHost, poolName }, options));
+        return Promise.resolve();
+    };
+    recorder.revokeLicenseViaBigIq = (bigIqHost, user, password, poolName, options) => {
+        this.record('revokeLicense', null, Object.assign({ bigIqHost, poolName }, options));
+        return Promise.resolve();
+    };
+    return recorder;
+}
+
+/**
+ * Creates the cluster helper. Calls that poll for state changes that will
+ * never happen on a device that is not being modified resolve immediately.
+ *
+ * @param {Object} cluster - The BigIp cluster object.
+ */
+function createCluster(cluster) {
+    const recorder = Object.create(cluster || {});
+    recorder.core = this;
+    recorder.joinCluster = (deviceGroup, remoteHost) => {
+        this.record('joinCluster', null, { deviceGroup, remoteHost });
+        return Promise.resolve();
+    };
+    recorder.addToTrust = (deviceName, remoteHost) => {
+        this.record('addToTrust', null, { deviceName, remoteHost });
+        return Promise.resolve();
+    };
+    recorder.syncComplete = () => Promise.resolve();
+    recorder.hasDeviceGroup = () => Promise.resolve(true);
+    return recorder;
+}
+
+module.exports = RecordingBigIp;
@@ -38,7 +38,7 @@ class Response {
 
     getResponse() {
         let response;
-        if (this.itemId) {
+        if (typeof this.itemId !== 'undefined' && this.itemId !== null) {
             response = getResponse(this.itemId, this.responder, this.options);
         } else {
             const ids = this.responder.getIds() || [];
@@ -76,6 +76,9 @@ function getResponse(id, responder, options) {
 
             // optional methods
             const dryRun = responder.getDryRun && responder.getDryRun(id);
+            const completedHandlers = responder.getCompletedHandlers && responder.getCompletedHandlers(id);
+            const handlers = responder.getHandlers && responder.getHandlers(id);
+            const rawErrors = responder.getRawErrors && responder.getRawErrors(id);
 
             // For error statuses, restnoded requires message at the top level
             // Other items at the top level for backwards compatibility
@@ -87,6 +90,15 @@ function getResponse(id, responder, options) {
             response.result = {
                 class: 'Result', code, status, dryRun, message, errors
             };
+            if (completedHandlers) {
+                response.result.completedHandlers = completedHandlers;
+            }
+            if (handlers) {
+                response.result.handlers = handlers;
+            }
+            if (rawErrors) {
+                response.result.rawErrors = rawErrors;
+            }
             Object.assign(response, data);
             return Promise.resolve(response);
         })
@@ -53,6 +53,7 @@ class RoutingAccessListValidator {
 
         let isValid = true;
         const errors = [];
+        const pointers = [];
 
         Object.keys(routingAccessListWrapper).forEach((name) => {
             let nonDefaultDestinationFound = false;
@@ -78,18 +79,21 @@ class RoutingAccessListValidator {
                 if (exactMatchEnabledTrueFound && nonDefaultDestinationFound) {
                     isValid = false;
                     errors.push(`RoutingAccessList '${name}': if any entry has exactMatchEnabled true then no entries can have a destination set`);
+                    pointers.push(`/declaration/Common/${name}/entries`);
                 }
 
                 if (ipv4Count > 0 && ipv6Count > 0) {
                     isValid = false;
                     errors.push(`RoutingAccessList '${name}': entries cannot mix address families`);
+                    pointers.push(`/declaration/Common/${name}/entries`);
                 }
             }
         });
 
         return Promise.resolve({
             isValid,
-            errors
+            errors,
+            pointers
         });
     }
 }
@@ -35,10 +35,12 @@ class RoutingBgpValidator {
 
         let isValid = true;
         const errors = [];
+        const pointers = [];
 
         if (Object.keys(routingBgpWrapper).length > 1) {
             isValid = false;
             errors.push('Only 1 instance of RoutingBGP can be created');
+            pointers.push(`/declaration/Common/${Object.keys(routingBgpWrapper)[1]}`);
         }
 
         Object.keys(routingBgpWrapper).forEach((name) => {
@@ -46,6 +48,7 @@ class RoutingBgpValidator {
             if (routingBgp.holdTime !== 0 && routingBgp.holdTime < 3 * routingBgp.keepAlive) {
                 isValid = false;
                 errors.push('RoutingBGP holdTime must be 0 or at least 3 times keepAlive');
+                pointers.push(`/declaration/Common/${name}/holdTime`);
             }
             if (routingBgp.addressFamilies) {
                 let hasAll = false;
@@ -61,6 +64,7 @@ class RoutingBgpValidator {
                 if (hasAll && (hasIpv4 || hasIpv6)) {
                     isValid = false;
                     errors.push('RoutingBGP addressFamilies internetProtocol value "all" must not be used with any other internetProtocol value');
+                    pointers.push(`/declaration/Common/${name}/addressFamilies`);
                 }
             }
 
@@ -88,6 +92,7 @@ class RoutingBgpValidator {
                             isValid = false;
                             errors.push(`RoutingBGP peerGroups addressFamilies routeMap ${mapName}`
                                 + ` must use the same routeDomain as RoutingBGP (${routingBgp.routeDomain})`);
+                            pointers.push(`/declaration/Common/${mapName}/routeDomain`);
                         }
                     }
                 });
@@ -96,7 +101,8 @@ class RoutingBgpValidator {
 
         return Promise.resolve({
             isValid,
-            errors
+            errors,
+            pointers
         });
     }
 }
@@ -35,10 +35,12 @@ class RoutingPrefixListValidator {
 
         let isValid = true;
         const errors = [];
+        const pointers = [];
 
         Object.keys(routingPrefixListWrapper).forEach((name) => {
             if (routingPrefixListWrapper[name].entries) {
-                routingPrefixListWrapper[name].entries.forEach((entry) => {
+                routingPrefixListWrapper[name].entries.forEach((entry, index) => {
+                    const pointer = `/declaration/Common/${name}/entries/${index}/prefixLengthRange`;
                     if (typeof entry.prefixLengthRange === 'string') {
                         let start;
                         let end;
@@ -46,6 +48,7 @@ class RoutingPrefixListValidator {
                             // should not be just ':' or ''
                             isValid = false;
                             errors.push(`RoutingPrefixList '${name}' entry '${entry.name}' prefixLengthRange cannot be ':' or ''`);
+                            pointers.push(pointer);
                         } else {
                             const splitString = entry.prefixLengthRange.split(':');
                             start = parseInt(splitString[0], 10);
@@ -56,6 +59,7 @@ class RoutingPrefixListValidator {
                                 // if start and end present then start cannot be greater than end unless end is 0
                                 isValid = false;
                                 errors.push(`RoutingPrefixList '${name}' entry '${entry.name}' prefixLengthRange start value must not be greater than end value`);
+                                pointers.push(pointer);
                             }
 
                             if (entry.prefix !== undefined) {
@@ -64,11 +68,13 @@ class RoutingPrefixListValidator {
                                         // ipv4 start and end cannot be greater than 32 if present
                                         isValid = false;
                                         errors.push(`RoutingPrefixList '${name}' entry '${entry.name}' prefixLengthRange must be <= 32 for IPv4 prefix`);
+                                        pointers.push(pointer);
                                     }
                                     if (entry.prefix.includes(':') && ((startIsInteger && start > 128) || (endIsInteger && end > 128))) {
                                         // ipv6 start and end cannot be greater than 128 if present
                                         isValid = false;
                                         errors.push(`RoutingPrefixList '${name}' entry '${entry.name}' prefixLengthRange must be <= 128 for IPv6 prefix`);
+                                        pointers.push(pointer);
                                     }
                                     const prefix = parseInt(entry.prefix.split('/')[1], 10);
                                     if ((startIsInteger && start !== 0 && start <= prefix)
@@ -76,6 +82,7 @@ class RoutingPrefixListValidator {
                                         // start and end must be 0 or greater than the prefix if present
                                         isValid = false;
                                         errors.push(`RoutingPrefixList '${name}' entry '${entry.name}' prefixLengthRange must be 0 or greater than prefix (${entry.prefix}) length of ${prefix}`);
+                                        pointers.push(pointer);
                                     }
                                 }
                             }
@@ -87,7 +94,8 @@ class RoutingPrefixListValidator {
 
         return Promise.resolve({
             isValid,
-            errors
+            errors,
+            pointers
         });
     }
 }
@@ -0,0 +1,424 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const cloudUtil = require('@f5devcentral/f5-cloud-libs').util;
+const SCHEMA_VERSIONS = require('../schema/latest/base.schema.json').properties.schemaVersion.enum;
+
+// The schema version each class was added in. Only the latest schema is installed
+// on the device, so this has to be kept up to date by hand when a class is added.
+const CLASS_VERSIONS = {
+    ConfigSync: '1.0.0',
+    DNS: '1.0.0',
+    DeviceGroup: '1.0.0',
+    DeviceTrust: '1.0.0',
+    FailoverUnicast: '1.0.0',
+    License: '1.0.0',
+    NTP: '1.0.0',
+    Provision: '1.0.0',
+    Route: '1.0.0',
+    SelfIp: '1.0.0',
+    User: '1.0.0',
+    VLAN: '1.0.0',
+    DbVariables: '1.1.0',
+    Analytics: '1.5.0',
+    ManagementRoute: '1.6.0',
+    RouteDomain: '1.6.0',
+    Authentication: '1.7.0',
+    DagGlobals: '1.7.0',
+    RemoteAuthRole: '1.7.0',
+    SnmpAgent: '1.7.0',
+    SnmpCommunity: '1.7.0',
+    SnmpTrapDestination: '1.7.0',
+    SnmpTrapEvents: '1.7.0',
+    SnmpUser: '1.7.0',
+    SyslogRemoteServer: '1.7.0',
+    TrafficControl: '1.7.0',
+    Trunk: '1.7.0',
+    HTTPD: '1.8.0',
+    SSHD: '1.8.0',
+    System: '1.8.0',
+    DeviceCertificate: '1.12.0',
+    MAC_Masquerade: '1.13.0',
+    DNS_Resolver: '1.14.0',
+    TrafficGroup: '1.14.0',
+    Tunnel: '1.14.0',
+    Disk: '1.15.0',
+    MirrorIp: '1.16.0',
+    RoutingAsPath: '1.16.0',
+    FailoverMulticast: '1.17.0',
+    GSLBGlobals: '1.17.0',
+    GSLBDataCenter: '1.18.0',
+    GSLBServer: '1.18.0',
+    RoutingPrefixList: '1.18.0',
+    GSLBMonitor: '1.19.0',
+    GSLBProberPool: '1.19.0',
+    RouteMap: '1.19.0',
+    FirewallAddressList: '1.20.0',
+    FirewallPolicy: '1.20.0',
+    FirewallPortList: '1.20.0',
+    RoutingBGP: '1.20.0',
+    ManagementIp: '1.23.0',
+    ManagementIpFirewall: '1.24.0',
+    RoutingAccessList: '1.24.0'
+};
+
+// The schema version properties were added in, for properties added after their class
+const PROPERTY_VERSIONS = {
+    Analytics: {
+        sourceId: '1.7.0',
+        tenantId: '1.7.0'
+    },
+    FailoverUnicast: {
+        addressPorts: '1.15.0'
+    },
+    GSLBDataCenter: {
+        remark: '1.26.0'
+    },
+    GSLBServer: {
+        monitors: '1.19.0',
+        proberPool: '1.19.0',
+        virtualServers: '1.19.0'
+    },
+    License: {
+        bigIpPassword: '1.1.0',
+        bigIpUsername: '1.1.0',
+        bigIqAuthProvider: '1.18.0',
+        bigIqHost: '1.1.0',
+        bigIqPassword: '1.1.0',
+        bigIqPasswordUri: '1.1.0',
+        bigIqUsername: '1.1.0',
+        chargebackTag: '1.24.0',
+        hypervisor: '1.1.0',
+        licensePool: '1.1.0',
+        reachable: '1.1.0',
+        revokeFrom: '1.3.0',
+        skuKeyword1: '1.1.0',
+        skuKeyword2: '1.1.0',
+        tenant: '1.15.0',
+        unitOfMeasure: '1.1.0'
+    },
+    ManagementRoute: {
+        remark: '1.23.0'
+    },
+    Route: {
+        localOnly: '1.15.0',
+        target: '1.14.0'
+    },
+    RouteDomain: {
+        parent: '1.17.0'
+    },
+    RouteMap: {
+        routeDomain: '1.28.0'
+    },
+    RoutingBGP: {
+        routeDomain: '1.28.0'
+    },
+    SSHD: {
+        allow: '1.15.0'
+    },
+    SelfIp: {
+        enforcedFirewallPolicy: '1.20.0',
+        stagedFirewallPolicy: '1.20.0'
+    },
+    System: {
+        autoCheck: '1.13.0',
+        autoPhonehome: '1.10.0',
+        guiAuditLog: '1.13.0',
+        mcpAuditLog: '1.13.0',
+        mgmtDhcpEnabled: '1.28.0',
+        preserveOrigDhcpRoutes: '1.23.0',
+        tmshAuditLog: '1.13.0'
+    },
+    Tunnel: {
+        defaultsFrom: '1.25.0',
+        encapsulationType: '1.25.0',
+        floodingType: '1.25.0',
+        key: '1.24.0',
+        localAddress: '1.24.0',
+        mode: '1.24.0',
+        port: '1.25.0',
+        remark: '1.24.0',
+        remoteAddress: '1.24.0',
+        secondaryAddress: '1.24.0',
+        trafficGroup: '1.24.0',
+        transparent: '1.24.0'
+    },
+    User: {
+        keys: '1.5.0'
+    },
+    VLAN: {
+        autoLastHop: '1.22.0',
+        cmpHash: '1.7.0',
+        failsafeAction: '1.14.0',
+        failsafeEnabled: '1.14.0',
+        failsafeTimeout: '1.14.0'
+    }
+};
+
+// The schema version properties of the declaration itself were added in
+const DECLARATION_PROPERTY_VERSIONS = {
+    Credentials: '1.2.0',
+    $schema: '1.3.0',
+    webhook: '1.6.0',
+    controls: '1.13.0'
+};
+
+// The schema version properties of controls (the Controls class) were added in, for
+// properties added after it
+const CONTROLS_PROPERTY_VERSIONS = {
+    trace: '1.15.0',
+    traceResponse: '1.15.0',
+    dryRun: '1.23.0',
+    logLevel: '1.29.0',
+    onConflict: '1.29.0',
+    remediation: '1.29.0',
+    validation: '1.29.0'
+};
+
+// The schema version values of controls properties were added in, for values added after their property
+const CONTROLS_VALUE_VERSIONS = {
+    dryRun: {
+        detailed: '1.29.0'
+    }
+};
+
+// Properties which moved between schema versions. Each rule rewrites the declaration
+// for the target version and returns a description of each change it made.
+const RULES = [
+    moveHostname
+];
+
+/**
+ * Converts declarations between schema versions.
+ *
+ * Properties which moved are rewritten and the conversion fails if the declaration
+ * uses a class or property that the target version does not have.
+ */
+module.exports = {
+    /**
+     * Gets the schema versions, latest first
+     *
+     * @returns {String[]} The schema versions.
+     */
+    getSchemaVersions() {
+        return SCHEMA_VERSIONS.slice();
+    },
+
+    /**
+     * Gets the first schema version which has a class or property.
+     *
+     * @param {String} schemaClass - The class.
+     * @param {String} [property] - The property of the class.
+     *
+     * @returns {String} The version, or undefined if the class is not known.
+     */
+    getMinimumVersion(schemaClass, property) {
+        const classVersion = CLASS_VERSIONS[schemaClass];
+        if (!classVersion || !property) {
+            return classVersion;
+        }
+        return (PROPERTY_VERSIONS[schemaClass] || {})[property] || classVersion;
+    },
+
+    /**
+     * Converts a declaration to another schema version.
+     *
+     * The declaration is not modified.
+     *
+     * @param {Object} body - The declaration or DO wrapper.
+     * @param {String} toVersion - The schema version to convert to.
+     *
+     * @returns {Object} The result
+     *
+     *     {
+     *         declaration: <the converted declaration or DO wrapper>,
+     *         fromVersion: <the original schemaVersion>,
+     *         toVersion: <the new schemaVersion>,
+     *         changes: <array of descriptions of the properties that were moved>
+     *     }
+     *
+     * @throws {Error} If the declaration cannot be converted. The error has a code (400 for
+     *                 bad input, 422 if the target version is missing something) and an array
+     *                 of errors with the reasons.
+     */
+    convert(body, toVersion) {
+        if (SCHEMA_VERSIONS.indexOf(toVersion) === -1) {
+            throw getError(400, [`Unknown schema version ${toVersion}. Versions are ${SCHEMA_VERSIONS.join(', ')}`]);
+        }
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            throw getError(400, ['Body is not a declaration']);
+        }
+
+        const converted = JSON.parse(JSON.stringify(body));
+        const declaration = converted.class === 'DO' ? converted.declaration : converted;
+        if (!declaration || typeof declaration !== 'object') {
+            throw getError(400, ['DO wrapper does not contain a declaration']);
+        }
+
+        const fromVersion = declaration.schemaVersion;
+        let changes = [];
+        RULES.forEach((rule) => {
+            changes = changes.concat(rule(declaration, toVersion));
+        });
+
+        const errors = getMissing(declaration, toVersion);
+        if (errors.length > 0) {
+            throw getError(422, errors);
+        }
+
+        declaration.schemaVersion = toVersion;
+        return {
+            declaration: converted,
+            fromVersion,
+            toVersion,
+            changes
+        };
+    }
+};
+
+function getError(code, errors) {
+    const error = new Error(errors.join(' '));
+    error.code = code;
+    error.errors = errors;
+    return error;
+}
+
+function isBefore(version, otherVersion) {
+    return cloudUtil.versionCompare(version, otherVersion) < 0;
+}
+
+function getTenants(declaration) {
+    return Object.keys(declaration)
+        .filter((key) => declaration[key] && declaration[key].class === 'Tenant');
+}
+
+/**
+ * Gets the reasons the target version cannot have the declaration
+ */
+function getMissing(declaration, toVersion) {
+    const errors = [];
+
+    Object.keys(DECLARATION_PROPERTY_VERSIONS).forEach((property) => {
+        const minimumVersion = DECLARATION_PROPERTY_VERSIONS[property];
+        if (typeof declaration[property] !== 'undefined' && isBefore(toVersion, minimumVersion)) {
+            errors.push(`/${property}: requires schema version ${minimumVersion} or later`);
+        }
+    });
+
+    const controls = declaration.controls;
+    if (controls && typeof controls === 'object' && !isBefore(toVersion, DECLARATION_PROPERTY_VERSIONS.controls)) {
+        Object.keys(controls).forEach((property) => {
+            const propertyVersion = CONTROLS_PROPERTY_VERSIONS[property];
+            const valueVersion = (CONTROLS_VALUE_VERSIONS[property] || {})[controls[property]];
+            if (propertyVersion && isBefore(toVersion, propertyVersion)) {
+                errors.push(`/controls/${property}: requires schema version ${propertyVersion} or later`);
+            } else if (valueVersion && isBefore(toVersion, valueVersion)) {
+                errors.push(`/controls/${property}: ${controls[property]} requires schema version ${valueVersion} or later`);
+            }
+        });
+    }
+
+    getTenants(declaration).forEach((tenantName) => {
+        const tenant = declaration[tenantName];
+        Object.keys(tenant).forEach((name) => {
+            const schemaClass = tenant[name] && tenant[name].class;
+            const classVersion = CLASS_VERSIONS[schemaClass];
+            if (!classVersion) {
+                return;
+            }
+
+            if (isBefore(toVersion, classVersion)) {
+                errors.push(`/${tenantName}/${name}: class ${schemaClass} requires schema version ${classVersion} or later`);
+                return;
+            }
+
+            const propertyVersions = PROPERTY_VERSIONS[schemaClass] || {};
+            Object.keys(tenant[name]).forEach((property) => {
+                const propertyVersion = propertyVersions[property];
+                if (propertyVersion && isBefore(toVersion, propertyVersion)) {
+                    errors.push(`/${tenantName}/${name}/${property}: requires schema version ${propertyVersion} or later (${schemaClass})`);
+                }
+            });
+        });
+    });
+
+    return errors;
+}
+
+/**
+ * The hostname was a property of the Common tenant until 1.8.0, when it moved to the System class.
+ * Later versions still allow it in Common, but the System class is where Declarative Onboarding
+ * looks for it.
+ */
+function moveHostname(declaration, toVersion) {
+    const common = declaration.Common;
+    if (!common || typeof common !== 'object') {
+        return [];
+    }
+
+    const systemName = Object.keys(common).find((key) => common[key] && common[key].class === 'System');
+
+    if (isBefore(toVersion, CLASS_VERSIONS.System)) {
+        const system = common[systemName];
+        if (!system || typeof system.hostname === 'undefined') {
+            return [];
+        }
+
+        common.hostname = system.hostname;
+        delete system.hostname;
+        const changes = [`/Common/${systemName}/hostname moved to /Common/hostname`];
+        if (Object.keys(system).length === 1) {
+            delete common[systemName];
+            changes.push(`/Common/${systemName} removed`);
+        }
+        return changes;
+    }
+
+    if (typeof common.hostname === 'undefined') {
+        return [];
+    }
+
+    if (!systemName) {
+        const name = getUnusedName(common, 'system');
+        common[name] = {
+            class: 'System',
+            hostname: common.hostname
+        };
+        delete common.hostname;
+        return [`/Common/hostname moved to /Common/${name}/hostname`];
+    }
+
+    if (typeof common[systemName].hostname !== 'undefined') {
+        delete common.hostname;
+        return [`/Common/hostname removed in favor of /Common/${systemName}/hostname`];
+    }
+
+    common[systemName].hostname = common.hostname;
+    delete common.hostname;
+    return [`/Common/hostname moved to /Common/${systemName}/hostname`];
+}
+
+function getUnusedName(tenant, name) {
+    let unusedName = name;
+    let index = 0;
+    while (typeof tenant[unusedName] !== 'undefined') {
+        index += 1;
+        unusedName = `${name}${index}`;
+    }
+    return unusedName;
+}
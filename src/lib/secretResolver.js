@@ -0,0 +1,235 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const cryptoUtil = require('./cryptoUtil');
+const MASK_REGEX = require('./sharedConstants').MASK_REGEX;
+
+// What validation sees in place of a secret that has not been resolved
+const PLACEHOLDER = 'secretRef';
+
+const SOURCES = {
+    env: getFromEnvironment,
+    file: getFromFile,
+    stored: getFromStore
+};
+
+/**
+ * Secret references.
+ *
+ * Properties which hold secrets (those matching MASK_REGEX, like password or secret) can be
+ * given as { "secretRef": "<source>:<name>" } instead of the secret itself. Sources are
+ *
+ *     file:<absolute path>  - a file on the device. A trailing newline is ignored.
+ *     env:<name>            - an environment variable of the restnoded process.
+ *     stored:<id>           - a value stored with cryptoUtil.encryptAndStoreValue.
+ */
+module.exports = {
+    PLACEHOLDER,
+    isReference,
+
+    /**
+     * Replaces the secret references in a declaration or DO wrapper with the secrets.
+     *
+     * @param {Object} body - The declaration or DO wrapper. It is not modified.
+     *
+     * @returns {Promise} A promise which is resolved with the declaration or DO wrapper with
+     *                    the secrets. It is rejected with an error with a code of 400 and an
+     *                    array of errors if any of the references cannot be resolved.
+     */
+    resolve(body) {
+        let references;
+        try {
+            references = findReferences(body);
+        } catch (err) {
+            return Promise.reject(err);
+        }
+
+        if (references.length === 0) {
+            return Promise.resolve(body);
+        }
+
+        const resolved = JSON.parse(JSON.stringify(body));
+        const errors = [];
+        return Promise.all(references.map((reference) => SOURCES[reference.source](reference.name)
+            .then((secret) => {
+                reference.parent(resolved)[reference.key] = secret;
+            })
+            .catch((err) => {
+                errors.push(`${reference.pointer}: unable to resolve secretRef ${reference.secretRef}: ${err.message}`);
+            })))
+            .then(() => {
+                if (errors.length > 0) {
+                    return Promise.reject(getError(errors));
+                }
+                return resolved;
+            });
+    },
+
+    /**
+     * Replaces the secret references in a declaration or DO wrapper with placeholders, for
+     * validation which does not need the secrets. The references are checked but not resolved.
+     *
+     * @param {Object} body - The declaration or DO wrapper. It is not modified.
+     *
+     * @returns {Object} The declaration or DO wrapper with placeholders.
+     * @throws {Error} If a reference is not valid. The error has a code of 400 and an array of errors.
+     */
+    replaceWithPlaceholders(body) {
+        const references = findReferences(body);
+        if (references.length === 0) {
+            return body;
+        }
+
+        const replaced = JSON.parse(JSON.stringify(body));
+        references.forEach((reference) => {
+            reference.parent(replaced)[reference.key] = PLACEHOLDER;
+        });
+        return replaced;
+    },
+
+    /**
+     * Puts the secret references back into a declaration or DO wrapper whose secrets were
+     * resolved, so that it can be stored and resolved again later.
+     *
+     * @param {Object} resolved - The declaration or DO wrapper with the secrets. It is not modified.
+     * @param {Object} body - The declaration or DO wrapper with the secret references.
+     *
+     * @returns {Object} The resolved declaration or DO wrapper with the secret references.
+     * @throws {Error} If a reference is not valid. The error has a code of 400 and an array of errors.
+     */
+    restoreReferences(resolved, body) {
+        const references = findReferences(body);
+        if (references.length === 0) {
+            return resolved;
+        }
+
+        const restored = JSON.parse(JSON.stringify(resolved));
+        references.forEach((reference) => {
+            const parent = reference.parent(restored);
+            if (parent) {
+                parent[reference.key] = { secretRef: reference.secretRef };
+            }
+        });
+        return restored;
+    }
+};
+
+function getError(errors) {
+    const error = new Error(errors.join(' '));
+    error.code = 400;
+    error.errors = errors;
+    return error;
+}
+
+function isReference(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value)
+        && Object.prototype.hasOwnProperty.call(value, 'secretRef');
+}
+
+/**
+ * Finds the secret references. Throws if any of them are not valid.
+ *
+ * @returns {Object[]} Array of { pointer, key, parent, secretRef, source, name } where
+ *                     parent is a function which gets the object with the reference from a copy of the body.
+ */
+function findReferences(body) {
+    const references = [];
+    const errors = [];
+    const isWrapper = !!body && body.class === 'DO';
+
+    const find = (value, tokens) => {
+        if (!value || typeof value !== 'object') {
+            return;
+        }
+
+        Object.keys(value).forEach((key) => {
+            const child = value[key];
+            const childTokens = tokens.concat(key);
+            if (!isReference(child)) {
+                find(child, childTokens);
+                return;
+            }
+
+            const pointer = toPointer(childTokens, isWrapper);
+            const secretRef = child.secretRef;
+            const match = typeof secretRef === 'string' ? /^([a-z]+):(.+)$/.exec(secretRef) : null;
+            if (Object.keys(child).length !== 1) {
+                errors.push(`${pointer}: secretRef must be the only property`);
+            } else if (Array.isArray(value) || !MASK_REGEX.test(key)) {
+                errors.push(`${pointer}: secretRef can only be used for secrets, like passwords`);
+            } else if (!match || !SOURCES[match[1]]) {
+                errors.push(`${pointer}: secretRef must be file:<path>, env:<name> or stored:<id>`);
+            } else if (match[1] === 'file' && !path.isAbsolute(match[2])) {
+                errors.push(`${pointer}: secretRef file path must be absolute`);
+            } else if (match[1] === 'stored' && !/^[\w.-]+$/.test(match[2])) {
+                // The id ends up in a tmsh command
+                errors.push(`${pointer}: secretRef stored id must only have letters, numbers, '.', '_' and '-'`);
+            } else {
+                references.push({
+                    pointer,
+                    key,
+                    parent: (copy) => tokens.reduce((parent, token) => parent[token], copy),
+                    secretRef,
+                    source: match[1],
+                    name: match[2]
+                });
+            }
+        });
+    };
+    find(body, []);
+
+    if (errors.length > 0) {
+        throw getError(errors);
+    }
+    return references;
+}
+
+function toPointer(tokens, isWrapper) {
+    // Like validation errors, pointers are relative to the declaration
+    const declarationTokens = isWrapper && tokens[0] === 'declaration' ? tokens.slice(1) : tokens;
+    return declarationTokens
+        .map((token) => `/${token.toString().replace(/~/g, '~0').replace(/\//g, '~1')}`)
+        .join('');
+}
+
+function getFromEnvironment(name) {
+    if (typeof process.env[name] === 'undefined') {
+        return Promise.reject(new Error('environment variable is not set'));
+    }
+    return Promise.resolve(process.env[name]);
+}
+
+function getFromFile(file) {
+    return new Promise((resolve, reject) => {
+        fs.readFile(path.normalize(file), 'utf8', (err, data) => {
+            if (err) {
+                reject(new Error(err.code === 'ENOENT' ? 'file does not exist' : err.message));
+            } else {
+                resolve(data.replace(/\r?\n$/, ''));
+            }
+        });
+    });
+}
+
+function getFromStore(id) {
+    return cryptoUtil.decryptStoredValueById(id)
+        .then((secret) => secret.replace(/\r?\n$/, ''));
+}
@@ -0,0 +1,141 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const Ajv = require('ajv');
+const validationErrorFormatter = require('./validationErrorFormatter');
+const ENDPOINT_MAX_TIMEOUT = require('./sharedConstants').ENDPOINT_MAX_TIMEOUT;
+
+/**
+ * Settings for how DO keeps its state and for worker-level behaviors which operators
+ * may want to tune per device. Settings are stored with the DO state and changed with
+ * POST to the settings endpoint.
+ *
+ * The schema describes each setting and its default. It is kept here rather than with the
+ * declaration schemas because settings are not part of a declaration.
+ */
+const SCHEMA = {
+    type: 'object',
+    properties: {
+        maxTaskCount: {
+            description: 'Most tasks to keep. Null for no limit.',
+            type: ['integer', 'null'],
+            minimum: 1,
+            default: null
+        },
+        maxTaskAgeDays: {
+            description: 'Days to keep finished tasks.',
+            type: 'number',
+            exclusiveMinimum: 0,
+            default: 7
+        },
+        keepTraces: {
+            description: 'Whether to keep traces for tasks other than the latest one per device.',
+            type: 'boolean',
+            default: true
+        },
+        keepCurrentConfig: {
+            description: 'Whether to keep the current config for tasks other than the latest one per device,'
+                + ' and the initial config for rollback for tasks other than the last successful one per device.',
+            type: 'boolean',
+            default: true
+        },
+        inspectTimeoutMs: {
+            description: 'Milliseconds to wait for an inspect request before responding with 408.',
+            type: 'integer',
+            minimum: 1000,
+            default: ENDPOINT_MAX_TIMEOUT
+        },
+        webhookTimeoutMs: {
+            description: 'Milliseconds to wait for a webhook to respond.',
+            type: 'integer',
+            minimum: 1000,
+            default: 60000
+        },
+        tcwPollIntervalMs: {
+            description: 'Milliseconds between polls of a BIG-IQ (TCW) task.',
+            type: 'integer',
+            minimum: 1000,
+            default: 5000
+        },
+        teemEnabled: {
+            description: 'Whether to send telemetry (TEEM) reports. False turns them off for every declaration.',
+            type: 'boolean',
+            default: true
+        },
+        logFormat: {
+            description: 'How to log. json logs records with the task ID, handler, target host and elapsed time.',
+            type: 'string',
+            enum: ['text', 'json'],
+            default: 'text'
+        }
+    },
+    additionalProperties: false
+};
+
+const validator = new Ajv({
+    allErrors: true,
+    jsonPointers: true,
+    verbose: true
+}).compile(SCHEMA);
+
+module.exports = {
+    /**
+     * Gets the default settings
+     *
+     * @returns {Object} The default settings.
+     */
+    getDefaults() {
+        const defaults = {};
+        Object.keys(SCHEMA.properties).forEach((name) => {
+            defaults[name] = SCHEMA.properties[name].default;
+        });
+        return defaults;
+    },
+
+    /**
+     * Fills in the defaults for settings which are not set
+     *
+     * @param {Object} [settings] - The settings.
+     *
+     * @returns {Object} A copy of the settings with the defaults.
+     */
+    withDefaults(settings) {
+        const filled = this.getDefaults();
+        Object.keys(settings || {}).forEach((name) => {
+            if (SCHEMA.properties[name]) {
+                filled[name] = settings[name];
+            }
+        });
+        return filled;
+    },
+
+    /**
+     * Checks settings which are to be changed against the settings schema
+     *
+     * @param {Object} settings - The settings to change. Settings which are not included are not changed.
+     *
+     * @returns {String[]} The reasons the settings are not valid, like '/maxTaskAgeDays: must be number > 0'.
+     *                     Empty if they are valid.
+     */
+    validate(settings) {
+        if (validator(settings)) {
+            return [];
+        }
+        return validationErrorFormatter.formatAjvErrors(validator.errors, settings);
+    }
+};
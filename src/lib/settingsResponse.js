@@ -0,0 +1,80 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const BASE_URL = require('./sharedConstants').BASE_URL;
+const ENDPOINTS = require('./sharedConstants').ENDPOINTS;
+const STATUS = require('./sharedConstants').STATUS;
+
+/**
+ * Reports the settings. See {@link settings}.
+ *
+ * @class
+ */
+class SettingsResponse {
+    /**
+     * Constructor
+     *
+     * @param {State} state - The doState.
+     * @param {Object} [options] - Optional parameters
+     * @param {String[]} [options.errors] - Why requested changes to the settings were not made.
+     */
+    constructor(state, options) {
+        this.state = state;
+        this.options = options || {};
+        this.errors = this.options.errors || [];
+    }
+
+    getSelfLink() {
+        return `${BASE_URL}/${ENDPOINTS.SETTINGS}`;
+    }
+
+    exists() {
+        return true;
+    }
+
+    getIds() {
+        return [0];
+    }
+
+    getCode() {
+        return this.errors.length > 0 ? 400 : 200;
+    }
+
+    getStatus() {
+        return this.errors.length > 0 ? STATUS.STATUS_ERROR : STATUS.STATUS_OK;
+    }
+
+    getMessage() {
+        return this.errors.length > 0 ? 'bad settings' : '';
+    }
+
+    getErrors() {
+        return this.errors;
+    }
+
+    /**
+     * Gets the settings, with the defaults for the ones which have not been set
+     *
+     * @returns {Object} The settings.
+     */
+    getData() {
+        return this.state.getSettings();
+    }
+}
+
+module.exports = SettingsResponse;
@@ -25,11 +25,20 @@ module.exports = {
     BASE_URL: 'https://localhost/mgmt/shared/declarative-onboarding',
     MASK_REGEX: /pass(word|phrase)|secret|privateKey/i,
     ENDPOINT_MAX_TIMEOUT: 60000,
+    RECONCILIATION_USER_AGENT: 'DO-reconciliation',
+    // Target of tasks which do not have one, such as those from before targets were recorded
+    DEFAULT_TARGET: 'localhost',
     ENDPOINTS: {
         CONFIG: 'config',
+        CONVERT: 'convert',
+        DRIFT: 'drift',
+        HISTORY: 'history',
         INFO: 'info',
         INSPECT: 'inspect',
-        TASK: 'task'
+        METRICS: 'metrics',
+        SETTINGS: 'settings',
+        TASK: 'task',
+        VALIDATE: 'validate'
     },
     PATHS: {
         Analytics: '/tm/analytics/global-settings',
@@ -96,14 +105,17 @@ module.exports = {
         STATUS_RUNNING: 'RUNNING',
         STATUS_REBOOTING: 'REBOOTING',
         STATUS_REVOKING: 'REVOKING',
-        STATUS_REBOOTING_AND_RESUMING: 'REBOOTING_AND_RESUMING'
+        STATUS_REBOOTING_AND_RESUMING: 'REBOOTING_AND_RESUMING',
+        STATUS_QUEUED: 'QUEUED',
+        STATUS_CANCELLING: 'CANCELLING'
     },
     EVENTS: {
         LICENSE_WILL_BE_REVOKED: 'DO_LICENSE_WILL_BE_REVOKED',
         READY_FOR_REVOKE: 'DO_READY_FOR_REVOKE',
         REBOOT_NOW: 'DO_REBOOT_NOW',
         TRACE_CONFIG: 'TRACE_CONFIG',
-        TRACE_DIFF: 'TRACE_DIFF'
+        TRACE_DIFF: 'TRACE_DIFF',
+        TASK_PROGRESS: 'DO_TASK_PROGRESS'
     },
     AUTH: {
         SUBCLASSES_NAME: 'system-auth'
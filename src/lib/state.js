@@ -20,12 +20,17 @@ const cloudUtil = require('@f5devcentral/f5-cloud-libs').util;
 const uuidv4 = require('uuid/v4');
 const doUtil = require('./doUtil');
 const parserUtil = require('./parserUtil');
+const secretResolver = require('./secretResolver');
 const configItems = require('./configItems.json');
 const ConfigManager = require('./configManager');
+const settings = require('./settings');
+const STATUS = require('./sharedConstants').STATUS;
+const DEFAULT_TARGET = require('./sharedConstants').DEFAULT_TARGET;
 
 const NAMELESS_CLASSES = ConfigManager.getNamelessClasses(configItems);
 
-const TASK_RETENTION_DAYS = 7;
+// Tasks in these states may still need all of their data
+const FINISHED_STATUSES = [STATUS.STATUS_OK, STATUS.STATUS_ERROR];
 
 /**
  * Represents the declarative onboarding state
@@ -46,10 +51,12 @@ class State {
             this.originalConfig = state.originalConfig;
             this.tasks = state.tasks;
             this.mostRecentTask = state.mostRecentTask;
+            this.settings = state.settings || {};
         } else {
             this.originalConfig = {};
             this.tasks = {};
             this.mostRecentTask = null;
+            this.settings = {};
         }
     }
 
@@ -67,12 +74,73 @@ class State {
             internalDeclaration: {}
         };
         this.mostRecentTask = taskId;
-
-        cleanupOldTasks(this.tasks);
+        this.prune();
 
         return taskId;
     }
 
+    /**
+     * Gets the settings, with defaults for the ones which have not been set. See {@link settings}.
+     *
+     * @returns {Object} The settings.
+     */
+    getSettings() {
+        return settings.withDefaults(this.settings);
+    }
+
+    /**
+     * Changes settings. The settings should have been checked with settings.validate.
+     *
+     * @param {Object} updates - The settings to change. Settings which are not included are not changed.
+     */
+    setSettings(updates) {
+        this.settings = settings.withDefaults(Object.assign({}, this.settings, updates));
+    }
+
+    /**
+     * Removes the tasks and task data which the settings say not to keep.
+     *
+     * The last successful task for each target is always kept, no matter how old, since PATCH
+     * and remediation start from it, and it keeps the initial config it can be rolled back to.
+     * Tasks which have not finished are not removed for the task count, and keep all of their
+     * data, as does the most recent task for each target.
+     */
+    prune() {
+        const currentSettings = this.getSettings();
+        const targets = Object.keys(this.tasks)
+            .map((id) => this.tasks[id].target || DEFAULT_TARGET)
+            .filter((target, index, all) => all.indexOf(target) === index);
+        const lastSuccessfulTaskIds = targets.map((target) => this.getLastSuccessfulTaskId(target));
+        const keepTaskIds = lastSuccessfulTaskIds.concat(this.mostRecentTask);
+
+        cleanupOldTasks(this.tasks, keepTaskIds, currentSettings.maxTaskAgeDays);
+
+        if (currentSettings.maxTaskCount) {
+            limitTaskCount(this.tasks, keepTaskIds, currentSettings.maxTaskCount);
+        }
+
+        if (!currentSettings.keepTraces || !currentSettings.keepCurrentConfig) {
+            const latestTaskIds = targets.map((target) => getLatestTaskId(this.tasks, target));
+            Object.keys(this.tasks).forEach((taskId) => {
+                const task = this.tasks[taskId];
+                if (latestTaskIds.indexOf(taskId) !== -1 || !isFinished(task)) {
+                    return;
+                }
+                if (!currentSettings.keepTraces) {
+                    delete task.traceCurrent;
+                    delete task.traceDesired;
+                    delete task.traceDiff;
+                }
+                if (!currentSettings.keepCurrentConfig) {
+                    delete task.currentConfig;
+                    if (lastSuccessfulTaskIds.indexOf(taskId) === -1) {
+                        delete task.initialConfig;
+                    }
+                }
+            });
+        }
+    }
+
     /**
      * Gets the task state for a task id.
      *
@@ -93,6 +161,49 @@ class State {
         return Object.keys(this.tasks);
     }
 
+    /**
+     * Gets the id of the most recent task which successfully applied its declaration.
+     *
+     * Dry runs do not count since they do not change the device. A successful rollback task
+     * puts the device back to where it was before the task it rolled back, so the declaration
+     * in effect after it is the one from the task that rollback returned to (see setRollbackOf).
+     *
+     * @param {String} [target] - Only consider tasks for this target device (see TaskQueue.getTarget).
+     *                            Tasks from before targets were recorded are for localhost.
+     * @param {String} [beforeTaskId] - Only consider tasks which finished before this task.
+     *
+     * @returns {String} The task id or null if there is no such task.
+     */
+    getLastSuccessfulTaskId(target, beforeTaskId) {
+        const before = beforeTaskId && this.tasks[beforeTaskId]
+            ? new Date(this.tasks[beforeTaskId].lastUpdate).getTime()
+            : Infinity;
+        let lastTaskId = null;
+        let lastUpdate = 0;
+        Object.keys(this.tasks).forEach((taskId) => {
+            const task = this.tasks[taskId];
+            const declaration = task.internalDeclaration || {};
+            if ((task.result || {}).status !== STATUS.STATUS_OK
+                || (declaration.controls && declaration.controls.dryRun)) {
+                return;
+            }
+            if (target && (task.target || DEFAULT_TARGET) !== target) {
+                return;
+            }
+            const taskUpdate = new Date(task.lastUpdate).getTime();
+            if (taskUpdate >= lastUpdate && taskUpdate <= before && taskId !== beforeTaskId) {
+                lastTaskId = taskId;
+                lastUpdate = taskUpdate;
+            }
+        });
+
+        if (lastTaskId && this.tasks[lastTaskId].rollbackOf) {
+            const rollbackTo = this.tasks[lastTaskId].rollbackTo;
+            return rollbackTo && this.tasks[rollbackTo] ? rollbackTo : null;
+        }
+        return lastTaskId;
+    }
+
     /**
      * Sets the current configuration of the BIG-IP.
      *
@@ -260,6 +371,20 @@ class State {
         throw new Error('taskId does not exist');
     }
 
+    /**
+     * Whether a task has finished (with status OK or ERROR)
+     *
+     * @param {String} taskId - The id of the task.
+     *
+     * @returns {Boolean} True if the task has finished.
+     */
+    isFinished(taskId) {
+        if (this.tasks[taskId]) {
+            return isFinished(this.tasks[taskId]);
+        }
+        throw new Error('taskId does not exist');
+    }
+
     /**
      * Sets the current errors for a task
      *
@@ -291,19 +416,45 @@ class State {
     }
 
     /**
-     * Sets the declaration for a task, masking certain values
+     * Sets the declaration for a task, masking certain values. Secret references are
+     * not secrets, so they are kept and can be resolved again. The secrets which were
+     * masked are recorded, see {@link getMaskedSecrets}.
      *
      * @param {String} taskId - The id of the task.
      * @param {Object} declaration - The declaration to set.
      */
     setDeclaration(taskId, declaration) {
         if (this.tasks[taskId]) {
-            this.tasks[taskId].internalDeclaration = doUtil.mask(declaration);
+            const masked = doUtil.mask(declaration);
+            const maskedValues = doUtil.getMaskedValues(declaration);
+            doUtil.setMaskedValues(
+                masked,
+                maskedValues.filter((value) => secretResolver.isReference(value.value))
+            );
+            this.tasks[taskId].internalDeclaration = masked;
+            this.tasks[taskId].maskedSecrets = maskedValues
+                .filter((value) => !secretResolver.isReference(value.value))
+                .map((value) => toPointer(value.path));
         } else {
             throw new Error('taskId does not exist');
         }
     }
 
+    /**
+     * Gets the secrets which were masked out of the declaration of a task and were not
+     * given as secret references. The stored declaration cannot be applied again without them.
+     *
+     * @param {String} taskId - The id of the task.
+     *
+     * @returns {String[]} JSON pointers to the secrets in the declaration.
+     */
+    getMaskedSecrets(taskId) {
+        if (this.tasks[taskId]) {
+            return this.tasks[taskId].maskedSecrets || [];
+        }
+        throw new Error('taskId does not exist');
+    }
+
     /**
      * Sets the rebootRequired flag for a task
      *
@@ -384,6 +535,229 @@ class State {
         throw new Error('taskId does not exist');
     }
 
+    /**
+     * Sets the plan for a task (operations recorded during a detailed dry run)
+     *
+     * @param {String} taskId - The id of the task.
+     * @param {Object} plan - The recorded plan.
+     */
+    setPlan(taskId, plan) {
+        if (plan) {
+            if (this.tasks[taskId]) {
+                this.tasks[taskId].plan = JSON.parse(JSON.stringify(plan));
+            } else {
+                throw new Error('taskId does not exist');
+            }
+        }
+    }
+
+    /**
+     * Gets the plan for a task
+     *
+     * @param {String} taskId - The id of the task.
+     */
+    getPlan(taskId) {
+        if (this.tasks[taskId]) {
+            return this.tasks[taskId].plan;
+        }
+        throw new Error('taskId does not exist');
+    }
+
+    /**
+     * Sets the target device for a task
+     *
+     * @param {String} taskId - The id of the task.
+     * @param {String} target - The target (host or host:port).
+     */
+    setTarget(taskId, target) {
+        if (this.tasks[taskId]) {
+            this.tasks[taskId].target = target;
+        } else {
+            throw new Error('taskId does not exist');
+        }
+    }
+
+    /**
+     * Gets the target device for a task
+     *
+     * @param {String} taskId - The id of the task.
+     */
+    getTarget(taskId) {
+        if (this.tasks[taskId]) {
+            return this.tasks[taskId].target;
+        }
+        throw new Error('taskId does not exist');
+    }
+
+    /**
+     * Sets the configuration of the device from before a task made any changes
+     *
+     * @param {String} taskId - The id of the task.
+     * @param {Object} initialConfig - The configuration.
+     */
+    setInitialConfig(taskId, initialConfig) {
+        if (initialConfig) {
+            if (this.tasks[taskId]) {
+                this.tasks[taskId].initialConfig = JSON.parse(JSON.stringify(initialConfig));
+            } else {
+                throw new Error('taskId does not exist');
+            }
+        }
+    }
+
+    /**
+     * Gets the configuration of the device from before a task made any changes
+     *
+     * @param {String} taskId - The id of the task.
+     */
+    getInitialConfig(taskId) {
+        if (this.tasks[taskId]) {
+            return this.tasks[taskId].initialConfig;
+        }
+        throw new Error('taskId does not exist');
+    }
+
+    /**
+     * Sets the id of the task that a rollback task is rolling back
+     *
+     * This also records the last successful task from before the task being rolled back,
+     * whose declaration is the one in effect once the rollback succeeds.
+     *
+     * @param {String} taskId - The id of the rollback task.
+     * @param {String} rollbackOf - The id of the task being rolled back.
+     */
+    setRollbackOf(taskId, rollbackOf) {
+        if (this.tasks[taskId]) {
+            const source = this.tasks[rollbackOf] || {};
+            this.tasks[taskId].rollbackOf = rollbackOf;
+            this.tasks[taskId].rollbackTo = this.getLastSuccessfulTaskId(source.target || DEFAULT_TARGET, rollbackOf);
+        } else {
+            throw new Error('taskId does not exist');
+        }
+    }
+
+    /**
+     * Gets the id of the task that a rollback task is rolling back
+     *
+     * @param {String} taskId - The id of the task.
+     */
+    getRollbackOf(taskId) {
+        if (this.tasks[taskId]) {
+            return this.tasks[taskId].rollbackOf;
+        }
+        throw new Error('taskId does not exist');
+    }
+
+    /**
+     * Requests that a running task be cancelled
+     *
+     * @param {String} taskId - The id of the task.
+     * @param {Object} cancelRequest - The cancel request or null to clear it.
+     * @param {Boolean} cancelRequest.rollback - Whether or not to roll back after cancelling.
+     */
+    setCancelRequest(taskId, cancelRequest) {
+        if (this.tasks[taskId]) {
+            if (cancelRequest) {
+                this.tasks[taskId].cancelRequest = { rollback: !!cancelRequest.rollback };
+            } else {
+                delete this.tasks[taskId].cancelRequest;
+            }
+        } else {
+            throw new Error('taskId does not exist');
+        }
+    }
+
+    /**
+     * Gets the cancel request for a task
+     *
+     * @param {String} taskId - The id of the task.
+     */
+    getCancelRequest(taskId) {
+        if (this.tasks[taskId]) {
+            return this.tasks[taskId].cancelRequest;
+        }
+        throw new Error('taskId does not exist');
+    }
+
+    /**
+     * Sets the names of the handlers which completed before a task was cancelled
+     *
+     * @param {String} taskId - The id of the task.
+     * @param {String[]} completedHandlers - The handler names.
+     */
+    setCompletedHandlers(taskId, completedHandlers) {
+        if (this.tasks[taskId]) {
+            this.tasks[taskId].completedHandlers = completedHandlers.slice();
+        } else {
+            throw new Error('taskId does not exist');
+        }
+    }
+
+    /**
+     * Gets the names of the handlers which completed before a task was cancelled
+     *
+     * @param {String} taskId - The id of the task.
+     */
+    getCompletedHandlers(taskId) {
+        if (this.tasks[taskId]) {
+            return this.tasks[taskId].completedHandlers;
+        }
+        throw new Error('taskId does not exist');
+    }
+
+    /**
+     * Sets the timing and outcome of each handler which ran for a task
+     *
+     * @param {String} taskId - The id of the task.
+     * @param {Object[]} handlers - The handler reports, in the order the handlers ran.
+     */
+    setHandlers(taskId, handlers) {
+        if (this.tasks[taskId]) {
+            this.tasks[taskId].handlers = handlers ? handlers.slice() : handlers;
+        } else {
+            throw new Error('taskId does not exist');
+        }
+    }
+
+    /**
+     * Gets the timing and outcome of each handler which ran for a task
+     *
+     * @param {String} taskId - The id of the task.
+     */
+    getHandlers(taskId) {
+        if (this.tasks[taskId]) {
+            return this.tasks[taskId].handlers;
+        }
+        throw new Error('taskId does not exist');
+    }
+
+    /**
+     * Sets the errors from the validators for a task which failed validation. The
+     * errors in the result are formatted versions of these.
+     *
+     * @param {String} taskId - The id of the task.
+     * @param {Object[]} rawErrors - The validation errors.
+     */
+    setRawErrors(taskId, rawErrors) {
+        if (this.tasks[taskId]) {
+            this.tasks[taskId].rawErrors = rawErrors ? rawErrors.slice() : rawErrors;
+        } else {
+            throw new Error('taskId does not exist');
+        }
+    }
+
+    /**
+     * Gets the errors from the validators for a task which failed validation
+     *
+     * @param {String} taskId - The id of the task.
+     */
+    getRawErrors(taskId) {
+        if (this.tasks[taskId]) {
+            return this.tasks[taskId].rawErrors;
+        }
+        throw new Error('taskId does not exist');
+    }
+
     /**
      * Sets trace for the current config
      *
@@ -475,6 +849,39 @@ class State {
         throw new Error('taskId does not exist');
     }
 
+    /**
+     * Sets the secrets which are masked out of the declaration of a task, encrypted, so that the
+     * task can be resumed after a restart.
+     *
+     * @param {String} taskId - The id of the task.
+     * @param {Object[]} encryptedSecrets - Array of { path, value } where path is the array of keys
+     *                                      to the secret in the declaration and value is the secret
+     *                                      encrypted with cryptoUtil.encryptValue. Null to remove them.
+     */
+    setEncryptedSecrets(taskId, encryptedSecrets) {
+        if (this.tasks[taskId]) {
+            if (encryptedSecrets) {
+                this.tasks[taskId].encryptedSecrets = JSON.parse(JSON.stringify(encryptedSecrets));
+            } else {
+                delete this.tasks[taskId].encryptedSecrets;
+            }
+        } else {
+            throw new Error('taskId does not exist');
+        }
+    }
+
+    /**
+     * Gets the encrypted secrets of a task
+     *
+     * @param {String} taskId - The id of the task.
+     */
+    getEncryptedSecrets(taskId) {
+        if (this.tasks[taskId]) {
+            return this.tasks[taskId].encryptedSecrets;
+        }
+        throw new Error('taskId does not exist');
+    }
+
     /**
      * Gets the last update time for a task
      *
@@ -558,16 +965,53 @@ function copyAndUpgradeState(existingState) {
     return JSON.parse(JSON.stringify(existingState));
 }
 
-function cleanupOldTasks(tasks) {
-    const maxAge = TASK_RETENTION_DAYS * 1000 * 3600 * 24;
+function cleanupOldTasks(tasks, keepTaskIds, maxAgeDays) {
+    const maxAge = maxAgeDays * 1000 * 3600 * 24;
     const now = new Date();
     Object.keys(tasks).forEach((taskId) => {
-        if (now - tasks[taskId].lastUpdate > maxAge) {
+        // lastUpdate is a string in state loaded from storage
+        if (keepTaskIds.indexOf(taskId) === -1 && now - new Date(tasks[taskId].lastUpdate) > maxAge) {
             delete tasks[taskId];
         }
     });
 }
 
+/**
+ * Removes the oldest finished tasks until there are no more than maxTaskCount tasks.
+ */
+function limitTaskCount(tasks, keepTaskIds, maxTaskCount) {
+    const removable = Object.keys(tasks)
+        .filter((taskId) => keepTaskIds.indexOf(taskId) === -1 && isFinished(tasks[taskId]))
+        .sort((a, b) => new Date(tasks[a].lastUpdate) - new Date(tasks[b].lastUpdate));
+
+    let count = Object.keys(tasks).length;
+    while (count > maxTaskCount && removable.length > 0) {
+        delete tasks[removable.shift()];
+        count -= 1;
+    }
+}
+
+function getLatestTaskId(tasks, target) {
+    let latestTaskId = null;
+    let latestUpdate = 0;
+    Object.keys(tasks).forEach((taskId) => {
+        const taskUpdate = new Date(tasks[taskId].lastUpdate).getTime();
+        if ((tasks[taskId].target || DEFAULT_TARGET) === target && taskUpdate >= latestUpdate) {
+            latestTaskId = taskId;
+            latestUpdate = taskUpdate;
+        }
+    });
+    return latestTaskId;
+}
+
+function isFinished(task) {
+    return FINISHED_STATUSES.indexOf((task.result || {}).status) !== -1;
+}
+
+function toPointer(path) {
+    return path.map((key) => `/${key.toString().replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+}
+
 function updateNewIdToId(existingState) {
     const doVersion = doUtil.getDoVersion();
     const doVersionStr = `${doVersion.VERSION}-${doVersion.RELEASE}`;
@@ -49,6 +49,7 @@ class SystemHandler {
         this.bigIp = bigIp;
         this.eventEmitter = eventEmitter;
         this.state = state;
+        this.logger = logger.forTask(state, bigIp, 'SystemHandler');
         this.rebootRequired = false;
         this.rollbackInfo = {
             systemHandler: {}
@@ -64,13 +65,13 @@ class SystemHandler {
      *                    for details.
      */
     process() {
-        logger.fine('Processing system declaration.');
+        this.logger.fine('Processing system declaration.');
         if (!this.declaration.Common) {
             return Promise.resolve();
         }
         return Promise.resolve()
             .then(() => {
-                logger.fine('Getting Device-Info.');
+                this.logger.fine('Getting Device-Info.');
                 return this.bigIp.deviceInfo()
                     .then((info) => {
                         this.bigIpVersion = info.version;
@@ -78,94 +79,94 @@ class SystemHandler {
                     });
             })
             .then(() => {
-                logger.fine('Checking db variables.');
+                this.logger.fine('Checking db variables.');
                 return handleDbVars.call(this);
             })
             .then(() => {
-                logger.fine('Checking DHCP options.');
+                this.logger.fine('Checking DHCP options.');
                 return handleDhcpOptions.call(this);
             })
             .then(() => {
-                logger.fine('Checking management DHCP setting.');
+                this.logger.fine('Checking management DHCP setting.');
                 return handleManagementDhcp.call(this);
             })
             .then((updatedMgmtDhcpSetting) => {
-                logger.fine('Checking ManagementIp. Hold on to your hats.');
+                this.logger.fine('Checking ManagementIp. Hold on to your hats.');
                 return handleManagementIp.call(this, updatedMgmtDhcpSetting);
             })
             .then(() => {
-                logger.fine('Checking ManagementRoute.');
+                this.logger.fine('Checking ManagementRoute.');
                 return handleManagementRoute.call(this);
             })
             .then(() => {
-                logger.fine('Checking DNS.');
+                this.logger.fine('Checking DNS.');
                 return handleDNS.call(this);
             })
             .then(() => {
-                logger.fine('Checking NTP.');
+                this.logger.fine('Checking NTP.');
                 return handleNTP.call(this);
             })
             .then(() => {
-                logger.fine('Checking DeviceCertificate.');
+                this.logger.fine('Checking DeviceCertificate.');
                 return handleDeviceCertificate.call(this);
             })
             .then(() => {
-                logger.fine('Checking System.');
+                this.logger.fine('Checking System.');
                 return handleSystem.call(this);
             })
             .then(() => {
-                logger.fine('Checking Users.');
+                this.logger.fine('Checking Users.');
                 return handleUser.call(this);
             })
             .then(() => {
-                logger.fine('Checking License.');
+                this.logger.fine('Checking License.');
                 return handleLicense.call(this);
             })
             .then(() => {
-                logger.fine('Checking SNMP.');
+                this.logger.fine('Checking SNMP.');
                 return handleSnmp.call(this);
             })
             .then(() => {
-                logger.fine('Checking SNMP Users.');
+                this.logger.fine('Checking SNMP Users.');
                 return handleSnmpUsers.call(this);
             })
             .then(() => {
-                logger.fine('Checking SNMP Communities.');
+                this.logger.fine('Checking SNMP Communities.');
                 return handleSnmpCommunities.call(this);
             })
             .then(() => {
-                logger.fine('Checking SNMP Trap Destinations.');
+                this.logger.fine('Checking SNMP Trap Destinations.');
                 return handleSnmpTrapDestinations.call(this);
             })
             .then(() => {
-                logger.fine('Checking Syslog.');
+                this.logger.fine('Checking Syslog.');
                 return handleSyslog.call(this);
             })
             .then(() => {
-                logger.fine('Checking Traffic Control');
+                this.logger.fine('Checking Traffic Control');
                 return handleTrafficControl.call(this);
             })
             .then(() => {
-                logger.fine('Checking HTTPD');
+                this.logger.fine('Checking HTTPD');
                 return handleHTTPD.call(this);
             })
             .then(() => {
-                logger.fine('Checking SSHD');
+                this.logger.fine('Checking SSHD');
                 return handleSSHD.call(this);
             })
             .then(() => {
-                logger.fine('Checking Disk');
+                this.logger.fine('Checking Disk');
                 return handleDisk.call(this);
             })
             .then(() => {
-                logger.fine('Done processing system declaration.');
+                this.logger.fine('Done processing system declaration.');
                 return Promise.resolve({
                     rebootRequired: this.rebootRequired,
                     rollbackInfo: this.rollbackInfo
                 });
             })
             .catch((err) => {
-                logger.severe(`Error processing system declaration: ${err.message}`);
+                this.logger.severe(`Error processing system declaration: ${err.message}`);
                 return Promise.reject(err);
             });
     }
@@ -407,7 +408,16 @@ function handleDeviceCertificate() {
                             return Promise.resolve();
                         })
                         .then(() => {
-                            if (needsWrite) {
+                            if (needsWrite && this.bigIp.recording) {
+                                // Encrypting creates an object on the device, so dry runs only
+                                // record the write, leaving the key out of the plan
+                                writePromises.push(doUtil.executeBashCommandIControl(
+                                    this.bigIp,
+                                    `/usr/bin/php -f ${decryptScript} '********' ${keyFullPath}`,
+                                    null,
+                                    { silent: true }
+                                ));
+                            } else if (needsWrite) {
                                 writePromises.push(
                                     cryptoUtil.encryptValue(newKey)
                                         .then((results) => doUtil.executeBashCommandIControl(
@@ -563,7 +573,7 @@ function handleUser() {
                         })
                 );
             } else {
-                logger.warning(`${username} has userType root. Only the root user can have userType root.`);
+                this.logger.warning(`${username} has userType root. Only the root user can have userType root.`);
             }
         });
 
@@ -575,14 +585,29 @@ function handleUser() {
 function handleLicense() {
     if (this.declaration.Common.License) {
         const license = this.declaration.Common.License;
-        if (license.regKey || license.addOnKeys) {
-            return handleRegKey.call(this, license);
-        }
-        return handleLicensePool.call(this, license);
+        const progress = { licenseType: license.licenseType };
+        emitProgress.call(this, 'licensingStarted', progress);
+
+        const licensing = license.regKey || license.addOnKeys
+            ? handleRegKey.call(this, license)
+            : handleLicensePool.call(this, license);
+        return licensing
+            .then(() => {
+                emitProgress.call(this, 'licensingFinished', progress);
+            });
     }
     return Promise.resolve();
 }
 
+/**
+ * Lets the rest worker know how the task is progressing. See {@link TaskEvents}.
+ */
+function emitProgress(type, data) {
+    if (this.eventEmitter && this.state && this.state.id) {
+        this.eventEmitter.emit(EVENTS.TASK_PROGRESS, this.state.id, type, data);
+    }
+}
+
 function handleRegKey(license) {
     return this.bigIp.onboard.license(
         {
@@ -594,7 +619,7 @@ function handleRegKey(license) {
         .then(() => this.bigIp.active())
         .catch((err) => {
             const errorLicensing = `Error licensing: ${err.message}`;
-            logger.severe(errorLicensing);
+            this.logger.severe(errorLicensing);
             err.message = errorLicensing;
             return Promise.reject(err);
         });
@@ -620,11 +645,11 @@ function handleLicensePool(license) {
             // If we're running on BIG-IP, get the real address info (since it might be 'localhost'
             // which won't work). Otherwise, assume we can already reach the BIG-IP through
             // it's current address and port (since that is what we've been using to get this far)
-            if (currentPlatform === PRODUCTS.BIGIP && license.reachable) {
+            if (currentPlatform === PRODUCTS.BIGIP && license.reachable && !this.bigIp.recording) {
                 getBigIp = new Promise((resolve, reject) => {
                     this.bigIp.deviceInfo()
                         .then((deviceInfo) => doUtil.getBigIp(
-                            logger,
+                            this.logger,
                             {
                                 host: deviceInfo.managementAddress,
                                 port: this.bigIp.port,
@@ -636,7 +661,7 @@ function handleLicensePool(license) {
                             resolve(resolvedBigIp);
                         })
                         .catch((err) => {
-                            logger.severe(`Error getting big ip for reachable API: ${err.message}`);
+                            this.logger.severe(`Error getting big ip for reachable API: ${err.message}`);
                             reject(err);
                         });
                 });
@@ -672,8 +697,8 @@ function handleLicensePool(license) {
 
                 // If our license is about to be revoked, let everyone know
                 if (licenseInfo.reachable) {
-                    logger.debug('Waiting for revoke ready');
-                    possiblyRevoke = possiblyRevoke.then(() => waitForRevokeReady(this.eventEmitter));
+                    this.logger.debug('Waiting for revoke ready');
+                    possiblyRevoke = possiblyRevoke.then(() => waitForRevokeReady.call(this, this.eventEmitter));
                     process.nextTick(() => {
                         this.eventEmitter.emit(
                             EVENTS.LICENSE_WILL_BE_REVOKED,
@@ -700,7 +725,7 @@ function handleLicensePool(license) {
                     ))
                     .then(() => {
                         // If our license is revoked, wait for restart
-                        if (licenseInfo.reachable) {
+                        if (licenseInfo.reachable && !this.bigIp.recording) {
                             return promiseUtil.delay(120000);
                         }
                         return Promise.resolve();
@@ -874,7 +899,7 @@ function handleManagementRoute() {
 
                 return Promise.all(promises)
                     .catch((err) => {
-                        logger.severe(`Error creating management routes: ${err.message}`);
+                        this.logger.severe(`Error creating management routes: ${err.message}`);
                         throw err;
                     });
             });
@@ -1044,7 +1069,7 @@ function handleTrafficControl() {
     return this.bigIp.modify(PATHS.TrafficControl, trafficControlObj)
         .catch((err) => {
             const errorTrafficControl = `Error modifying traffic control settings: ${err.message}`;
-            logger.severe(errorTrafficControl);
+            this.logger.severe(errorTrafficControl);
             err.message = errorTrafficControl;
             return Promise.reject(err);
         });
@@ -1079,7 +1104,7 @@ function handleHTTPD() {
             }
         ).catch((err) => {
             const errorHTTPD = `Error modifying HTTPD settings: ${err.message}`;
-            logger.severe(errorHTTPD);
+            this.logger.severe(errorHTTPD);
             err.message = errorHTTPD;
             return Promise.reject(err);
         });
@@ -1128,7 +1153,7 @@ function handleSSHD() {
     return this.bigIp.modify(PATHS.SSHD, sshdObj)
         .catch((err) => {
             const errorSSHD = `Error modifying SSHD settings: ${err.message}`;
-            logger.severe(errorSSHD);
+            this.logger.severe(errorSSHD);
             err.message = errorSSHD;
             return Promise.reject(err);
         });
@@ -1164,7 +1189,7 @@ function handleDisk() {
         })
         .catch((err) => {
             const errorDisk = `Error modifying Disk: ${err.message}`;
-            logger.severe(errorDisk);
+            this.logger.severe(errorDisk);
             err.message = errorDisk;
             return Promise.reject(err);
         });
@@ -1215,7 +1240,7 @@ function createOrUpdateUser(username, data) {
             return Promise.resolve();
         })
         .catch((err) => {
-            logger.severe(`Error creating/updating user: ${err.message}`);
+            this.logger.severe(`Error creating/updating user: ${err.message}`);
             return Promise.reject(err);
         });
 }
@@ -1428,7 +1453,7 @@ function waitForRevokeReady(eventEmitter) {
             reject(new Error('Timed out waiting for revoke ready event'));
         }, REVOKE_READY_TIMEOUT);
         eventEmitter.on(EVENTS.READY_FOR_REVOKE, () => {
-            logger.debug('Ready for revoke');
+            this.logger.debug('Ready for revoke');
             clearTimeout(readyTimer);
             resolve();
         });
@@ -0,0 +1,153 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+// Events are only kept in memory, for this many of the most recent tasks
+const MAX_TASKS = 20;
+
+/**
+ * Keeps the progress events of tasks (handlers starting and finishing, licensing,
+ * reboots, rollbacks) so that clients can follow a task as it runs.
+ *
+ * Events are numbered from 1 for each task and look like
+ *
+ *     {
+ *         id: 3,
+ *         type: 'handlerStarted',
+ *         timestamp: '2022-05-09T18:44:41.123Z',
+ *         handler: 'NetworkHandler'
+ *     }
+ *
+ * @class
+ */
+class TaskEvents {
+    constructor() {
+        this.events = {}; // map of task ID -> array of events
+        this.taskIds = []; // task IDs in the order their first event was added
+        this.waiting = {}; // map of task ID -> array of functions to call when there is a new event
+    }
+
+    /**
+     * Adds an event for a task
+     *
+     * @param {String} taskId - The id of the task.
+     * @param {String} type - The type of event, like 'handlerStarted'.
+     * @param {Object} [data] - Anything else about the event, like the name of the handler.
+     *
+     * @returns {Object} The event.
+     */
+    add(taskId, type, data) {
+        if (!this.events[taskId]) {
+            this.events[taskId] = [];
+            this.taskIds.push(taskId);
+            forgetOldTasks.call(this);
+        }
+
+        const event = Object.assign(
+            {
+                id: this.events[taskId].length + 1,
+                type,
+                timestamp: new Date().toISOString()
+            },
+            data
+        );
+        this.events[taskId].push(event);
+
+        const waiting = this.waiting[taskId] || [];
+        delete this.waiting[taskId];
+        waiting.forEach((notify) => notify());
+
+        return event;
+    }
+
+    /**
+     * Gets the events for a task
+     *
+     * @param {String} taskId - The id of the task.
+     * @param {Number} [since] - Only get events with an id greater than this. Default 0.
+     *
+     * @returns {Object[]} The events, oldest first.
+     */
+    get(taskId, since) {
+        return (this.events[taskId] || []).filter((event) => event.id > (since || 0));
+    }
+
+    /**
+     * Waits for events for a task
+     *
+     * @param {String} taskId - The id of the task.
+     * @param {Number} [since] - Only get events with an id greater than this. Default 0.
+     * @param {Number} timeout - Milliseconds to wait for an event.
+     *
+     * @returns {Promise} A promise which is resolved with the events as soon as there are any,
+     *                    or with an empty array if there are none before the timeout.
+     */
+    waitFor(taskId, since, timeout) {
+        const events = this.get(taskId, since);
+        if (events.length > 0) {
+            return Promise.resolve(events);
+        }
+
+        return new Promise((resolve) => {
+            let timeoutId;
+            const notify = () => {
+                clearTimeout(timeoutId);
+                resolve(this.get(taskId, since));
+            };
+            timeoutId = setTimeout(() => {
+                this.waiting[taskId] = (this.waiting[taskId] || []).filter((other) => other !== notify);
+                if (this.waiting[taskId].length === 0) {
+                    delete this.waiting[taskId];
+                }
+                resolve([]);
+            }, timeout);
+
+            if (!this.waiting[taskId]) {
+                this.waiting[taskId] = [];
+            }
+            this.waiting[taskId].push(notify);
+        });
+    }
+
+    /**
+     * Formats events as a server-sent event stream (text/event-stream)
+     *
+     * @param {Object[]} events - The events.
+     * @param {Number} [retry] - Milliseconds clients should wait before reconnecting.
+     *
+     * @returns {String} The events, with the event id as the SSE id and the event type as the SSE event.
+     */
+    static toEventStream(events, retry) {
+        const lines = [];
+        if (retry) {
+            lines.push(`retry: ${retry}`, '');
+        }
+        events.forEach((event) => {
+            lines.push(`id: ${event.id}`, `event: ${event.type}`, `data: ${JSON.stringify(event)}`, '');
+        });
+        return lines.map((line) => `${line}\n`).join('');
+    }
+}
+
+function forgetOldTasks() {
+    while (this.taskIds.length > MAX_TASKS) {
+        const taskId = this.taskIds.shift();
+        delete this.events[taskId];
+    }
+}
+
+module.exports = TaskEvents;
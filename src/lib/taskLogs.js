@@ -0,0 +1,124 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+// Logs are only kept in memory, for this many of the most recent tasks
+const MAX_TASKS = 20;
+
+// Most messages to keep for each task. Older messages are dropped first.
+const MAX_MESSAGES = 5000;
+
+/**
+ * Keeps the log messages of tasks which asked for them with controls.logLevel, so that
+ * they can be read without access to the restnoded log. See {@link Logger}.
+ *
+ * Messages look like
+ *
+ *     {
+ *         timestamp: '2022-05-09T18:44:41.123Z',
+ *         level: 'debug',
+ *         file: 'networkHandler.js',
+ *         handler: 'NetworkHandler',
+ *         message: 'Checking VLANs'
+ *     }
+ *
+ * @class
+ */
+class TaskLogs {
+    constructor() {
+        this.logs = {}; // map of task ID -> { logLevel, messages, dropped }
+        this.taskIds = []; // task IDs in the order they started
+    }
+
+    /**
+     * Starts keeping the log messages of a task
+     *
+     * @param {String} taskId - The id of the task.
+     * @param {String} logLevel - The lowest level to keep, from controls.logLevel ('error', 'warning',
+     *                            'info', 'debug', 'verbose' or 'silly').
+     */
+    start(taskId, logLevel) {
+        if (!this.logs[taskId]) {
+            this.taskIds.push(taskId);
+            forgetOldTasks.call(this);
+        }
+        this.logs[taskId] = {
+            logLevel,
+            messages: [],
+            dropped: 0
+        };
+    }
+
+    /**
+     * Gets the level a task is keeping log messages at
+     *
+     * @param {String} taskId - The id of the task.
+     *
+     * @returns {String} The log level, or undefined if the task is not keeping its log messages.
+     */
+    getLogLevel(taskId) {
+        return this.logs[taskId] ? this.logs[taskId].logLevel : undefined;
+    }
+
+    /**
+     * Adds a log message for a task which is keeping its log messages
+     *
+     * @param {String} taskId - The id of the task.
+     * @param {Object} message - The message.
+     */
+    add(taskId, message) {
+        const logs = this.logs[taskId];
+        if (!logs) {
+            return;
+        }
+        logs.messages.push(message);
+        if (logs.messages.length > MAX_MESSAGES) {
+            logs.messages.shift();
+            logs.dropped += 1;
+        }
+    }
+
+    /**
+     * Gets the log messages of a task
+     *
+     * @param {String} taskId - The id of the task.
+     *
+     * @returns {Object} { logLevel, messages, dropped }, where dropped is how many of the oldest
+     *                   messages were dropped to stay under the limit, or undefined if the task
+     *                   did not keep its log messages.
+     */
+    get(taskId) {
+        const logs = this.logs[taskId];
+        if (!logs) {
+            return undefined;
+        }
+        return {
+            logLevel: logs.logLevel,
+            messages: logs.messages.slice(),
+            dropped: logs.dropped
+        };
+    }
+}
+
+function forgetOldTasks() {
+    while (this.taskIds.length > MAX_TASKS) {
+        const taskId = this.taskIds.shift();
+        delete this.logs[taskId];
+    }
+}
+
+module.exports = TaskLogs;
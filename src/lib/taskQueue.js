@@ -0,0 +1,212 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const Logger = require('./logger');
+const DEFAULT_TARGET = require('./sharedConstants').DEFAULT_TARGET;
+
+const logger = new Logger(module);
+
+const LOCAL_HOSTS = ['localhost', '127.0.0.1'];
+const DEFAULT_PORT = 443;
+
+/**
+ * Serializes tasks per target device so that only one task at a time
+ * is processing a declaration against a given device.
+ *
+ * @class
+ */
+class TaskQueue {
+    constructor() {
+        this.running = {}; // map of target -> id of running task
+        this.queued = {}; // map of target -> array of queued entries
+    }
+
+    /**
+     * Gets a key for the target of a request. The names for the local device all
+     * give the same key, and so do the default port and no port.
+     *
+     * @param {String} [host] - The target host. Default is localhost.
+     * @param {Number} [port] - The target port.
+     *
+     * @returns {String} The key to use for the target.
+     */
+    static getTarget(host, port) {
+        let target = (host || DEFAULT_TARGET).toLowerCase();
+        if (LOCAL_HOSTS.indexOf(target) !== -1) {
+            target = DEFAULT_TARGET;
+        }
+        return port && parseInt(port, 10) !== DEFAULT_PORT ? `${target}:${port}` : target;
+    }
+
+    /**
+     * Gets the host and port from a key made by {@link getTarget}
+     *
+     * @param {String} target - The target key.
+     *
+     * @returns {Object} { host, port }. The port is undefined if the key does not have one.
+     */
+    static getHostAndPort(target) {
+        const match = /^([^:]+):(\d+)$/.exec(target);
+        if (!match) {
+            // IPv6 addresses have colons of their own, so their keys are taken as just a host
+            return { host: target, port: undefined };
+        }
+        return { host: match[1], port: parseInt(match[2], 10) };
+    }
+
+    /**
+     * Whether or not a target is the device this is running on
+     *
+     * @param {String} target - The target key.
+     *
+     * @returns {Boolean} True if the target is local.
+     */
+    static isLocal(target) {
+        return LOCAL_HOSTS.some((host) => target === host || target.startsWith(`${host}:`));
+    }
+
+    /**
+     * Whether or not a task is running for a target
+     *
+     * @param {String} target - The target key.
+     *
+     * @returns {Boolean} True if the target is busy.
+     */
+    isBusy(target) {
+        return !!this.running[target];
+    }
+
+    /**
+     * Gets the id of the running task for a target
+     *
+     * @param {String} target - The target key.
+     *
+     * @returns {String} The running task id, if any.
+     */
+    getRunning(target) {
+        return this.running[target];
+    }
+
+    /**
+     * Gets the ids of the tasks waiting for a target
+     *
+     * @param {String} target - The target key.
+     *
+     * @returns {String[]} The queued task ids, in the order they will run.
+     */
+    getQueued(target) {
+        return (this.queued[target] || []).map((entry) => entry.taskId);
+    }
+
+    /**
+     * Runs a task now if nothing else is running for its target, otherwise queues it.
+     *
+     * @param {String} target - The target key.
+     * @param {String} taskId - The id of the task.
+     * @param {Function} start - Function that starts the task. Should return a Promise
+     *                           which is resolved when the task is complete.
+     * @param {Function} [cancel] - Function to call if the task is cancelled while queued.
+     *
+     * @returns {Boolean} True if the task was started immediately, false if it was queued.
+     */
+    enqueue(target, taskId, start, cancel) {
+        const entry = { taskId, start, cancel };
+        if (this.isBusy(target)) {
+            logger.info(`Queueing task ${taskId} behind task ${this.running[target]} for ${target}`);
+            if (!this.queued[target]) {
+                this.queued[target] = [];
+            }
+            this.queued[target].push(entry);
+            return false;
+        }
+
+        run.call(this, target, entry);
+        return true;
+    }
+
+    /**
+     * Cancels a queued (not running) task
+     *
+     * @param {String} taskId - The id of the task.
+     * @param {String} reason - The reason the task is cancelled.
+     *
+     * @returns {Boolean} True if the task was queued and has been cancelled.
+     */
+    cancel(taskId, reason) {
+        let cancelled = false;
+        Object.keys(this.queued).forEach((target) => {
+            const queue = this.queued[target];
+            const index = queue.findIndex((entry) => entry.taskId === taskId);
+            if (index !== -1) {
+                const entry = queue.splice(index, 1)[0];
+                if (queue.length === 0) {
+                    delete this.queued[target];
+                }
+                logger.info(`Cancelling queued task ${taskId}: ${reason}`);
+                if (entry.cancel) {
+                    entry.cancel(reason);
+                }
+                cancelled = true;
+            }
+        });
+        return cancelled;
+    }
+
+    /**
+     * Cancels all of the queued (not running) tasks for a target
+     *
+     * @param {String} target - The target key.
+     * @param {String} reason - The reason the tasks are cancelled.
+     *
+     * @returns {String[]} The ids of the cancelled tasks.
+     */
+    cancelQueued(target, reason) {
+        const entries = this.queued[target] || [];
+        delete this.queued[target];
+        entries.forEach((entry) => {
+            logger.info(`Cancelling queued task ${entry.taskId}: ${reason}`);
+            if (entry.cancel) {
+                entry.cancel(reason);
+            }
+        });
+        return entries.map((entry) => entry.taskId);
+    }
+}
+
+function run(target, entry) {
+    this.running[target] = entry.taskId;
+    Promise.resolve()
+        .then(() => entry.start())
+        .catch((err) => {
+            logger.severe(`Task ${entry.taskId} failed: ${err.message}`);
+        })
+        .then(() => {
+            delete this.running[target];
+            const queue = this.queued[target];
+            if (queue && queue.length > 0) {
+                const next = queue.shift();
+                if (queue.length === 0) {
+                    delete this.queued[target];
+                }
+                logger.info(`Starting queued task ${next.taskId} for ${target}`);
+                run.call(this, target, next);
+            }
+        });
+}
+
+module.exports = TaskQueue;
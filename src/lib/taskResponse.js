@@ -73,6 +73,22 @@ class TaskResponse {
             };
         }
 
+        const plan = this.state.getPlan(id);
+        if (plan) {
+            data.plan = plan;
+        }
+
+        const rollbackOf = this.state.getRollbackOf(id);
+        if (rollbackOf) {
+            data.rollbackOf = rollbackOf;
+        }
+
+        // Remediation needs the secrets, see restWorker getRemediation
+        const maskedSecrets = this.state.getMaskedSecrets(id);
+        if (maskedSecrets.length > 0 && hasRemediation(data.declaration)) {
+            data.maskedSecrets = maskedSecrets;
+        }
+
         if (HTTP.METHODS[HTTP.METHODS.indexOf('GET')] === this.method) {
             data.httpStatus = 200;
         }
@@ -85,10 +101,27 @@ class TaskResponse {
         return data;
     }
 
+    getCompletedHandlers(id) {
+        return this.state.getCompletedHandlers(id);
+    }
+
+    getHandlers(id) {
+        return this.state.getHandlers(id);
+    }
+
+    getRawErrors(id) {
+        return this.state.getRawErrors(id);
+    }
+
     getDryRun(id) {
         const declaration = this.state.getDeclaration(id);
         return declaration && declaration.controls && declaration.controls.dryRun;
     }
 }
 
+function hasRemediation(declaration) {
+    const remediation = (declaration && declaration.controls && declaration.controls.remediation) || {};
+    return !!remediation.mode && remediation.mode !== 'none';
+}
+
 module.exports = TaskResponse;
@@ -0,0 +1,345 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const configItems = require('./configItems.json');
+
+// Objects which there is only one of, so they do not have a name
+const SINGLETON_PATHS = [
+    '/tm/analytics/global-settings',
+    '/tm/auth/remote-user',
+    '/tm/auth/source',
+    '/tm/cli/global-settings',
+    '/tm/gtm/global-settings/general',
+    '/tm/ltm/global-settings/traffic-control',
+    '/tm/net/dag-globals',
+    '/tm/sys/dns',
+    '/tm/sys/global-settings',
+    '/tm/sys/httpd',
+    '/tm/sys/ntp',
+    '/tm/sys/snmp',
+    '/tm/sys/software/update',
+    '/tm/sys/sshd',
+    '/tm/sys/syslog'
+];
+
+// Collections which are nested in another object in tmsh but have their own path in iControl REST
+const NESTED_COLLECTIONS = {
+    '/tm/sys/snmp': {
+        communities: '/tm/sys/snmp/communities',
+        traps: '/tm/sys/snmp/traps',
+        users: '/tm/sys/snmp/users'
+    }
+};
+
+// Properties which iControl REST renames because they are reserved words
+const RENAMED_PROPERTIES = {
+    interface: 'tmInterface'
+};
+
+/**
+ * A string which was in quotes, so that it is never mistaken for a number or a brace
+ */
+class QuotedString {
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+/**
+ * Parses configuration in tmsh format (bigip.conf, bigip_base.conf, or the output of
+ * 'tmsh list') into objects in the form that iControl REST returns them.
+ *
+ * Only the object types that Declarative Onboarding reads (see configItems.json) are
+ * parsed. Other objects are skipped.
+ */
+module.exports = {
+    /**
+     * Parses tmsh configuration.
+     *
+     * @param {String} text - The configuration.
+     *
+     * @returns {Object} The parsed configuration
+     *
+     *     {
+     *         version: <BIG-IP version from the #TMSH-VERSION header, if any>,
+     *         objects: {
+     *             <iControl REST path>: <object for singletons, array of objects otherwise>
+     *         },
+     *         skipped: <array of the tmsh types that were skipped>
+     *     }
+     */
+    parse(text) {
+        const versionMatch = /^#TMSH-VERSION:\s*(\S+)/m.exec(text);
+        const parsed = {
+            version: versionMatch ? versionMatch[1] : undefined,
+            objects: {},
+            skipped: []
+        };
+
+        const tokens = tokenize(text);
+        const knownPaths = getKnownPaths();
+        let index = 0;
+        while (index < tokens.length) {
+            const header = [];
+            while (index < tokens.length && tokens[index] !== '{' && tokens[index] !== '\n') {
+                header.push(tokens[index]);
+                index += 1;
+            }
+
+            if (tokens[index] !== '{') {
+                // blank line or something we do not understand
+                index += 1;
+            } else {
+                const block = parseBlock(tokens, index + 1);
+                index = block.end;
+                addObject(parsed, knownPaths, header, block.entries);
+            }
+        }
+
+        return parsed;
+    },
+
+    /**
+     * Whether or not there is only one of the objects at an iControl REST path
+     *
+     * @param {String} path - The iControl REST path.
+     *
+     * @returns {Boolean} True if the path is for a singleton (like /tm/sys/dns).
+     */
+    isSingleton(path) {
+        return SINGLETON_PATHS.indexOf(path) !== -1;
+    }
+};
+
+/**
+ * Splits text into words, quoted strings, braces and line ends. Comments are dropped.
+ */
+function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+    while (i < text.length) {
+        const char = text[i];
+        if (char === '\n') {
+            tokens.push('\n');
+            i += 1;
+        } else if (/\s/.test(char)) {
+            i += 1;
+        } else if (char === '#' && (tokens.length === 0 || tokens[tokens.length - 1] === '\n')) {
+            while (i < text.length && text[i] !== '\n') {
+                i += 1;
+            }
+        } else if (char === '{' || char === '}') {
+            tokens.push(char);
+            i += 1;
+        } else if (char === '"') {
+            let value = '';
+            i += 1;
+            while (i < text.length && text[i] !== '"') {
+                if (text[i] === '\\' && i + 1 < text.length) {
+                    i += 1;
+                }
+                value += text[i];
+                i += 1;
+            }
+            i += 1;
+            tokens.push({ quoted: value });
+        } else {
+            let value = '';
+            while (i < text.length && !/[\s{}]/.test(text[i])) {
+                value += text[i];
+                i += 1;
+            }
+            tokens.push(value);
+        }
+    }
+    return tokens.map((token) => (typeof token === 'object' ? new QuotedString(token.quoted) : token));
+}
+
+/**
+ * Parses the entries in a block up to its closing brace.
+ *
+ * Each entry is a line of words, optionally followed by a nested block.
+ *
+ * @returns {Object} { entries: [{ words, block }], end: <index after the closing brace> }
+ */
+function parseBlock(tokens, start) {
+    const entries = [];
+    let words = [];
+    let index = start;
+
+    const endEntry = (block) => {
+        if (words.length > 0 || block) {
+            entries.push({ words, block });
+        }
+        words = [];
+    };
+
+    while (index < tokens.length && tokens[index] !== '}') {
+        const token = tokens[index];
+        if (token === '\n') {
+            endEntry();
+            index += 1;
+        } else if (token === '{') {
+            const nested = parseBlock(tokens, index + 1);
+            endEntry(nested.entries);
+            index = nested.end;
+        } else {
+            words.push(token);
+            index += 1;
+        }
+    }
+    endEntry();
+
+    return {
+        entries,
+        end: index + 1
+    };
+}
+
+/**
+ * Gets the iControl REST paths which Declarative Onboarding reads, longest first
+ */
+function getKnownPaths() {
+    const paths = ['/tm/cm/device', '/tm/sys/provision'].concat(SINGLETON_PATHS);
+    configItems.forEach((configItem) => {
+        if (configItem.path && configItem.path.indexOf('{{') === -1) {
+            paths.push(configItem.path);
+        }
+    });
+    return paths
+        .filter((path, index) => paths.indexOf(path) === index)
+        .sort((a, b) => b.length - a.length);
+}
+
+function addObject(parsed, knownPaths, header, entries) {
+    const words = header.map((word) => word.toString());
+    const path = knownPaths.find((knownPath) => {
+        const pathWords = knownPath.split('/').slice(2);
+        return pathWords.length <= words.length
+            && pathWords.every((pathWord, index) => pathWord === words[index]);
+    });
+
+    if (!path) {
+        parsed.skipped.push(words.slice(0, words.length > 1 ? words.length - 1 : 1).join(' '));
+        return;
+    }
+
+    const restObject = toProperties(entries);
+    const nameWords = words.slice(path.split('/').length - 2);
+
+    if (SINGLETON_PATHS.indexOf(path) !== -1 && nameWords.length === 0) {
+        const nested = NESTED_COLLECTIONS[path] || {};
+        Object.keys(nested).forEach((property) => {
+            if (Array.isArray(restObject[property])) {
+                parsed.objects[nested[property]] = (parsed.objects[nested[property]] || [])
+                    .concat(restObject[property]);
+                delete restObject[property];
+            }
+        });
+        parsed.objects[path] = Object.assign(parsed.objects[path] || {}, restObject);
+        return;
+    }
+
+    if (!parsed.objects[path]) {
+        parsed.objects[path] = [];
+    }
+    parsed.objects[path].push(Object.assign(toNamed(nameWords.join(' ')), restObject));
+}
+
+/**
+ * Gets the name properties iControl REST has for a tmsh name like /Common/external
+ */
+function toNamed(fullPath) {
+    if (!fullPath) {
+        return {};
+    }
+
+    const nameParts = /^\/([^/]+)\/(.+)$/.exec(fullPath);
+    if (!nameParts) {
+        return { name: fullPath, fullPath };
+    }
+    return {
+        name: nameParts[2],
+        partition: nameParts[1],
+        fullPath
+    };
+}
+
+/**
+ * Converts the entries of a block into the properties of an object
+ */
+function toProperties(entries) {
+    const properties = {};
+    entries.forEach((entry) => {
+        const key = toPropertyName(entry.words[0].toString());
+        if (entry.block) {
+            properties[key] = toValue(entry.block);
+        } else if (entry.words.length === 1) {
+            // flags are just the name of the property
+            properties[key] = true;
+        } else if (entry.words.length === 2) {
+            properties[key] = toScalar(entry.words[1]);
+        } else {
+            properties[key] = entry.words.slice(1).join(' ');
+        }
+    });
+    return properties;
+}
+
+/**
+ * Converts a nested block into a value.
+ *
+ * Blocks of named objects become arrays of objects with names (which is how iControl REST
+ * returns sub-collections), blocks of single words become arrays of strings, and other
+ * blocks become objects.
+ */
+function toValue(entries) {
+    if (entries.some((entry) => entry.block)) {
+        return entries.map((entry) => Object.assign(
+            toNamed(entry.words.map((word) => word.toString()).join(' ')),
+            entry.block ? toProperties(entry.block) : {}
+        ));
+    }
+
+    if (entries.length === 1 || entries.every((entry) => entry.words.length === 1)) {
+        return entries.reduce((values, entry) => values.concat(entry.words.map((word) => word.toString())), []);
+    }
+
+    return toProperties(entries);
+}
+
+function toScalar(word) {
+    if (word instanceof QuotedString) {
+        return word.toString();
+    }
+    return /^-?(0|[1-9][0-9]*)$/.test(word) ? parseInt(word, 10) : word;
+}
+
+/**
+ * Converts a tmsh property name (failsafe-action) into an iControl REST property name (failsafeAction)
+ */
+function toPropertyName(name) {
+    if (RENAMED_PROPERTIES[name]) {
+        return RENAMED_PROPERTIES[name];
+    }
+    return name.replace(/-([a-z0-9])/g, (match, letter) => letter.toUpperCase());
+}
@@ -35,28 +35,33 @@ class UserValidator {
 
         let isValid = true;
         const errors = [];
+        const pointers = [];
 
         Object.keys(userWrapper).forEach((user) => {
             if (user === 'root' && userWrapper[user].userType === 'regular') {
                 isValid = false;
                 errors.push('root must have userType root');
+                pointers.push('/declaration/Common/root/userType');
             }
             if (user !== 'root') {
                 if (userWrapper[user].userType === 'root') {
                     isValid = false;
                     errors.push(`${user} must have userType regular`);
+                    pointers.push(`/declaration/Common/${user}/userType`);
                 }
 
                 if (user.length > 31) {
                     isValid = false;
                     errors.push(`${user} is too long. User names must be less than 32 characters`);
+                    pointers.push(`/declaration/Common/${user}`);
                 }
             }
         });
 
         return Promise.resolve({
             isValid,
-            errors
+            errors,
+            pointers
         });
     }
 }
@@ -0,0 +1,151 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const querystring = require('querystring');
+
+const Logger = require('./logger');
+const secretResolver = require('./secretResolver');
+const BASE_URL = require('./sharedConstants').BASE_URL;
+const ENDPOINTS = require('./sharedConstants').ENDPOINTS;
+const STATUS = require('./sharedConstants').STATUS;
+
+const logger = new Logger(module);
+
+/**
+ * Validates a declaration without creating a task or contacting a device.
+ *
+ * @class
+ */
+class ValidateResponse {
+    /**
+     * Constructor
+     *
+     * @param {Validator} validator - The validator to use.
+     * @param {Object} wrapper - The DO wrapper to validate. Undefined if the request body could not be parsed.
+     * @param {Object} [options] - Optional parameters
+     * @param {Boolean} [options.all] - Report all validation errors. See {@link Validator}.
+     * @param {String[]} [options.errors] - Errors found before validation, like template parameters
+     *                                      which are not defined. If there are any, the declaration
+     *                                      is reported as bad without validating it.
+     * @param {Object} [options.queryParams] - The query params of the request.
+     */
+    constructor(validator, wrapper, options) {
+        this.validator = validator;
+        this.wrapper = wrapper;
+        this.options = options || {};
+        this.queryParams = this.options.queryParams || {};
+        this.errors = [];
+    }
+
+    getSelfLink() {
+        const query = querystring.stringify(this.queryParams);
+        return `${BASE_URL}/${ENDPOINTS.VALIDATE}${query ? '?' : ''}${query}`;
+    }
+
+    exists() {
+        return true;
+    }
+
+    getIds() {
+        return [0];
+    }
+
+    getCode() {
+        let code = this.code;
+        if (typeof code === 'undefined') {
+            code = this.errors.length ? 500 : 200;
+        }
+        return code;
+    }
+
+    getStatus() {
+        return this.getCode() >= 300 ? STATUS.STATUS_ERROR : STATUS.STATUS_OK;
+    }
+
+    getMessage() {
+        let message = this.message;
+        if (typeof message === 'undefined') {
+            message = this.getCode() >= 300 ? 'failed' : '';
+        }
+        return message;
+    }
+
+    getErrors() {
+        return this.errors;
+    }
+
+    getRawErrors() {
+        return this.rawErrors;
+    }
+
+    /**
+     * Runs the validators
+     *
+     * @returns {Promise} A promise which is resolved with { isValid }
+     */
+    getData() {
+        if (typeof this.wrapper === 'undefined') {
+            this.code = 400;
+            this.message = 'bad declaration';
+            this.errors.push('Unable to parse request body. Should be JSON format.');
+            return Promise.resolve({ isValid: false });
+        }
+
+        if (this.options.errors && this.options.errors.length > 0) {
+            this.code = 400;
+            this.message = 'bad declaration';
+            this.errors = this.errors.concat(this.options.errors);
+            return Promise.resolve({ isValid: false });
+        }
+
+        // Secret references are checked but not resolved
+        let wrapper;
+        try {
+            wrapper = secretResolver.replaceWithPlaceholders(this.wrapper);
+        } catch (err) {
+            this.code = 400;
+            this.message = 'bad declaration';
+            this.errors = this.errors.concat(err.errors || [err.message]);
+            return Promise.resolve({ isValid: false });
+        }
+
+        return Promise.resolve()
+            .then(() => this.validator.validate(wrapper, { all: !!this.options.all }))
+            .then((validation) => {
+                if (validation.isValid) {
+                    this.message = 'valid';
+                    return { isValid: true };
+                }
+
+                this.code = 400;
+                this.message = 'bad declaration';
+                this.errors = this.errors.concat(validation.messages || validation.errors || []);
+                if (validation.messages && validation.errors) {
+                    this.rawErrors = validation.errors;
+                }
+                return { isValid: false };
+            })
+            .catch((err) => {
+                logger.severe(`Error validating declaration: ${err.message}`);
+                this.errors.push(err.message);
+                return { isValid: false };
+            });
+    }
+}
+
+module.exports = ValidateResponse;
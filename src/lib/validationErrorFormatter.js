@@ -0,0 +1,342 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const jsonPatch = require('./jsonPatch');
+
+// Properties whose const picks the option of an anyOf or oneOf that applies to an object
+const DISCRIMINATORS = ['class', 'licenseType'];
+
+/**
+ * Turns validation errors into messages people can read, like
+ *
+ *     /Common/external/tag: must be integer 1-4094 (VLAN)
+ *
+ * The pointer is relative to the declaration (properties of the DO wrapper
+ * are relative to the wrapper) and the class is the class of the object the
+ * error is in.
+ */
+module.exports = {
+    /**
+     * Formats errors from Ajv.
+     *
+     * Ajv must have been created with the verbose option so that the errors include the schema.
+     * Errors for 'if' (which only say that a 'then' failed) are dropped, and errors for the
+     * options in an 'anyOf' or 'oneOf' are combined. Errors from options for another kind of
+     * object (another class or licenseType) are dropped when another option is for the object.
+     * Errors in property names point to the property.
+     *
+     * @param {Object[]} errors - The Ajv errors.
+     * @param {Object} data - The data (DO wrapper) that was validated.
+     *
+     * @returns {String[]} The messages.
+     */
+    formatAjvErrors(ajvErrors, data) {
+        const messages = [];
+        const errors = dropOtherKinds(ajvErrors || []);
+
+        // Ajv reports the errors for the options before the anyOf or oneOf error itself
+        const combined = [];
+        errors.forEach((error) => {
+            if (error.keyword === 'anyOf' || error.keyword === 'oneOf') {
+                getOptions(errors, error)
+                    .filter((option) => option.dataPath === error.dataPath)
+                    .forEach((option) => combined.push(option));
+            }
+        });
+
+        errors.forEach((error, position) => {
+            if (error.keyword === 'if' || combined.indexOf(error) !== -1) {
+                return;
+            }
+
+            let pointer = toPointer(error.dataPath);
+            let message;
+            if (typeof error.propertyName !== 'undefined') {
+                // error is for the name of a property rather than its value
+                pointer = `${pointer}/${escapeToken(error.propertyName)}`;
+                addMessage(messages, this.formatError(pointer, `name ${describe(error)}`, data));
+                return;
+            }
+
+            switch (error.keyword) {
+            case 'required':
+                pointer = `${pointer}/${escapeToken(getMissingProperty(error))}`;
+                message = 'is required';
+                break;
+            case 'additionalProperties':
+                pointer = `${pointer}/${escapeToken(error.params.additionalProperty)}`;
+                message = 'is not allowed';
+                break;
+            case 'propertyNames':
+                if (getOptions(errors, error).length > 0) {
+                    return;
+                }
+                pointer = `${pointer}/${escapeToken(error.params.propertyName)}`;
+                message = 'is not a valid name';
+                break;
+            case 'anyOf':
+            case 'oneOf': {
+                const options = getOptions(errors, error);
+                const sameData = options.filter((option) => option.dataPath === error.dataPath);
+                if (sameData.length > 0) {
+                    message = sameData
+                        .map((option) => describe(option))
+                        .filter((option, index, all) => all.indexOf(option) === index)
+                        .join(' or ');
+                } else if (options.length > 0 || hasErrorsWithin(errors.slice(0, position), pointer)) {
+                    // the errors for the options say more than this one. Options which are
+                    // references have schema paths of their own, so look for errors in the data.
+                    return;
+                } else {
+                    message = describe(error);
+                }
+                break;
+            }
+            default:
+                message = describe(error);
+            }
+
+            addMessage(messages, this.formatError(pointer, message, data));
+        });
+
+        return messages;
+    },
+
+    /**
+     * Formats an error message for a location in the data.
+     *
+     * @param {String} pointer - JSON pointer to the error in the data (DO wrapper).
+     * @param {String} message - The error message.
+     * @param {Object} data - The data (DO wrapper) that was validated.
+     *
+     * @returns {String} The message.
+     */
+    formatError(pointer, message, data) {
+        // If the class itself is wrong, say what the object is in instead
+        const classPointer = /\/class$/.test(pointer) ? pointer.replace(/\/[^/]*\/class$/, '') : pointer;
+        const className = getClassName(data, classPointer || '');
+        const displayPointer = (pointer || '').replace(/^\/declaration(?=\/|$)/, '') || '/';
+        return `${displayPointer}: ${message}${className ? ` (${className})` : ''}`;
+    }
+};
+
+/**
+ * Gets the errors for the options of an anyOf or oneOf error
+ */
+function getOptions(errors, error) {
+    return errors.filter((other) => other !== error
+        && other.schemaPath.indexOf(`${error.schemaPath}/`) === 0);
+}
+
+/**
+ * Drops the errors from the options of an anyOf or oneOf which are for another kind of object,
+ * like the options for a regKey License in a licensePool License. The errors that say the
+ * kind is wrong (the const for class or licenseType) are only dropped if there are errors from
+ * an option for the right kind, so that there is still an error if no option is.
+ */
+function dropOtherKinds(errors) {
+    const otherKinds = errors.filter((error) => isForOtherKind(error));
+    const kindErrors = errors.filter((error) => isKindError(error));
+    const remaining = errors.filter((error) => otherKinds.indexOf(error) === -1
+        && kindErrors.indexOf(error) === -1
+        && ['if', 'anyOf', 'oneOf'].indexOf(error.keyword) === -1);
+
+    const kept = errors.filter((error) => {
+        if (otherKinds.indexOf(error) !== -1) {
+            return false;
+        }
+        if (kindErrors.indexOf(error) !== -1) {
+            const objectPointer = toPointer(error.dataPath).replace(/\/[^/]*$/, '');
+            return !hasErrorsWithin(remaining, objectPointer);
+        }
+        return true;
+    });
+
+    // Never drop everything
+    return kept.some((error) => error.keyword !== 'if') ? kept : errors;
+}
+
+/**
+ * Whether an error is from a schema for another kind of object than the data, going by the
+ * const of a discriminator property in the schema
+ */
+function isForOtherKind(error) {
+    const properties = (error.parentSchema && error.parentSchema.properties) || {};
+    const value = error.data;
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return false;
+    }
+    return DISCRIMINATORS.some((name) => properties[name]
+        && typeof properties[name].const !== 'undefined'
+        && typeof value[name] !== 'undefined'
+        && value[name] !== properties[name].const);
+}
+
+/**
+ * Whether an error says that a discriminator property does not have the const of a schema
+ */
+function isKindError(error) {
+    const tokens = jsonPatch.parsePointer(toPointer(error.dataPath));
+    return error.keyword === 'const' && DISCRIMINATORS.indexOf(tokens[tokens.length - 1]) !== -1;
+}
+
+/**
+ * Whether any of the errors are at or below a pointer
+ */
+function hasErrorsWithin(errors, pointer) {
+    return errors.some((error) => {
+        const errorPointer = toPointer(error.dataPath);
+        return error.keyword !== 'if' && (errorPointer === pointer || errorPointer.indexOf(`${pointer}/`) === 0);
+    });
+}
+
+/**
+ * Gets the name of the property of a required error. Without jsonPointers, Ajv gives it as
+ * JavaScript property access (.hypervisor or ['my property']).
+ */
+function getMissingProperty(error) {
+    const missingProperty = `${error.params.missingProperty}`;
+    if (!/^(\.|\[)/.test(missingProperty)) {
+        return missingProperty;
+    }
+    const tokens = jsonPatch.parsePointer(toPointer(missingProperty));
+    return tokens[tokens.length - 1];
+}
+
+function addMessage(messages, message) {
+    if (messages.indexOf(message) === -1) {
+        messages.push(message);
+    }
+}
+
+/**
+ * Describes what is wrong for a single Ajv error
+ */
+function describe(error) {
+    const schema = error.parentSchema || {};
+    switch (error.keyword) {
+    case 'type':
+    case 'minimum':
+    case 'maximum':
+    case 'exclusiveMinimum':
+    case 'exclusiveMaximum':
+        return `must be ${describeType(schema, error.params.type)}`;
+    case 'enum':
+        return `must be one of ${error.params.allowedValues.map((value) => JSON.stringify(value)).join(', ')}`;
+    case 'const':
+        return `must be ${JSON.stringify(error.params.allowedValue)}`;
+    case 'format':
+        return `must be a valid ${error.params.format}`;
+    case 'pattern':
+        return `must match the pattern ${error.params.pattern}`;
+    case 'minLength':
+        return `must be at least ${error.params.limit} characters long`;
+    case 'maxLength':
+        return `must be at most ${error.params.limit} characters long`;
+    case 'minItems':
+        return `must have at least ${error.params.limit} items`;
+    case 'maxItems':
+        return `must have at most ${error.params.limit} items`;
+    case 'uniqueItems':
+        return 'must not have duplicate items';
+    case 'required':
+        return `must have property '${getMissingProperty(error)}'`;
+    case 'additionalProperties':
+        return `must not have property '${error.params.additionalProperty}'`;
+    default:
+        return (error.message || 'is not valid').replace(/^should/, 'must');
+    }
+}
+
+/**
+ * Describes the type of a schema along with its range, like 'integer 1-4094'
+ */
+function describeType(schema, fallbackType) {
+    let type = schema.type || fallbackType || 'number';
+    if (Array.isArray(type)) {
+        type = type.join(' or ');
+    }
+
+    const hasMinimum = typeof schema.minimum === 'number';
+    const hasMaximum = typeof schema.maximum === 'number';
+    if (hasMinimum && hasMaximum) {
+        return `${type} ${schema.minimum}-${schema.maximum}`;
+    }
+    if (hasMinimum) {
+        return `${type} >= ${schema.minimum}`;
+    }
+    if (hasMaximum) {
+        return `${type} <= ${schema.maximum}`;
+    }
+    if (typeof schema.exclusiveMinimum === 'number') {
+        return `${type} > ${schema.exclusiveMinimum}`;
+    }
+    if (typeof schema.exclusiveMaximum === 'number') {
+        return `${type} < ${schema.exclusiveMaximum}`;
+    }
+    return type;
+}
+
+/**
+ * Gets the class of the innermost object with a class on the way to a pointer
+ */
+function getClassName(data, pointer) {
+    let className;
+    let value = data;
+    const tokens = jsonPatch.parsePointer(pointer);
+
+    [''].concat(tokens).forEach((token, index) => {
+        if (index > 0) {
+            value = value && typeof value === 'object' ? value[token] : undefined;
+        }
+        if (value && typeof value === 'object' && typeof value.class === 'string' && value.class !== 'DO') {
+            className = value.class;
+        }
+    });
+
+    return className;
+}
+
+/**
+ * Converts an Ajv dataPath into a JSON pointer. Ajv uses JavaScript property access
+ * (.declaration.Common['my vlan'].interfaces[0]) unless it is created with jsonPointers.
+ */
+function toPointer(dataPath) {
+    if (!dataPath || dataPath.charAt(0) === '/') {
+        return dataPath || '';
+    }
+
+    const tokens = [];
+    const regex = /\.([^.[]+)|\[(\d+)\]|\['((?:[^'\\]|\\.)*)'\]/g;
+    let match = regex.exec(dataPath);
+    while (match) {
+        if (typeof match[1] !== 'undefined') {
+            tokens.push(match[1]);
+        } else if (typeof match[2] !== 'undefined') {
+            tokens.push(match[2]);
+        } else {
+            tokens.push(match[3].replace(/\\(.)/g, '$1'));
+        }
+        match = regex.exec(dataPath);
+    }
+    return tokens.map((token) => `/${escapeToken(token)}`).join('');
+}
+
+function escapeToken(token) {
+    return `${token}`.replace(/~/g, '~0').replace(/\//g, '~1');
+}
@@ -25,14 +25,23 @@ const RoutingAccessListValidator = require('./routingAccessListValidator');
 const RoutingPrefixListValidator = require('./routingPrefixListValidator');
 const RoutingBgpValidator = require('./routingBgpValidator');
 const UserValidator = require('./userValidator');
+const validationErrorFormatter = require('./validationErrorFormatter');
 
 class Validator {
-    constructor() {
+    /**
+     * Constructor
+     *
+     * @param {Object} [options] - Optional parameters
+     * @param {String} [options.platform] - The platform DO is running on (BIG-IP, BIG-IQ, etc), for
+     *                                      validating without a device. Default is to ask the device
+     *                                      this is running on when a declaration needs it.
+     */
+    constructor(options) {
         this.validators = [
             new AjvValidator(),
             new BusinessLogicValidator(),
             new BigIqSettingsValidator(),
-            new LicensePoolValidator(),
+            new LicensePoolValidator(options),
             new UserValidator(),
             new DeviceCertificateValidator(),
             new RoutingAccessListValidator(),
@@ -41,7 +50,26 @@ class Validator {
         ];
     }
 
-    validate(data) {
+    /**
+     * Validates a DO wrapper.
+     *
+     * @param {Object} data - The DO wrapper. Defaults from the schema are filled in.
+     * @param {Object} [options] - Optional parameters
+     * @param {Boolean} [options.all] - Run all of the validators and report every error instead of
+     *                                  just the errors from the first validator that fails. Errors are
+     *                                  then objects with a JSON pointer to where the error is (relative
+     *                                  to the DO wrapper) and a message. Default false.
+     *
+     * @returns {Promise} A promise which is resolved with { isValid, errors, messages, validators }.
+     *                    messages are the errors formatted for people to read, like
+     *                    '/Common/external/tag: must be integer 1-4094 (VLAN)'. validators are the
+     *                    names of the validators which failed, like 'AjvValidator', if not valid.
+     */
+    validate(data, options) {
+        if (options && options.all) {
+            return validateAll.call(this, data);
+        }
+
         // We want to run the validators serially so that we can control which errors
         // show up first. Namely, we want JSON validation errors first.
         const runInSerial = this.validators.reduce((promiseChain, currentValidator) => promiseChain
@@ -55,12 +83,115 @@ class Validator {
             .then((results) => {
                 const firstError = results.find((currentResult) => !currentResult.isValid);
 
-                return firstError || {
-                    isValid: true,
-                    errors: null
-                };
+                if (!firstError) {
+                    return {
+                        isValid: true,
+                        errors: null,
+                        messages: null
+                    };
+                }
+
+                if (!firstError.messages) {
+                    firstError.messages = formatMessages(firstError, data);
+                }
+                firstError.validators = [this.validators[results.indexOf(firstError)].constructor.name];
+                return firstError;
             });
     }
 }
 
+function validateAll(data) {
+    // Compiling the schema is slow, so only do this if someone asks for it
+    if (!this.allErrorsAjvValidator) {
+        this.allErrorsAjvValidator = new AjvValidator({ allErrors: true });
+    }
+
+    const validators = [this.allErrorsAjvValidator].concat(this.validators.slice(1));
+    const errors = [];
+    const failedValidators = [];
+    let messages = [];
+    let isSchemaValid = true;
+
+    const runInSerial = validators.reduce((promiseChain, currentValidator, index) => promiseChain
+        .then(() => Promise.resolve()
+            .then(() => currentValidator.validate(data))
+            .catch((err) => {
+                // The other validators expect data which matches the schema. If it doesn't,
+                // the schema errors already explain what is wrong.
+                if (!isSchemaValid) {
+                    return { isValid: true };
+                }
+                return Promise.reject(err);
+            })
+            .then((currentResult) => {
+                if (currentResult.isValid) {
+                    return;
+                }
+
+                failedValidators.push(this.validators[index].constructor.name);
+                if (index === 0) {
+                    isSchemaValid = false;
+                    messages = messages.concat(currentResult.messages || []);
+                    currentResult.errors.forEach((error) => {
+                        const pointer = toDeclarationPointer(error.dataPath);
+                        // 'if' just says the 'then' schema failed, and those errors are already reported.
+                        // The same error can also come from more than one part of the schema.
+                        if (error.keyword === 'if' || errors.some((existing) => existing.pointer === pointer
+                            && existing.message === error.message)) {
+                            return;
+                        }
+                        errors.push({
+                            pointer,
+                            message: error.message,
+                            params: error.params
+                        });
+                    });
+                } else {
+                    messages = messages.concat(formatMessages(currentResult, data));
+                    const pointers = currentResult.pointers || [];
+                    currentResult.errors.forEach((message, errorIndex) => {
+                        errors.push({
+                            pointer: toDeclarationPointer(pointers[errorIndex]),
+                            message
+                        });
+                    });
+                }
+            })), Promise.resolve());
+
+    return runInSerial
+        .then(() => {
+            const result = {
+                isValid: errors.length === 0,
+                errors: errors.length > 0 ? errors : null,
+                messages: messages.length > 0 ? messages : null
+            };
+            if (!result.isValid) {
+                result.validators = failedValidators;
+            }
+            return result;
+        });
+}
+
+/**
+ * Makes a pointer into the DO wrapper relative to the declaration, like the pointers in
+ * the messages and the secretRef errors. Pointers outside of the declaration are unchanged.
+ */
+function toDeclarationPointer(pointer) {
+    return (pointer || '').replace(/^\/declaration(?=\/|$)/, '');
+}
+
+/**
+ * Formats the errors from one of the custom validators, which are strings with
+ * an optional parallel array of JSON pointers
+ */
+function formatMessages(result, data) {
+    const pointers = result.pointers || [];
+    return (result.errors || []).map((message, index) => {
+        if (!pointers[index]) {
+            return message;
+        }
+        return validationErrorFormatter.formatError(pointers[index], message, data);
+    });
+}
+
 module.exports = Validator;
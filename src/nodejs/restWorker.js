@@ -27,26 +27,52 @@ const doUtil = require('../lib/doUtil');
 const cryptoUtil = require('../lib/cryptoUtil');
 const ConfigManager = require('../lib/configManager');
 const DeclarationHandler = require('../lib/declarationHandler');
+const declarationTemplate = require('../lib/declarationTemplate');
 const Logger = require('../lib/logger');
 const Response = require('../lib/response');
+const secretResolver = require('../lib/secretResolver');
 const ConfigResponse = require('../lib/configResponse');
+const ConvertResponse = require('../lib/convertResponse');
+const DriftHandler = require('../lib/driftHandler');
+const DriftResponse = require('../lib/driftResponse');
+const HistoryDiffResponse = require('../lib/historyDiffResponse');
+const HistoryResponse = require('../lib/historyResponse');
 const InfoResponse = require('../lib/infoResponse');
 const InspectResponse = require('../lib/inspectResponse');
+const Metrics = require('../lib/metrics');
+const settings = require('../lib/settings');
+const SettingsResponse = require('../lib/settingsResponse');
 const TaskResponse = require('../lib/taskResponse');
+const ValidateResponse = require('../lib/validateResponse');
 const State = require('../lib/state');
 const SshUtil = require('../lib/sshUtil');
+const TaskEvents = require('../lib/taskEvents');
+const TaskLogs = require('../lib/taskLogs');
+const TaskQueue = require('../lib/taskQueue');
 const Validator = require('../lib/validator');
+const jsonPatch = require('../lib/jsonPatch');
 const configItems = require('../lib/configItems.json');
 
 const STATUS = require('../lib/sharedConstants').STATUS;
 const EVENTS = require('../lib/sharedConstants').EVENTS;
 const ENDPOINTS = require('../lib/sharedConstants').ENDPOINTS;
+const RECONCILIATION_USER_AGENT = require('../lib/sharedConstants').RECONCILIATION_USER_AGENT;
 
 const logger = new Logger(module);
 
 const BIG_IP_ENCRYPTION_ID = 'doBigIp';
 const BIG_IQ_ENCRYPTION_ID = 'doBigIq';
 
+// How long to poll a TCW task (32 minutes). The TCW -> DO timeout is 30 minutes.
+const TCW_POLL_TIMEOUT = 32 * 60 * 1000;
+
+// How long to hold the task queue for a reboot of the local BIG-IP (30 minutes) before giving up on it
+const REBOOT_HOLD_TIMEOUT = 30 * 60 * 1000;
+
+// How long a GET for task events waits for a new event, and how long clients should wait to ask again
+const EVENTS_WAIT_TIMEOUT = 25000;
+const EVENTS_RETRY_INTERVAL = 1000;
+
 /**
  * API handler
  *
@@ -59,6 +85,14 @@ class RestWorker {
         this.isPassThrough = true;
         this.eventEmitter = new EventEmitter();
         this.bigIps = {}; // map of task ID -> big IP
+        this.secrets = {}; // map of task ID -> secrets masked out of the stored declaration
+        this.taskQueue = new TaskQueue();
+        this.taskEvents = new TaskEvents();
+        this.taskLogs = new TaskLogs();
+        Logger.setTaskLogs(this.taskLogs);
+        this.metrics = new Metrics();
+        this.countedTaskIds = new Set(); // ids of finished tasks already in the metrics
+        this.remediationTimer = null;
     }
 
     /**
@@ -149,6 +183,13 @@ class RestWorker {
             this.state.doState.setTraceDiff(taskId, diff);
         });
 
+        this.eventEmitter.on(EVENTS.TASK_PROGRESS, (taskId, type, data) => {
+            this.taskEvents.add(taskId, type, data);
+            if (type === 'licensingStarted') {
+                this.metrics.increment('do_licensing_attempts_total', { license_type: data.licenseType });
+            }
+        });
+
         // The framework is supposed to pass in our state, but does not.
         load.call(this)
             .then(() => handleStartupState.call(this, success, error))
@@ -171,6 +212,15 @@ class RestWorker {
         if (!pathInfo.path) {
             // Just a GET to our base URI - return most recent task for backwards compatibility
             sendResponse.call(this, restOperation, ENDPOINTS.TASK, this.state.doState.mostRecentTask);
+        } else if (pathInfo.path === ENDPOINTS.SETTINGS) {
+            // There is only one set of settings, so respond with it rather than a list
+            sendResponse.call(this, restOperation, ENDPOINTS.SETTINGS, 0);
+        } else if (pathInfo.path === ENDPOINTS.TASK && pathInfo.action === 'events') {
+            sendTaskEvents.call(this, restOperation, pathInfo.id);
+        } else if (pathInfo.path === ENDPOINTS.TASK && pathInfo.action === 'logs') {
+            sendTaskLogs.call(this, restOperation, pathInfo.id);
+        } else if (pathInfo.path === ENDPOINTS.METRICS) {
+            sendMetrics.call(this, restOperation);
         } else {
             sendResponse.call(this, restOperation, pathInfo.path, pathInfo.id);
         }
@@ -179,265 +229,1251 @@ class RestWorker {
     /**
      * Handles Post requests.
      *
+     * POST to /task/{id}/rollback re-applies the configuration the device had before
+     * that task ran.
+     *
+     * POST to /validate only validates the declaration. No task is created.
+     *
+     * POST to /convert converts the declaration to another schema version. No task is created.
+     *
+     * POST to /settings changes the settings. No task is created.
+     *
+     * Bodies may be templates, which are resolved first. See {@link declarationTemplate}.
+     *
      * @param {Object} restOperation
      */
     onPost(restOperation) {
         logger.finest('Got onboarding request.');
 
+        const pathInfo = getPathInfo(restOperation.getUri());
+        if (pathInfo.path === ENDPOINTS.TASK && pathInfo.action === 'rollback') {
+            rollbackTask.call(this, restOperation, pathInfo.id);
+            return;
+        }
+        if (pathInfo.path === ENDPOINTS.VALIDATE) {
+            validateDeclaration.call(this, restOperation);
+            return;
+        }
+        if (pathInfo.path === ENDPOINTS.CONVERT) {
+            convertDeclaration.call(this, restOperation);
+            return;
+        }
+        if (pathInfo.path === ENDPOINTS.SETTINGS) {
+            updateSettings.call(this, restOperation);
+            return;
+        }
+
+        const taskId = this.state.doState.addTask();
+
+        const body = parseBody(restOperation);
+        if (typeof body === 'undefined') {
+            sendTaskError.call(
+                this,
+                restOperation,
+                taskId,
+                400,
+                'bad declaration',
+                'Unable to parse request body. Should be JSON format.'
+            );
+            return;
+        }
+
+        const resolved = resolveTemplate(body);
+        if (resolved.errors) {
+            sendTaskError.call(this, restOperation, taskId, 400, 'bad declaration', resolved.errors);
+            return;
+        }
+
+        processDeclaration.call(this, restOperation, taskId, resolved.body);
+    }
+
+    /**
+     * Handles Patch requests.
+     *
+     * The body is an array of JSON Patch (RFC 6902) operations which are applied to the
+     * declaration of the most recent successful task for the target. The result is then
+     * processed just as if it had been POSTed. Remote targets are given with the targetHost,
+     * targetPort, targetUsername and targetPassword query parameters, as for /drift.
+     *
+     * @param {Object} restOperation
+     */
+    onPatch(restOperation) {
+        logger.finest('Got patch request.');
+
+        const pathInfo = getPathInfo(restOperation.getUri());
+        if (pathInfo.path) {
+            sendError(restOperation, 400, 'PATCH is only supported for the base endpoint');
+            return;
+        }
+
         const taskId = this.state.doState.addTask();
 
-        const contentType = restOperation.getContentType() || '';
-        let body = restOperation.getBody();
-        let isFromTcw = false;
-        let bigIpOptions;
-        let platform;
-
-        if (!contentType.toLowerCase().startsWith('application/json')) {
-            try {
-                body = JSON.parse(body);
-            } catch (err) {
-                const message = 'Unable to parse request body. Should be JSON format.';
-                logger.info(message);
-                this.state.doState.setDeclaration(taskId, {});
-                this.state.doState.setErrors(taskId, null);
-                this.state.doState.updateResult(taskId, 400, STATUS.STATUS_ERROR, 'bad declaration', message);
+        const patch = parseBody(restOperation);
+        if (!Array.isArray(patch)) {
+            sendTaskError.call(
+                this,
+                restOperation,
+                taskId,
+                400,
+                'bad patch',
+                'Unable to parse request body. Should be an array of JSON Patch operations.'
+            );
+            return;
+        }
+
+        let targetDevice;
+        try {
+            targetDevice = doUtil.getTargetDevice(restOperation.getUri().query || {});
+        } catch (err) {
+            sendTaskError.call(this, restOperation, taskId, 400, 'bad patch', err.message);
+            return;
+        }
+
+        // Tasks without a targetPort are recorded without one
+        const target = TaskQueue.getTarget(targetDevice.host, targetDevice.port);
+        const lastTaskId = this.state.doState.getLastSuccessfulTaskId(target)
+            || (targetDevice.port
+                ? this.state.doState.getLastSuccessfulTaskId(TaskQueue.getTarget(targetDevice.host))
+                : null);
+        if (!lastTaskId) {
+            sendTaskError.call(
+                this,
+                restOperation,
+                taskId,
+                422,
+                'bad patch',
+                `There is no successful declaration for ${target} to patch.`
+            );
+            return;
+        }
+
+        // The secrets are not stored, so the patched declaration would be missing them
+        const maskedSecrets = this.state.doState.getMaskedSecrets(lastTaskId);
+        if (maskedSecrets.length > 0) {
+            sendTaskError.call(
+                this,
+                restOperation,
+                taskId,
+                422,
+                'bad patch',
+                `The declaration from task ${lastTaskId} had secrets which were not stored: ${maskedSecrets.join(', ')}.`
+                    + ' Send the whole declaration with POST, or use secretRef for them.'
+            );
+            return;
+        }
+
+        // A patch comes from a user, not from remediation
+        let lastDeclaration = this.state.doState.getDeclaration(lastTaskId);
+        if (lastDeclaration.controls && lastDeclaration.controls.userAgent === RECONCILIATION_USER_AGENT) {
+            lastDeclaration = JSON.parse(JSON.stringify(lastDeclaration));
+            delete lastDeclaration.controls.userAgent;
+        }
+
+        let body;
+        try {
+            body = jsonPatch.apply(lastDeclaration, patch);
+        } catch (err) {
+            sendTaskError.call(this, restOperation, taskId, 422, 'bad patch', err.message);
+            return;
+        }
+
+        if (targetDevice.host) {
+            body = {
+                class: 'DO',
+                targetHost: targetDevice.host,
+                targetPort: targetDevice.port,
+                targetUsername: targetDevice.username,
+                targetPassphrase: targetDevice.password,
+                declaration: body
+            };
+            Object.keys(body).forEach((key) => {
+                if (typeof body[key] === 'undefined') {
+                    delete body[key];
+                }
+            });
+        }
+
+        processDeclaration.call(this, restOperation, taskId, body);
+    }
+
+    /**
+     * Handles Delete requests.
+     *
+     * DELETE to the config endpoint deletes an original config. DELETE to the task
+     * endpoint cancels a queued or running task. Send ?rollback=true to roll back
+     * the changes made by a running task after it stops.
+     *
+     * @param {Object} restOperation
+     */
+    onDelete(restOperation) {
+        const pathInfo = getPathInfo(restOperation.getUri());
+        if (pathInfo.path === ENDPOINTS.TASK) {
+            cancelTask.call(this, restOperation, pathInfo.id);
+        } else if (pathInfo.path !== ENDPOINTS.CONFIG) {
+            sendError(
+                restOperation,
+                400,
+                `DELETE is only supported for the ${ENDPOINTS.CONFIG} and ${ENDPOINTS.TASK} endpoints`
+            );
+        } else if (!pathInfo.id) {
+            sendError(restOperation, 400, 'id must be specified for DELETE');
+        } else if (this.state.doState.getOriginalConfigByConfigId(pathInfo.id)) {
+            this.state.doState.deleteOriginalConfigByConfigId(pathInfo.id);
+            save.call(this)
+                .then(() => {
+                    sendResponse.call(this, restOperation, ENDPOINTS.CONFIG);
+                })
+                .catch((err) => {
+                    sendError(restOperation, 500, err.message);
+                });
+        } else {
+            sendError(restOperation, 404, `${pathInfo.id} does not exist`);
+        }
+    }
+
+    /**
+     * Returns an exmple of a valid declaration.
+     *
+     * This is called by WOKER_URI/example.
+     *
+     * @returns {Object} An example of a valid declaration.
+     */
+    /* eslint-disable class-methods-use-this */
+    getExampleState() {
+        let exampleResponse;
+
+        try {
+            const example = `${__dirname}/../examples/onboard.json`;
+            exampleResponse = JSON.parse(fs.readFileSync(example).toString());
+        } catch (err) {
+            logger.warning(`Error reading example file: ${err}`);
+            exampleResponse = {
+                message: 'no example available'
+            };
+        }
+        return exampleResponse;
+    }
+    /* eslint-enable class-methods-use-this */
+}
+
+/**
+ * Validates and processes a declaration as a new task.
+ *
+ * Secret references in the declaration are resolved before it is validated. See {@link secretResolver}.
+ *
+ * @param {Object} restOperation - The restOperation which will be completed with the task.
+ * @param {String} taskId - The id of the task.
+ * @param {Object} body - The request body (a declaration or a DO wrapper).
+ */
+function processDeclaration(restOperation, taskId, body) {
+    // Rest framework complains about 'this' because of 'strict', but we use call(this)
+    /* jshint validthis: true */
+
+    const reqOpts = {
+        method: restOperation.getMethod().toUpperCase(),
+        query: restOperation.getUri().query
+    };
+
+    this.state.doState.setErrors(taskId, null);
+
+    secretResolver.resolve(getWrapper(body))
+        .then(
+            (wrapper) => {
+                const declaration = wrapper.declaration;
+                return this.validator.validate(wrapper, { all: isValidateAll(restOperation, declaration) })
+                    .then((validation) => {
+                        this.state.doState.setRequestOptions(taskId, reqOpts);
+                        // Keep the secret references so that PATCH and remediation can resolve them again
+                        this.state.doState.setDeclaration(
+                            taskId,
+                            secretResolver.restoreReferences(declaration, getWrapper(body).declaration)
+                        );
+                        if (!validation.isValid) {
+                            (validation.validators || []).forEach((validator) => {
+                                this.metrics.increment('do_validation_failures_total', { validator });
+                            });
+                            sendBadDeclaration.call(
+                                this,
+                                restOperation,
+                                taskId,
+                                validation.messages || validation.errors,
+                                validation.messages ? validation.errors : undefined
+                            );
+                        } else {
+                            enqueueDeclaration.call(this, restOperation, taskId, wrapper, declaration, reqOpts);
+                        }
+                    });
+            },
+            (err) => {
+                // Secret references which are not valid or cannot be resolved
+                this.state.doState.setRequestOptions(taskId, reqOpts);
+                this.state.doState.setDeclaration(taskId, getWrapper(body).declaration);
+                sendBadDeclaration.call(this, restOperation, taskId, err.errors || [err.message]);
+            }
+        );
+}
+
+/**
+ * Completes a task whose declaration is not valid.
+ *
+ * @param {Object} restOperation - The restOperation which will be completed with the task.
+ * @param {String} taskId - The id of the task.
+ * @param {String[]} errors - Why the declaration is not valid.
+ * @param {Object[]} [rawErrors] - The errors from the validator, if errors are formatted messages.
+ */
+function sendBadDeclaration(restOperation, taskId, errors, rawErrors) {
+    // Rest framework complains about 'this' because of 'strict', but we use call(this)
+    /* jshint validthis: true */
+
+    const message = `Bad declaration: ${JSON.stringify(errors)}`;
+    logger.info(message);
+    this.state.doState.updateResult(
+        taskId,
+        400,
+        STATUS.STATUS_ERROR,
+        'bad declaration',
+        errors
+    );
+    if (rawErrors) {
+        this.state.doState.setRawErrors(taskId, rawErrors);
+    }
+    save.call(this)
+        .then(() => {
+            sendResponse.call(this, restOperation, ENDPOINTS.TASK, taskId);
+        });
+}
+
+/**
+ * Validates a declaration and sends the result. Nothing is saved and the device is not contacted.
+ *
+ * @param {Object} restOperation - The restOperation with the declaration.
+ */
+function validateDeclaration(restOperation) {
+    // Rest framework complains about 'this' because of 'strict', but we use call(this)
+    /* jshint validthis: true */
+
+    const resolved = resolveTemplate(parseBody(restOperation));
+    const wrapper = typeof resolved.body === 'undefined' ? undefined : getWrapper(resolved.body);
+    const query = restOperation.getUri().query;
+    const responder = new ValidateResponse(
+        this.validator,
+        wrapper,
+        {
+            all: isValidateAll(restOperation, wrapper && wrapper.declaration),
+            errors: resolved.errors,
+            queryParams: query
+        }
+    );
+    sendResponse.call(this, restOperation, ENDPOINTS.VALIDATE, 0, responder);
+}
+
+/**
+ * Converts a declaration to the schema version in the toVersion query param. No task is created.
+ *
+ * @param {Object} restOperation - The restOperation with the declaration.
+ */
+function convertDeclaration(restOperation) {
+    // Rest framework complains about 'this' because of 'strict', but we use call(this)
+    /* jshint validthis: true */
+
+    const resolved = resolveTemplate(parseBody(restOperation));
+    const query = restOperation.getUri().query;
+    const responder = new ConvertResponse(
+        this.validator,
+        resolved.body,
+        {
+            toVersion: query.toVersion,
+            errors: resolved.errors,
+            queryParams: query
+        }
+    );
+    sendResponse.call(this, restOperation, ENDPOINTS.CONVERT, 0, responder);
+}
+
+/**
+ * Changes the settings and saves them with the state. See {@link settings}.
+ *
+ * @param {Object} restOperation - The restOperation with the settings to change.
+ */
+function updateSettings(restOperation) {
+    // Rest framework complains about 'this' because of 'strict', but we use call(this)
+    /* jshint validthis: true */
+
+    const body = parseBody(restOperation);
+    const errors = typeof body === 'undefined'
+        ? ['Unable to parse request body. Should be JSON format.']
+        : settings.validate(body);
+    if (errors.length > 0) {
+        const responder = new SettingsResponse(this.state.doState, { errors });
+        sendResponse.call(this, restOperation, ENDPOINTS.SETTINGS, 0, responder);
+        return;
+    }
+
+    this.state.doState.setSettings(body);
+    Logger.setFormat(this.state.doState.getSettings().logFormat);
+    save.call(this)
+        .then(() => {
+            sendResponse.call(this, restOperation, ENDPOINTS.SETTINGS, 0, new SettingsResponse(this.state.doState));
+        })
+        .catch((err) => {
+            sendError(restOperation, 500, err.message);
+        });
+}
+
+/**
+ * Resolves the parameters in a request body which is a template. See {@link declarationTemplate}.
+ *
+ * @param {Object} body - The request body.
+ *
+ * @returns {Object} { body, errors } where body is the resolved body (or the original body
+ *                   if it cannot be resolved) and errors are the reasons it cannot be resolved.
+ */
+function resolveTemplate(body) {
+    if (typeof body === 'undefined') {
+        return { body };
+    }
+
+    try {
+        return { body: declarationTemplate.resolveRequest(body) };
+    } catch (err) {
+        return {
+            body,
+            errors: err.errors || [err.message]
+        };
+    }
+}
+
+/**
+ * Gets the DO wrapper for a request body.
+ *
+ * @param {Object} body - The request body (a declaration or a DO wrapper).
+ *
+ * @returns {Object} The DO wrapper. For a declaration, the wrapper is for the base request (no remote info).
+ */
+function getWrapper(body) {
+    const declaration = Object.assign({}, body);
+    if (declaration.class === 'DO') {
+        return declaration;
+    }
+    return {
+        declaration,
+        class: 'DO'
+    };
+}
+
+/**
+ * Whether or not to report all validation errors for a request.
+ *
+ * @param {Object} restOperation - The restOperation with the declaration.
+ * @param {Object} declaration - The declaration.
+ *
+ * @returns {Boolean} True if validateAll=true is in the query or the declaration asks for it.
+ */
+function isValidateAll(restOperation, declaration) {
+    const query = restOperation.getUri().query || {};
+    return query.validateAll === 'true'
+        || !!(declaration && declaration.controls && declaration.controls.validation === 'all');
+}
+
+/**
+ * Starts processing a valid declaration, or queues it if another task is already
+ * processing a declaration for the same target.
+ *
+ * @param {Object} restOperation - The restOperation which will be completed with the task.
+ * @param {String} taskId - The id of the task.
+ * @param {Object} wrapper - The DO wrapper.
+ * @param {Object} declaration - The declaration.
+ * @param {Object} reqOpts - The request options.
+ * @param {Function} [run] - Function that processes the task. Called with the same arguments
+ *                           as runDeclaration, which is the default.
+ */
+function enqueueDeclaration(restOperation, taskId, wrapper, declaration, reqOpts, run) {
+    // Rest framework complains about 'this' because of 'strict', but we use call(this)
+    /* jshint validthis: true */
+
+    // Requests coming back to us from the TCW on BIG-IQ are run on behalf of a task
+    // which is already holding the target, so they must not wait for it
+    const runTask = run || runDeclaration;
+    const targetInfo = doUtil.dereference(wrapper, { host: wrapper.targetHost, port: wrapper.targetPort });
+    const target = TaskQueue.getTarget(targetInfo.host, targetInfo.port);
+    this.state.doState.setTarget(taskId, target);
+
+    const query = restOperation.getUri().query || {};
+    if (Object.keys(query).some((key) => key.toLowerCase() === 'internal' && query[key])) {
+        runTask.call(this, restOperation, taskId, wrapper, declaration, reqOpts, false);
+        return;
+    }
+    const onConflict = (declaration.controls && declaration.controls.onConflict) || 'queue';
+
+    if (this.taskQueue.isBusy(target)) {
+        const runningTaskId = this.taskQueue.getRunning(target);
+        if (onConflict === 'reject') {
+            const message = `Task ${runningTaskId} is already processing a declaration for ${target}`;
+            logger.info(message);
+            this.state.doState.updateResult(taskId, 409, STATUS.STATUS_ERROR, 'conflict', message);
+            save.call(this)
+                .then(() => {
+                    sendResponse.call(this, restOperation, ENDPOINTS.TASK, taskId);
+                });
+            return;
+        }
+
+        if (onConflict === 'cancel-previous') {
+            this.taskQueue.cancelQueued(target, `Cancelled by task ${taskId}`);
+
+            // The running task stops before its next handler, just as with DELETE /task/{id}
+            if (this.state.doState.getTask(runningTaskId)
+                && this.state.doState.getStatus(runningTaskId) === STATUS.STATUS_RUNNING) {
+                logger.info(`Cancelling running task ${runningTaskId} for task ${taskId}`);
+                this.state.doState.setCancelRequest(runningTaskId, { rollback: false });
+                this.state.doState.updateResult(runningTaskId, 202, STATUS.STATUS_CANCELLING, 'cancelling');
+            }
+        }
+    }
+
+    const wasQueued = this.taskQueue.isBusy(target);
+    this.taskQueue.enqueue(
+        target,
+        taskId,
+        () => runTask.call(this, restOperation, taskId, wrapper, declaration, reqOpts, wasQueued)
+            .then(() => holdWhileRebooting.call(this, taskId)),
+        (reason) => {
+            this.state.doState.updateResult(taskId, 409, STATUS.STATUS_ERROR, 'cancelled', reason);
+            save.call(this)
+                .then(() => {
+                    if (!declaration.async) {
+                        sendResponse.call(this, restOperation, ENDPOINTS.TASK, taskId);
+                    }
+                });
+        }
+    );
+
+    if (wasQueued) {
+        this.state.doState.updateResult(taskId, 202, STATUS.STATUS_QUEUED, 'queued');
+        save.call(this)
+            .then(() => {
+                if (declaration.async) {
+                    sendResponse.call(this, restOperation, ENDPOINTS.TASK, taskId);
+                }
+            });
+    }
+}
+
+/**
+ * Processes a valid declaration.
+ *
+ * @param {Object} restOperation - The restOperation which will be completed with the task.
+ * @param {String} taskId - The id of the task.
+ * @param {Object} wrapper - The DO wrapper.
+ * @param {Object} declaration - The declaration.
+ * @param {Object} reqOpts - The request options.
+ * @param {Boolean} wasQueued - Whether the task was queued (in which case any async response has been sent).
+ *
+ * @returns {Promise} A promise which is resolved when processing is complete.
+ */
+function runDeclaration(restOperation, taskId, wrapper, declaration, reqOpts, wasQueued) {
+    // Rest framework complains about 'this' because of 'strict', but we use call(this)
+    /* jshint validthis: true */
+
+    let isFromTcw = false;
+    let bigIpOptions;
+    let platform;
+
+    logger.fine(`Onboard starting for task ${taskId}`);
+    this.state.doState.updateResult(taskId, 202, STATUS.STATUS_RUNNING, 'processing');
+    this.taskEvents.add(taskId, 'taskStarted');
+    if (declaration.controls && declaration.controls.logLevel) {
+        this.taskLogs.start(taskId, declaration.controls.logLevel);
+    }
+
+    // Get case insensitive query parameters
+    const query = restOperation.getUri().query;
+    const insensitiveQuery = {};
+    Object.keys(query).forEach((key) => {
+        insensitiveQuery[key.toLowerCase()] = query[key];
+    });
+
+    return save.call(this)
+        .then(() => doUtil.getCurrentPlatform())
+        .then((currentPlatform) => {
+            platform = currentPlatform;
+
+            // Determine if this is an internal task (coming back to us
+            // from the TCW on BIG-IQ)
+            if (platform === PRODUCTS.BIGIQ && insensitiveQuery.internal) {
+                isFromTcw = true;
+            }
+
+            if (declaration.async && !wasQueued) {
+                sendResponse.call(this, restOperation, ENDPOINTS.TASK, taskId);
+            }
+
+            // Fill in anything in the wrapper that is a json-pointer
+            bigIpOptions = doUtil.dereference(
+                wrapper,
+                {
+                    host: wrapper.targetHost,
+                    port: wrapper.targetPort,
+                    user: wrapper.targetUsername,
+                    password: wrapper.targetPassphrase
+                }
+            );
+            wrapper.targetHost = bigIpOptions.host;
+            wrapper.targetPort = bigIpOptions.port;
+            wrapper.targetUsername = bigIpOptions.user;
+            wrapper.targetPassphrase = bigIpOptions.password;
+
+            return initialAccountSetup.call(this, wrapper);
+        })
+        .then((updatedPassword) => {
+            if (updatedPassword) {
+                wrapper.targetPassphrase = updatedPassword;
+                bigIpOptions.password = updatedPassword;
+                delete wrapper.targetSshKey;
+            }
+
+            // Determine if this is an internal task (coming back to us
+            // from the TCW on BIG-IQ)
+            if (platform === PRODUCTS.BIGIQ && !isFromTcw) {
+                logger.finest('Passing to TCW');
+                return passToTcw.call(this, wrapper, taskId, restOperation)
+                    .then((tcwId) => pollTcw.call(this, tcwId, taskId, restOperation))
+                    .then(() => {
+                        logger.finest('TCW is done');
+                        if (!declaration.async) {
+                            logger.fine('Sending response.');
+                            sendResponse.call(this, restOperation, ENDPOINTS.TASK, taskId);
+                        }
+                    })
+                    .then(() => getAndSaveCurrentConfig.call(
+                        this,
+                        this.bigIps[taskId],
+                        declaration,
+                        taskId
+                    ))
+                    .catch((err) => {
+                        logger.info(`TCW task failed: ${err.message}`);
+                        return getAndSaveCurrentConfig.call(
+                            this,
+                            this.bigIps[taskId],
+                            declaration,
+                            taskId
+                        );
+                    });
+            }
+
+            const originalDoId = insensitiveQuery.externalid;
+            const targetTokens = wrapper.targetTokens || {};
+            Object.keys(targetTokens).forEach((key) => {
+                if (key.toLowerCase() === 'x-f5-auth-token') {
+                    bigIpOptions.authToken = targetTokens[key];
+                }
+            });
+
+            return onboardAndFinish.call(this, restOperation, taskId, declaration, bigIpOptions, reqOpts, originalDoId);
+        })
+        .catch((err) => {
+            this.state.doState.updateResult(
+                taskId,
+                500,
+                STATUS.STATUS_ERROR,
+                'error during onboarding',
+                err.message
+            );
+        })
+        .then(() => addFinishedEvent.call(this, taskId));
+}
+
+/**
+ * Onboards the device, then saves the config, sets the final status, sends the
+ * response (if not async) and the webhook, and reboots if required.
+ *
+ * @param {Object} restOperation - The restOperation which will be completed with the task.
+ * @param {String} taskId - The id of the task.
+ * @param {Object} declaration - The declaration to apply.
+ * @param {Object} bigIpOptions - Options for connecting to the device.
+ * @param {Object} reqOpts - The request options.
+ * @param {String} [originalDoId] - The id of the task on BIG-IQ this task is running for.
+ *
+ * @returns {Promise} A promise which is resolved when processing is complete.
+ */
+function onboardAndFinish(restOperation, taskId, declaration, bigIpOptions, reqOpts, originalDoId) {
+    // Rest framework complains about 'this' because of 'strict', but we use call(this)
+    /* jshint validthis: true */
+
+    return onboard.call(this, declaration, bigIpOptions, taskId, originalDoId)
+        .then(() => {
+            if (this.bigIps[taskId]) {
+                logger.fine('Onboard configuration complete. Saving sys config.');
+                return saveConfig(this.bigIps[taskId], declaration);
+            }
+            logger.fine('No device.');
+            return undefined;
+        })
+        .then(() => setPostOnboardStatus.call(
+            this,
+            this.bigIps[taskId],
+            taskId,
+            declaration
+        ))
+        .then(() => {
+            if (!declaration.async) {
+                logger.fine('Sending response.');
+                sendResponse.call(this, restOperation, ENDPOINTS.TASK, taskId);
+            }
+            return rebootIfRequired.call(this, this.bigIps[taskId], taskId);
+        })
+        .catch((err) => {
+            logger.severe(`Error during onboarding: ${err.message}`);
+            this.state.doState.updateResult(
+                taskId,
+                500,
+                STATUS.STATUS_ERROR,
+                'failed',
+                err.message
+            );
+        })
+        .then(() => {
+            logger.fine('Onboard complete.');
+            postWebhook.call(
+                this,
+                reqOpts,
+                ENDPOINTS.TASK,
+                taskId,
+                declaration.webhook
+            );
+        });
+}
+
+/**
+ * Creates a task which rolls the device back to the configuration it had before another task ran.
+ *
+ * The body is optional. It may contain the targetHost, targetPort, targetUsername, targetPassphrase
+ * and targetTokens properties of the DO wrapper for remote devices, and async. The target defaults
+ * to the one the task ran against, and must be that one if it is given.
+ *
+ * @param {Object} restOperation - The restOperation for the POST request.
+ * @param {String} sourceTaskId - The id of the task to roll back.
+ */
+function rollbackTask(restOperation, sourceTaskId) {
+    // Rest framework complains about 'this' because of 'strict', but we use call(this)
+    /* jshint validthis: true */
+
+    if (!sourceTaskId || !this.state.doState.getTask(sourceTaskId)) {
+        sendError(restOperation, 404, `${sourceTaskId} does not exist`);
+        return;
+    }
+
+    const rollbackTo = this.state.doState.getInitialConfig(sourceTaskId);
+    if (!rollbackTo) {
+        sendError(restOperation, 422, `Task ${sourceTaskId} has no configuration to roll back to`);
+        return;
+    }
+
+    // The configuration is only for the device the task ran against
+    const sourceTarget = this.state.doState.getTarget(sourceTaskId) || TaskQueue.getTarget();
+    const wrapper = Object.assign({ class: 'DO' }, parseBody(restOperation));
+    if (typeof wrapper.targetHost === 'undefined' && typeof wrapper.targetPort === 'undefined') {
+        if (!TaskQueue.isLocal(sourceTarget)) {
+            const hostAndPort = TaskQueue.getHostAndPort(sourceTarget);
+            wrapper.targetHost = hostAndPort.host;
+            if (hostAndPort.port) {
+                wrapper.targetPort = hostAndPort.port;
+            }
+        }
+    } else {
+        const targetInfo = doUtil.dereference(wrapper, { host: wrapper.targetHost, port: wrapper.targetPort });
+        // Tasks without a targetPort are recorded without one
+        if (TaskQueue.getTarget(targetInfo.host, targetInfo.port) !== sourceTarget
+            && TaskQueue.getTarget(targetInfo.host) !== sourceTarget) {
+            sendError(
+                restOperation,
+                422,
+                `Task ${sourceTaskId} was for ${sourceTarget}, not ${TaskQueue.getTarget(targetInfo.host, targetInfo.port)}`
+            );
+            return;
+        }
+    }
+
+    const declaration = JSON.parse(JSON.stringify(rollbackTo));
+    if (wrapper.async) {
+        declaration.async = true;
+    }
+
+    const taskId = this.state.doState.addTask();
+    const reqOpts = {
+        method: restOperation.getMethod().toUpperCase(),
+        query: restOperation.getUri().query
+    };
+    this.state.doState.setRequestOptions(taskId, reqOpts);
+    this.state.doState.setDeclaration(taskId, {});
+    this.state.doState.setRollbackOf(taskId, sourceTaskId);
+    this.metrics.increment('do_rollbacks_total', { reason: 'requested' });
+
+    enqueueDeclaration.call(this, restOperation, taskId, wrapper, declaration, reqOpts, runRollback);
+}
+
+/**
+ * Processes a rollback task created by rollbackTask.
+ *
+ * @param {Object} restOperation - The restOperation which will be completed with the task.
+ * @param {String} taskId - The id of the task.
+ * @param {Object} wrapper - The DO wrapper with the target info.
+ * @param {Object} declaration - The configuration to roll back to.
+ * @param {Object} reqOpts - The request options.
+ * @param {Boolean} wasQueued - Whether the task was queued (in which case any async response has been sent).
+ *
+ * @returns {Promise} A promise which is resolved when processing is complete.
+ */
+function runRollback(restOperation, taskId, wrapper, declaration, reqOpts, wasQueued) {
+    // Rest framework complains about 'this' because of 'strict', but we use call(this)
+    /* jshint validthis: true */
+
+    logger.info(`Rolling back task ${this.state.doState.getRollbackOf(taskId)} with task ${taskId}`);
+    this.state.doState.updateResult(taskId, 202, STATUS.STATUS_RUNNING, 'processing');
+    this.taskEvents.add(taskId, 'taskStarted', { rollbackOf: this.state.doState.getRollbackOf(taskId) });
+
+    return save.call(this)
+        .then(() => {
+            if (declaration.async && !wasQueued) {
                 sendResponse.call(this, restOperation, ENDPOINTS.TASK, taskId);
+            }
+
+            const bigIpOptions = doUtil.dereference(
+                wrapper,
+                {
+                    host: wrapper.targetHost,
+                    port: wrapper.targetPort,
+                    user: wrapper.targetUsername,
+                    password: wrapper.targetPassphrase
+                }
+            );
+            const targetTokens = wrapper.targetTokens || {};
+            Object.keys(targetTokens).forEach((key) => {
+                if (key.toLowerCase() === 'x-f5-auth-token') {
+                    bigIpOptions.authToken = targetTokens[key];
+                }
+            });
+
+            return onboardAndFinish.call(this, restOperation, taskId, declaration, bigIpOptions, reqOpts);
+        })
+        .catch((err) => {
+            this.state.doState.updateResult(
+                taskId,
+                500,
+                STATUS.STATUS_ERROR,
+                'error during rollback',
+                err.message
+            );
+        })
+        .then(() => addFinishedEvent.call(this, taskId));
+}
+
+/**
+ * Adds the taskFinished event once a task has finished. Tasks which are rebooting
+ * on a BIG-IP finish after the restart, when their events are gone.
+ *
+ * @param {String} taskId - The id of the task.
+ */
+function addFinishedEvent(taskId) {
+    // Rest framework complains about 'this' because of 'strict', but we use call(this)
+    /* jshint validthis: true */
+
+    if (this.state.doState.isFinished(taskId)) {
+        this.taskEvents.add(
+            taskId,
+            'taskFinished',
+            {
+                code: this.state.doState.getCode(taskId),
+                status: this.state.doState.getStatus(taskId),
+                message: this.state.doState.getMessage(taskId)
+            }
+        );
+    }
+}
+
+/**
+ * Sends the progress events of a task as a server-sent event stream. See {@link TaskEvents}.
+ *
+ * The framework sends a response all at once, so rather than holding the connection open,
+ * this waits for the next events and sends them. Clients ask again with ?since=<last event id>
+ * (EventSource clients send the Last-Event-ID header, which is also accepted). Once the
+ * task has finished and there are no more events, the response is 204, which tells
+ * EventSource clients to stop.
+ *
+ * @param {Object} restOperation - The restOperation for the GET request.
+ * @param {String} taskId - The id of the task.
+ */
+function sendTaskEvents(restOperation, taskId) {
+    // Rest framework complains about 'this' because of 'strict', but we use call(this)
+    /* jshint validthis: true */
+
+    if (!taskId || !this.state.doState.getTask(taskId)) {
+        sendError(restOperation, 404, `${taskId} does not exist`);
+        return;
+    }
+
+    const query = restOperation.getUri().query || {};
+    const since = parseInt(query.since || restOperation.getHeader('Last-Event-ID'), 10) || 0;
+
+    const getEvents = hasEnded.call(this, taskId)
+        ? Promise.resolve(this.taskEvents.get(taskId, since))
+        : this.taskEvents.waitFor(taskId, since, EVENTS_WAIT_TIMEOUT);
+    getEvents
+        .then((events) => {
+            if (events.length === 0 && hasEnded.call(this, taskId)) {
+                setStatusCode(204, restOperation);
+                restOperation.complete();
                 return;
             }
+
+            restOperation.setContentType('text/event-stream');
+            setStatusCode(200, restOperation);
+            restOperation.setBody(TaskEvents.toEventStream(events, EVENTS_RETRY_INTERVAL));
+            restOperation.complete();
+        })
+        .catch((err) => {
+            sendError(restOperation, 500, err.message);
+        });
+}
+
+/**
+ * Sends the log messages kept for a task which set controls.logLevel. See {@link TaskLogs}.
+ *
+ * @param {Object} restOperation - The restOperation for the GET request.
+ * @param {String} taskId - The id of the task.
+ */
+function sendTaskLogs(restOperation, taskId) {
+    // Rest framework complains about 'this' because of 'strict', but we use call(this)
+    /* jshint validthis: true */
+
+    if (!taskId || !this.state.doState.getTask(taskId)) {
+        sendError(restOperation, 404, `${taskId} does not exist`);
+        return;
+    }
+
+    const logs = this.taskLogs.get(taskId);
+    if (!logs) {
+        sendError(
+            restOperation,
+            404,
+            `No logs were kept for task ${taskId}. Set logLevel in the controls of the declaration to keep them.`
+        );
+        return;
+    }
+
+    restOperation.setContentType('application/json');
+    setStatusCode(200, restOperation);
+    restOperation.setBody(Object.assign({ id: taskId }, logs));
+    restOperation.complete();
+}
+
+/**
+ * Sends the metrics in the Prometheus text format. See {@link Metrics}.
+ *
+ * @param {Object} restOperation - The restOperation for the GET request.
+ */
+function sendMetrics(restOperation) {
+    // Rest framework complains about 'this' because of 'strict', but we use call(this)
+    /* jshint validthis: true */
+
+    countFinishedTasks.call(this);
+    restOperation.setContentType('text/plain; version=0.0.4');
+    setStatusCode(200, restOperation);
+    restOperation.setBody(this.metrics.toText());
+    restOperation.complete();
+}
+
+/**
+ * Counts the tasks which have finished since the last time this was called.
+ *
+ * Tasks finish in many places (bad declarations, cancels, rollbacks, TCW, reboots), but
+ * they all end up with a final result in the state, so look there rather than at each place.
+ */
+function countFinishedTasks() {
+    // Rest framework complains about 'this' because of 'strict', but we use call(this)
+    /* jshint validthis: true */
+
+    const taskIds = this.state.doState.getTaskIds();
+    taskIds.forEach((taskId) => {
+        if (this.countedTaskIds.has(taskId) || !this.state.doState.isFinished(taskId)) {
+            return;
         }
+        const result = this.state.doState.getTask(taskId).result;
+        this.metrics.increment('do_tasks_total', { status: result.status, code: result.code });
+        this.countedTaskIds.add(taskId);
+    });
 
-        // Set the declaration to the base request (no remote info)
-        // and the wrapper to a remote request
-        let declaration = Object.assign({}, body);
-        let wrapper;
-        if (declaration.class !== 'DO') {
-            wrapper = {
-                declaration,
-                class: 'DO'
-            };
-        } else {
-            wrapper = declaration;
-            declaration = wrapper.declaration;
+    // Forget tasks which have been pruned from the state
+    this.countedTaskIds.forEach((taskId) => {
+        if (taskIds.indexOf(taskId) === -1) {
+            this.countedTaskIds.delete(taskId);
         }
+    });
+}
+
+/**
+ * Adds the durations from a handler report to the metrics. See {@link DeclarationHandler}.
+ */
+function observeHandlers(handlers) {
+    // Rest framework complains about 'this' because of 'strict', but we use call(this)
+    /* jshint validthis: true */
+
+    (handlers || []).forEach((handler) => {
+        this.metrics.observe(
+            'do_handler_duration_seconds',
+            handler.durationMs / 1000,
+            { handler: handler.name, outcome: handler.outcome }
+        );
+    });
+}
+
+/**
+ * Whether there will be no more events for a task
+ */
+function hasEnded(taskId) {
+    // Rest framework complains about 'this' because of 'strict', but we use call(this)
+    /* jshint validthis: true */
+
+    const events = this.taskEvents.get(taskId);
+    if (events.length > 0) {
+        return events[events.length - 1].type === 'taskFinished';
+    }
 
-        this.state.doState.setErrors(taskId, null);
+    // Tasks which finished before a restart, or were rejected before they ran, have no events
+    return this.state.doState.isFinished(taskId);
+}
+
+/**
+ * Cancels a queued or running task.
+ *
+ * Queued tasks are removed from the queue. Running tasks are asked to stop and
+ * will stop before the next handler starts.
+ *
+ * @param {Object} restOperation - The restOperation for the DELETE request.
+ * @param {String} taskId - The id of the task to cancel.
+ */
+function cancelTask(restOperation, taskId) {
+    // Rest framework complains about 'this' because of 'strict', but we use call(this)
+    /* jshint validthis: true */
+
+    if (!taskId) {
+        sendError(restOperation, 400, 'id must be specified for DELETE');
+        return;
+    }
+    if (!this.state.doState.getTask(taskId)) {
+        sendError(restOperation, 404, `${taskId} does not exist`);
+        return;
+    }
+
+    const status = this.state.doState.getStatus(taskId);
+    if (status === STATUS.STATUS_QUEUED) {
+        this.taskQueue.cancel(taskId, 'Cancelled by request');
+    } else if (status === STATUS.STATUS_RUNNING) {
+        const query = restOperation.getUri().query || {};
+        this.state.doState.setCancelRequest(taskId, { rollback: `${query.rollback}` === 'true' });
+        this.state.doState.updateResult(taskId, 202, STATUS.STATUS_CANCELLING, 'cancelling');
+    } else {
+        sendError(restOperation, 409, `${taskId} is not queued or running`);
+        return;
+    }
+
+    save.call(this)
+        .then(() => {
+            sendResponse.call(this, restOperation, ENDPOINTS.TASK, taskId);
+        })
+        .catch((err) => {
+            sendError(restOperation, 500, err.message);
+        });
+}
+
+/**
+ * Gets the remediation settings from the last declaration successfully applied to the local device.
+ *
+ * @returns {Object} The taskId of that declaration along with the mode and interval from
+ *                   controls.remediation, or null if remediation is off.
+ */
+function getRemediation() {
+    // Rest framework complains about 'this' because of 'strict', but we use call(this)
+    /* jshint validthis: true */
 
-        this.validator.validate(wrapper)
-            .then((validation) => {
-                const reqOpts = {
-                    method: restOperation.getMethod().toUpperCase(),
-                    query: restOperation.getUri().query
-                };
-                this.state.doState.setRequestOptions(taskId, reqOpts);
-                this.state.doState.setDeclaration(taskId, declaration);
-                if (!validation.isValid) {
-                    const message = `Bad declaration: ${JSON.stringify(validation.errors)}`;
-                    logger.info(message);
-                    this.state.doState.updateResult(
-                        taskId,
-                        400,
-                        STATUS.STATUS_ERROR,
-                        'bad declaration',
-                        validation.errors
-                    );
-                    save.call(this)
-                        .then(() => {
-                            sendResponse.call(this, restOperation, ENDPOINTS.TASK, taskId);
-                        });
-                } else {
-                    logger.fine(`Onboard starting for task ${taskId}`);
-                    this.state.doState.updateResult(taskId, 202, STATUS.STATUS_RUNNING, 'processing');
-
-                    // Get case insensitive query parameters
-                    const query = restOperation.getUri().query;
-                    const insensitiveQuery = {};
-                    Object.keys(query).forEach((key) => {
-                        insensitiveQuery[key.toLowerCase()] = query[key];
-                    });
+    const taskId = this.state.doState.getLastSuccessfulTaskId(TaskQueue.getTarget());
+    if (!taskId) {
+        return null;
+    }
 
-                    save.call(this)
-                        .then(() => doUtil.getCurrentPlatform())
-                        .then((currentPlatform) => {
-                            platform = currentPlatform;
+    const declaration = this.state.doState.getDeclaration(taskId) || {};
+    const remediation = (declaration.controls || {}).remediation || {};
+    if (!remediation.mode || remediation.mode === 'none') {
+        return null;
+    }
 
-                            // Determine if this is an internal task (coming back to us
-                            // from the TCW on BIG-IQ)
-                            if (platform === PRODUCTS.BIGIQ && insensitiveQuery.internal) {
-                                isFromTcw = true;
-                            }
+    // The secrets are not stored, so the declaration would fail every time
+    const maskedSecrets = this.state.doState.getMaskedSecrets(taskId);
+    if (maskedSecrets.length > 0) {
+        logger.warning(`Not remediating with the declaration from task ${taskId} because these secrets were`
+            + ` not stored: ${maskedSecrets.join(', ')}. Use secretRef for them.`);
+        return null;
+    }
 
-                            if (declaration.async) {
-                                sendResponse.call(this, restOperation, ENDPOINTS.TASK, taskId);
-                            }
+    return {
+        taskId,
+        mode: remediation.mode,
+        interval: remediation.interval || 60
+    };
+}
 
-                            // Fill in anything in the wrapper that is a json-pointer
-                            bigIpOptions = doUtil.dereference(
-                                wrapper,
-                                {
-                                    host: wrapper.targetHost,
-                                    port: wrapper.targetPort,
-                                    user: wrapper.targetUsername,
-                                    password: wrapper.targetPassphrase
-                                }
-                            );
-                            wrapper.targetHost = bigIpOptions.host;
-                            wrapper.targetPort = bigIpOptions.port;
-                            wrapper.targetUsername = bigIpOptions.user;
-                            wrapper.targetPassphrase = bigIpOptions.password;
+/**
+ * Schedules the next remediation run, replacing any run that is already scheduled.
+ */
+function scheduleRemediation() {
+    // Rest framework complains about 'this' because of 'strict', but we use call(this)
+    /* jshint validthis: true */
 
-                            return initialAccountSetup.call(this, wrapper);
-                        })
-                        .then((updatedPassword) => {
-                            if (updatedPassword) {
-                                wrapper.targetPassphrase = updatedPassword;
-                                bigIpOptions.password = updatedPassword;
-                                delete wrapper.targetSshKey;
-                            }
+    if (this.remediationTimer) {
+        clearTimeout(this.remediationTimer);
+        this.remediationTimer = null;
+    }
 
-                            // Determine if this is an internal task (coming back to us
-                            // from the TCW on BIG-IQ)
-                            if (platform === PRODUCTS.BIGIQ && !isFromTcw) {
-                                logger.finest('Passing to TCW');
-                                passToTcw.call(this, wrapper, taskId, restOperation)
-                                    .then((tcwId) => pollTcw.call(this, tcwId, taskId, restOperation))
-                                    .then(() => {
-                                        logger.finest('TCW is done');
-                                        if (!declaration.async) {
-                                            logger.fine('Sending response.');
-                                            sendResponse.call(this, restOperation, ENDPOINTS.TASK, taskId);
-                                        }
-                                    })
-                                    .then(() => getAndSaveCurrentConfig.call(
-                                        this,
-                                        this.bigIps[taskId],
-                                        declaration,
-                                        taskId
-                                    ))
-                                    .catch((err) => {
-                                        logger.info(`TCW task failed: ${err.message}`);
-                                        return getAndSaveCurrentConfig.call(
-                                            this,
-                                            this.bigIps[taskId],
-                                            declaration,
-                                            taskId
-                                        );
-                                    });
-                            } else {
-                                const originalDoId = insensitiveQuery.externalid;
-                                const targetTokens = wrapper.targetTokens || {};
-                                Object.keys(targetTokens).forEach((key) => {
-                                    if (key.toLowerCase() === 'x-f5-auth-token') {
-                                        bigIpOptions.authToken = targetTokens[key];
-                                    }
-                                });
-
-                                onboard.call(this, declaration, bigIpOptions, taskId, originalDoId)
-                                    .then(() => {
-                                        if (this.bigIps[taskId]) {
-                                            logger.fine('Onboard configuration complete. Saving sys config.');
-                                            return saveConfig(this.bigIps[taskId], declaration);
-                                        }
-                                        logger.fine('No device.');
-                                        return undefined;
-                                    })
-                                    .then(() => setPostOnboardStatus.call(
-                                        this,
-                                        this.bigIps[taskId],
-                                        taskId,
-                                        declaration
-                                    ))
-                                    .then(() => {
-                                        if (!declaration.async) {
-                                            logger.fine('Sending response.');
-                                            sendResponse.call(this, restOperation, ENDPOINTS.TASK, taskId);
-                                        }
-                                        return rebootIfRequired.call(this, this.bigIps[taskId], taskId);
-                                    })
-                                    .catch((err) => {
-                                        logger.severe(`Error during onboarding: ${err.message}`);
-                                        this.state.doState.updateResult(
-                                            taskId,
-                                            500,
-                                            STATUS.STATUS_ERROR,
-                                            'failed',
-                                            err.message
-                                        );
-                                    })
-                                    .then(() => {
-                                        logger.fine('Onboard complete.');
-                                        postWebhook.call(
-                                            this,
-                                            reqOpts,
-                                            ENDPOINTS.TASK,
-                                            taskId,
-                                            declaration.webhook
-                                        );
-                                    });
-                            }
-                        })
-                        .catch((err) => {
-                            this.state.doState.updateResult(
-                                taskId,
-                                500,
-                                STATUS.STATUS_ERROR,
-                                'error during onboarding',
-                                err.message
-                            );
-                        });
-                }
-            });
+    const remediation = getRemediation.call(this);
+    if (!remediation) {
+        return;
     }
 
-    onDelete(restOperation) {
-        const pathInfo = getPathInfo(restOperation.getUri());
-        if (pathInfo.path !== ENDPOINTS.CONFIG) {
-            sendError(restOperation, 400, `DELETE is only supported for the ${ENDPOINTS.CONFIG} endpoint`);
-        } else if (!pathInfo.id) {
-            sendError(restOperation, 400, 'id must be specified for DELETE');
-        } else if (this.state.doState.getOriginalConfigByConfigId(pathInfo.id)) {
-            this.state.doState.deleteOriginalConfigByConfigId(pathInfo.id);
-            save.call(this)
-                .then(() => {
-                    sendResponse.call(this, restOperation, ENDPOINTS.CONFIG);
-                })
+    logger.fine(`Scheduling ${remediation.mode} remediation in ${remediation.interval} minutes`);
+    this.remediationTimer = setTimeout(
+        () => {
+            this.remediationTimer = null;
+            runRemediation.call(this)
                 .catch((err) => {
-                    sendError(restOperation, 500, err.message);
+                    logger.warning(`Remediation failed: ${err.message}`);
+                })
+                .then(() => {
+                    // A successful remediation task has already scheduled the next run
+                    if (!this.remediationTimer) {
+                        scheduleRemediation.call(this);
+                    }
                 });
-        } else {
-            sendError(restOperation, 404, `${pathInfo.id} does not exist`);
-        }
+        },
+        remediation.interval * 60 * 1000
+    );
+
+    // Do not keep the process alive just for remediation
+    if (this.remediationTimer.unref) {
+        this.remediationTimer.unref();
     }
+}
 
-    /**
-     * Returns an exmple of a valid declaration.
-     *
-     * This is called by WOKER_URI/example.
-     *
-     * @returns {Object} An example of a valid declaration.
-     */
-    /* eslint-disable class-methods-use-this */
-    getExampleState() {
-        let exampleResponse;
+/**
+ * Re-applies the last declaration successfully applied to the local device by POSTing
+ * it back to this worker with the reconciliation userAgent. In 'onDrift' mode this only
+ * happens if the device has drifted from the declaration.
+ *
+ * @returns {Promise} A promise which is resolved when the remediation task is complete
+ */
+function runRemediation() {
+    // Rest framework complains about 'this' because of 'strict', but we use call(this)
+    /* jshint validthis: true */
+
+    const remediation = getRemediation.call(this);
+    if (!remediation) {
+        return Promise.resolve();
+    }
+
+    // Declarations from users take priority, remediation will try again next time
+    if (this.taskQueue.isBusy(TaskQueue.getTarget())) {
+        logger.info('Skipping remediation because a declaration is being processed');
+        return Promise.resolve();
+    }
+
+    return Promise.resolve()
+        .then(() => {
+            if (remediation.mode !== 'onDrift') {
+                return true;
+            }
+
+            const driftHandler = new DriftHandler(new State(this.state.doState));
+            return driftHandler.process()
+                .then((drift) => {
+                    const errors = driftHandler.getErrors();
+                    if (errors.length > 0) {
+                        return Promise.reject(new Error(`unable to check for drift: ${errors.join(' ')}`));
+                    }
+                    return drift.hasDrift;
+                });
+        })
+        .then((shouldApply) => {
+            if (!shouldApply) {
+                logger.fine('No drift detected');
+                return Promise.resolve();
+            }
+
+            logger.info(`Remediating with the declaration from task ${remediation.taskId}`);
+            const declaration = JSON.parse(JSON.stringify(this.state.doState.getDeclaration(remediation.taskId)));
+            declaration.controls.userAgent = RECONCILIATION_USER_AGENT;
+
+            const restOperation = this.restOperationFactory.createRestOperationInstance()
+                .setUri(this.restHelper.makeRestnodedUri(`/${this.WORKER_URI_PATH}`))
+                .setIsSetBasicAuthHeader(true)
+                .setContentType('application/json')
+                .setBody(declaration);
+            return this.restRequestSender.sendPost(restOperation);
+        });
+}
+
+/**
+ * Parses the body of a request.
+ *
+ * @param {Object} restOperation - The restOperation containing the body.
+ *
+ * @returns {Object} The parsed body or undefined if it could not be parsed.
+ */
+function parseBody(restOperation) {
+    const contentType = restOperation.getContentType() || '';
+    const body = restOperation.getBody();
 
+    // application/json-patch+json bodies are not parsed by the framework
+    if (!contentType.toLowerCase().startsWith('application/json') || typeof body === 'string') {
         try {
-            const example = `${__dirname}/../examples/onboard.json`;
-            exampleResponse = JSON.parse(fs.readFileSync(example).toString());
+            return JSON.parse(body);
         } catch (err) {
-            logger.warning(`Error reading example file: ${err}`);
-            exampleResponse = {
-                message: 'no example available'
-            };
+            logger.info('Unable to parse request body.');
+            return undefined;
         }
-        return exampleResponse;
     }
-    /* eslint-enable class-methods-use-this */
+    return body;
+}
+
+/**
+ * Completes a restOperation with a task that failed before processing started.
+ *
+ * @param {Object} restOperation - The restOperation to complete.
+ * @param {String} taskId - The id of the task.
+ * @param {Number} code - The result code.
+ * @param {String} message - The result message.
+ * @param {String} error - The error to report.
+ */
+function sendTaskError(restOperation, taskId, code, message, error) {
+    // Rest framework complains about 'this' because of 'strict', but we use call(this)
+    /* jshint validthis: true */
+
+    logger.info(error);
+    this.state.doState.setDeclaration(taskId, {});
+    this.state.doState.setErrors(taskId, null);
+    this.state.doState.updateResult(taskId, code, STATUS.STATUS_ERROR, message, error);
+    sendResponse.call(this, restOperation, ENDPOINTS.TASK, taskId);
 }
 
 function onboard(declaration, bigIpOptions, taskId, originalDoId) {
     let declarationHandler;
     let bigIpInitialized = false;
+    const taskLogger = logger.forTask(this.state.doState.getTask(taskId), bigIpOptions);
+
+    // The stored declaration does not have the secrets, so keep them in
+    // memory in case they need to be encrypted for a reboot
+    this.secrets[taskId] = doUtil.getMaskedValues(declaration);
 
-    return doUtil.getBigIp(logger, bigIpOptions)
+    return doUtil.getBigIp(taskLogger, bigIpOptions)
         .then((bigIp) => {
             bigIpInitialized = true;
             this.bigIps[taskId] = bigIp;
@@ -448,31 +1484,48 @@ function onboard(declaration, bigIpOptions, taskId, originalDoId) {
                 this.bigIps[originalDoId] = this.bigIps[taskId];
             }
 
-            logger.fine(`Getting and saving current configuration for task: ${taskId}`);
+            taskLogger.fine(`Getting and saving current configuration for task: ${taskId}`);
             return getAndSaveCurrentConfig.call(this, this.bigIps[taskId], declaration, taskId);
         })
         .then(() => {
-            declarationHandler = new DeclarationHandler(this.bigIps[taskId], this.eventEmitter, configItems);
+            // Keep the config from before any changes so this task can be rolled back on demand
+            if (!declaration.controls || !declaration.controls.dryRun) {
+                this.state.doState.setInitialConfig(taskId, this.state.doState.getCurrentConfig(taskId));
+            }
+            declarationHandler = new DeclarationHandler(
+                this.bigIps[taskId],
+                this.eventEmitter,
+                { teemEnabled: this.state.doState.getSettings().teemEnabled }
+            );
             return declarationHandler.process(declaration, this.state.doState.getTask(taskId));
         })
         .then((status) => {
             this.state.doState.setRebootRequired(taskId, status.rebootRequired);
             this.state.doState.setRollbackInfo(taskId, status.rollbackInfo);
-            logger.fine('Saving sys config.');
+            this.state.doState.setPlan(taskId, status.plan);
+            this.state.doState.setHandlers(taskId, status.handlers);
+            observeHandlers.call(this, status.handlers);
+            taskLogger.fine('Saving sys config.');
             return saveConfig(this.bigIps[taskId], declaration);
         })
         .then(() => {
-            logger.fine('Onboard configuration complete. Checking for reboot.');
+            taskLogger.fine('Onboard configuration complete. Checking for reboot.');
             return doUtil.rebootRequired(this.bigIps[taskId], this.state.doState, taskId);
         })
         .catch((err) => {
-            logger.severe(`Error onboarding: ${err.message}`);
+            taskLogger.severe(`Error onboarding: ${err.message}`);
+
+            // Keep the report from the handlers which ran, not from the rollback
+            if (err.handlers) {
+                this.state.doState.setHandlers(taskId, err.handlers);
+                observeHandlers.call(this, err.handlers);
+            }
 
             // If we failed to initialize the bigIp (sometimes it just never becomes available)
             // then there's not much we can do. Perhaps a reboot would work but for now, just
             // report the error
             if (!bigIpInitialized) {
-                logger.info('Failed to initialize BIG-IP');
+                taskLogger.info('Failed to initialize BIG-IP');
                 this.state.doState.updateResult(
                     taskId,
                     err && err.code ? err.code : 500,
@@ -483,14 +1536,41 @@ function onboard(declaration, bigIpOptions, taskId, originalDoId) {
                 return undefined;
             }
 
-            logger.info('Rolling back configuration');
+            let reason = 'invalid config';
+            if (err.cancelled) {
+                const cancelRequest = this.state.doState.getCancelRequest(taskId) || {};
+                this.state.doState.setCompletedHandlers(taskId, err.completedHandlers);
+                // Don't cancel the rollback itself
+                this.state.doState.setCancelRequest(taskId, null);
+                if (!cancelRequest.rollback || (declaration.controls && declaration.controls.dryRun)) {
+                    this.state.doState.updateResult(taskId, 409, STATUS.STATUS_ERROR, 'cancelled', err.message);
+                    return undefined;
+                }
+                reason = 'cancelled';
+            }
+
+            // Nothing was sent to the device during a dry run, so there is nothing to roll back
+            if (declaration.controls && declaration.controls.dryRun) {
+                this.state.doState.updateResult(
+                    taskId,
+                    err && err.code ? err.code : 500,
+                    STATUS.STATUS_ERROR,
+                    'dry run failed',
+                    err.message
+                );
+                return undefined;
+            }
+
+            taskLogger.info('Rolling back configuration');
             this.state.doState.updateResult(
                 taskId,
                 202,
                 STATUS.STATUS_ROLLING_BACK,
-                'invalid config - rolling back',
+                `${reason} - rolling back`,
                 err.message
             );
+            this.taskEvents.add(taskId, 'rollbackStarted', { reason });
+            this.metrics.increment('do_rollbacks_total', { reason: reason === 'cancelled' ? 'cancelled' : 'failed' });
             return save.call(this)
                 .then(() => {
                     const rollbackTo = {};
@@ -506,19 +1586,19 @@ function onboard(declaration, bigIpOptions, taskId, originalDoId) {
                                 taskId,
                                 deconCode,
                                 STATUS.STATUS_ERROR,
-                                'invalid config - rolled back',
+                                `${reason} - rolled back`,
                                 err.message
                             );
                             return save.call(this);
                         })
                         .catch((rollbackError) => {
-                            logger.severe(`Error rolling back: ${rollbackError.message}`);
+                            taskLogger.severe(`Error rolling back: ${rollbackError.message}`);
                             return Promise.reject(rollbackError);
                         });
                 });
         })
         .catch((err) => {
-            logger.severe(`Error rolling back configuration: ${err.message}`);
+            taskLogger.severe(`Error rolling back configuration: ${err.message}`);
             this.state.doState.updateResult(
                 taskId,
                 500,
@@ -527,7 +1607,9 @@ function onboard(declaration, bigIpOptions, taskId, originalDoId) {
                 err.message
             );
         })
-        .then(() => Promise.resolve());
+        .then(() => {
+            delete this.secrets[taskId];
+        });
 }
 
 function setPostOnboardStatus(bigIp, taskId, declaration) {
@@ -549,6 +1631,8 @@ function setPostOnboardStatus(bigIp, taskId, declaration) {
     if (this.state.doState.getStatus(taskId) !== STATUS.STATUS_ERROR) {
         promise = promise.then(() => doUtil.rebootRequired(bigIp, this.state.doState, taskId))
             .then((rebootRequired) => {
+                // A cancel request that arrived after the last handler has nothing left to stop
+                this.state.doState.setCancelRequest(taskId, null);
                 if (rebootRequired) {
                     logger.fine('Reboot required.');
                     this.state.doState.updateResult(
@@ -560,6 +1644,7 @@ function setPostOnboardStatus(bigIp, taskId, declaration) {
                 } else {
                     logger.fine('No reboot required');
                     this.state.doState.updateResult(taskId, 200, STATUS.STATUS_OK, 'success');
+                    scheduleRemediation.call(this);
                 }
 
                 return save.call(this);
@@ -579,15 +1664,18 @@ function rebootIfRequired(bigIp, taskId) {
             .then((rebootRequired) => {
                 if (rebootRequired) {
                     logger.info('Reboot required. Rebooting...');
+                    this.taskEvents.add(taskId, 'rebootStarted');
+                    this.metrics.increment('do_reboots_total');
                     bigIp.reboot();
 
-                    // If we're running on BIG-IP, recovering from reboot will be handled
-                    // by the startup code (onStartCompleted). Otherwise, wait
+                    // If we're running on the BIG-IP that is rebooting, recovering from reboot
+                    // will be handled by the startup code (onStartCompleted). Otherwise, wait
                     // until the BIG-IP is ready again (after a slight delay to make sure
                     // the reboot has started).
+                    const target = this.state.doState.getTarget(taskId) || TaskQueue.getTarget();
                     doUtil.getCurrentPlatform()
                         .then((platform) => {
-                            if (platform !== PRODUCTS.BIGIP) {
+                            if (platform !== PRODUCTS.BIGIP || !TaskQueue.isLocal(target)) {
                                 setTimeout(waitForRebootComplete, 10000, this, taskId, resolve, reject);
                             } else {
                                 resolve();
@@ -601,6 +1689,50 @@ function rebootIfRequired(bigIp, taskId) {
     });
 }
 
+/**
+ * Keeps a task which is rebooting the BIG-IP this is running on in the task queue, so that
+ * the next declaration does not start while the BIG-IP is going down. restnoded restarts
+ * with the BIG-IP and the startup code finishes the task. If restnoded is still running
+ * after REBOOT_HOLD_TIMEOUT, the reboot did not happen, so the task fails and the queue is released.
+ *
+ * @param {String} taskId - The id of the task.
+ *
+ * @returns {Promise} A promise which is resolved right away unless the task is rebooting.
+ */
+function holdWhileRebooting(taskId) {
+    // Rest framework complains about 'this' because of 'strict', but we use call(this)
+    /* jshint validthis: true */
+
+    if (this.state.doState.getStatus(taskId) !== STATUS.STATUS_REBOOTING) {
+        return Promise.resolve();
+    }
+    logger.info(`Holding the task queue for task ${taskId} until restnoded restarts after the reboot`);
+    return new Promise((resolve) => {
+        const timer = setTimeout(
+            () => {
+                if (this.state.doState.getStatus(taskId) !== STATUS.STATUS_REBOOTING) {
+                    resolve();
+                    return;
+                }
+                const message = `BIG-IP did not reboot within ${REBOOT_HOLD_TIMEOUT / 60000} minutes`;
+                logger.severe(`Releasing the task queue for task ${taskId}: ${message}`);
+                this.state.doState.updateResult(taskId, 500, STATUS.STATUS_ERROR, 'reboot timed out', message);
+                save.call(this)
+                    .catch(() => {
+                        // save has logged the error, and the queue is released either way
+                    })
+                    .then(() => resolve());
+            },
+            REBOOT_HOLD_TIMEOUT
+        );
+
+        // Do not keep the process alive just for the hold
+        if (timer.unref) {
+            timer.unref();
+        }
+    });
+}
+
 /**
  * Sends a task to the TCW for processing before DO does its work.
  *
@@ -646,22 +1778,30 @@ function pollTcw(tcwId, taskId, incomingRestOp) {
         .setIsSetBasicAuthHeader(true)
         .setReferer(incomingRestOp.getUri().href);
 
-    const retryFunc = () => this.restRequestSender.sendGet(restOperation)
-        .then((response) => {
-            const body = response.getBody();
-            if (body.status === 'FAILED' || body.status === 'FINISHED') {
-                return Promise.resolve(body);
-            }
-            return Promise.reject();
-        })
-        .catch(() => Promise.reject());
+    const retryFunc = () => {
+        // Stop polling if the task was cancelled. The TCW task itself is not stopped.
+        if (this.state.doState.getCancelRequest(taskId)) {
+            return Promise.resolve({ status: 'CANCELLED' });
+        }
+        return this.restRequestSender.sendGet(restOperation)
+            .then((response) => {
+                const body = response.getBody();
+                if (body.status === 'FAILED' || body.status === 'FINISHED') {
+                    return Promise.resolve(body);
+                }
+                return Promise.reject();
+            })
+            .catch(() => Promise.reject());
+    };
 
     // retry interval:
     //   - this.retryInterval for testing
-    //   - we want to poll for more than 30 minutes because that is the TCW -> DO timeout so DO should be longer
+    //   - otherwise from the settings
+    // we want to poll for more than 30 minutes because that is the TCW -> DO timeout so DO should be longer
+    const retryIntervalMs = this.retryInterval || this.state.doState.getSettings().tcwPollIntervalMs;
     return cloudUtil.tryUntil(
         this,
-        { retryIntervalMs: this.retryInterval || 5000, maxRetries: 384 },
+        { retryIntervalMs, maxRetries: Math.ceil(TCW_POLL_TIMEOUT / retryIntervalMs) },
         retryFunc
     )
         .then((response) => {
@@ -669,6 +1809,16 @@ function pollTcw(tcwId, taskId, incomingRestOp) {
             case 'FINISHED':
                 this.state.doState.updateResult(taskId, 200, STATUS.STATUS_OK, 'success');
                 break;
+            case 'CANCELLED':
+                this.state.doState.setCancelRequest(taskId, null);
+                this.state.doState.updateResult(
+                    taskId,
+                    409,
+                    STATUS.STATUS_ERROR,
+                    'cancelled',
+                    'Task cancelled while waiting for TCW'
+                );
+                break;
             case 'FAILED':
                 this.state.doState.updateResult(
                     taskId,
@@ -704,9 +1854,16 @@ function getAndSaveCurrentConfig(bigIp, declaration, taskId) {
 }
 
 /**
- * Saves current state.
+ * Saves current state, after removing what the settings say not to keep.
  */
 function save() {
+    // Rest framework complains about 'this' because of 'strict', but we use call(this)
+    /* jshint validthis: true */
+
+    // Count tasks before pruning removes them
+    countFinishedTasks.call(this);
+    this.state.doState.prune();
+
     function retryFunc() {
         return new Promise((resolve, reject) => {
             this.saveState(null, this.state, (err) => {
@@ -747,6 +1904,13 @@ function load() {
 
             // This gives us our state methods, rather than just the data
             this.state.doState = new State(this.state.doState);
+            Logger.setFormat(this.state.doState.getSettings().logFormat);
+
+            // Tasks which finished before a restart were already counted by the metrics
+            // of the old process, so leave them out
+            this.state.doState.getTaskIds()
+                .filter((taskId) => this.state.doState.isFinished(taskId))
+                .forEach((taskId) => this.countedTaskIds.add(taskId));
             resolve();
         });
     });
@@ -756,6 +1920,25 @@ function handleStartupState(success, error) {
     // Rest framework complains about 'this' because of 'strict', but we use call(this)
     /* jshint validthis: true */
 
+    // The task queue only lives in memory, so anything that was queued will never run
+    const queuedTaskIds = this.state.doState.getTaskIds()
+        .filter((taskId) => (this.state.doState.getTask(taskId).result || {}).status === STATUS.STATUS_QUEUED);
+    queuedTaskIds.forEach((taskId) => {
+        logger.info(`Task ${taskId} was queued when restnoded restarted`);
+        this.state.doState.updateResult(
+            taskId,
+            500,
+            STATUS.STATUS_ERROR,
+            'restarted while queued',
+            'Task was queued when restnoded restarted. Please resend the declaration.'
+        );
+    });
+    if (queuedTaskIds.length > 0) {
+        save.call(this);
+    }
+
+    scheduleRemediation.call(this);
+
     doUtil.getCurrentPlatform()
         .then((platform) => {
             if (platform !== PRODUCTS.BIGIP) {
@@ -784,98 +1967,107 @@ function handleStartupState(success, error) {
                 // and we need to finish processing the declaration.
                 // This should only be the case when we are running on a BIG-IP.
 
-                // call success then start onboarding
+                // call success then start onboarding. The task holds its target in the queue
+                // so that declarations which arrive while it is resuming wait for it.
                 setImmediate(success);
-                setImmediate(() => {
-                    // In this case, we should be running locally on a BIG-IP since
-                    // revoking the BIG-IP license will not restart our restnoded in
-                    // other environments (ASG, for example)
-                    logger.fine(`Onboard resuming for task: ${currentTaskId}`);
-                    this.state.doState.updateResult(currentTaskId, 202, STATUS.STATUS_RUNNING, 'processing');
-                    save.call(this);
-
-                    // Make sure we don't try to revoke again and if we need to relicense,
-                    // fill in the BIG-IQ and BIG-IP passwords
-                    const stateDecRef = this.state.doState.getDeclaration(currentTaskId);
-                    const declaration = JSON.parse(JSON.stringify(stateDecRef));
-                    const deletePromises = [];
-                    let licenseName;
-                    let hasBigIpUser = false;
-                    let hasBigIqUser = false;
-
-                    Object.keys(declaration.Common).forEach((key) => {
-                        if (declaration.Common[key].class === 'License') {
-                            licenseName = key;
-                            delete declaration.Common[licenseName].revokeFrom;
-                            // Remove revokeFrom from the stored state as well
-                            delete stateDecRef.Common[licenseName].revokeFrom;
-
-                            if (declaration.Common[licenseName].bigIpUsername) {
-                                hasBigIpUser = true;
-                            }
-                            if (declaration.Common[licenseName].bigIqUsername) {
-                                hasBigIqUser = true;
+                this.taskQueue.enqueue(
+                    this.state.doState.getTarget(currentTaskId) || TaskQueue.getTarget(),
+                    currentTaskId,
+                    () => new Promise((resolve) => {
+                        setImmediate(resolve);
+                    }).then(() => {
+                        // In this case, we should be running locally on a BIG-IP since
+                        // revoking the BIG-IP license will not restart our restnoded in
+                        // other environments (ASG, for example)
+                        logger.fine(`Onboard resuming for task: ${currentTaskId}`);
+                        this.state.doState.updateResult(currentTaskId, 202, STATUS.STATUS_RUNNING, 'processing');
+                        save.call(this);
+
+                        // Make sure we don't try to revoke again and if we need to relicense,
+                        // fill in the BIG-IQ and BIG-IP passwords
+                        const stateDecRef = this.state.doState.getDeclaration(currentTaskId);
+                        const declaration = JSON.parse(JSON.stringify(stateDecRef));
+                        const deletePromises = [];
+                        let licenseName;
+                        let hasBigIpUser = false;
+                        let hasBigIqUser = false;
+
+                        Object.keys(declaration.Common).forEach((key) => {
+                            if (declaration.Common[key].class === 'License') {
+                                licenseName = key;
+                                delete declaration.Common[licenseName].revokeFrom;
+                                // Remove revokeFrom from the stored state as well
+                                delete stateDecRef.Common[licenseName].revokeFrom;
+
+                                if (declaration.Common[licenseName].bigIpUsername) {
+                                    hasBigIpUser = true;
+                                }
+                                if (declaration.Common[licenseName].bigIqUsername) {
+                                    hasBigIqUser = true;
+                                }
                             }
-                        }
-                    });
+                        });
 
-                    Promise.resolve()
-                        .then(() => {
-                            if (hasBigIpUser) {
-                                logger.debug('Decrypting BIG-IP user data');
-                                return cryptoUtil.decryptStoredValueById(BIG_IP_ENCRYPTION_ID);
-                            }
-                            return Promise.resolve();
-                        })
-                        .then((password) => {
-                            if (password) {
-                                declaration.Common[licenseName].bigIpPassword = password;
-                                deletePromises.push(cryptoUtil.deleteEncryptedId(BIG_IP_ENCRYPTION_ID));
-                            }
-                            if (hasBigIqUser) {
-                                logger.debug('Decrypting BIG-IQ user data');
-                                return cryptoUtil.decryptStoredValueById(BIG_IQ_ENCRYPTION_ID);
-                            }
-                            return Promise.resolve();
-                        })
-                        .then((password) => {
-                            if (password) {
-                                declaration.Common[licenseName].bigIqPassword = password;
-                                deletePromises.push(cryptoUtil.deleteEncryptedId(BIG_IQ_ENCRYPTION_ID));
-                            }
-                            logger.debug('Deleting encrypted data');
-                            return Promise.all(deletePromises);
-                        })
-                        .then(() => onboard.call(this, declaration, {}, currentTaskId))
-                        .then(() => {
-                            if (this.bigIps[currentTaskId]) {
-                                logger.fine('Onboard configuration complete. Saving sys config.');
-                                return this.bigIps[currentTaskId].save();
-                            }
-                            logger.fine('No device.');
-                            return undefined;
-                        })
-                        .then(() => setPostOnboardStatus.call(
-                            this,
-                            this.bigIps[currentTaskId],
-                            currentTaskId,
-                            declaration
-                        ))
-                        .then(() => rebootIfRequired.call(this, this.bigIps[currentTaskId], currentTaskId))
-                        .then(() => {
-                            logger.fine('Onboard complete.');
-                        })
-                        .catch((err) => {
-                            logger.severe(`Error during onboarding: ${err.message}`);
-                            this.state.doState.updateResult(
+                        return Promise.resolve()
+                            .then(() => {
+                                if (hasBigIpUser) {
+                                    logger.debug('Decrypting BIG-IP user data');
+                                    return cryptoUtil.decryptStoredValueById(BIG_IP_ENCRYPTION_ID);
+                                }
+                                return Promise.resolve();
+                            })
+                            .then((password) => {
+                                if (password) {
+                                    declaration.Common[licenseName].bigIpPassword = password;
+                                    deletePromises.push(cryptoUtil.deleteEncryptedId(BIG_IP_ENCRYPTION_ID));
+                                }
+                                if (hasBigIqUser) {
+                                    logger.debug('Decrypting BIG-IQ user data');
+                                    return cryptoUtil.decryptStoredValueById(BIG_IQ_ENCRYPTION_ID);
+                                }
+                                return Promise.resolve();
+                            })
+                            .then((password) => {
+                                if (password) {
+                                    declaration.Common[licenseName].bigIqPassword = password;
+                                    deletePromises.push(cryptoUtil.deleteEncryptedId(BIG_IQ_ENCRYPTION_ID));
+                                }
+                                logger.debug('Deleting encrypted data');
+                                return Promise.all(deletePromises);
+                            })
+                            .then(() => decryptSecrets.call(this, currentTaskId, declaration))
+                            .then(() => onboard.call(this, declaration, {}, currentTaskId))
+                            .then(() => {
+                                if (this.bigIps[currentTaskId]) {
+                                    logger.fine('Onboard configuration complete. Saving sys config.');
+                                    return this.bigIps[currentTaskId].save();
+                                }
+                                logger.fine('No device.');
+                                return undefined;
+                            })
+                            .then(() => setPostOnboardStatus.call(
+                                this,
+                                this.bigIps[currentTaskId],
                                 currentTaskId,
-                                500,
-                                STATUS.STATUS_ERROR,
-                                'failed',
-                                err.message
-                            );
-                        });
-                });
+                                declaration
+                            ))
+                            .then(() => rebootIfRequired.call(this, this.bigIps[currentTaskId], currentTaskId))
+                            .then(() => {
+                                logger.fine('Onboard complete.');
+                            })
+                            .catch((err) => {
+                                logger.severe(`Error during onboarding: ${err.message}`);
+                                this.state.doState.updateResult(
+                                    currentTaskId,
+                                    500,
+                                    STATUS.STATUS_ERROR,
+                                    'failed',
+                                    err.message
+                                );
+                            })
+                            .then(() => holdWhileRebooting.call(this, currentTaskId));
+                    })
+                );
 
                 break;
             default:
@@ -1136,6 +2328,7 @@ function updateStateAfterReboot(taskId, success, error) {
 
     // If we were rebooting and are now in this function, all should be well
     this.state.doState.updateResult(taskId, 200, STATUS.STATUS_OK, 'success');
+    scheduleRemediation.call(this);
 
     const declaration = this.state.doState.getDeclaration(taskId);
     const reqOpts = this.state.doState.getRequestOptions(taskId);
@@ -1187,8 +2380,9 @@ function waitForRebootComplete(context, taskId, resolve, reject) {
  * @param {String} endpoint - The endpoint that we are responding to (task, config, etc.)
  * @param {String} [itemId] - The id of the item to send the response for. Default is to send
  *                            result for all items at the endpoint.
+ * @param {Object} [responder] - The responder to use. Default is the responder for the endpoint.
  */
-function sendResponse(restOperation, endpoint, itemId) {
+function sendResponse(restOperation, endpoint, itemId, responder) {
     // Rest framework complains about 'this' because of 'strict', but we use call(this)
     /* jshint validthis: true */
 
@@ -1197,7 +2391,9 @@ function sendResponse(restOperation, endpoint, itemId) {
         query: restOperation.getUri().query
     };
 
-    const response = forgeResponse.call(this, reqOpts, endpoint, itemId);
+    const response = responder
+        ? new Response(itemId, responder, reqOpts.query)
+        : forgeResponse.call(this, reqOpts, endpoint, itemId);
     response.getResponse()
         .then((body) => {
             restOperation.setBody(body);
@@ -1239,11 +2435,24 @@ function forgeResponse(reqOpts, endpoint, itemId) {
     case ENDPOINTS.CONFIG:
         responder = new ConfigResponse(doState, reqOpts.method);
         break;
+    case ENDPOINTS.DRIFT:
+        responder = new DriftResponse(doState, reqOpts.query);
+        break;
+    case ENDPOINTS.HISTORY:
+        if (itemId === 'diff') {
+            responder = new HistoryDiffResponse(doState, reqOpts.query);
+        } else {
+            responder = new HistoryResponse(doState);
+        }
+        break;
     case ENDPOINTS.INFO:
-        responder = new InfoResponse(reqOpts.method);
+        responder = new InfoResponse(doState);
         break;
     case ENDPOINTS.INSPECT:
-        responder = new InspectResponse(reqOpts.query, reqOpts.method);
+        responder = new InspectResponse(reqOpts.query, { timeout: doState.getSettings().inspectTimeoutMs });
+        break;
+    case ENDPOINTS.SETTINGS:
+        responder = new SettingsResponse(doState);
         break;
     case ENDPOINTS.TASK: {
         responder = new TaskResponse(doState, reqOpts.method);
@@ -1280,9 +2489,10 @@ function postWebhook(reqOpts, endpoint, itemId, webhook) {
                 },
                 body
             };
-            return httpUtil.post(webhook, options)
+            return postWithTimeout(webhook, options, this.state.doState.getSettings().webhookTimeoutMs)
                 .catch((err) => {
                     logger.fine(`Webhook failed POST: ${JSON.stringify(err)}`);
+                    this.metrics.increment('do_webhook_failures_total');
                 });
         })
         .catch((err) => {
@@ -1290,6 +2500,34 @@ function postWebhook(reqOpts, endpoint, itemId, webhook) {
         });
 }
 
+/**
+ * Posts to a url, giving up if there is no response in time.
+ *
+ * @param {String} url - url to post to
+ * @param {Object} options - Options for httpUtil.post
+ * @param {Number} timeout - Milliseconds to wait for the response.
+ *
+ * @returns {Promise} A promise which is resolved with the response or rejected if there
+ *                    is an error or no response in time.
+ */
+function postWithTimeout(url, options, timeout) {
+    let timeoutId;
+    const timer = new Promise((resolve, reject) => {
+        timeoutId = setTimeout(() => {
+            reject(new Error(`No response within ${timeout}ms`));
+        }, timeout);
+    });
+    return Promise.race([httpUtil.post(url, options), timer])
+        .then((response) => {
+            clearTimeout(timeoutId);
+            return response;
+        })
+        .catch((err) => {
+            clearTimeout(timeoutId);
+            return Promise.reject(err);
+        });
+}
+
 function sendError(restOperation, code, message) {
     restOperation.setContentType('application/json');
     setStatusCode(code, restOperation);
@@ -1315,16 +2553,20 @@ function setStatusCode(code, restOperation) {
  *
  *     {
  *         path: <path_that_was_requested_not_including_base_uri_or_id>,
- *         id: <id_that_was_requested>
+ *         id: <id_that_was_requested>,
+ *         action: <path_after_the_id>
  *     }
  */
 function getPathInfo(uri) {
-    const pathParts = uri.pathname.split('/');
+    const pathParts = (uri.pathname || '').split('/');
     const pathInfo = {};
     if (pathParts.length > 3 && pathParts[3] !== '') {
         pathInfo.path = pathParts[3];
         if (pathParts.length > 4 && pathParts[4] !== '') {
             pathInfo.id = pathParts[4];
+            if (pathParts.length > 5 && pathParts[5] !== '') {
+                pathInfo.action = pathParts[5];
+            }
         }
     }
     return pathInfo;
@@ -1342,6 +2584,7 @@ function prepForRebootResumeOrRevoke(taskId, status, bigIpPassword, bigIqPasswor
     }
 
     return Promise.all(encryptPromises)
+        .then(() => encryptSecrets.call(this, taskId))
         // We have to save sys config here to save the enrypted data in case
         // something restarts
         .then(() => this.bigIps[taskId].save())
@@ -1356,6 +2599,61 @@ function prepForRebootResumeOrRevoke(taskId, status, bigIpPassword, bigIqPasswor
         });
 }
 
+/**
+ * Encrypts the secrets in the declaration of a running task and stores them in the task, so
+ * that the task can be resumed after a restart.
+ *
+ * @param {String} taskId - The id of the task.
+ *
+ * @returns {Promise} A promise which is resolved when the secrets are stored (but not saved).
+ */
+function encryptSecrets(taskId) {
+    // Rest framework complains about 'this' because of 'strict', but we use call(this)
+    /* jshint validthis: true */
+
+    const secrets = (this.secrets[taskId] || []).filter((secret) => typeof secret.value === 'string');
+    if (secrets.length === 0) {
+        return Promise.resolve();
+    }
+
+    logger.debug('Encrypting secrets');
+    return Promise.all(secrets.map((secret) => cryptoUtil.encryptValue(secret.value)
+        .then((encrypted) => ({ path: secret.path, value: encrypted }))))
+        .then((encryptedSecrets) => {
+            this.state.doState.setEncryptedSecrets(taskId, encryptedSecrets);
+        });
+}
+
+/**
+ * Decrypts the secrets stored by encryptSecrets into the declaration of a task which is
+ * being resumed, and removes them from the task.
+ *
+ * @param {String} taskId - The id of the task.
+ * @param {Object} declaration - The declaration to put the secrets in.
+ *
+ * @returns {Promise} A promise which is resolved when complete.
+ */
+function decryptSecrets(taskId, declaration) {
+    // Rest framework complains about 'this' because of 'strict', but we use call(this)
+    /* jshint validthis: true */
+
+    const encryptedSecrets = this.state.doState.getEncryptedSecrets(taskId);
+    if (!encryptedSecrets) {
+        return Promise.resolve();
+    }
+
+    logger.debug('Decrypting secrets');
+    return Promise.all(encryptedSecrets.map((secret) => Promise.all(
+        secret.value.map((chunk) => cryptoUtil.decryptValue(chunk))
+    )
+        .then((chunks) => ({ path: secret.path, value: chunks.join('') }))))
+        .then((secrets) => {
+            doUtil.setMaskedValues(declaration, secrets);
+            this.state.doState.setEncryptedSecrets(taskId, null);
+            return save.call(this);
+        });
+}
+
 function saveConfig(bigIp, declaration) {
     if (declaration.controls && declaration.controls.dryRun) {
         return Promise.resolve();
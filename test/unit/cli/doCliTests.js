@@ -0,0 +1,448 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const doCli = require('../../../src/cli/doCli');
+
+describe('doCli', () => {
+    let files;
+    let stdout;
+    let stderr;
+    let io;
+
+    function run(args) {
+        return doCli.run(args, io);
+    }
+
+    beforeEach(() => {
+        files = {
+            'from.json': JSON.stringify({
+                schemaVersion: '1.0.0',
+                class: 'Device',
+                Common: {
+                    class: 'Tenant',
+                    myVlan: {
+                        class: 'VLAN',
+                        tag: 100,
+                        mtu: 1400,
+                        interfaces: [{ name: '1.1' }]
+                    }
+                }
+            }),
+            'to.json': JSON.stringify({
+                class: 'DO',
+                declaration: {
+                    schemaVersion: '1.0.0',
+                    class: 'Device',
+                    Common: {
+                        class: 'Tenant',
+                        myVlan: {
+                            class: 'VLAN',
+                            tag: 100,
+                            mtu: 1500,
+                            interfaces: [{ name: '1.1' }]
+                        }
+                    }
+                }
+            }),
+            'invalid.json': JSON.stringify({
+                schemaVersion: '1.0.0',
+                class: 'Device',
+                Common: {
+                    class: 'Tenant',
+                    myVlan: {
+                        class: 'VLAN',
+                        tag: 5000,
+                        interfaces: [{ name: '1.1' }]
+                    }
+                }
+            }),
+            'notJson.json': 'foo',
+            'bigip_base.conf': [
+                '#TMSH-VERSION: 15.1.0',
+                'net vlan /Common/external {',
+                '    interfaces { 1.1 { } }',
+                '    tag 100',
+                '}',
+                'ltm rule /Common/myRule { }'
+            ].join('\n'),
+            'duplicates.conf': [
+                'net vlan /Common/external {',
+                '    interfaces { 1.1 { } }',
+                '}',
+                'net self /Common/external {',
+                '    address 10.1.0.1/24',
+                '    vlan /Common/external',
+                '}'
+            ].join('\n')
+        };
+        stdout = '';
+        stderr = '';
+        io = {
+            stdout: { write: (text) => { stdout += text; } },
+            stderr: { write: (text) => { stderr += text; } },
+            readFile: (file) => {
+                if (typeof files[file] === 'undefined') {
+                    throw new Error('no such file');
+                }
+                return files[file];
+            }
+        };
+    });
+
+    describe('validate', () => {
+        it('should report a valid declaration', () => run(['validate', 'from.json'])
+            .then((exitCode) => {
+                assert.strictEqual(exitCode, doCli.EXIT.OK);
+                assert.strictEqual(stdout, 'valid\n');
+            }));
+
+        it('should report validation errors as text', () => run(['validate', 'invalid.json'])
+            .then((exitCode) => {
+                assert.strictEqual(exitCode, doCli.EXIT.INVALID);
+                assert.strictEqual(stdout, '/Common/myVlan/tag: must be integer 1-4094 (VLAN)\n');
+            }));
+
+        it('should validate secret references without resolving them', () => {
+            const declaration = JSON.parse(files['from.json']);
+            declaration.Common.myUser = {
+                class: 'User',
+                userType: 'regular',
+                password: { secretRef: 'file:/config/secrets/myUser' }
+            };
+            files['secrets.json'] = JSON.stringify(declaration);
+            return run(['validate', 'secrets.json'])
+                .then((exitCode) => {
+                    assert.strictEqual(exitCode, doCli.EXIT.OK);
+                    assert.strictEqual(stdout, 'valid\n');
+                });
+        });
+
+        it('should report secret references which are not valid', () => {
+            const declaration = JSON.parse(files['from.json']);
+            declaration.Common.myUser = {
+                class: 'User',
+                userType: 'regular',
+                password: { secretRef: 'vault:myUser' }
+            };
+            files['secrets.json'] = JSON.stringify(declaration);
+            return run(['validate', 'secrets.json'])
+                .then((exitCode) => {
+                    assert.strictEqual(exitCode, doCli.EXIT.INVALID);
+                    assert.strictEqual(
+                        stdout,
+                        '/Common/myUser/password: secretRef must be file:<path>, env:<name> or stored:<id>\n'
+                    );
+                });
+        });
+
+        describe('licensePool', () => {
+            beforeEach(() => {
+                files['licensePool.json'] = JSON.stringify({
+                    schemaVersion: '1.0.0',
+                    class: 'Device',
+                    Common: {
+                        class: 'Tenant',
+                        myLicense: {
+                            class: 'License',
+                            licenseType: 'licensePool',
+                            licensePool: 'myPool',
+                            reachable: true,
+                            bigIpUsername: 'admin',
+                            bigIpPassword: 'myPassword'
+                        }
+                    }
+                });
+            });
+
+            it('should validate as on a BIG-IP without contacting a device', () => run(['validate', 'licensePool.json'])
+                .then((exitCode) => {
+                    assert.strictEqual(exitCode, doCli.EXIT.INVALID);
+                    assert.strictEqual(
+                        stdout,
+                        "/Common/myLicense: If not running on BIG-IQ, licensePool info requires 'bigIqHost', 'bigIqUsername', and either 'bigIqPassword' or 'bigIqPasswordUri' (License)\n"
+                    );
+                }));
+
+            it('should validate for the platform that is given', () => run(['validate', '--platform', 'BIG-IQ', 'licensePool.json'])
+                .then((exitCode) => {
+                    assert.strictEqual(exitCode, doCli.EXIT.OK);
+                    assert.strictEqual(stdout, 'valid\n');
+                }));
+
+            it('should reject unknown platforms', () => run(['validate', '--platform', 'BIG-IQQ', 'licensePool.json'])
+                .then((exitCode) => {
+                    assert.strictEqual(exitCode, doCli.EXIT.USAGE);
+                    assert.ok(stderr.startsWith('Invalid platform: BIG-IQQ'));
+                }));
+        });
+
+        it('should report validation errors as JSON', () => run(['validate', '--format', 'json', 'invalid.json'])
+            .then((exitCode) => {
+                const report = JSON.parse(stdout);
+                assert.strictEqual(exitCode, doCli.EXIT.INVALID);
+                assert.strictEqual(report.isValid, false);
+                assert.deepStrictEqual(report.errors, ['/Common/myVlan/tag: must be integer 1-4094 (VLAN)']);
+                assert.strictEqual(report.rawErrors[0].keyword, 'maximum');
+            }));
+
+        it('should report files that cannot be read', () => run(['validate', 'notJson.json'])
+            .then((exitCode) => {
+                assert.strictEqual(exitCode, doCli.EXIT.USAGE);
+                assert.ok(stderr.startsWith('Unable to read notJson.json'));
+            }));
+    });
+
+    describe('parse', () => {
+        it('should print the parsed declaration', () => run(['parse', 'from.json'])
+            .then((exitCode) => {
+                const parsed = JSON.parse(stdout);
+                assert.strictEqual(exitCode, doCli.EXIT.OK);
+                assert.strictEqual(parsed.Common.VLAN.myVlan.name, 'myVlan');
+                assert.strictEqual(parsed.Common.VLAN.myVlan.mtu, 1400);
+            }));
+
+        it('should not parse an invalid declaration', () => run(['parse', 'invalid.json'])
+            .then((exitCode) => {
+                assert.strictEqual(exitCode, doCli.EXIT.INVALID);
+                assert.strictEqual(stdout, '/Common/myVlan/tag: must be integer 1-4094 (VLAN)\n');
+            }));
+    });
+
+    describe('diff', () => {
+        it('should print the differences as text', () => run(['diff', 'from.json', 'to.json'])
+            .then((exitCode) => {
+                assert.strictEqual(exitCode, doCli.EXIT.OK);
+                assert.strictEqual(stdout, 'VLAN myVlan modified\n    modified /mtu: 1400 -> 1500\n');
+            }));
+
+        it('should print the differences as JSON', () => run(['diff', '--format', 'json', 'from.json', 'to.json'])
+            .then((exitCode) => {
+                assert.strictEqual(exitCode, doCli.EXIT.OK);
+                assert.deepStrictEqual(
+                    JSON.parse(stdout),
+                    {
+                        VLAN: {
+                            myVlan: {
+                                action: 'modified',
+                                changes: [{
+                                    action: 'modified', path: '/mtu', from: 1400, to: 1500
+                                }]
+                            }
+                        }
+                    }
+                );
+            }));
+
+        it('should say when there are no differences', () => run(['diff', 'from.json', 'from.json'])
+            .then((exitCode) => {
+                assert.strictEqual(exitCode, doCli.EXIT.OK);
+                assert.strictEqual(stdout, 'no changes\n');
+            }));
+
+        it('should report which declaration is not valid', () => run(['diff', 'from.json', 'invalid.json'])
+            .then((exitCode) => {
+                assert.strictEqual(exitCode, doCli.EXIT.INVALID);
+                assert.strictEqual(stderr, 'invalid.json is not valid\n');
+            }));
+    });
+
+    describe('upgrade', () => {
+        it('should upgrade to the latest schema version', () => run(['upgrade', 'from.json'])
+            .then((exitCode) => {
+                const upgraded = JSON.parse(stdout);
+                const expected = JSON.parse(files['from.json']);
+                expected.schemaVersion = upgraded.schemaVersion;
+
+                assert.strictEqual(exitCode, doCli.EXIT.OK);
+                assert.notStrictEqual(upgraded.schemaVersion, '1.0.0');
+                assert.deepStrictEqual(upgraded, expected);
+            }));
+
+        it('should upgrade a DO wrapper to a given version', () => run(['upgrade', '--to', '1.20.0', 'to.json'])
+            .then((exitCode) => {
+                const upgraded = JSON.parse(stdout);
+                assert.strictEqual(exitCode, doCli.EXIT.OK);
+                assert.strictEqual(upgraded.class, 'DO');
+                assert.strictEqual(upgraded.declaration.schemaVersion, '1.20.0');
+            }));
+
+        it('should move properties and report the changes', () => {
+            files['hostname.json'] = JSON.stringify({
+                schemaVersion: '1.0.0',
+                class: 'Device',
+                Common: {
+                    class: 'Tenant',
+                    hostname: 'bigip.example.com'
+                }
+            });
+            return run(['upgrade', '--to', '1.8.0', 'hostname.json'])
+                .then((exitCode) => {
+                    assert.strictEqual(exitCode, doCli.EXIT.OK);
+                    assert.deepStrictEqual(
+                        JSON.parse(stdout).Common.system,
+                        { class: 'System', hostname: 'bigip.example.com' }
+                    );
+                    assert.strictEqual(stderr, '/Common/hostname moved to /Common/system/hostname\n');
+                });
+        });
+
+        it('should report what an older version does not have', () => {
+            files['trunk.json'] = JSON.stringify({
+                schemaVersion: '1.7.0',
+                class: 'Device',
+                Common: {
+                    class: 'Tenant',
+                    myTrunk: {
+                        class: 'Trunk'
+                    }
+                }
+            });
+            return run(['upgrade', '--to', '1.6.0', 'trunk.json'])
+                .then((exitCode) => {
+                    assert.strictEqual(exitCode, doCli.EXIT.INVALID);
+                    assert.strictEqual(stdout, '/Common/myTrunk: class Trunk requires schema version 1.7.0 or later\n');
+                });
+        });
+
+        it('should reject unknown versions', () => run(['upgrade', '--to', '0.1.0', 'from.json'])
+            .then((exitCode) => {
+                assert.strictEqual(exitCode, doCli.EXIT.USAGE);
+                assert.ok(stderr.startsWith('Unknown schema version 0.1.0'));
+            }));
+    });
+
+    describe('render', () => {
+        beforeEach(() => {
+            files['template.json'] = JSON.stringify({
+                schemaVersion: '1.0.0',
+                class: 'Device',
+                parameters: {
+                    tag: 100
+                },
+                Common: {
+                    class: 'Tenant',
+                    myVlan: {
+                        class: 'VLAN',
+                        tag: '{{ tag }}',
+                        interfaces: [{ name: '1.1' }]
+                    }
+                }
+            });
+            files['vars.json'] = JSON.stringify({ tag: 200 });
+        });
+
+        it('should resolve a template with the defaults', () => run(['render', 'template.json'])
+            .then((exitCode) => {
+                const rendered = JSON.parse(stdout);
+                assert.strictEqual(exitCode, doCli.EXIT.OK);
+                assert.strictEqual(rendered.parameters, undefined);
+                assert.deepStrictEqual(
+                    rendered.Common.myVlan,
+                    { class: 'VLAN', tag: 100, interfaces: [{ name: '1.1' }] }
+                );
+            }));
+
+        it('should resolve a template with variables', () => run(['render', '--vars', 'vars.json', 'template.json'])
+            .then((exitCode) => {
+                assert.strictEqual(exitCode, doCli.EXIT.OK);
+                assert.strictEqual(JSON.parse(stdout).Common.myVlan.tag, 200);
+            }));
+
+        it('should validate templates for the other commands', () => {
+            files['vars.json'] = JSON.stringify({ tag: 5000 });
+            return run(['validate', '--vars', 'vars.json', 'template.json'])
+                .then((exitCode) => {
+                    assert.strictEqual(exitCode, doCli.EXIT.INVALID);
+                    assert.strictEqual(stdout, '/Common/myVlan/tag: must be integer 1-4094 (VLAN)\n');
+                });
+        });
+
+        it('should report parameters which are not defined', () => {
+            files['template.json'] = files['template.json'].replace('{{ tag }}', '{{ vlanTag }}');
+            return run(['render', 'template.json'])
+                .then((exitCode) => {
+                    assert.strictEqual(exitCode, doCli.EXIT.USAGE);
+                    assert.strictEqual(
+                        stderr,
+                        'Unable to resolve template.json: /Common/myVlan/tag: parameter vlanTag is not defined\n'
+                    );
+                });
+        });
+    });
+
+    describe('convert', () => {
+        it('should print the declaration', () => run(['convert', 'bigip_base.conf'])
+            .then((exitCode) => {
+                assert.strictEqual(exitCode, doCli.EXIT.OK);
+                const wrapper = JSON.parse(stdout);
+                assert.strictEqual(wrapper.class, 'DO');
+                assert.strictEqual(wrapper.declaration.Common.external.tag, 100);
+                assert.strictEqual(stderr, 'skipped: ltm rule\n');
+            }));
+
+        it('should print the result as json', () => run(['convert', '--format', 'json', '--version', '14.1.0', 'bigip_base.conf'])
+            .then((exitCode) => {
+                assert.strictEqual(exitCode, doCli.EXIT.OK);
+                const result = JSON.parse(stdout);
+                assert.strictEqual(result.code, 200);
+                assert.deepStrictEqual(result.skipped, ['ltm rule']);
+                assert.strictEqual(result.declaration.declaration.Common.external.tag, 100);
+            }));
+
+        it('should report problems with the declaration', () => run(['convert', 'duplicates.conf'])
+            .then((exitCode) => {
+                assert.strictEqual(exitCode, doCli.EXIT.INVALID);
+                assert.ok(stdout.indexOf('external_INVALID_1') !== -1);
+                assert.strictEqual(stderr, 'Declaration contains INVALID items (suffixed with INVALID_X)\n');
+            }));
+
+        it('should report unreadable files', () => run(['convert', 'missing.conf'])
+            .then((exitCode) => {
+                assert.strictEqual(exitCode, doCli.EXIT.USAGE);
+                assert.ok(stderr.startsWith('Unable to read missing.conf'));
+            }));
+    });
+
+    describe('arguments', () => {
+        it('should print usage for help', () => run(['--help'])
+            .then((exitCode) => {
+                assert.strictEqual(exitCode, doCli.EXIT.OK);
+                assert.ok(stdout.startsWith('Usage: do-cli'));
+            }));
+
+        it('should reject unknown commands', () => run(['lint', 'from.json'])
+            .then((exitCode) => {
+                assert.strictEqual(exitCode, doCli.EXIT.USAGE);
+                assert.ok(stderr.startsWith('Unknown command: lint'));
+            }));
+
+        it('should reject the wrong number of files', () => run(['diff', 'from.json'])
+            .then((exitCode) => {
+                assert.strictEqual(exitCode, doCli.EXIT.USAGE);
+                assert.ok(stderr.startsWith('diff requires two files'));
+            }));
+
+        it('should reject unknown formats', () => run(['validate', '--format', 'xml', 'from.json'])
+            .then((exitCode) => {
+                assert.strictEqual(exitCode, doCli.EXIT.USAGE);
+                assert.ok(stderr.startsWith('Invalid format: xml'));
+            }));
+    });
+});
@@ -0,0 +1,125 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const ConfigFileBigIp = require('../../../src/lib/configFileBigIp');
+
+describe('configFileBigIp', () => {
+    let config;
+
+    beforeEach(() => {
+        config = {
+            version: '14.1.2',
+            objects: {
+                '/tm/sys/global-settings': {
+                    hostname: 'myhost.example.com'
+                },
+                '/tm/net/vlan': [
+                    {
+                        name: 'external',
+                        partition: 'Common',
+                        fullPath: '/Common/external',
+                        tag: 100,
+                        interfaces: [{ name: '1.1', tagged: true }]
+                    },
+                    {
+                        name: 'other',
+                        partition: 'other',
+                        fullPath: '/other/other',
+                        tag: 200
+                    }
+                ]
+            },
+            skipped: []
+        };
+    });
+
+    describe('deviceInfo', () => {
+        it('should get the hostname and version from the config', () => {
+            const bigIp = new ConfigFileBigIp(config);
+            return bigIp.deviceInfo()
+                .then((deviceInfo) => {
+                    assert.strictEqual(deviceInfo.hostname, 'myhost.example.com');
+                    assert.strictEqual(deviceInfo.version, '14.1.2');
+                });
+        });
+
+        it('should use the version from the options', () => {
+            const bigIp = new ConfigFileBigIp(config, { version: '16.1.0' });
+            return bigIp.deviceInfo()
+                .then((deviceInfo) => {
+                    assert.strictEqual(deviceInfo.version, '16.1.0');
+                });
+        });
+    });
+
+    describe('list', () => {
+        it('should filter by partition and select properties', () => {
+            const bigIp = new ConfigFileBigIp(config);
+            return bigIp.list('/tm/net/vlan?$filter=partition eq Common&$select=name,tag')
+                .then((vlans) => {
+                    assert.deepStrictEqual(vlans, [{ name: 'external', tag: 100 }]);
+                });
+        });
+
+        it('should add links to sub-collections', () => {
+            const bigIp = new ConfigFileBigIp(config);
+            return bigIp.list('/tm/net/vlan?$select=interfacesReference')
+                .then((vlans) => {
+                    assert.deepStrictEqual(
+                        vlans[0].interfacesReference,
+                        { link: 'https://localhost/mgmt/tm/net/vlan/~Common~external/interfaces' }
+                    );
+                });
+        });
+
+        it('should get items and sub-collections', () => {
+            const bigIp = new ConfigFileBigIp(config);
+            return bigIp.list('/tm/net/vlan/~Common~external/interfaces')
+                .then((interfaces) => {
+                    assert.deepStrictEqual(interfaces, [{ name: '1.1', tagged: true }]);
+                    return bigIp.list('/tm/net/vlan/~Common~external');
+                })
+                .then((vlan) => {
+                    assert.strictEqual(vlan.tag, 100);
+                });
+        });
+
+        it('should return nothing for paths which are not in the config', () => {
+            const bigIp = new ConfigFileBigIp(config);
+            return bigIp.list('/tm/sys/dns')
+                .then((dns) => {
+                    assert.deepStrictEqual(dns, {});
+                    return bigIp.list('/tm/net/trunk');
+                })
+                .then((trunks) => {
+                    assert.deepStrictEqual(trunks, []);
+                });
+        });
+
+        it('should add a device for the hostname', () => {
+            const bigIp = new ConfigFileBigIp(config);
+            return bigIp.list('/tm/cm/device')
+                .then((devices) => {
+                    assert.strictEqual(devices.length, 1);
+                    assert.strictEqual(devices[0].hostname, 'myhost.example.com');
+                });
+        });
+    });
+});
@@ -0,0 +1,74 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const configFileConverter = require('../../../src/lib/configFileConverter');
+
+describe('configFileConverter', () => {
+    const config = [
+        '#TMSH-VERSION: 15.1.0',
+        '',
+        'ltm rule /Common/myRule {',
+        '    when HTTP_REQUEST { }',
+        '}',
+        'net vlan /Common/external {',
+        '    interfaces {',
+        '        1.1 {',
+        '            tagged',
+        '        }',
+        '    }',
+        '    mtu 1400',
+        '    tag 100',
+        '}',
+        'sys dns {',
+        '    name-servers { 8.8.8.8 }',
+        '    search { example.com }',
+        '}',
+        'sys global-settings {',
+        '    hostname myhost.example.com',
+        '}'
+    ].join('\n');
+
+    it('should convert a config file to a declaration', function test() {
+        this.timeout(10000);
+        return configFileConverter.convert(config)
+            .then((result) => {
+                const common = result.declaration.declaration.Common;
+                assert.strictEqual(result.code, 200);
+                assert.deepStrictEqual(result.errors, []);
+                assert.deepStrictEqual(result.skipped, ['ltm rule']);
+                assert.strictEqual(common.currentSystem.hostname, 'myhost.example.com');
+                assert.deepStrictEqual(common.currentDNS.nameServers, ['8.8.8.8']);
+                assert.strictEqual(common.external.class, 'VLAN');
+                assert.strictEqual(common.external.tag, 100);
+                assert.strictEqual(common.external.mtu, 1400);
+                assert.deepStrictEqual(common.external.interfaces, [{ name: '1.1', tagged: true }]);
+            });
+    });
+
+    it('should leave out classes which are not in the config file', function test() {
+        this.timeout(10000);
+        return configFileConverter.convert(config)
+            .then((result) => {
+                const common = result.declaration.declaration.Common;
+                assert.strictEqual(common.currentNTP, undefined);
+                assert.strictEqual(common.currentTrafficControl, undefined);
+            });
+    });
+});
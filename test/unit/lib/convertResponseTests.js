@@ -0,0 +1,198 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const ConvertResponse = require('../../../src/lib/convertResponse');
+
+const SCHEMA_VERSION = require('../../../src/schema/latest/base.schema.json').properties.schemaVersion.enum[0];
+
+describe('convertResponse', () => {
+    let validatorMock;
+    let declaration;
+
+    beforeEach(() => {
+        validatorMock = {
+            validate: () => Promise.resolve({ isValid: true, errors: null, messages: null })
+        };
+        declaration = {
+            schemaVersion: '1.29.0',
+            class: 'Device',
+            Common: {
+                class: 'Tenant',
+                myVlan: {
+                    class: 'VLAN',
+                    tag: 100,
+                    interfaces: [{ name: '1.1' }]
+                }
+            }
+        };
+    });
+
+    it('should return the proper selfLink', () => {
+        const convertResponse = new ConvertResponse(validatorMock, {}, { queryParams: { toVersion: '1.20.0' } });
+        assert.strictEqual(
+            convertResponse.getSelfLink(),
+            'https://localhost/mgmt/shared/declarative-onboarding/convert?toVersion=1.20.0'
+        );
+    });
+
+    it('should convert a declaration', () => {
+        const convertResponse = new ConvertResponse(validatorMock, declaration, { toVersion: '1.20.0' });
+        return convertResponse.getData()
+            .then((data) => {
+                assert.strictEqual(data.declaration.schemaVersion, '1.20.0');
+                assert.strictEqual(data.fromVersion, '1.29.0');
+                assert.strictEqual(data.toVersion, '1.20.0');
+                assert.deepStrictEqual(data.changes, []);
+                assert.strictEqual(convertResponse.getCode(), 200);
+                assert.strictEqual(convertResponse.getStatus(), 'OK');
+                assert.strictEqual(convertResponse.getMessage(), 'converted');
+                assert.deepStrictEqual(convertResponse.getErrors(), []);
+            });
+    });
+
+    it('should convert to the latest version by default', () => {
+        declaration.schemaVersion = '1.0.0';
+        const convertResponse = new ConvertResponse(validatorMock, { class: 'DO', declaration });
+        return convertResponse.getData()
+            .then((data) => {
+                assert.strictEqual(data.declaration.class, 'DO');
+                assert.strictEqual(data.declaration.declaration.schemaVersion, SCHEMA_VERSION);
+            });
+    });
+
+    it('should not add defaults from validation to the declaration', () => {
+        validatorMock.validate = (wrapper) => {
+            wrapper.declaration.Common.myVlan.mtu = 1500;
+            return Promise.resolve({ isValid: true });
+        };
+        const convertResponse = new ConvertResponse(validatorMock, declaration, { toVersion: '1.20.0' });
+        return convertResponse.getData()
+            .then((data) => {
+                assert.strictEqual(data.declaration.Common.myVlan.mtu, undefined);
+            });
+    });
+
+    it('should report validation errors', () => {
+        validatorMock.validate = () => Promise.resolve({
+            isValid: false,
+            errors: [{ pointer: '/declaration/Common/myVlan/tag', message: 'bad' }],
+            messages: ['/Common/myVlan/tag: bad (VLAN)']
+        });
+        const convertResponse = new ConvertResponse(validatorMock, declaration);
+        return convertResponse.getData()
+            .then((data) => {
+                assert.deepStrictEqual(data, {});
+                assert.strictEqual(convertResponse.getCode(), 400);
+                assert.strictEqual(convertResponse.getMessage(), 'bad declaration');
+                assert.deepStrictEqual(convertResponse.getErrors(), ['/Common/myVlan/tag: bad (VLAN)']);
+                assert.deepStrictEqual(
+                    convertResponse.getRawErrors(),
+                    [{ pointer: '/declaration/Common/myVlan/tag', message: 'bad' }]
+                );
+            });
+    });
+
+    it('should report what the target version does not have', () => {
+        declaration.Common.myVlan.autoLastHop = 'enabled';
+        const convertResponse = new ConvertResponse(validatorMock, declaration, { toVersion: '1.21.0' });
+        return convertResponse.getData()
+            .then((data) => {
+                assert.deepStrictEqual(data, {});
+                assert.strictEqual(convertResponse.getCode(), 422);
+                assert.strictEqual(convertResponse.getMessage(), 'unable to convert');
+                assert.deepStrictEqual(
+                    convertResponse.getErrors(),
+                    ['/Common/myVlan/autoLastHop: requires schema version 1.22.0 or later (VLAN)']
+                );
+            });
+    });
+
+    it('should report unknown versions', () => {
+        const convertResponse = new ConvertResponse(validatorMock, declaration, { toVersion: '0.1.0' });
+        return convertResponse.getData()
+            .then(() => {
+                assert.strictEqual(convertResponse.getCode(), 400);
+                assert.ok(convertResponse.getErrors()[0].startsWith('Unknown schema version 0.1.0'));
+            });
+    });
+
+    it('should report a body which could not be parsed', () => {
+        const convertResponse = new ConvertResponse(validatorMock);
+        return convertResponse.getData()
+            .then(() => {
+                assert.strictEqual(convertResponse.getCode(), 400);
+                assert.deepStrictEqual(
+                    convertResponse.getErrors(),
+                    ['Unable to parse request body. Should be JSON format.']
+                );
+            });
+    });
+
+    it('should report errors found before validation', () => {
+        const convertResponse = new ConvertResponse(
+            validatorMock,
+            declaration,
+            { errors: ['/Common/mySystem/hostname: parameter hostname is not defined'] }
+        );
+        return convertResponse.getData()
+            .then((data) => {
+                assert.deepStrictEqual(data, {});
+                assert.strictEqual(convertResponse.getCode(), 400);
+                assert.strictEqual(convertResponse.getMessage(), 'bad declaration');
+                assert.deepStrictEqual(
+                    convertResponse.getErrors(),
+                    ['/Common/mySystem/hostname: parameter hostname is not defined']
+                );
+            });
+    });
+
+    it('should keep secret references in the converted declaration', () => {
+        let validatedData;
+        validatorMock.validate = (data) => {
+            validatedData = data;
+            return Promise.resolve({ isValid: true });
+        };
+        declaration.Common.myUser = {
+            class: 'User',
+            userType: 'regular',
+            password: { secretRef: 'file:/config/secrets/myUser' }
+        };
+        const convertResponse = new ConvertResponse(validatorMock, declaration, { toVersion: '1.20.0' });
+        return convertResponse.getData()
+            .then((data) => {
+                assert.strictEqual(validatedData.declaration.Common.myUser.password, 'secretRef');
+                assert.deepStrictEqual(
+                    data.declaration.Common.myUser.password,
+                    { secretRef: 'file:/config/secrets/myUser' }
+                );
+            });
+    });
+
+    it('should report errors from the validators', () => {
+        validatorMock.validate = () => Promise.reject(new Error('validator failed'));
+        const convertResponse = new ConvertResponse(validatorMock, declaration);
+        return convertResponse.getData()
+            .then(() => {
+                assert.strictEqual(convertResponse.getCode(), 500);
+                assert.strictEqual(convertResponse.getMessage(), 'failed');
+                assert.deepStrictEqual(convertResponse.getErrors(), ['validator failed']);
+            });
+    });
+});
@@ -0,0 +1,155 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const declarationDiff = require('../../../src/lib/declarationDiff');
+
+describe('declarationDiff', () => {
+    let from;
+    let to;
+
+    beforeEach(() => {
+        from = {
+            schemaVersion: '1.0.0',
+            class: 'Device',
+            Common: {
+                class: 'Tenant',
+                myDns: {
+                    class: 'DNS',
+                    nameServers: ['1.1.1.1']
+                },
+                myVlan: {
+                    class: 'VLAN',
+                    tag: 1234,
+                    mtu: 1400,
+                    interfaces: [{ name: '1.1', tagged: true }]
+                },
+                oldVlan: {
+                    class: 'VLAN',
+                    tag: 1000
+                }
+            }
+        };
+        to = JSON.parse(JSON.stringify(from));
+    });
+
+    it('should report no changes for equal declarations', () => {
+        assert.deepStrictEqual(declarationDiff.diff(from, to), {});
+    });
+
+    it('should ignore the order of objects and properties', () => {
+        to = {
+            class: 'Device',
+            schemaVersion: '1.0.0',
+            Common: {
+                oldVlan: from.Common.oldVlan,
+                myVlan: from.Common.myVlan,
+                myDns: from.Common.myDns,
+                class: 'Tenant'
+            }
+        };
+        assert.deepStrictEqual(declarationDiff.diff(from, to), {});
+    });
+
+    it('should group changes by class and object name', () => {
+        to.Common.myVlan.mtu = 1500;
+        to.Common.myVlan.interfaces.push({ name: '1.2', tagged: false });
+        to.Common.myDns.nameServers = ['8.8.8.8'];
+        delete to.Common.oldVlan;
+        to.Common.newVlan = {
+            class: 'VLAN',
+            tag: 2000
+        };
+
+        assert.deepStrictEqual(
+            declarationDiff.diff(from, to),
+            {
+                DNS: {
+                    myDns: {
+                        action: 'modified',
+                        changes: [
+                            {
+                                action: 'modified',
+                                path: '/nameServers/0',
+                                from: '1.1.1.1',
+                                to: '8.8.8.8'
+                            }
+                        ]
+                    }
+                },
+                VLAN: {
+                    myVlan: {
+                        action: 'modified',
+                        changes: [
+                            {
+                                action: 'modified',
+                                path: '/mtu',
+                                from: 1400,
+                                to: 1500
+                            },
+                            { action: 'added', path: '/interfaces/1', to: { name: '1.2', tagged: false } }
+                        ]
+                    },
+                    oldVlan: {
+                        action: 'removed',
+                        from: { name: 'oldVlan', tag: 1000 }
+                    },
+                    newVlan: {
+                        action: 'added',
+                        to: { name: 'newVlan', tag: 2000 }
+                    }
+                }
+            }
+        );
+    });
+
+    it('should report tenant level properties under the Tenant class', () => {
+        from.Common.hostname = 'bigip1.example.com';
+        to.Common.hostname = 'bigip2.example.com';
+
+        assert.deepStrictEqual(
+            declarationDiff.diff(from, to),
+            {
+                Tenant: {
+                    Common: {
+                        action: 'modified',
+                        changes: [
+                            {
+                                action: 'modified',
+                                path: '/hostname',
+                                from: 'bigip1.example.com',
+                                to: 'bigip2.example.com'
+                            }
+                        ]
+                    }
+                }
+            }
+        );
+    });
+
+    it('should not modify the declarations', () => {
+        const fromCopy = JSON.parse(JSON.stringify(from));
+        to.Common.myVlan.mtu = 1500;
+        const toCopy = JSON.parse(JSON.stringify(to));
+
+        declarationDiff.diff(from, to);
+        assert.deepStrictEqual(from, fromCopy);
+        assert.deepStrictEqual(to, toCopy);
+    });
+});
@@ -22,6 +22,7 @@ const chaiAsPromised = require('chai-as-promised');
 chai.use(chaiAsPromised);
 const assert = chai.assert;
 
+const EventEmitter = require('events');
 const sinon = require('sinon');
 
 const TeemDevice = require('@f5devcentral/f5-teem').Device;
@@ -398,6 +399,45 @@ describe('declarationHandler', () => {
                 });
         });
 
+        it('should send progress events as each handler starts and finishes', () => {
+            const newDeclaration = {
+                name: 'new',
+                parsed: true,
+                Common: {}
+            };
+            const state = {
+                id: '1234',
+                currentConfig: {
+                    name: 'current'
+                },
+                originalConfig: {
+                    Common: {}
+                }
+            };
+            const eventEmitter = new EventEmitter();
+            const events = [];
+            eventEmitter.on('DO_TASK_PROGRESS', (taskId, type, data) => {
+                events.push({ taskId, type, handler: data.handler });
+            });
+
+            const declarationHandler = new DeclarationHandler(bigIpMock, eventEmitter, { teemEnabled: false });
+            return declarationHandler.process(newDeclaration, state)
+                .then(() => {
+                    assert.strictEqual(events.length, 18);
+                    assert.deepStrictEqual(
+                        events.slice(0, 2),
+                        [
+                            { taskId: '1234', type: 'handlerStarted', handler: 'SystemHandler' },
+                            { taskId: '1234', type: 'handlerFinished', handler: 'SystemHandler' }
+                        ]
+                    );
+                    assert.deepStrictEqual(
+                        events[17],
+                        { taskId: '1234', type: 'handlerFinished', handler: 'DeprovisionHandler' }
+                    );
+                });
+        });
+
         it('should not call handlers if dry run', () => {
             const newDeclaration = {
                 name: 'new',
@@ -425,6 +465,64 @@ describe('declarationHandler', () => {
                 });
         });
 
+        it('should record operations instead of sending them if detailed dry run', () => {
+            const newDeclaration = {
+                name: 'new',
+                parsed: true,
+                controls: {
+                    dryRun: 'detailed'
+                },
+                Common: {}
+            };
+            const state = {
+                currentConfig: {
+                    name: 'current'
+                },
+                originalConfig: {
+                    Common: {}
+                }
+            };
+
+            const modifySpy = sinon.spy(bigIpMock, 'modify');
+            systemHandlerStub.callsFake(function process() {
+                handlerCalled('SystemHandler');
+                return this.bigIp.createOrModify('/tm/sys/ntp', { name: 'myNtp', password: 'secret' });
+            });
+            bigIpMock.list = (path) => {
+                if (path === '/tm/sys/provision') {
+                    return Promise.resolve([]);
+                }
+                const error = new Error('not found');
+                error.code = 404;
+                return Promise.reject(error);
+            };
+            handlersCalled.length = 0;
+
+            const declarationHandler = new DeclarationHandler(bigIpMock);
+            return declarationHandler.process(newDeclaration, state)
+                .then((status) => {
+                    assert.strictEqual(handlersCalled.length, 8);
+                    assert.strictEqual(modifySpy.callCount, 0);
+                    assert.deepStrictEqual(status, {
+                        plan: {
+                            rebootRequired: false,
+                            operations: [
+                                {
+                                    method: 'modify',
+                                    path: '/tm/sys/global-settings',
+                                    body: { guiSetup: 'disabled' }
+                                },
+                                {
+                                    method: 'create',
+                                    path: '/tm/sys/ntp',
+                                    body: { name: 'myNtp' }
+                                }
+                            ]
+                        }
+                    });
+                });
+        });
+
         it('should send TEEM report', () => {
             const newDeclaration = {
                 name: 'new',
@@ -599,6 +697,24 @@ describe('declarationHandler', () => {
                 });
         });
 
+        it('should not send a TEEM report if TEEM is turned off', () => {
+            const state = {
+                currentConfig: {
+                    name: 'current'
+                },
+                originalConfig: {
+                    Common: {}
+                }
+            };
+
+            const reportRecordStub = sinon.stub(TeemDevice.prototype, 'reportRecord').resolves();
+            const declarationHandler = new DeclarationHandler(bigIpMock, null, { teemEnabled: false });
+            return declarationHandler.process({ name: 'new' }, state)
+                .then(() => {
+                    sinon.assert.notCalled(reportRecordStub);
+                });
+        });
+
         it('should succeed even if TEEM report fails', () => {
             const newDeclaration = {
                 name: 'new'
@@ -641,6 +757,195 @@ describe('declarationHandler', () => {
                 'processing error should have been caught');
         });
 
+        it('should stop between handlers if the task is cancelled', () => {
+            const newDeclaration = {
+                name: 'new',
+                parsed: true,
+                Common: {}
+            };
+            const state = {
+                currentConfig: {
+                    name: 'current'
+                },
+                originalConfig: {
+                    Common: {}
+                }
+            };
+            handlersCalled.length = 0;
+            systemHandlerStub.callsFake(() => {
+                handlerCalled('SystemHandler');
+                state.cancelRequest = { rollback: false };
+                return Promise.resolve();
+            });
+
+            const declarationHandler = new DeclarationHandler(bigIpMock);
+            return declarationHandler.process(newDeclaration, state)
+                .then(() => {
+                    assert.fail('should have been cancelled');
+                })
+                .catch((err) => {
+                    assert.strictEqual(err.code, 409);
+                    assert.strictEqual(err.cancelled, true);
+                    assert.deepStrictEqual(err.completedHandlers, ['SystemHandler']);
+                    assert.deepStrictEqual(handlersCalled, ['SystemHandler']);
+                });
+        });
+
+        it('should stop a detailed dry run between handlers if the task is cancelled', () => {
+            const newDeclaration = {
+                name: 'new',
+                parsed: true,
+                controls: {
+                    dryRun: 'detailed'
+                },
+                Common: {}
+            };
+            const state = {
+                currentConfig: {
+                    name: 'current'
+                },
+                originalConfig: {
+                    Common: {}
+                }
+            };
+            bigIpMock.list = (path) => {
+                if (path === '/tm/sys/provision') {
+                    return Promise.resolve([]);
+                }
+                return Promise.resolve({});
+            };
+            handlersCalled.length = 0;
+            systemHandlerStub.callsFake(() => {
+                handlerCalled('SystemHandler');
+                state.cancelRequest = { rollback: false };
+                return Promise.resolve();
+            });
+
+            const declarationHandler = new DeclarationHandler(bigIpMock);
+            return declarationHandler.process(newDeclaration, state)
+                .then(() => {
+                    assert.fail('should have been cancelled');
+                })
+                .catch((err) => {
+                    assert.strictEqual(err.code, 409);
+                    assert.strictEqual(err.cancelled, true);
+                    assert.deepStrictEqual(err.completedHandlers, ['SystemHandler']);
+                    assert.deepStrictEqual(handlersCalled, ['SystemHandler']);
+                });
+        });
+
+        it('should report the timing, iControl calls and outcome of each handler', () => {
+            const newDeclaration = {
+                name: 'new',
+                parsed: true,
+                Common: {}
+            };
+            const state = {
+                currentConfig: {
+                    name: 'current'
+                },
+                originalConfig: {
+                    Common: {}
+                }
+            };
+            const iControl = {
+                request() {
+                    return Promise.resolve();
+                }
+            };
+            bigIpMock.icontrol = iControl;
+            systemHandlerStub.callsFake(function process() {
+                return this.bigIp.icontrol.request('GET', '/tm/sys/global-settings')
+                    .then(() => this.bigIp.icontrol.request('PATCH', '/tm/sys/global-settings'));
+            });
+
+            const declarationHandler = new DeclarationHandler(bigIpMock, null, { teemEnabled: false });
+            return declarationHandler.process(newDeclaration, state)
+                .then((status) => {
+                    assert.strictEqual(status.handlers.length, 9);
+                    const systemReport = status.handlers[0];
+                    assert.strictEqual(systemReport.name, 'SystemHandler');
+                    assert.strictEqual(systemReport.iControlCalls, 2);
+                    assert.strictEqual(systemReport.outcome, 'success');
+                    assert.strictEqual(
+                        systemReport.durationMs,
+                        Date.parse(systemReport.end) - Date.parse(systemReport.start)
+                    );
+                    assert.strictEqual(status.handlers[1].name, 'AuthHandler');
+                    assert.strictEqual(status.handlers[1].iControlCalls, 0);
+                    assert.strictEqual(
+                        Object.prototype.hasOwnProperty.call(iControl, 'request'),
+                        true,
+                        'should put back the original request method'
+                    );
+                    assert.strictEqual(iControl.request.name, 'request');
+                });
+        });
+
+        it('should report the handlers which ran if a handler fails', () => {
+            const newDeclaration = {
+                name: 'new',
+                parsed: true,
+                Common: {}
+            };
+            const state = {
+                currentConfig: {
+                    name: 'current'
+                },
+                originalConfig: {
+                    Common: {}
+                }
+            };
+            networkHandlerStub.rejects(new Error('bad vlan'));
+
+            const declarationHandler = new DeclarationHandler(bigIpMock);
+            return declarationHandler.process(newDeclaration, state)
+                .then(() => {
+                    assert.fail('should have failed');
+                })
+                .catch((err) => {
+                    assert.strictEqual(err.message, 'bad vlan');
+                    assert.deepStrictEqual(
+                        err.handlers.map((report) => `${report.name} ${report.outcome}`),
+                        [
+                            'SystemHandler success',
+                            'AuthHandler success',
+                            'ProvisionHandler success',
+                            'NetworkHandler failed'
+                        ]
+                    );
+                    assert.strictEqual(err.handlers[0].iControlCalls, undefined);
+                });
+        });
+
+        it('should get diffs without calling handlers', () => {
+            const newDeclaration = {
+                name: 'new',
+                parsed: true,
+                Common: {}
+            };
+            const state = {
+                currentConfig: {
+                    name: 'current'
+                },
+                originalConfig: {
+                    Common: {}
+                }
+            };
+            const diffs = [{
+                kind: 'E', path: ['Common', 'DNS', 'search'], lhs: ['f5.com'], rhs: []
+            }];
+            diffHandlerStub.resolves({ toUpdate: { Common: {} }, toDelete: { Common: {} }, diffs });
+            handlersCalled.length = 0;
+
+            const declarationHandler = new DeclarationHandler(bigIpMock);
+            return declarationHandler.getDiffs(newDeclaration, state)
+                .then((result) => {
+                    assert.deepStrictEqual(result, diffs);
+                    assert.deepStrictEqual(handlersCalled, []);
+                });
+        });
+
         it('should update status based on handler status', () => {
             const systemHandlerStatus = {
                 rebootRequired: true,
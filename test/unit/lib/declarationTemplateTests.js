@@ -0,0 +1,164 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const declarationTemplate = require('../../../src/lib/declarationTemplate');
+
+describe('declarationTemplate', () => {
+    let template;
+
+    beforeEach(() => {
+        template = {
+            schemaVersion: '1.0.0',
+            class: 'Device',
+            parameters: {
+                hostname: 'bigip1.example.com',
+                selfIp: '10.1.0.10',
+                tag: 100
+            },
+            Common: {
+                class: 'Tenant',
+                mySystem: {
+                    class: 'System',
+                    hostname: '{{ hostname }}'
+                },
+                myVlan: {
+                    class: 'VLAN',
+                    tag: '{{tag}}',
+                    interfaces: [{ name: '1.1' }]
+                },
+                mySelfIp: {
+                    class: 'SelfIp',
+                    address: '{{ selfIp }}/24',
+                    vlan: 'myVlan'
+                }
+            }
+        };
+    });
+
+    describe('isTemplateRequest', () => {
+        it('should recognize templates with variables', () => {
+            assert.strictEqual(declarationTemplate.isTemplateRequest({ template, variables: {} }), true);
+            assert.strictEqual(declarationTemplate.isTemplateRequest(template), false);
+            assert.strictEqual(declarationTemplate.isTemplateRequest([]), false);
+        });
+    });
+
+    describe('resolve', () => {
+        it('should use the parameter defaults', () => {
+            const resolved = declarationTemplate.resolve(template);
+            assert.strictEqual(resolved.parameters, undefined);
+            assert.strictEqual(resolved.Common.mySystem.hostname, 'bigip1.example.com');
+            assert.strictEqual(resolved.Common.myVlan.tag, 100);
+            assert.strictEqual(resolved.Common.mySelfIp.address, '10.1.0.10/24');
+            assert.strictEqual(template.Common.mySystem.hostname, '{{ hostname }}', 'should not modify the template');
+        });
+
+        it('should use the variables', () => {
+            const resolved = declarationTemplate.resolve(
+                template,
+                {
+                    hostname: 'bigip2.example.com',
+                    selfIp: '10.1.0.11'
+                }
+            );
+            assert.strictEqual(resolved.Common.mySystem.hostname, 'bigip2.example.com');
+            assert.strictEqual(resolved.Common.myVlan.tag, 100);
+            assert.strictEqual(resolved.Common.mySelfIp.address, '10.1.0.11/24');
+        });
+
+        it('should resolve the whole DO wrapper', () => {
+            const resolved = declarationTemplate.resolve(
+                {
+                    class: 'DO',
+                    targetHost: '{{ managementAddress }}',
+                    declaration: template
+                },
+                { managementAddress: '192.0.2.10' }
+            );
+            assert.strictEqual(resolved.targetHost, '192.0.2.10');
+            assert.strictEqual(resolved.declaration.parameters, undefined);
+            assert.strictEqual(resolved.declaration.Common.myVlan.tag, 100);
+        });
+
+        it('should insert objects and arrays', () => {
+            template.parameters.interfaces = [{ name: '1.1' }, { name: '1.2' }];
+            template.Common.myVlan.interfaces = '{{ interfaces }}';
+            template.Common.myVlan.description = 'interfaces {{ interfaces }}';
+            const resolved = declarationTemplate.resolve(template);
+            assert.deepStrictEqual(resolved.Common.myVlan.interfaces, [{ name: '1.1' }, { name: '1.2' }]);
+            assert.strictEqual(resolved.Common.myVlan.description, 'interfaces [{"name":"1.1"},{"name":"1.2"}]');
+        });
+
+        it('should not change declarations without parameters', () => {
+            delete template.parameters;
+            const resolved = declarationTemplate.resolve(template);
+            assert.deepStrictEqual(resolved, template);
+        });
+
+        it('should report every parameter which is not defined', () => {
+            template.parameters = {};
+            assert.throws(
+                () => declarationTemplate.resolve(template, { tag: 100 }),
+                (err) => {
+                    assert.strictEqual(err.code, 400);
+                    assert.deepStrictEqual(
+                        err.errors,
+                        [
+                            '/Common/mySystem/hostname: parameter hostname is not defined',
+                            '/Common/mySelfIp/address: parameter selfIp is not defined'
+                        ]
+                    );
+                    return true;
+                }
+            );
+        });
+
+        it('should reject parameters which are not an object', () => {
+            template.parameters = ['hostname'];
+            assert.throws(
+                () => declarationTemplate.resolve(template),
+                (err) => err.code === 400 && err.message === '/parameters: must be an object'
+            );
+        });
+
+        it('should reject variables which are not an object', () => {
+            assert.throws(
+                () => declarationTemplate.resolve(template, 'hostname'),
+                (err) => err.code === 400 && err.message === '/variables: must be an object'
+            );
+        });
+    });
+
+    describe('resolveRequest', () => {
+        it('should resolve a template with variables', () => {
+            const resolved = declarationTemplate.resolveRequest({
+                template,
+                variables: { hostname: 'bigip2.example.com' }
+            });
+            assert.strictEqual(resolved.Common.mySystem.hostname, 'bigip2.example.com');
+            assert.strictEqual(resolved.Common.mySelfIp.address, '10.1.0.10/24');
+        });
+
+        it('should resolve a template without variables', () => {
+            const resolved = declarationTemplate.resolveRequest(template);
+            assert.strictEqual(resolved.Common.mySystem.hostname, 'bigip1.example.com');
+        });
+    });
+});
@@ -44,6 +44,13 @@ describe('deprovisionHandler', () => {
         sinon.restore();
     });
 
+    it('should log with the task, handler and target host', () => {
+        const handler = new DeprovisionHandler({}, { host: '192.0.2.1' }, null, { id: '1234' });
+        assert.strictEqual(handler.logger.context.taskId, '1234');
+        assert.strictEqual(handler.logger.context.handler, 'DeprovisionHandler');
+        assert.strictEqual(handler.logger.context.targetHost, '192.0.2.1');
+    });
+
     it('should handle de-provisioning', () => {
         const declaration = {
             Common: {
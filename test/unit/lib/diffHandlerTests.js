@@ -66,6 +66,12 @@ describe('diffHandler', () => {
                 assert.deepStrictEqual(diff.toUpdate.Common.class1,
                     { myString: 'foo', myObj: { foo: 'bar' }, myArray: [1, 2, 3] });
                 assert.deepStrictEqual(diff.toDelete.Common.class2, { hello: {} });
+                assert.deepStrictEqual(
+                    Object.assign({}, diff.diffs.find((d) => d.path.join('/') === 'Common/class1/myString')),
+                    {
+                        kind: 'E', path: ['Common', 'class1', 'myString'], lhs: 'bar', rhs: 'foo'
+                    }
+                );
             });
     });
 
@@ -375,6 +375,77 @@ describe('doUtil', () => {
         });
     });
 
+    describe('getMaskedValues', () => {
+        it('should get the values that mask removes', () => {
+            const data = {
+                foo: {
+                    bar: {
+                        hello: 'world',
+                        password: '1234'
+                    }
+                },
+                fooArray: [
+                    {
+                        okie: 'dokie',
+                        passphrase: '5678'
+                    }
+                ]
+            };
+
+            assert.deepStrictEqual(
+                doUtil.getMaskedValues(data),
+                [
+                    { path: ['foo', 'bar', 'password'], value: '1234' },
+                    { path: ['fooArray', '0', 'passphrase'], value: '5678' }
+                ]
+            );
+        });
+    });
+
+    describe('setMaskedValues', () => {
+        it('should put back masked values', () => {
+            const data = {
+                foo: {
+                    bar: {
+                        hello: 'world'
+                    }
+                },
+                fooArray: [
+                    {
+                        okie: 'dokie'
+                    }
+                ]
+            };
+
+            doUtil.setMaskedValues(
+                data,
+                [
+                    { path: ['foo', 'bar', 'password'], value: '1234' },
+                    { path: ['fooArray', '0', 'passphrase'], value: '5678' },
+                    { path: ['gone', 'secret'], value: '9012' }
+                ]
+            );
+
+            assert.deepStrictEqual(
+                data,
+                {
+                    foo: {
+                        bar: {
+                            hello: 'world',
+                            password: '1234'
+                        }
+                    },
+                    fooArray: [
+                        {
+                            okie: 'dokie',
+                            passphrase: '5678'
+                        }
+                    ]
+                }
+            );
+        });
+    });
+
     describe('checkDnsResolution', () => {
         let bigIpMock;
 
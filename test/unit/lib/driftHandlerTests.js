@@ -0,0 +1,244 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const sinon = require('sinon');
+
+const ConfigManager = require('../../../src/lib/configManager');
+const DeclarationHandler = require('../../../src/lib/declarationHandler');
+const DriftHandler = require('../../../src/lib/driftHandler');
+const DriftResponse = require('../../../src/lib/driftResponse');
+const State = require('../../../src/lib/state');
+const doUtil = require('../../../src/lib/doUtil');
+
+describe('driftHandler', () => {
+    let state;
+    let taskId;
+    let getBigIpStub;
+    let configManagerStub;
+    let getDiffsStub;
+
+    beforeEach(() => {
+        state = new State();
+        taskId = state.addTask();
+        state.setDeclaration(taskId, {
+            class: 'Device',
+            controls: { trace: true },
+            Common: {
+                class: 'Tenant',
+                myDns: { class: 'DNS', nameServers: ['1.1.1.1'] },
+                myVlan: { class: 'VLAN', mtu: 1500 }
+            }
+        });
+        state.setTarget(taskId, 'localhost');
+        state.updateResult(taskId, 200, 'OK', 'success');
+
+        getBigIpStub = sinon.stub(doUtil, 'getBigIp').resolves({});
+        configManagerStub = sinon.stub(ConfigManager.prototype, 'get').resolves();
+        getDiffsStub = sinon.stub(DeclarationHandler.prototype, 'getDiffs').resolves([]);
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it('should report no drift', () => {
+        const driftHandler = new DriftHandler(state);
+        return driftHandler.process()
+            .then((data) => {
+                assert.strictEqual(driftHandler.getCode(), 200);
+                assert.strictEqual(driftHandler.getStatus(), 'OK');
+                assert.deepStrictEqual(data, {
+                    taskId,
+                    target: 'localhost',
+                    hasDrift: false,
+                    changes: {}
+                });
+                assert.strictEqual(getDiffsStub.firstCall.args[0].controls.trace, undefined);
+            });
+    });
+
+    it('should not compare secret references', () => {
+        state.getDeclaration(taskId).Common.myUser = {
+            class: 'User',
+            userType: 'regular',
+            password: { secretRef: 'env:MY_PASSWORD' }
+        };
+        const driftHandler = new DriftHandler(state);
+        return driftHandler.process()
+            .then(() => {
+                assert.strictEqual(driftHandler.getCode(), 200);
+                assert.deepStrictEqual(
+                    getDiffsStub.firstCall.args[0].Common.myUser,
+                    { class: 'User', userType: 'regular' }
+                );
+            });
+    });
+
+    it('should report secrets which were not stored with the declaration', () => {
+        state.setDeclaration(taskId, {
+            class: 'Device',
+            Common: {
+                class: 'Tenant',
+                admin: { class: 'User', userType: 'regular', password: 'foo' }
+            }
+        });
+        const driftHandler = new DriftHandler(state);
+        return driftHandler.process()
+            .then((data) => {
+                assert.deepStrictEqual(data.maskedSecrets, ['/Common/admin/password']);
+            });
+    });
+
+    it('should report changes from the declaration to the device', () => {
+        getDiffsStub.resolves([
+            {
+                kind: 'A',
+                path: ['Common', 'DNS', 'nameServers'],
+                index: 1,
+                item: { kind: 'N', rhs: '8.8.8.8' }
+            },
+            {
+                kind: 'E', path: ['Common', 'VLAN', 'myVlan', 'mtu'], lhs: 1400, rhs: 1500
+            },
+            {
+                kind: 'N', path: ['Common', 'VLAN', 'otherVlan'], rhs: { mtu: 1500 }
+            }
+        ]);
+
+        const driftHandler = new DriftHandler(state);
+        return driftHandler.process()
+            .then((data) => {
+                assert.strictEqual(data.hasDrift, true);
+                assert.deepStrictEqual(
+                    data.changes,
+                    {
+                        DNS: {
+                            myDns: {
+                                action: 'modified',
+                                changes: [{ action: 'removed', path: '/nameServers/1', from: '8.8.8.8' }]
+                            }
+                        },
+                        VLAN: {
+                            myVlan: {
+                                action: 'modified',
+                                changes: [{
+                                    action: 'modified', path: '/mtu', from: 1500, to: 1400
+                                }]
+                            },
+                            otherVlan: {
+                                action: 'removed',
+                                from: { mtu: 1500 }
+                            }
+                        }
+                    }
+                );
+            });
+    });
+
+    it('should compare against the declaration for the target host', () => {
+        const remoteTaskId = state.addTask();
+        state.setDeclaration(remoteTaskId, { class: 'Device', Common: { class: 'Tenant' } });
+        state.setTarget(remoteTaskId, '10.10.10.10');
+        state.updateResult(remoteTaskId, 200, 'OK', 'success');
+
+        const driftHandler = new DriftHandler(
+            state,
+            {
+                targetHost: '10.10.10.10',
+                targetPort: '8443',
+                targetUsername: 'admin',
+                targetPassword: 'secret'
+            }
+        );
+        return driftHandler.process()
+            .then((data) => {
+                assert.strictEqual(data.taskId, remoteTaskId);
+                assert.strictEqual(data.target, '10.10.10.10:8443');
+                assert.deepStrictEqual(
+                    getBigIpStub.firstCall.args[1],
+                    {
+                        host: '10.10.10.10',
+                        port: 8443,
+                        user: 'admin',
+                        password: 'secret'
+                    }
+                );
+            });
+    });
+
+    it('should return 404 if there is no declaration for the target', () => {
+        const driftHandler = new DriftHandler(state, { targetHost: '10.10.10.11' });
+        return driftHandler.process()
+            .then((data) => {
+                assert.deepStrictEqual(data, {});
+                assert.strictEqual(driftHandler.getCode(), 404);
+                assert.strictEqual(driftHandler.getStatus(), 'ERROR');
+                assert.deepStrictEqual(
+                    driftHandler.getErrors(),
+                    ['There is no successful declaration for 10.10.10.11']
+                );
+                assert.strictEqual(getBigIpStub.called, false);
+            });
+    });
+
+    it('should return 400 for invalid query parameters', () => {
+        const driftHandler = new DriftHandler(state, { targetPort: '70000' });
+        return driftHandler.process()
+            .then(() => {
+                assert.strictEqual(driftHandler.getCode(), 400);
+                assert.strictEqual(driftHandler.getMessage(), 'Bad Request');
+                assert.deepStrictEqual(
+                    driftHandler.getErrors(),
+                    ['"targetPort" should be in range (0, 65535). "targetHost" should be specified.']
+                );
+            });
+    });
+
+    it('should return 500 if the device cannot be read', () => {
+        configManagerStub.rejects(new Error('device unavailable'));
+
+        const driftHandler = new DriftHandler(state);
+        return driftHandler.process()
+            .then(() => {
+                assert.strictEqual(driftHandler.getCode(), 500);
+                assert.strictEqual(driftHandler.getMessage(), 'failed');
+                assert.deepStrictEqual(driftHandler.getErrors(), ['device unavailable']);
+            });
+    });
+
+    describe('driftResponse', () => {
+        it('should return the drift handler results', () => {
+            const driftResponse = new DriftResponse(state, { targetHost: 'localhost' });
+            assert.deepStrictEqual(driftResponse.getIds(), [0]);
+            assert.strictEqual(driftResponse.exists(), true);
+            assert.strictEqual(
+                driftResponse.getSelfLink(),
+                'https://localhost/mgmt/shared/declarative-onboarding/drift?targetHost=localhost'
+            );
+            return driftResponse.getData()
+                .then((data) => {
+                    assert.strictEqual(data.taskId, taskId);
+                    assert.strictEqual(driftResponse.getCode(), 200);
+                    assert.strictEqual(driftResponse.getStatus(), 'OK');
+                    assert.strictEqual(driftResponse.getMessage(), '');
+                    assert.deepStrictEqual(driftResponse.getErrors(), []);
+                });
+        });
+    });
+});
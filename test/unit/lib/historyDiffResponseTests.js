@@ -0,0 +1,92 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const HistoryDiffResponse = require('../../../src/lib/historyDiffResponse');
+const State = require('../../../src/lib/state');
+
+describe('historyDiffResponse', () => {
+    let state;
+    let fromId;
+    let toId;
+
+    beforeEach(() => {
+        state = new State();
+        fromId = state.addTask();
+        state.setDeclaration(fromId, {
+            class: 'Device',
+            Common: {
+                class: 'Tenant',
+                myDns: { class: 'DNS', nameServers: ['1.1.1.1'] }
+            }
+        });
+        toId = state.addTask();
+        state.setDeclaration(toId, {
+            class: 'Device',
+            Common: {
+                class: 'Tenant',
+                myDns: { class: 'DNS', nameServers: ['1.1.1.1', '8.8.8.8'] }
+            }
+        });
+    });
+
+    it('should diff the declarations of two tasks', () => {
+        const historyDiffResponse = new HistoryDiffResponse(state, { from: fromId, to: toId });
+        const data = historyDiffResponse.getData();
+
+        assert.strictEqual(historyDiffResponse.getCode(), 200);
+        assert.strictEqual(historyDiffResponse.getStatus(), 'OK');
+        assert.strictEqual(data.from.id, fromId);
+        assert.strictEqual(data.to.id, toId);
+        assert.deepStrictEqual(
+            data.changes,
+            {
+                DNS: {
+                    myDns: {
+                        action: 'modified',
+                        changes: [{ action: 'added', path: '/nameServers/1', to: '8.8.8.8' }]
+                    }
+                }
+            }
+        );
+    });
+
+    it('should return 400 if from or to is missing', () => {
+        const historyDiffResponse = new HistoryDiffResponse(state, { from: fromId });
+        assert.deepStrictEqual(historyDiffResponse.getData(), {});
+        assert.strictEqual(historyDiffResponse.getCode(), 400);
+        assert.strictEqual(historyDiffResponse.getStatus(), 'ERROR');
+        assert.deepStrictEqual(historyDiffResponse.getErrors(), ['from and to query parameters are required']);
+    });
+
+    it('should return 404 if a task does not exist', () => {
+        const historyDiffResponse = new HistoryDiffResponse(state, { from: fromId, to: '9999' });
+        assert.deepStrictEqual(historyDiffResponse.getData(), {});
+        assert.strictEqual(historyDiffResponse.getCode(), 404);
+        assert.deepStrictEqual(historyDiffResponse.getErrors(), ['Task 9999 does not exist']);
+    });
+
+    it('should include the query in the selfLink', () => {
+        const historyDiffResponse = new HistoryDiffResponse(state, { from: 'a', to: 'b' });
+        assert.strictEqual(
+            historyDiffResponse.getSelfLink('diff'),
+            'https://localhost/mgmt/shared/declarative-onboarding/history/diff?from=a&to=b'
+        );
+    });
+});
@@ -0,0 +1,112 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const HistoryResponse = require('../../../src/lib/historyResponse');
+const State = require('../../../src/lib/state');
+
+describe('historyResponse', () => {
+    let state;
+    let historyResponse;
+
+    // Tasks older than the retention period are removed, so use times relative to now
+    function addTask(target, status, declaration, hoursAgo) {
+        const taskId = state.addTask();
+        state.setTarget(taskId, target);
+        state.setDeclaration(taskId, declaration);
+        state.updateResult(taskId, status === 'OK' ? 200 : 422, status, '');
+        state.getTask(taskId).lastUpdate = new Date(Date.now() - hoursAgo * 3600000);
+        return taskId;
+    }
+
+    beforeEach(() => {
+        state = new State();
+        historyResponse = new HistoryResponse(state);
+    });
+
+    it('should group successful declarations by target', () => {
+        const second = addTask('localhost', 'OK', { Common: { hostname: 'two' } }, 2);
+        const first = addTask('localhost', 'OK', { Common: { hostname: 'one' } }, 3);
+        const remote = addTask('10.1.1.1', 'OK', { Common: {} }, 3);
+        addTask('localhost', 'ERROR', { Common: { hostname: 'bad' } }, 1);
+        addTask('localhost', 'OK', { controls: { dryRun: true } }, 1);
+
+        assert.deepStrictEqual(historyResponse.getIds(), ['10.1.1.1', 'localhost']);
+        assert.deepStrictEqual(
+            historyResponse.getData('localhost').declarations.map((entry) => entry.id),
+            [first, second]
+        );
+        assert.strictEqual(historyResponse.getData('10.1.1.1').declarations[0].id, remote);
+    });
+
+    it('should group declarations without a target with the local device', () => {
+        const local = addTask('localhost', 'OK', { Common: { hostname: 'one' } }, 3);
+        const noTarget = addTask(undefined, 'OK', { Common: { hostname: 'two' } }, 2);
+
+        assert.deepStrictEqual(historyResponse.getIds(), ['localhost']);
+        assert.deepStrictEqual(
+            historyResponse.getData('localhost').declarations.map((entry) => entry.id),
+            [local, noTarget]
+        );
+        assert.strictEqual(state.getLastSuccessfulTaskId('localhost'), noTarget);
+    });
+
+    it('should not include rollbacks', () => {
+        const taskId = addTask('localhost', 'OK', {}, 3);
+        state.setRollbackOf(taskId, '1234');
+
+        assert.deepStrictEqual(historyResponse.getIds(), []);
+    });
+
+    it('should include timestamp, user agent and hash', () => {
+        const taskId = addTask(
+            'localhost',
+            'OK',
+            { controls: { userAgent: 'my agent' }, Common: { hostname: 'one' } },
+            3
+        );
+
+        const entry = historyResponse.getData('localhost').declarations[0];
+        assert.strictEqual(entry.id, taskId);
+        assert.strictEqual(entry.timestamp, state.getLastUpdate(taskId).toISOString());
+        assert.strictEqual(entry.userAgent, 'my agent');
+        assert.ok(/^[0-9a-f]{64}$/.test(entry.hash));
+    });
+
+    it('should hash equal declarations the same regardless of key order', () => {
+        const first = addTask('localhost', 'OK', { a: 1, b: { c: 2, d: 3 } }, 3);
+        const second = addTask('localhost', 'OK', { b: { d: 3, c: 2 }, a: 1 }, 2);
+        const third = addTask('localhost', 'OK', { a: 1, b: { c: 2, d: 4 } }, 1);
+
+        assert.strictEqual(HistoryResponse.getEntry(state, first).hash, HistoryResponse.getEntry(state, second).hash);
+        assert.notStrictEqual(HistoryResponse.getEntry(state, first).hash, HistoryResponse.getEntry(state, third).hash);
+    });
+
+    it('should return 404 for an unknown target', () => {
+        assert.strictEqual(historyResponse.exists('10.9.9.9'), false);
+        assert.deepStrictEqual(historyResponse.getData('10.9.9.9'), { httpStatus: 404 });
+    });
+
+    it('should return the proper selfLink', () => {
+        assert.strictEqual(
+            historyResponse.getSelfLink('localhost'),
+            'https://localhost/mgmt/shared/declarative-onboarding/history/localhost'
+        );
+    });
+});
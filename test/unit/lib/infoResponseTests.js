@@ -68,6 +68,16 @@ describe('infoResponse', () => {
         assert.deepEqual(infoResponse.getErrors(1234), []);
     });
 
+    it('should include the settings if there is a state', () => {
+        const state = {
+            getSettings() {
+                return { teemEnabled: false };
+            }
+        };
+        assert.strictEqual(infoResponse.getData().settings, undefined);
+        assert.deepStrictEqual(new InfoResponse(state).getData().settings, { teemEnabled: false });
+    });
+
     ['', 'one more time'].forEach((titleItem) => {
         it(`should return the proper data ${titleItem}`, () => {
             const schemaVersionMax = SCHEMA_VERSIONS[0];
@@ -78,6 +78,11 @@ describe('inspectHandler', () => {
             assert.strictEqual(inspectHandler.getCode(), 500);
         });
 
+        it('should use the timeout from the options', () => {
+            assert.strictEqual(new InspectHandler({}, { timeout: 5000 }).processTimeout, 5000);
+            assert.strictEqual(inspectHandler.processTimeout, 60000);
+        });
+
         it('should return a status of OK', () => {
             assert.strictEqual(inspectHandler.getStatus(), 'OK');
         });
@@ -229,6 +234,15 @@ describe('inspectHandler', () => {
                 return inspectHandler.process()
                     .then((data) => basicAssertsForSuccessResponse(data));
             });
+
+            it('should get data from the bigIp in the options without connecting to a device', () => {
+                // getBigIp and the platform check would fail the request if they were used
+                raiseUnhandledException = 'should not connect to a device';
+                customPlatform = PRODUCTS.BIGIQ;
+                inspectHandler = new InspectHandler({}, { bigIp: {} });
+                return inspectHandler.process()
+                    .then((data) => basicAssertsForSuccessResponse(data));
+            });
         });
 
         describe('error response', () => {
@@ -369,6 +383,36 @@ describe('inspectHandler', () => {
                     });
             });
 
+            it('should fail when the classes parameter has an unknown class', () => {
+                inspectHandler.queryParams = {
+                    classes: 'VLAN,Vlan'
+                };
+                return inspectHandler.process()
+                    .then((data) => {
+                        basicAssertsForFailedResponse(
+                            data,
+                            400,
+                            'Bad Request',
+                            (errMsg) => errMsg === 'Invalid class \'Vlan\' for parameter \'classes\'.'
+                        );
+                    });
+            });
+
+            it('should fail when the names parameter is empty', () => {
+                inspectHandler.queryParams = {
+                    names: ' , '
+                };
+                return inspectHandler.process()
+                    .then((data) => {
+                        basicAssertsForFailedResponse(
+                            data,
+                            400,
+                            'Bad Request',
+                            (errMsg) => errMsg === 'Invalid value for parameter \'names\'.'
+                        );
+                    });
+            });
+
             it('should fail when platform is not BIG-IP and target* is not specified', () => {
                 customPlatform = PRODUCTS.BIGIQ;
                 return inspectHandler.process()
@@ -2865,5 +2909,92 @@ describe('inspectHandler', () => {
                     basicInspectHandlerAsserts(data, 200, 'OK', '', []);
                 });
         });
+
+        describe('filters', () => {
+            let listedPaths;
+
+            const getReferenceObjects = (filter) => {
+                const common = referenceDeclaration.declaration.declaration.Common;
+                const objects = { class: 'Tenant' };
+                Object.keys(common)
+                    .filter((key) => key !== 'class' && filter(key, common[key]))
+                    .forEach((key) => {
+                        objects[key] = common[key];
+                    });
+                return objects;
+            };
+
+            beforeEach(() => {
+                listedPaths = [];
+                const list = bigIpMock.list;
+                sinon.stub(bigIpMock, 'list').callsFake((path) => {
+                    listedPaths.push(URL.parse(path, 'https://foo').pathname);
+                    return list.call(bigIpMock, path);
+                });
+            });
+
+            afterEach(() => {
+                bigIpMock.list.restore();
+            });
+
+            it('should only query and return the classes in the classes parameter', () => {
+                inspectHandler.queryParams = { classes: 'VLAN, SelfIp' };
+                return inspectHandler.process()
+                    .then((data) => {
+                        basicInspectHandlerAsserts(data, 200, 'OK', '', []);
+                        assert.deepStrictEqual(
+                            data.declaration.declaration.Common,
+                            getReferenceObjects((key, obj) => obj.class === 'VLAN' || obj.class === 'SelfIp')
+                        );
+                        assert.deepStrictEqual(
+                            listedPaths.filter((path) => path.startsWith('/tm/net/')).sort(),
+                            [
+                                '/tm/net/self',
+                                '/tm/net/vlan',
+                                '/tm/net/vlan/~Common~externalVlan/interfaces',
+                                '/tm/net/vlan/~Common~internalVlan/interfaces'
+                            ]
+                        );
+                        assert.strictEqual(listedPaths.indexOf('/tm/sys/global-settings'), -1);
+                    });
+            });
+
+            it('should query the db variables when the classes parameter includes System', () => {
+                inspectHandler.queryParams = { classes: 'System' };
+                return inspectHandler.process()
+                    .then((data) => {
+                        basicInspectHandlerAsserts(data, 200, 'OK', '', []);
+                        assert.deepStrictEqual(
+                            data.declaration.declaration.Common,
+                            getReferenceObjects((key, obj) => obj.class === 'System')
+                        );
+                        assert.notStrictEqual(listedPaths.indexOf('/tm/sys/db'), -1);
+                    });
+            });
+
+            it('should only return the objects in the names parameter', () => {
+                inspectHandler.queryParams = { names: 'internalVlan,externalSelfIp,currentDNS' };
+                return inspectHandler.process()
+                    .then((data) => {
+                        basicInspectHandlerAsserts(data, 200, 'OK', '', []);
+                        assert.deepStrictEqual(
+                            data.declaration.declaration.Common,
+                            getReferenceObjects((key) => ['internalVlan', 'externalSelfIp', 'currentDNS'].indexOf(key) !== -1)
+                        );
+                    });
+            });
+
+            it('should combine the classes and names parameters', () => {
+                inspectHandler.queryParams = { classes: 'VLAN', names: 'internalVlan,externalSelfIp' };
+                return inspectHandler.process()
+                    .then((data) => {
+                        basicInspectHandlerAsserts(data, 200, 'OK', '', []);
+                        assert.deepStrictEqual(
+                            data.declaration.declaration.Common,
+                            getReferenceObjects((key) => key === 'internalVlan')
+                        );
+                    });
+            });
+        });
     });
 });
@@ -0,0 +1,155 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const jsonPatch = require('../../../src/lib/jsonPatch');
+
+describe('jsonPatch', () => {
+    let document;
+
+    beforeEach(() => {
+        document = {
+            Common: {
+                hostname: 'bigip1.example.com',
+                myNtp: {
+                    class: 'NTP',
+                    servers: ['0.pool.ntp.org', '1.pool.ntp.org']
+                },
+                'my/vlan': {
+                    class: 'VLAN',
+                    tag: 100
+                }
+            }
+        };
+    });
+
+    describe('parsePointer', () => {
+        it('should unescape reference tokens', () => {
+            assert.deepStrictEqual(jsonPatch.parsePointer('/Common/my~1vlan/a~0b'), ['Common', 'my/vlan', 'a~b']);
+        });
+
+        it('should return no tokens for the whole document', () => {
+            assert.deepStrictEqual(jsonPatch.parsePointer(''), []);
+        });
+
+        it('should reject pointers that do not start with /', () => {
+            assert.throws(() => jsonPatch.parsePointer('Common'), /invalid JSON pointer/);
+        });
+    });
+
+    describe('apply', () => {
+        it('should not modify the original document', () => {
+            jsonPatch.apply(document, [{ op: 'remove', path: '/Common/hostname' }]);
+            assert.strictEqual(document.Common.hostname, 'bigip1.example.com');
+        });
+
+        it('should add object members and array items', () => {
+            const patched = jsonPatch.apply(document, [
+                { op: 'add', path: '/Common/myDns', value: { class: 'DNS', nameServers: ['8.8.8.8'] } },
+                { op: 'add', path: '/Common/myNtp/servers/-', value: '2.pool.ntp.org' },
+                { op: 'add', path: '/Common/myNtp/servers/0', value: 'time.example.com' }
+            ]);
+            assert.deepStrictEqual(patched.Common.myDns, { class: 'DNS', nameServers: ['8.8.8.8'] });
+            assert.deepStrictEqual(
+                patched.Common.myNtp.servers,
+                ['time.example.com', '0.pool.ntp.org', '1.pool.ntp.org', '2.pool.ntp.org']
+            );
+        });
+
+        it('should remove object members and array items', () => {
+            const patched = jsonPatch.apply(document, [
+                { op: 'remove', path: '/Common/my~1vlan' },
+                { op: 'remove', path: '/Common/myNtp/servers/0' }
+            ]);
+            assert.strictEqual(patched.Common['my/vlan'], undefined);
+            assert.deepStrictEqual(patched.Common.myNtp.servers, ['1.pool.ntp.org']);
+        });
+
+        it('should replace values', () => {
+            const patched = jsonPatch.apply(document, [
+                { op: 'replace', path: '/Common/hostname', value: 'bigip2.example.com' },
+                { op: 'replace', path: '/Common/myNtp/servers/1', value: '3.pool.ntp.org' }
+            ]);
+            assert.strictEqual(patched.Common.hostname, 'bigip2.example.com');
+            assert.deepStrictEqual(patched.Common.myNtp.servers, ['0.pool.ntp.org', '3.pool.ntp.org']);
+        });
+
+        it('should move and copy values', () => {
+            const patched = jsonPatch.apply(document, [
+                { op: 'copy', from: '/Common/my~1vlan', path: '/Common/otherVlan' },
+                { op: 'move', from: '/Common/my~1vlan', path: '/Common/myVlan' }
+            ]);
+            assert.deepStrictEqual(patched.Common.otherVlan, { class: 'VLAN', tag: 100 });
+            assert.deepStrictEqual(patched.Common.myVlan, { class: 'VLAN', tag: 100 });
+            assert.strictEqual(patched.Common['my/vlan'], undefined);
+        });
+
+        it('should pass a matching test', () => {
+            assert.doesNotThrow(() => jsonPatch.apply(document, [
+                { op: 'test', path: '/Common/myNtp/servers', value: ['0.pool.ntp.org', '1.pool.ntp.org'] }
+            ]));
+        });
+
+        it('should fail the whole patch if a test does not match', () => {
+            assert.throws(
+                () => jsonPatch.apply(document, [
+                    { op: 'replace', path: '/Common/hostname', value: 'bigip2.example.com' },
+                    { op: 'test', path: '/Common/myNtp/servers/0', value: 'foo' }
+                ]),
+                /JSON Patch operation 1 failed: test failed for '\/Common\/myNtp\/servers\/0'/
+            );
+        });
+
+        it('should fail if a path does not exist', () => {
+            assert.throws(
+                () => jsonPatch.apply(document, [{ op: 'replace', path: '/Common/foo', value: 'bar' }]),
+                /path '\/Common\/foo' does not exist/
+            );
+            assert.throws(
+                () => jsonPatch.apply(document, [{ op: 'add', path: '/Common/foo/bar', value: 'bar' }]),
+                /path '\/Common\/foo' does not exist/
+            );
+        });
+
+        it('should fail for an out of bounds array index', () => {
+            assert.throws(
+                () => jsonPatch.apply(document, [{ op: 'remove', path: '/Common/myNtp/servers/2' }]),
+                /out of bounds/
+            );
+        });
+
+        it('should fail for an unknown op', () => {
+            assert.throws(
+                () => jsonPatch.apply(document, [{ op: 'merge', path: '/Common' }]),
+                /unsupported op 'merge'/
+            );
+        });
+
+        it('should fail for a missing value', () => {
+            assert.throws(
+                () => jsonPatch.apply(document, [{ op: 'add', path: '/Common/foo' }]),
+                /'add' requires a value/
+            );
+        });
+
+        it('should fail if the patch is not an array', () => {
+            assert.throws(() => jsonPatch.apply(document, {}), /must be an array/);
+        });
+    });
+});
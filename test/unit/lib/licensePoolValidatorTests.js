@@ -209,4 +209,27 @@ describe('licensePoolValidator', () => {
                 });
         });
     });
+
+    describe('platform option', () => {
+        it('should use the platform from the options instead of asking the device', () => {
+            const getPlatformStub = sinon.stub(doUtil, 'getCurrentPlatform').resolves('BIG-IP');
+            const wrapper = {
+                declaration: {
+                    Common: {
+                        myLicense: {
+                            class: 'License',
+                            licenseType: 'licensePool',
+                            bigIqHost: 'localhost',
+                            bigIqUsername: 'myUser'
+                        }
+                    }
+                }
+            };
+            return new Validator({ platform: 'BIG-IQ' }).validate(wrapper)
+                .then((validation) => {
+                    assert.ok(validation.isValid);
+                    assert.strictEqual(getPlatformStub.called, false);
+                });
+        });
+    });
 });
@@ -18,6 +18,7 @@
 
 const assert = require('assert');
 const Logger = require('../../../src/lib/logger');
+const TaskLogs = require('../../../src/lib/taskLogs');
 
 const logger = new Logger(module);
 
@@ -183,4 +184,100 @@ describe('logger', () => {
         assert.strictEqual(loggedMessages.info[0].indexOf(myRegKey), -1);
         assert.notStrictEqual(loggedMessages.info[0].indexOf('********'), -1);
     });
+
+    describe('json format', () => {
+        afterEach(() => {
+            Logger.setFormat('text');
+        });
+
+        it('should log JSON records', () => {
+            Logger.setFormat('json');
+            logger.info('part 1', { password: 'foofoo' });
+
+            const record = JSON.parse(loggedMessages.info[0]);
+            assert.strictEqual(record.level, 'info');
+            assert.strictEqual(record.tag, 'f5-declarative-onboarding');
+            assert.strictEqual(record.file, 'loggerTests.js');
+            assert.strictEqual(record.message, 'part 1 {"password":"********"}');
+            assert.ok(!Number.isNaN(Date.parse(record.timestamp)));
+            assert.strictEqual(record.taskId, undefined);
+            assert.strictEqual(record.elapsedMs, undefined);
+        });
+
+        it('should add the task context to JSON records', () => {
+            Logger.setFormat('json');
+            const taskLogger = logger.forTask({ id: '1234' }, { host: '192.0.2.1' }, 'SystemHandler');
+            taskLogger.severe('failed');
+
+            const record = JSON.parse(loggedMessages.severe[0]);
+            assert.strictEqual(record.level, 'severe');
+            assert.strictEqual(record.taskId, '1234');
+            assert.strictEqual(record.handler, 'SystemHandler');
+            assert.strictEqual(record.targetHost, '192.0.2.1');
+            assert.ok(record.elapsedMs >= 0);
+            assert.strictEqual(record.message, 'failed');
+        });
+
+        it('should not change text messages for loggers with a context', () => {
+            logger.forTask({ id: '1234' }).info('hello');
+            assert.strictEqual(loggedMessages.info[0], '[f5-declarative-onboarding: loggerTests.js] hello');
+        });
+
+        it('should reject unknown formats', () => {
+            assert.throws(() => Logger.setFormat('xml'), /xml is not a log format/);
+            assert.strictEqual(Logger.getFormat(), 'text');
+        });
+    });
+
+    describe('task logs', () => {
+        let taskLogs;
+
+        beforeEach(() => {
+            taskLogs = new TaskLogs();
+            Logger.setTaskLogs(taskLogs);
+        });
+
+        afterEach(() => {
+            Logger.setTaskLogs(undefined);
+        });
+
+        it('should keep messages at or above the log level of the task', () => {
+            taskLogs.start('1234', 'debug');
+            const taskLogger = logger.forTask({ id: '1234' }, undefined, 'NetworkHandler');
+            taskLogger.finest('too detailed');
+            taskLogger.fine('detailed');
+            taskLogger.severe('failed', { password: 'foofoo' });
+
+            const logs = taskLogs.get('1234');
+            assert.strictEqual(logs.messages.length, 2);
+            assert.strictEqual(logs.messages[0].level, 'debug');
+            assert.strictEqual(logs.messages[0].file, 'loggerTests.js');
+            assert.strictEqual(logs.messages[0].handler, 'NetworkHandler');
+            assert.strictEqual(logs.messages[0].message, 'detailed');
+            assert.strictEqual(logs.messages[1].level, 'error');
+            assert.strictEqual(logs.messages[1].message, 'failed {"password":"********"}');
+        });
+
+        it('should send kept messages to restnoded at info or above', () => {
+            taskLogs.start('1234', 'debug');
+            const taskLogger = logger.forTask({ id: '1234' });
+            taskLogger.fine('detailed');
+            taskLogger.finest('too detailed');
+            taskLogger.severe('failed');
+
+            assert.strictEqual(loggedMessages.fine.length, 0);
+            assert.strictEqual(loggedMessages.finest.length, 1);
+            assert.strictEqual(loggedMessages.info[0], '[f5-declarative-onboarding: loggerTests.js] detailed');
+            assert.strictEqual(loggedMessages.severe[0], '[f5-declarative-onboarding: loggerTests.js] failed');
+        });
+
+        it('should not keep messages for other tasks', () => {
+            taskLogs.start('1234', 'silly');
+            logger.info('no task');
+            logger.forTask({ id: '5678' }).info('other task');
+
+            assert.strictEqual(taskLogs.get('1234').messages.length, 0);
+            assert.strictEqual(taskLogs.get('5678'), undefined);
+        });
+    });
 });
@@ -0,0 +1,101 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const Metrics = require('../../../src/lib/metrics');
+
+describe('metrics', () => {
+    let metrics;
+
+    beforeEach(() => {
+        metrics = new Metrics();
+    });
+
+    describe('increment', () => {
+        it('should count by labels', () => {
+            metrics.increment('do_tasks_total', { status: 'OK', code: 200 });
+            metrics.increment('do_tasks_total', { code: 200, status: 'OK' });
+            metrics.increment('do_tasks_total', { status: 'ERROR', code: 422 });
+
+            assert.strictEqual(metrics.getCount('do_tasks_total', { status: 'OK', code: 200 }), 2);
+            assert.strictEqual(metrics.getCount('do_tasks_total', { status: 'ERROR', code: 422 }), 1);
+            assert.strictEqual(metrics.getCount('do_tasks_total', { status: 'ERROR', code: 500 }), 0);
+        });
+
+        it('should count without labels', () => {
+            metrics.increment('do_reboots_total');
+            assert.strictEqual(metrics.getCount('do_reboots_total'), 1);
+        });
+
+        it('should reject unknown metrics', () => {
+            assert.throws(() => metrics.increment('do_foo_total'), /do_foo_total is not a metric/);
+        });
+    });
+
+    describe('toText', () => {
+        it('should show counters which have not been incremented as 0', () => {
+            const text = metrics.toText();
+            assert.ok(text.indexOf(
+                '# HELP do_reboots_total Reboots started at the end of a task.\n'
+                + '# TYPE do_reboots_total counter\n'
+                + 'do_reboots_total 0\n'
+            ) !== -1);
+        });
+
+        it('should format counters with labels', () => {
+            metrics.increment('do_tasks_total', { status: 'OK', code: 200 });
+            assert.ok(metrics.toText().indexOf('do_tasks_total{status="OK",code="200"} 1\n') !== -1);
+        });
+
+        it('should escape label values', () => {
+            metrics.increment('do_validation_failures_total', { validator: 'my "quoted"\\validator\n' });
+            assert.ok(metrics.toText().indexOf(
+                'do_validation_failures_total{validator="my \\"quoted\\"\\\\validator\\n"} 1\n'
+            ) !== -1);
+        });
+
+        it('should format histograms with cumulative buckets', () => {
+            const labels = { handler: 'SystemHandler', outcome: 'success' };
+            metrics.observe('do_handler_duration_seconds', 3, labels);
+            metrics.observe('do_handler_duration_seconds', 45, labels);
+            metrics.observe('do_handler_duration_seconds', 4000, labels);
+
+            const lines = metrics.toText().split('\n')
+                .filter((line) => line.startsWith('do_handler_duration_seconds'));
+            assert.deepStrictEqual(
+                lines,
+                [
+                    'do_handler_duration_seconds_bucket{handler="SystemHandler",outcome="success",le="1"} 0',
+                    'do_handler_duration_seconds_bucket{handler="SystemHandler",outcome="success",le="5"} 1',
+                    'do_handler_duration_seconds_bucket{handler="SystemHandler",outcome="success",le="15"} 1',
+                    'do_handler_duration_seconds_bucket{handler="SystemHandler",outcome="success",le="30"} 1',
+                    'do_handler_duration_seconds_bucket{handler="SystemHandler",outcome="success",le="60"} 2',
+                    'do_handler_duration_seconds_bucket{handler="SystemHandler",outcome="success",le="120"} 2',
+                    'do_handler_duration_seconds_bucket{handler="SystemHandler",outcome="success",le="300"} 2',
+                    'do_handler_duration_seconds_bucket{handler="SystemHandler",outcome="success",le="600"} 2',
+                    'do_handler_duration_seconds_bucket{handler="SystemHandler",outcome="success",le="1200"} 2',
+                    'do_handler_duration_seconds_bucket{handler="SystemHandler",outcome="success",le="1800"} 2',
+                    'do_handler_duration_seconds_bucket{handler="SystemHandler",outcome="success",le="+Inf"} 3',
+                    'do_handler_duration_seconds_sum{handler="SystemHandler",outcome="success"} 4048',
+                    'do_handler_duration_seconds_count{handler="SystemHandler",outcome="success"} 3'
+                ]
+            );
+        });
+    });
+});
@@ -0,0 +1,219 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const sinon = require('sinon');
+
+const RecordingBigIp = require('../../../src/lib/recordingBigIp');
+
+describe('recordingBigIp', () => {
+    let bigIpMock;
+    let recordingBigIp;
+
+    beforeEach(() => {
+        bigIpMock = {
+            host: 'localhost',
+            port: 8443,
+            user: 'admin',
+            password: 'admin',
+            list: sinon.stub().resolves({ name: 'existing' }),
+            create: sinon.stub().resolves({ status: 'NOERROR' }),
+            modify: sinon.stub().resolves(),
+            delete: sinon.stub().resolves(),
+            deviceInfo: sinon.stub().resolves({ hostname: 'bigip1' }),
+            onboard: {
+                setDbVars(dbVars) {
+                    return this.core.modify('/tm/sys/db/foo', { value: dbVars.foo });
+                }
+            },
+            cluster: {
+                configSyncIp(address) {
+                    return this.core.modify('/tm/cm/device/~Common~bigip1', { configsyncIp: address });
+                }
+            }
+        };
+        recordingBigIp = new RecordingBigIp(bigIpMock);
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it('should pass reads through to the device', () => recordingBigIp.list('/tm/sys/global-settings')
+        .then((result) => {
+            assert.deepStrictEqual(result, { name: 'existing' });
+            assert.strictEqual(bigIpMock.list.calledOnceWith('/tm/sys/global-settings'), true);
+            assert.deepStrictEqual(recordingBigIp.operations, []);
+        }));
+
+    it('should record writes without sending them', () => Promise.resolve()
+        .then(() => recordingBigIp.create('/tm/net/vlan', { name: 'myVlan' }))
+        .then(() => recordingBigIp.modify('/tm/sys/global-settings', { hostname: 'bigip1' }))
+        .then(() => recordingBigIp.delete('/tm/net/vlan/~Common~myVlan'))
+        .then(() => {
+            assert.strictEqual(bigIpMock.create.called, false);
+            assert.strictEqual(bigIpMock.modify.called, false);
+            assert.strictEqual(bigIpMock.delete.called, false);
+            assert.deepStrictEqual(recordingBigIp.operations, [
+                { method: 'create', path: '/tm/net/vlan', body: { name: 'myVlan' } },
+                { method: 'modify', path: '/tm/sys/global-settings', body: { hostname: 'bigip1' } },
+                { method: 'delete', path: '/tm/net/vlan/~Common~myVlan' }
+            ]);
+        }));
+
+    it('should remove secrets from recorded bodies', () => Promise.resolve()
+        .then(() => recordingBigIp.create('/tm/auth/user', { name: 'myUser', password: 'foo' }))
+        .then(() => recordingBigIp.create('/shared/file-transfer/uploads/foo', 'data', null, null, { silent: true }))
+        .then(() => {
+            assert.deepStrictEqual(recordingBigIp.operations, [
+                { method: 'create', path: '/tm/auth/user', body: { name: 'myUser' } },
+                { method: 'create', path: '/shared/file-transfer/uploads/foo', body: '********' }
+            ]);
+        }));
+
+    it('should record bash commands', () => recordingBigIp.create(
+        '/tm/util/bash',
+        { command: 'run', utilCmdArgs: '-c "ls"' }
+    )
+        .then((result) => {
+            assert.deepStrictEqual(result, { commandResult: '' });
+            assert.deepStrictEqual(recordingBigIp.operations, [
+                { method: 'bash', body: '-c "ls"' }
+            ]);
+        }));
+
+    it('should pass read-only bash commands through to the device', () => {
+        bigIpMock.create.resolves({ commandResult: 'ssh-rsa foo' });
+        return recordingBigIp.create(
+            '/tm/util/bash',
+            { command: 'run', utilCmdArgs: '-c "cat /root/.ssh/authorized_keys"' }
+        )
+            .then((result) => {
+                assert.deepStrictEqual(result, { commandResult: 'ssh-rsa foo' });
+                return recordingBigIp.create(
+                    '/tm/util/bash',
+                    { command: 'run', utilCmdArgs: '-c " diff /config/a /config/b"' }
+                );
+            })
+            .then(() => {
+                assert.strictEqual(bigIpMock.create.calledTwice, true);
+                assert.deepStrictEqual(recordingBigIp.operations, []);
+            });
+    });
+
+    it('should record read-only bash commands which could write', () => Promise.resolve()
+        .then(() => recordingBigIp.create(
+            '/tm/util/bash',
+            { command: 'run', utilCmdArgs: '-c "cat /config/a > /config/b"' }
+        ))
+        .then(() => recordingBigIp.create(
+            '/tm/util/bash',
+            { command: 'run', utilCmdArgs: '-c "cat /config/a; rm /config/a"' }
+        ))
+        .then(() => {
+            assert.strictEqual(bigIpMock.create.called, false);
+            assert.deepStrictEqual(recordingBigIp.operations, [
+                { method: 'bash', body: '-c "cat /config/a > /config/b"' },
+                { method: 'bash', body: '-c "cat /config/a; rm /config/a"' }
+            ]);
+        }));
+
+    it('should pass dig through to the device', () => recordingBigIp.create(
+        '/tm/util/dig',
+        { command: 'run', utilCmdArgs: '+nocookie example.com' }
+    )
+        .then(() => {
+            assert.strictEqual(bigIpMock.create.calledOnce, true);
+            assert.deepStrictEqual(recordingBigIp.operations, []);
+        }));
+
+    describe('createOrModify', () => {
+        it('should record modify if the object exists', () => recordingBigIp.createOrModify('/tm/net/vlan', { name: 'myVlan' })
+            .then(() => {
+                assert.strictEqual(bigIpMock.list.args[0][0], '/tm/net/vlan/~Common~myVlan');
+                assert.deepStrictEqual(recordingBigIp.operations, [
+                    { method: 'modify', path: '/tm/net/vlan/~Common~myVlan', body: { name: 'myVlan' } }
+                ]);
+            }));
+
+        it('should record create if the object does not exist', () => {
+            const error = new Error('not found');
+            error.code = 404;
+            bigIpMock.list.rejects(error);
+            return recordingBigIp.createOrModify('/tm/auth/user', { name: 'myUser' })
+                .then(() => {
+                    assert.strictEqual(bigIpMock.list.args[0][0], '/tm/auth/user/myUser');
+                    assert.deepStrictEqual(recordingBigIp.operations, [
+                        { method: 'create', path: '/tm/auth/user', body: { name: 'myUser' } }
+                    ]);
+                });
+        });
+    });
+
+    it('should record a transaction as one operation', () => recordingBigIp.transaction([
+        { method: 'modify', path: '/tm/sys/provision/ltm', body: { level: 'nominal' } },
+        { method: 'modify', path: '/tm/sys/provision/asm', body: { level: 'nominal' } }
+    ])
+        .then(() => {
+            assert.deepStrictEqual(recordingBigIp.operations, [
+                {
+                    method: 'transaction',
+                    commands: [
+                        { method: 'modify', path: '/tm/sys/provision/ltm', body: { level: 'nominal' } },
+                        { method: 'modify', path: '/tm/sys/provision/asm', body: { level: 'nominal' } }
+                    ]
+                }
+            ]);
+        }));
+
+    it('should record save and reboot', () => recordingBigIp.save()
+        .then(() => recordingBigIp.reboot())
+        .then(() => {
+            assert.deepStrictEqual(recordingBigIp.operations, [
+                { method: 'create', path: '/tm/sys/config', body: { command: 'save' } },
+                { method: 'reboot' }
+            ]);
+        }));
+
+    it('should run onboard and cluster helpers against the recorder', () => Promise.resolve()
+        .then(() => recordingBigIp.onboard.setDbVars({ foo: 'bar' }))
+        .then(() => recordingBigIp.cluster.configSyncIp('10.1.1.1'))
+        .then(() => {
+            assert.strictEqual(bigIpMock.modify.called, false);
+            assert.deepStrictEqual(recordingBigIp.operations, [
+                { method: 'modify', path: '/tm/sys/db/foo', body: { value: 'bar' } },
+                { method: 'modify', path: '/tm/cm/device/~Common~bigip1', body: { configsyncIp: '10.1.1.1' } }
+            ]);
+        }));
+
+    it('should record licensing', () => Promise.resolve()
+        .then(() => recordingBigIp.onboard.license({ registrationKey: 'MMKGX-UPVPI-YIEMK-OAZIS-KQHSNAZ' }))
+        .then(() => recordingBigIp.onboard.revokeLicenseViaBigIq(
+            'bigiq1',
+            'user',
+            'password',
+            'myPool',
+            { noUnreachable: true }
+        ))
+        .then(() => {
+            assert.deepStrictEqual(recordingBigIp.operations, [
+                { method: 'license', body: { registrationKey: 'MMKGX-UPVPI-YIEMK-OAZIS-KQHSNAZ' } },
+                { method: 'revokeLicense', body: { bigIqHost: 'bigiq1', poolName: 'myPool', noUnreachable: true } }
+            ]);
+        }));
+});
@@ -136,6 +136,30 @@ describe('response', () => {
                 assert.strictEqual(response[1].id, '5678');
             }));
 
+    it('should include raw errors if the responder has them', () => {
+        const rawErrorsResponder = new Responder(state);
+        rawErrorsResponder.getRawErrors = (id) => [{ id, message: 'raw error' }];
+
+        return new Response(1234, rawErrorsResponder).getResponse()
+            .then((response) => {
+                assert.deepEqual(response.result.errors, ['error 1', 'error 2']);
+                assert.deepStrictEqual(response.result.rawErrors, [{ id: 1234, message: 'raw error' }]);
+            });
+    });
+
+    it('should include the handler reports if the responder has them', () => {
+        const handlersResponder = new Responder(state);
+        handlersResponder.getHandlers = () => [{ name: 'SystemHandler', durationMs: 10, outcome: 'success' }];
+
+        return new Response(1234, handlersResponder).getResponse()
+            .then((response) => {
+                assert.deepStrictEqual(
+                    response.result.handlers,
+                    [{ name: 'SystemHandler', durationMs: 10, outcome: 'success' }]
+                );
+            });
+    });
+
     it('should 404 when task does not exist',
         () => new Response(123, responder).getResponse()
             .then((response) => {
@@ -326,6 +326,10 @@ describe('routingPrefixListValidator', () => {
                     assert.ok(!validation.isValid, 'should be invalid declaration with prefixLengthRange that is just a colon');
                     assert.strictEqual(validation.errors[0], 'RoutingPrefixList \'exampleRoutingPrefixList\' entry \'30\' prefixLengthRange cannot be \':\' or \'\'');
                     assert.strictEqual(validation.errors.length, 1, 'should only report 1 error');
+                    assert.deepStrictEqual(
+                        validation.pointers,
+                        ['/declaration/Common/exampleRoutingPrefixList/entries/0/prefixLengthRange']
+                    );
                 });
         });
 
@@ -0,0 +1,407 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const cloudUtil = require('@f5devcentral/f5-cloud-libs').util;
+
+const schemaConverter = require('../../../src/lib/schemaConverter');
+
+const SCHEMA_DIR = path.join(__dirname, '../../../src/schema');
+const TENANT_CLASSES = require('../../../src/schema/latest/base.schema.json')
+    .properties.Common.additionalProperties.properties.class.enum;
+
+/**
+ * Gets the classes in a version of the schema and the top level properties of each
+ */
+function getSchemaClasses(version) {
+    const schemas = fs.readdirSync(path.join(SCHEMA_DIR, version))
+        .filter((file) => file.endsWith('.schema.json'))
+        .map((file) => JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, version, file))));
+    const definitions = {};
+    schemas.forEach((schema) => Object.assign(definitions, schema.definitions));
+
+    const addProperties = (subSchema, properties, depth) => {
+        if (!subSchema || typeof subSchema !== 'object' || depth > 5) {
+            return;
+        }
+        Object.keys(subSchema.properties || {}).forEach((property) => properties.add(property));
+        ['allOf', 'anyOf', 'oneOf'].forEach((keyword) => {
+            (subSchema[keyword] || []).forEach((child) => addProperties(child, properties, depth + 1));
+        });
+        addProperties(subSchema.then, properties, depth + 1);
+        addProperties(subSchema.else, properties, depth + 1);
+        if (subSchema.$ref) {
+            addProperties(definitions[subSchema.$ref.split('/').pop()], properties, depth + 1);
+        }
+    };
+
+    const classes = {};
+    const findClasses = (subSchema) => {
+        if (Array.isArray(subSchema)) {
+            subSchema.forEach(findClasses);
+        } else if (subSchema && typeof subSchema === 'object') {
+            // Classes are if/then schemas, or in early versions, one of a list of schemas
+            const ifClass = subSchema.if && subSchema.if.properties && subSchema.if.properties.class;
+            const oneOfClass = subSchema.properties && subSchema.properties.class;
+            if (ifClass && ifClass.const) {
+                classes[ifClass.const] = classes[ifClass.const] || new Set();
+                addProperties(subSchema.then, classes[ifClass.const], 0);
+            } else if (oneOfClass && oneOfClass.const && !subSchema.properties.declaration) {
+                classes[oneOfClass.const] = classes[oneOfClass.const] || new Set();
+                addProperties(subSchema, classes[oneOfClass.const], 0);
+            }
+            Object.keys(subSchema).forEach((key) => findClasses(subSchema[key]));
+        }
+    };
+    schemas.forEach(findClasses);
+    return classes;
+}
+
+describe('schemaConverter', () => {
+    const latestVersion = schemaConverter.getSchemaVersions()[0];
+
+    describe('getMinimumVersion', () => {
+        it('should match the versions in the schema history', () => {
+            const versions = fs.readdirSync(SCHEMA_DIR)
+                .filter((version) => version !== 'latest')
+                .sort((a, b) => cloudUtil.versionCompare(a, b));
+
+            const minimumVersions = {};
+            versions.forEach((version) => {
+                const classes = getSchemaClasses(version);
+                Object.keys(classes).forEach((schemaClass) => {
+                    if (!minimumVersions[schemaClass]) {
+                        minimumVersions[schemaClass] = { version, properties: {} };
+                    }
+                    classes[schemaClass].forEach((property) => {
+                        if (!minimumVersions[schemaClass].properties[property]) {
+                            minimumVersions[schemaClass].properties[property] = version;
+                        }
+                    });
+                });
+            });
+
+            TENANT_CLASSES.forEach((schemaClass) => {
+                assert.strictEqual(
+                    schemaConverter.getMinimumVersion(schemaClass),
+                    minimumVersions[schemaClass].version,
+                    `version of class ${schemaClass}`
+                );
+                Object.keys(minimumVersions[schemaClass].properties).forEach((property) => {
+                    assert.strictEqual(
+                        schemaConverter.getMinimumVersion(schemaClass, property),
+                        minimumVersions[schemaClass].properties[property],
+                        `version of ${schemaClass} property ${property}`
+                    );
+                });
+            });
+        });
+
+        it('should return undefined for unknown classes', () => {
+            assert.strictEqual(schemaConverter.getMinimumVersion('Foo'), undefined);
+        });
+    });
+
+    describe('convert', () => {
+        it('should change the schemaVersion of a declaration', () => {
+            const declaration = {
+                schemaVersion: '1.0.0',
+                class: 'Device',
+                Common: {
+                    class: 'Tenant'
+                }
+            };
+            const result = schemaConverter.convert(declaration, '1.5.0');
+            assert.deepStrictEqual(
+                result,
+                {
+                    declaration: {
+                        schemaVersion: '1.5.0',
+                        class: 'Device',
+                        Common: {
+                            class: 'Tenant'
+                        }
+                    },
+                    fromVersion: '1.0.0',
+                    toVersion: '1.5.0',
+                    changes: []
+                }
+            );
+            assert.strictEqual(declaration.schemaVersion, '1.0.0', 'should not modify the declaration');
+        });
+
+        it('should convert a DO wrapper', () => {
+            const wrapper = {
+                class: 'DO',
+                targetHost: '1.2.3.4',
+                declaration: {
+                    schemaVersion: '1.0.0',
+                    class: 'Device'
+                }
+            };
+            const result = schemaConverter.convert(wrapper, latestVersion);
+            assert.strictEqual(result.declaration.targetHost, '1.2.3.4');
+            assert.strictEqual(result.declaration.declaration.schemaVersion, latestVersion);
+        });
+
+        describe('hostname', () => {
+            it('should move the hostname from Common to a new System class', () => {
+                const result = schemaConverter.convert(
+                    {
+                        schemaVersion: '1.0.0',
+                        class: 'Device',
+                        Common: {
+                            class: 'Tenant',
+                            hostname: 'bigip.example.com'
+                        }
+                    },
+                    '1.8.0'
+                );
+                assert.deepStrictEqual(
+                    result.declaration.Common,
+                    {
+                        class: 'Tenant',
+                        system: {
+                            class: 'System',
+                            hostname: 'bigip.example.com'
+                        }
+                    }
+                );
+                assert.deepStrictEqual(result.changes, ['/Common/hostname moved to /Common/system/hostname']);
+            });
+
+            it('should move the hostname from Common to an existing System class', () => {
+                const result = schemaConverter.convert(
+                    {
+                        schemaVersion: '1.14.0',
+                        class: 'Device',
+                        Common: {
+                            class: 'Tenant',
+                            hostname: 'bigip.example.com',
+                            mySystem: {
+                                class: 'System',
+                                consoleInactivityTimeout: 30
+                            }
+                        }
+                    },
+                    latestVersion
+                );
+                assert.deepStrictEqual(
+                    result.declaration.Common,
+                    {
+                        class: 'Tenant',
+                        mySystem: {
+                            class: 'System',
+                            consoleInactivityTimeout: 30,
+                            hostname: 'bigip.example.com'
+                        }
+                    }
+                );
+            });
+
+            it('should move the hostname from System to Common for versions without System', () => {
+                const result = schemaConverter.convert(
+                    {
+                        schemaVersion: latestVersion,
+                        class: 'Device',
+                        Common: {
+                            class: 'Tenant',
+                            mySystem: {
+                                class: 'System',
+                                hostname: 'bigip.example.com'
+                            }
+                        }
+                    },
+                    '1.7.0'
+                );
+                assert.deepStrictEqual(
+                    result.declaration.Common,
+                    {
+                        class: 'Tenant',
+                        hostname: 'bigip.example.com'
+                    }
+                );
+                assert.deepStrictEqual(
+                    result.changes,
+                    [
+                        '/Common/mySystem/hostname moved to /Common/hostname',
+                        '/Common/mySystem removed'
+                    ]
+                );
+            });
+        });
+
+        it('should report everything the target version does not have', () => {
+            assert.throws(
+                () => schemaConverter.convert(
+                    {
+                        schemaVersion: latestVersion,
+                        class: 'Device',
+                        controls: {
+                            trace: true
+                        },
+                        Common: {
+                            class: 'Tenant',
+                            mySystem: {
+                                class: 'System',
+                                hostname: 'bigip.example.com',
+                                autoPhonehome: false
+                            },
+                            myTunnel: {
+                                class: 'Tunnel',
+                                tunnelType: 'geneve'
+                            }
+                        }
+                    },
+                    '1.12.0'
+                ),
+                (err) => {
+                    assert.strictEqual(err.code, 422);
+                    assert.deepStrictEqual(
+                        err.errors,
+                        [
+                            '/controls: requires schema version 1.13.0 or later',
+                            '/Common/myTunnel: class Tunnel requires schema version 1.14.0 or later'
+                        ]
+                    );
+                    return true;
+                }
+            );
+        });
+
+        it('should report properties the target version does not have', () => {
+            assert.throws(
+                () => schemaConverter.convert(
+                    {
+                        schemaVersion: latestVersion,
+                        class: 'Device',
+                        Common: {
+                            class: 'Tenant',
+                            mySystem: {
+                                class: 'System',
+                                autoPhonehome: false
+                            }
+                        }
+                    },
+                    '1.9.0'
+                ),
+                (err) => {
+                    assert.deepStrictEqual(
+                        err.errors,
+                        ['/Common/mySystem/autoPhonehome: requires schema version 1.10.0 or later (System)']
+                    );
+                    return true;
+                }
+            );
+        });
+
+        it('should report controls the target version does not have', () => {
+            assert.throws(
+                () => schemaConverter.convert(
+                    {
+                        schemaVersion: latestVersion,
+                        class: 'Device',
+                        controls: {
+                            class: 'Controls',
+                            trace: true,
+                            dryRun: 'detailed',
+                            logLevel: 'debug',
+                            onConflict: 'reject',
+                            remediation: { mode: 'always' },
+                            validation: 'all'
+                        }
+                    },
+                    '1.28.0'
+                ),
+                (err) => {
+                    assert.strictEqual(err.code, 422);
+                    assert.deepStrictEqual(
+                        err.errors,
+                        [
+                            '/controls/dryRun: detailed requires schema version 1.29.0 or later',
+                            '/controls/logLevel: requires schema version 1.29.0 or later',
+                            '/controls/onConflict: requires schema version 1.29.0 or later',
+                            '/controls/remediation: requires schema version 1.29.0 or later',
+                            '/controls/validation: requires schema version 1.29.0 or later'
+                        ]
+                    );
+                    return true;
+                }
+            );
+        });
+
+        it('should report controls properties added after controls', () => {
+            assert.throws(
+                () => schemaConverter.convert(
+                    {
+                        schemaVersion: latestVersion,
+                        class: 'Device',
+                        controls: {
+                            class: 'Controls',
+                            dryRun: 'detailed',
+                            trace: true
+                        }
+                    },
+                    '1.14.0'
+                ),
+                (err) => {
+                    assert.deepStrictEqual(
+                        err.errors,
+                        [
+                            '/controls/dryRun: requires schema version 1.23.0 or later',
+                            '/controls/trace: requires schema version 1.15.0 or later'
+                        ]
+                    );
+                    return true;
+                }
+            );
+        });
+
+        it('should keep controls the target version has', () => {
+            const result = schemaConverter.convert(
+                {
+                    schemaVersion: latestVersion,
+                    class: 'Device',
+                    controls: {
+                        class: 'Controls',
+                        dryRun: true,
+                        trace: true
+                    }
+                },
+                '1.23.0'
+            );
+            assert.deepStrictEqual(result.declaration.controls, { class: 'Controls', dryRun: true, trace: true });
+        });
+
+        it('should reject unknown versions', () => {
+            assert.throws(
+                () => schemaConverter.convert({ schemaVersion: '1.0.0', class: 'Device' }, '0.1.0'),
+                (err) => err.code === 400 && err.message.startsWith('Unknown schema version 0.1.0')
+            );
+        });
+
+        it('should reject bodies which are not declarations', () => {
+            assert.throws(
+                () => schemaConverter.convert([], latestVersion),
+                (err) => err.code === 400 && err.message === 'Body is not a declaration'
+            );
+        });
+    });
+});
@@ -0,0 +1,207 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const sinon = require('sinon');
+
+const cryptoUtil = require('../../../src/lib/cryptoUtil');
+const secretResolver = require('../../../src/lib/secretResolver');
+
+describe('secretResolver', () => {
+    let declaration;
+
+    beforeEach(() => {
+        declaration = {
+            class: 'Device',
+            Common: {
+                class: 'Tenant',
+                admin: {
+                    class: 'User',
+                    userType: 'regular',
+                    password: { secretRef: 'file:/config/secrets/admin' }
+                },
+                myAuth: {
+                    class: 'Authentication',
+                    radius: {
+                        servers: {
+                            primary: {
+                                server: '10.1.1.1',
+                                secret: { secretRef: 'env:RADIUS_SECRET' }
+                            }
+                        }
+                    }
+                },
+                myLicense: {
+                    class: 'License',
+                    bigIqPassword: { secretRef: 'stored:bigIqPassword' }
+                }
+            }
+        };
+
+        sinon.stub(fs, 'readFile').callsFake((file, encoding, callback) => {
+            if (file === '/config/secrets/admin') {
+                callback(null, 'adminPassword\n');
+            } else {
+                const err = new Error(`ENOENT: no such file or directory, open '${file}'`);
+                err.code = 'ENOENT';
+                callback(err);
+            }
+        });
+        sinon.stub(cryptoUtil, 'decryptStoredValueById').callsFake((id) => {
+            if (id === 'bigIqPassword') {
+                return Promise.resolve('bigIqPassword');
+            }
+            return Promise.reject(new Error(`${id} not found`));
+        });
+        process.env.RADIUS_SECRET = 'radiusSecret';
+    });
+
+    afterEach(() => {
+        sinon.restore();
+        delete process.env.RADIUS_SECRET;
+    });
+
+    describe('resolve', () => {
+        it('should resolve references from files, the environment and stored values', () => {
+            const original = JSON.parse(JSON.stringify(declaration));
+            return secretResolver.resolve(declaration)
+                .then((resolved) => {
+                    assert.strictEqual(resolved.Common.admin.password, 'adminPassword');
+                    assert.strictEqual(resolved.Common.myAuth.radius.servers.primary.secret, 'radiusSecret');
+                    assert.strictEqual(resolved.Common.myLicense.bigIqPassword, 'bigIqPassword');
+                    assert.deepStrictEqual(declaration, original);
+                });
+        });
+
+        it('should resolve references in the DO wrapper', () => {
+            const wrapper = {
+                class: 'DO',
+                targetPassphrase: { secretRef: 'env:RADIUS_SECRET' },
+                declaration
+            };
+            return secretResolver.resolve(wrapper)
+                .then((resolved) => {
+                    assert.strictEqual(resolved.targetPassphrase, 'radiusSecret');
+                    assert.strictEqual(resolved.declaration.Common.admin.password, 'adminPassword');
+                });
+        });
+
+        it('should return the body if there are no references', () => {
+            const body = { class: 'Device', Common: { class: 'Tenant' } };
+            return secretResolver.resolve(body)
+                .then((resolved) => {
+                    assert.strictEqual(resolved, body);
+                });
+        });
+
+        it('should report all of the references which cannot be resolved', () => {
+            declaration.Common.admin.password.secretRef = 'file:/config/secrets/missing';
+            declaration.Common.myLicense.bigIqPassword.secretRef = 'stored:missing';
+            delete process.env.RADIUS_SECRET;
+
+            return secretResolver.resolve({ class: 'DO', declaration })
+                .then(() => {
+                    assert.fail('should have rejected');
+                })
+                .catch((err) => {
+                    assert.strictEqual(err.code, 400);
+                    assert.deepStrictEqual(
+                        err.errors.sort(),
+                        [
+                            '/Common/admin/password: unable to resolve secretRef file:/config/secrets/missing: file does not exist',
+                            '/Common/myAuth/radius/servers/primary/secret: unable to resolve secretRef env:RADIUS_SECRET: environment variable is not set',
+                            '/Common/myLicense/bigIqPassword: unable to resolve secretRef stored:missing: missing not found'
+                        ]
+                    );
+                });
+        });
+
+        it('should reject references which are not valid', () => secretResolver.resolve({ tag: { secretRef: 'env:TAG' } })
+            .then(() => {
+                assert.fail('should have rejected');
+            })
+            .catch((err) => {
+                assert.strictEqual(err.code, 400);
+                assert.deepStrictEqual(err.errors, ['/tag: secretRef can only be used for secrets, like passwords']);
+            }));
+    });
+
+    describe('replaceWithPlaceholders', () => {
+        it('should replace references with placeholders', () => {
+            const original = JSON.parse(JSON.stringify(declaration));
+            const replaced = secretResolver.replaceWithPlaceholders(declaration);
+            assert.strictEqual(replaced.Common.admin.password, secretResolver.PLACEHOLDER);
+            assert.strictEqual(replaced.Common.myAuth.radius.servers.primary.secret, secretResolver.PLACEHOLDER);
+            assert.strictEqual(replaced.Common.myLicense.bigIqPassword, secretResolver.PLACEHOLDER);
+            assert.deepStrictEqual(declaration, original);
+            assert.strictEqual(fs.readFile.called, false);
+        });
+
+        it('should check the references', () => {
+            declaration.Common.admin.password = { secretRef: 'vault:admin' };
+            declaration.Common.admin.shell = { secretRef: 'env:SHELL' };
+            declaration.Common.myAuth.radius.servers.primary.secret.other = 'foo';
+            declaration.Common.myLicense.bigIqPassword = { secretRef: 'file:secrets/bigIq' };
+            declaration.Common.myLicense.bigIpPassword = { secretRef: 'stored:foo; rm -rf /' };
+
+            assert.throws(
+                () => secretResolver.replaceWithPlaceholders(declaration),
+                (err) => {
+                    assert.strictEqual(err.code, 400);
+                    assert.deepStrictEqual(
+                        err.errors,
+                        [
+                            '/Common/admin/password: secretRef must be file:<path>, env:<name> or stored:<id>',
+                            '/Common/admin/shell: secretRef can only be used for secrets, like passwords',
+                            '/Common/myAuth/radius/servers/primary/secret: secretRef must be the only property',
+                            '/Common/myLicense/bigIqPassword: secretRef file path must be absolute',
+                            '/Common/myLicense/bigIpPassword: secretRef stored id must only have letters, numbers, \'.\', \'_\' and \'-\''
+                        ]
+                    );
+                    return true;
+                }
+            );
+        });
+    });
+
+    describe('restoreReferences', () => {
+        it('should put the references back into the resolved declaration', () => {
+            const resolved = JSON.parse(JSON.stringify(declaration));
+            resolved.Common.admin.password = 'adminPassword';
+            resolved.Common.myAuth.radius.servers.primary.secret = 'radiusSecret';
+            resolved.Common.myLicense.bigIqPassword = 'bigIqPassword';
+            resolved.Common.myLicense.reachable = false;
+
+            const restored = secretResolver.restoreReferences(resolved, declaration);
+            assert.deepStrictEqual(restored.Common.admin.password, { secretRef: 'file:/config/secrets/admin' });
+            assert.deepStrictEqual(
+                restored.Common.myAuth.radius.servers.primary.secret,
+                { secretRef: 'env:RADIUS_SECRET' }
+            );
+            assert.deepStrictEqual(restored.Common.myLicense.bigIqPassword, { secretRef: 'stored:bigIqPassword' });
+            assert.strictEqual(restored.Common.myLicense.reachable, false);
+            assert.strictEqual(resolved.Common.admin.password, 'adminPassword');
+        });
+
+        it('should return the resolved declaration if there are no references', () => {
+            const resolved = { class: 'Device' };
+            assert.strictEqual(secretResolver.restoreReferences(resolved, { class: 'Device' }), resolved);
+        });
+    });
+});
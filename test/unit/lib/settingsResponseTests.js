@@ -0,0 +1,70 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const SettingsResponse = require('../../../src/lib/settingsResponse');
+const State = require('../../../src/lib/state');
+
+describe('settingsResponse', () => {
+    let state;
+
+    beforeEach(() => {
+        state = new State();
+        state.setSettings({ maxTaskCount: 20 });
+    });
+
+    it('should return the proper selfLink', () => {
+        const settingsResponse = new SettingsResponse(state);
+        assert.strictEqual(settingsResponse.getSelfLink(), 'https://localhost/mgmt/shared/declarative-onboarding/settings');
+    });
+
+    it('should return the settings', () => {
+        const settingsResponse = new SettingsResponse(state);
+        assert.deepStrictEqual(
+            settingsResponse.getData(),
+            {
+                maxTaskCount: 20,
+                maxTaskAgeDays: 7,
+                keepTraces: true,
+                keepCurrentConfig: true,
+                inspectTimeoutMs: 60000,
+                webhookTimeoutMs: 60000,
+                tcwPollIntervalMs: 5000,
+                teemEnabled: true,
+                logFormat: 'text'
+            }
+        );
+        assert.strictEqual(settingsResponse.getCode(), 200);
+        assert.strictEqual(settingsResponse.getStatus(), 'OK');
+        assert.strictEqual(settingsResponse.getMessage(), '');
+        assert.deepStrictEqual(settingsResponse.getErrors(), []);
+    });
+
+    it('should report errors', () => {
+        const settingsResponse = new SettingsResponse(state, { errors: ['/maxTaskCount: must be integer or null >= 1'] });
+        assert.strictEqual(settingsResponse.getData().maxTaskCount, 20);
+        assert.strictEqual(settingsResponse.getCode(), 400);
+        assert.strictEqual(settingsResponse.getStatus(), 'ERROR');
+        assert.strictEqual(settingsResponse.getMessage(), 'bad settings');
+        assert.deepStrictEqual(
+            settingsResponse.getErrors(),
+            ['/maxTaskCount: must be integer or null >= 1']
+        );
+    });
+});
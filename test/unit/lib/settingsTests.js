@@ -0,0 +1,91 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const settings = require('../../../src/lib/settings');
+
+describe('settings', () => {
+    describe('withDefaults', () => {
+        it('should fill in the defaults', () => {
+            assert.deepStrictEqual(
+                settings.withDefaults({ maxTaskCount: 10, foo: 'bar' }),
+                {
+                    maxTaskCount: 10,
+                    maxTaskAgeDays: 7,
+                    keepTraces: true,
+                    keepCurrentConfig: true,
+                    inspectTimeoutMs: 60000,
+                    webhookTimeoutMs: 60000,
+                    tcwPollIntervalMs: 5000,
+                    teemEnabled: true,
+                    logFormat: 'text'
+                }
+            );
+        });
+
+        it('should return the defaults if there are no settings', () => {
+            assert.deepStrictEqual(settings.withDefaults(), settings.getDefaults());
+        });
+    });
+
+    describe('validate', () => {
+        it('should accept valid settings', () => {
+            assert.deepStrictEqual(
+                settings.validate({
+                    maxTaskCount: null,
+                    maxTaskAgeDays: 0.5,
+                    keepTraces: false,
+                    keepCurrentConfig: false,
+                    inspectTimeoutMs: 120000,
+                    webhookTimeoutMs: 5000,
+                    tcwPollIntervalMs: 10000,
+                    teemEnabled: false
+                }),
+                []
+            );
+        });
+
+        it('should report settings which are not valid', () => {
+            assert.deepStrictEqual(
+                settings.validate({
+                    maxTaskCount: 0,
+                    maxTaskAgeDays: '7',
+                    keepTraces: 'no',
+                    maxTasks: 10,
+                    inspectTimeoutMs: 10,
+                    tcwPollIntervalMs: 1500.5,
+                    teemEnabled: 'false'
+                }),
+                [
+                    '/maxTasks: is not allowed',
+                    '/maxTaskCount: must be integer or null >= 1',
+                    '/maxTaskAgeDays: must be number > 0',
+                    '/keepTraces: must be boolean',
+                    '/inspectTimeoutMs: must be integer >= 1000',
+                    '/tcwPollIntervalMs: must be integer >= 1000',
+                    '/teemEnabled: must be boolean'
+                ]
+            );
+        });
+
+        it('should only accept an object', () => {
+            assert.deepStrictEqual(settings.validate([]), ['/: must be object']);
+        });
+    });
+});
@@ -68,6 +68,27 @@ module.exports = {
     getTraceDiff(taskId) {
         return this.tasks[taskId].traceDiff;
     },
+    getCompletedHandlers(taskId) {
+        return this.tasks[taskId].completedHandlers;
+    },
+    getHandlers(taskId) {
+        return this.tasks[taskId].handlers;
+    },
+    getRawErrors(taskId) {
+        return this.tasks[taskId].rawErrors;
+    },
+    getPlan(taskId) {
+        return this.tasks[taskId].plan;
+    },
+    getRollbackOf(taskId) {
+        return this.tasks[taskId].rollbackOf;
+    },
+    getMaskedSecrets(taskId) {
+        return this.tasks[taskId].maskedSecrets || [];
+    },
+    getTarget(taskId) {
+        return this.tasks[taskId].target;
+    },
     hasTrace() {
         return true;
     }
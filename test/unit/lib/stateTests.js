@@ -94,7 +94,8 @@ describe('state', () => {
                         }
                     }
                 },
-                mostRecentTask: 1234
+                mostRecentTask: 1234,
+                settings: {}
             });
     });
 
@@ -123,6 +124,149 @@ describe('state', () => {
         assert.ok(state.tasks['5678']);
     });
 
+    it('should delete tasks older than the maxTaskAgeDays setting', () => {
+        const now = new Date();
+        const existingState = {
+            tasks: {
+                1234: {
+                    lastUpdate: new Date(now - (2 * 1000 * 3600 * 24)).toISOString()
+                },
+                5678: {
+                    lastUpdate: now.toISOString()
+                }
+            },
+            settings: {
+                maxTaskAgeDays: 1
+            }
+        };
+        const state = new State(existingState);
+
+        state.prune();
+
+        assert.deepStrictEqual(Object.keys(state.tasks), ['5678']);
+    });
+
+    describe('settings', () => {
+        it('should get the default settings', () => {
+            const state = new State();
+            assert.deepStrictEqual(
+                state.getSettings(),
+                {
+                    maxTaskCount: null,
+                    maxTaskAgeDays: 7,
+                    keepTraces: true,
+                    keepCurrentConfig: true,
+                    inspectTimeoutMs: 60000,
+                    webhookTimeoutMs: 60000,
+                    tcwPollIntervalMs: 5000,
+                    teemEnabled: true,
+                    logFormat: 'text'
+                }
+            );
+        });
+
+        it('should change only the given settings', () => {
+            const state = new State();
+            state.setSettings({ maxTaskCount: 10 });
+            state.setSettings({ keepTraces: false });
+            assert.strictEqual(state.getSettings().maxTaskCount, 10);
+            assert.strictEqual(state.getSettings().keepTraces, false);
+        });
+
+        it('should keep the settings in a copy of the state', () => {
+            const state = new State();
+            state.setSettings({ maxTaskCount: 10 });
+            const copy = new State(JSON.parse(JSON.stringify(state)));
+            assert.strictEqual(copy.getSettings().maxTaskCount, 10);
+        });
+    });
+
+    describe('prune', () => {
+        let state;
+
+        function addTask(taskId, status, minutesAgo, target) {
+            state.tasks[taskId] = {
+                id: taskId,
+                lastUpdate: new Date(Date.now() - (minutesAgo * 60 * 1000)),
+                result: { status },
+                internalDeclaration: {},
+                currentConfig: { parsed: true },
+                initialConfig: { parsed: true },
+                traceCurrent: {},
+                traceDesired: {},
+                traceDiff: {}
+            };
+            if (target) {
+                state.tasks[taskId].target = target;
+            }
+        }
+
+        beforeEach(() => {
+            state = new State();
+            addTask('success', 'OK', 50);
+            addTask('remoteSuccess', 'OK', 45, '10.1.1.1');
+            addTask('oldest', 'ERROR', 40);
+            addTask('running', 'RUNNING', 30);
+            addTask('older', 'ERROR', 20);
+            addTask('newest', 'ERROR', 10);
+            state.mostRecentTask = 'newest';
+        });
+
+        it('should remove the oldest finished tasks over the maxTaskCount setting', () => {
+            state.setSettings({ maxTaskCount: 5 });
+            state.prune();
+            assert.deepStrictEqual(
+                Object.keys(state.tasks),
+                ['success', 'remoteSuccess', 'running', 'older', 'newest']
+            );
+
+            state.setSettings({ maxTaskCount: 1 });
+            state.prune();
+            assert.deepStrictEqual(
+                Object.keys(state.tasks),
+                ['success', 'remoteSuccess', 'running', 'newest']
+            );
+        });
+
+        it('should remove traces and current config from finished tasks', () => {
+            state.setSettings({ keepTraces: false, keepCurrentConfig: false });
+            state.prune();
+
+            ['success', 'oldest', 'older'].forEach((taskId) => {
+                assert.strictEqual(state.tasks[taskId].traceCurrent, undefined);
+                assert.strictEqual(state.tasks[taskId].traceDesired, undefined);
+                assert.strictEqual(state.tasks[taskId].traceDiff, undefined);
+                assert.strictEqual(state.tasks[taskId].currentConfig, undefined);
+                assert.deepStrictEqual(state.tasks[taskId].internalDeclaration, {});
+            });
+            ['remoteSuccess', 'running', 'newest'].forEach((taskId) => {
+                assert.ok(state.tasks[taskId].traceCurrent);
+                assert.ok(state.tasks[taskId].currentConfig);
+            });
+        });
+
+        it('should remove the initial config from finished tasks which are not the last successful one', () => {
+            addTask('successAgain', 'OK', 15);
+            state.setSettings({ keepCurrentConfig: false });
+            state.prune();
+
+            ['success', 'oldest', 'older'].forEach((taskId) => {
+                assert.strictEqual(state.tasks[taskId].initialConfig, undefined);
+            });
+            ['successAgain', 'remoteSuccess', 'running', 'newest'].forEach((taskId) => {
+                assert.ok(state.tasks[taskId].initialConfig);
+            });
+        });
+
+        it('should keep everything by default', () => {
+            state.prune();
+            assert.strictEqual(Object.keys(state.tasks).length, 6);
+            assert.ok(state.tasks.oldest.traceCurrent);
+            assert.ok(state.tasks.oldest.currentConfig);
+            assert.ok(state.tasks.oldest.initialConfig);
+        });
+    });
+
     describe('upgrade', () => {
         it('should add tasks and originalConfig if missing', () => {
             const existingState = {
@@ -320,6 +464,19 @@ describe('state', () => {
         assert.deepStrictEqual(state.getErrors(taskId), ['my', 'list', 'of', 'errors']);
     });
 
+    it('should say whether a task has finished', () => {
+        const state = new State();
+        const taskId = state.addTask();
+
+        state.updateResult(taskId, 202, 'RUNNING', 'processing');
+        assert.strictEqual(state.isFinished(taskId), false);
+        state.updateResult(taskId, 200, 'OK', 'success');
+        assert.strictEqual(state.isFinished(taskId), true);
+        state.updateResult(taskId, 422, 'ERROR', 'invalid config - rolled back');
+        assert.strictEqual(state.isFinished(taskId), true);
+        assert.throws(() => state.isFinished('foo'), /taskId does not exist/);
+    });
+
     it('should set internalDeclaration', () => {
         const state = new State();
         const declaration = {
@@ -343,6 +500,57 @@ describe('state', () => {
             });
     });
 
+    it('should keep secret references when masking the declaration', () => {
+        const state = new State();
+        const taskId = state.addTask();
+
+        state.setDeclaration(taskId, {
+            Common: {
+                admin: {
+                    class: 'User',
+                    password: 'foo'
+                },
+                myUser: {
+                    class: 'User',
+                    password: { secretRef: 'env:MY_PASSWORD' }
+                }
+            }
+        });
+        assert.deepStrictEqual(state.getDeclaration(taskId),
+            {
+                Common: {
+                    admin: {
+                        class: 'User'
+                    },
+                    myUser: {
+                        class: 'User',
+                        password: { secretRef: 'env:MY_PASSWORD' }
+                    }
+                }
+            });
+    });
+
+    it('should get the secrets which were masked out of the declaration', () => {
+        const state = new State();
+        const taskId = state.addTask();
+        assert.deepStrictEqual(state.getMaskedSecrets(taskId), []);
+
+        state.setDeclaration(taskId, {
+            Common: {
+                'my/user': {
+                    class: 'User',
+                    password: 'foo'
+                },
+                myUser: {
+                    class: 'User',
+                    password: { secretRef: 'env:MY_PASSWORD' }
+                }
+            }
+        });
+        assert.deepStrictEqual(state.getMaskedSecrets(taskId), ['/Common/my~1user/password']);
+        assert.throws(() => state.getMaskedSecrets('foo'), /taskId does not exist/);
+    });
+
     it('should set the current config', () => {
         const state = new State();
         const currentConfig = {
@@ -511,4 +719,182 @@ describe('state', () => {
         state.setRequestOptions(taskId, reqOpts);
         assert.deepStrictEqual(state.getRequestOptions(taskId), reqOpts);
     });
+
+    it('should get the last successful task id', () => {
+        const state = new State();
+        assert.strictEqual(state.getLastSuccessfulTaskId(), null);
+
+        const okTaskId = state.addTask();
+        state.setDeclaration(okTaskId, { Common: {} });
+        state.updateResult(okTaskId, 200, 'OK', 'success');
+        state.tasks[okTaskId].lastUpdate = new Date(Date.now() - 3000);
+
+        const dryRunTaskId = state.addTask();
+        state.setDeclaration(dryRunTaskId, { controls: { dryRun: true }, Common: {} });
+        state.updateResult(dryRunTaskId, 200, 'OK', 'success');
+        state.tasks[dryRunTaskId].lastUpdate = new Date(Date.now() - 2000);
+
+        const errorTaskId = state.addTask();
+        state.updateResult(errorTaskId, 422, 'ERROR', 'failed');
+
+        assert.strictEqual(state.getLastSuccessfulTaskId(), okTaskId);
+    });
+
+    it('should get the last successful task id for a target', () => {
+        const state = new State();
+
+        const localTaskId = state.addTask();
+        state.setDeclaration(localTaskId, { Common: {} });
+        state.updateResult(localTaskId, 200, 'OK', 'success');
+        state.tasks[localTaskId].lastUpdate = new Date(Date.now() - 3000);
+
+        const remoteTaskId = state.addTask();
+        state.setDeclaration(remoteTaskId, { Common: {} });
+        state.setTarget(remoteTaskId, '10.10.10.10');
+        state.updateResult(remoteTaskId, 200, 'OK', 'success');
+        state.tasks[remoteTaskId].lastUpdate = new Date(Date.now() - 2000);
+
+        assert.strictEqual(state.getLastSuccessfulTaskId(), remoteTaskId);
+        assert.strictEqual(state.getLastSuccessfulTaskId('localhost'), localTaskId);
+        assert.strictEqual(state.getLastSuccessfulTaskId('10.10.10.10'), remoteTaskId);
+        assert.strictEqual(state.getLastSuccessfulTaskId('10.10.10.11'), null);
+    });
+
+    it('should get the task rolled back to as the last successful task after a rollback', () => {
+        const state = new State();
+
+        const firstTaskId = state.addTask();
+        state.setDeclaration(firstTaskId, { Common: { hostname: 'first.example.com' } });
+        state.updateResult(firstTaskId, 200, 'OK', 'success');
+        state.tasks[firstTaskId].lastUpdate = new Date(Date.now() - 3000);
+
+        const secondTaskId = state.addTask();
+        state.setDeclaration(secondTaskId, { Common: { hostname: 'second.example.com' } });
+        state.updateResult(secondTaskId, 200, 'OK', 'success');
+        state.tasks[secondTaskId].lastUpdate = new Date(Date.now() - 2000);
+
+        const rollbackTaskId = state.addTask();
+        state.setDeclaration(rollbackTaskId, {});
+        state.setRollbackOf(rollbackTaskId, secondTaskId);
+        state.updateResult(rollbackTaskId, 200, 'OK', 'success');
+        assert.strictEqual(state.getLastSuccessfulTaskId(), firstTaskId);
+        assert.strictEqual(state.getLastSuccessfulTaskId('localhost'), firstTaskId);
+
+        const rollbackFirstTaskId = state.addTask();
+        state.setDeclaration(rollbackFirstTaskId, {});
+        state.setRollbackOf(rollbackFirstTaskId, firstTaskId);
+        state.updateResult(rollbackFirstTaskId, 200, 'OK', 'success');
+        state.tasks[rollbackFirstTaskId].lastUpdate = new Date(Date.now() + 1000);
+        assert.strictEqual(state.getLastSuccessfulTaskId(), null);
+    });
+
+    it('should keep the last successful task for each target when cleaning up old tasks', () => {
+        const state = new State();
+        const eightDaysAgo = new Date(Date.now() - 8 * 24 * 3600 * 1000);
+
+        const oldTaskId = state.addTask();
+        state.setDeclaration(oldTaskId, { Common: {} });
+        state.updateResult(oldTaskId, 200, 'OK', 'success');
+        state.tasks[oldTaskId].lastUpdate = new Date(eightDaysAgo.getTime() - 1000);
+
+        const lastTaskId = state.addTask();
+        state.setDeclaration(lastTaskId, { Common: {} });
+        state.updateResult(lastTaskId, 200, 'OK', 'success');
+        state.tasks[lastTaskId].lastUpdate = eightDaysAgo;
+
+        const failedTaskId = state.addTask();
+        state.updateResult(failedTaskId, 422, 'ERROR', 'failed');
+
+        state.addTask();
+        assert.strictEqual(state.getTaskIds().indexOf(oldTaskId), -1);
+        assert.notStrictEqual(state.getTaskIds().indexOf(lastTaskId), -1);
+    });
+
+    it('should set the plan', () => {
+        const state = new State();
+        const taskId = state.addTask();
+
+        const plan = {
+            rebootRequired: false,
+            operations: [{ method: 'modify', path: '/tm/sys/global-settings', body: { hostname: 'foo' } }]
+        };
+        state.setPlan(taskId, plan);
+        assert.deepStrictEqual(state.getPlan(taskId), plan);
+    });
+
+    it('should set the target', () => {
+        const state = new State();
+        const taskId = state.addTask();
+
+        state.setTarget(taskId, '10.1.1.1:8443');
+        assert.strictEqual(state.getTarget(taskId), '10.1.1.1:8443');
+    });
+
+    it('should set the initial config', () => {
+        const state = new State();
+        const taskId = state.addTask();
+
+        const initialConfig = { parsed: true, Common: { hostname: 'bigip1' } };
+        state.setInitialConfig(taskId, initialConfig);
+        initialConfig.Common.hostname = 'bigip2';
+        assert.deepStrictEqual(state.getInitialConfig(taskId), { parsed: true, Common: { hostname: 'bigip1' } });
+    });
+
+    it('should set and clear the encrypted secrets', () => {
+        const state = new State();
+        const taskId = state.addTask();
+
+        const encryptedSecrets = [{ path: ['Common', 'admin', 'password'], value: ['$M$abc'] }];
+        state.setEncryptedSecrets(taskId, encryptedSecrets);
+        assert.deepStrictEqual(state.getEncryptedSecrets(taskId), encryptedSecrets);
+        state.setEncryptedSecrets(taskId, null);
+        assert.strictEqual(state.getEncryptedSecrets(taskId), undefined);
+    });
+
+    it('should set the task being rolled back', () => {
+        const state = new State();
+        const taskId = state.addTask();
+
+        state.setRollbackOf(taskId, '1234');
+        assert.strictEqual(state.getRollbackOf(taskId), '1234');
+    });
+
+    it('should set and clear the cancel request', () => {
+        const state = new State();
+        const taskId = state.addTask();
+
+        state.setCancelRequest(taskId, { rollback: 'yes' });
+        assert.deepStrictEqual(state.getCancelRequest(taskId), { rollback: true });
+        state.setCancelRequest(taskId, null);
+        assert.strictEqual(state.getCancelRequest(taskId), undefined);
+    });
+
+    it('should set the completed handlers', () => {
+        const state = new State();
+        const taskId = state.addTask();
+
+        state.setCompletedHandlers(taskId, ['SystemHandler', 'AuthHandler']);
+        assert.deepStrictEqual(state.getCompletedHandlers(taskId), ['SystemHandler', 'AuthHandler']);
+    });
+
+    it('should set the handler reports', () => {
+        const state = new State();
+        const taskId = state.addTask();
+        const handlers = [{ name: 'SystemHandler', durationMs: 10, outcome: 'success' }];
+
+        state.setHandlers(taskId, handlers);
+        assert.deepStrictEqual(state.getHandlers(taskId), handlers);
+        assert.notStrictEqual(state.getHandlers(taskId), handlers);
+    });
+
+    it('should set the raw errors', () => {
+        const state = new State();
+        const taskId = state.addTask();
+
+        state.setRawErrors(taskId, [{ pointer: '/declaration/Common/hostname', message: 'bad' }]);
+        assert.deepStrictEqual(
+            state.getRawErrors(taskId),
+            [{ pointer: '/declaration/Common/hostname', message: 'bad' }]
+        );
+    });
 });
@@ -146,6 +146,15 @@ describe('systemHandler', () => {
         sinon.restore();
     });
 
+    it('should log with the task, handler and target host', () => {
+        state.id = '1234';
+        bigIpMock.host = '192.0.2.1';
+        const systemHandler = new SystemHandler({}, bigIpMock, null, state);
+        assert.strictEqual(systemHandler.logger.context.taskId, '1234');
+        assert.strictEqual(systemHandler.logger.context.handler, 'SystemHandler');
+        assert.strictEqual(systemHandler.logger.context.targetHost, '192.0.2.1');
+    });
+
     it('should handle DbVariables', () => {
         const declaration = {
             Common: {
@@ -267,6 +276,33 @@ describe('systemHandler', () => {
                 });
         });
 
+        it('should not encrypt the private key during a dry run', () => {
+            const declaration = {
+                Common: {
+                    DeviceCertificate: {
+                        myCertificate: {
+                            certificate: {
+                                base64: 'Zm9vCg==' // 'foo'
+                            },
+                            privateKey: {
+                                base64: 'YmFyCg==' // 'bar'
+                            }
+                        }
+                    }
+                }
+            };
+
+            bigIpMock.recording = true;
+            const systemHandler = new SystemHandler(declaration, bigIpMock, null, state);
+            return systemHandler.process()
+                .then((status) => {
+                    assert.strictEqual(cryptoUtil.encryptValue.called, false);
+                    assert.notStrictEqual(keyWritten.indexOf('********'), -1);
+                    assert.strictEqual(keyWritten.indexOf('bar'), -1);
+                    assert.strictEqual(status.rebootRequired, true);
+                });
+        });
+
         it('should not set rebootRequired if there are no changes', () => {
             const declaration = {
                 Common: {
@@ -1100,6 +1136,40 @@ describe('systemHandler', () => {
             });
     });
 
+    it('should send progress events while licensing', () => {
+        const declaration = {
+            Common: {
+                License: {
+                    licenseType: 'regKey',
+                    regKey: 'MMKGX-UPVPI-YIEMK-OAZIS-KQHSNAZ'
+                }
+            }
+        };
+
+        const events = [];
+        bigIpMock.onboard = {
+            license() {
+                events.push('license');
+                return Promise.resolve();
+            }
+        };
+
+        const eventEmitter = new EventEmitter();
+        eventEmitter.on(EVENTS.TASK_PROGRESS, (taskId, type, data) => {
+            events.push(`${taskId} ${type} ${data.licenseType}`);
+        });
+
+        state.id = '1234';
+        const systemHandler = new SystemHandler(declaration, bigIpMock, eventEmitter, state);
+        return systemHandler.process()
+            .then(() => {
+                assert.deepStrictEqual(
+                    events,
+                    ['1234 licensingStarted regKey', 'license', '1234 licensingFinished regKey']
+                );
+            });
+    });
+
     it('should provide descriptive licensing error if licensing fails', () => {
         const declaration = {
             Common: {
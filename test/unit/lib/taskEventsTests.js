@@ -0,0 +1,130 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const sinon = require('sinon');
+
+const TaskEvents = require('../../../src/lib/taskEvents');
+
+describe('taskEvents', () => {
+    let taskEvents;
+
+    beforeEach(() => {
+        taskEvents = new TaskEvents();
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('add', () => {
+        it('should number the events of each task', () => {
+            taskEvents.add('1234', 'taskStarted');
+            taskEvents.add('5678', 'taskStarted');
+            const event = taskEvents.add('1234', 'handlerStarted', { handler: 'SystemHandler' });
+
+            assert.strictEqual(event.id, 2);
+            assert.strictEqual(event.type, 'handlerStarted');
+            assert.strictEqual(event.handler, 'SystemHandler');
+            assert.ok(!Number.isNaN(Date.parse(event.timestamp)));
+            assert.strictEqual(taskEvents.get('5678')[0].id, 1);
+        });
+
+        it('should only keep the events of the most recent tasks', () => {
+            for (let i = 0; i < 21; i += 1) {
+                taskEvents.add(`task${i}`, 'taskStarted');
+            }
+            assert.deepStrictEqual(taskEvents.get('task0'), []);
+            assert.strictEqual(taskEvents.get('task1').length, 1);
+            assert.strictEqual(taskEvents.get('task20').length, 1);
+        });
+    });
+
+    describe('get', () => {
+        it('should get the events after an id', () => {
+            taskEvents.add('1234', 'taskStarted');
+            taskEvents.add('1234', 'handlerStarted', { handler: 'SystemHandler' });
+            taskEvents.add('1234', 'handlerFinished', { handler: 'SystemHandler' });
+
+            assert.deepStrictEqual(taskEvents.get('1234', 1).map((event) => event.id), [2, 3]);
+            assert.strictEqual(taskEvents.get('1234').length, 3);
+            assert.deepStrictEqual(taskEvents.get('5678'), []);
+        });
+    });
+
+    describe('waitFor', () => {
+        it('should resolve right away if there are events', () => {
+            taskEvents.add('1234', 'taskStarted');
+            return taskEvents.waitFor('1234', 0, 60000)
+                .then((events) => {
+                    assert.strictEqual(events.length, 1);
+                });
+        });
+
+        it('should resolve when there is a new event', () => {
+            taskEvents.add('1234', 'taskStarted');
+            const waiting = taskEvents.waitFor('1234', 1, 60000);
+            taskEvents.add('1234', 'rebootStarted');
+            return waiting
+                .then((events) => {
+                    assert.deepStrictEqual(events.map((event) => event.type), ['rebootStarted']);
+                    assert.strictEqual(taskEvents.waiting['1234'], undefined);
+                });
+        });
+
+        it('should resolve with no events after the timeout', () => {
+            const clock = sinon.useFakeTimers();
+            const waiting = taskEvents.waitFor('1234', 0, 25000);
+            clock.tick(25000);
+            return waiting
+                .then((events) => {
+                    assert.deepStrictEqual(events, []);
+                    assert.strictEqual(taskEvents.waiting['1234'], undefined);
+                });
+        });
+    });
+
+    describe('toEventStream', () => {
+        it('should format events as server-sent events', () => {
+            const events = [
+                {
+                    id: 1, type: 'taskStarted', timestamp: '2022-05-09T18:44:41.123Z'
+                },
+                {
+                    id: 2, type: 'handlerStarted', timestamp: '2022-05-09T18:44:42.123Z', handler: 'SystemHandler'
+                }
+            ];
+            assert.strictEqual(
+                TaskEvents.toEventStream(events, 1000),
+                [
+                    'retry: 1000',
+                    '',
+                    'id: 1',
+                    'event: taskStarted',
+                    'data: {"id":1,"type":"taskStarted","timestamp":"2022-05-09T18:44:41.123Z"}',
+                    '',
+                    'id: 2',
+                    'event: handlerStarted',
+                    'data: {"id":2,"type":"handlerStarted","timestamp":"2022-05-09T18:44:42.123Z","handler":"SystemHandler"}',
+                    '',
+                    ''
+                ].join('\n')
+            );
+        });
+    });
+});
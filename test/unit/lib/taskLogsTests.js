@@ -0,0 +1,77 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const TaskLogs = require('../../../src/lib/taskLogs');
+
+describe('taskLogs', () => {
+    let taskLogs;
+
+    beforeEach(() => {
+        taskLogs = new TaskLogs();
+    });
+
+    it('should only keep messages for tasks which were started', () => {
+        taskLogs.start('1234', 'debug');
+        taskLogs.add('1234', { level: 'debug', message: 'hello' });
+        taskLogs.add('5678', { level: 'debug', message: 'goodbye' });
+
+        assert.strictEqual(taskLogs.getLogLevel('1234'), 'debug');
+        assert.strictEqual(taskLogs.getLogLevel('5678'), undefined);
+        assert.deepStrictEqual(
+            taskLogs.get('1234'),
+            {
+                logLevel: 'debug',
+                messages: [{ level: 'debug', message: 'hello' }],
+                dropped: 0
+            }
+        );
+        assert.strictEqual(taskLogs.get('5678'), undefined);
+    });
+
+    it('should drop the oldest messages when there are too many', () => {
+        taskLogs.start('1234', 'silly');
+        for (let i = 0; i < 5002; i += 1) {
+            taskLogs.add('1234', { level: 'silly', message: `${i}` });
+        }
+
+        const logs = taskLogs.get('1234');
+        assert.strictEqual(logs.messages.length, 5000);
+        assert.strictEqual(logs.messages[0].message, '2');
+        assert.strictEqual(logs.dropped, 2);
+    });
+
+    it('should forget the oldest tasks', () => {
+        for (let i = 0; i < 21; i += 1) {
+            taskLogs.start(`${i}`, 'info');
+        }
+
+        assert.strictEqual(taskLogs.get('0'), undefined);
+        assert.strictEqual(taskLogs.getLogLevel('1'), 'info');
+        assert.strictEqual(taskLogs.getLogLevel('20'), 'info');
+    });
+
+    it('should start over if a task is started again', () => {
+        taskLogs.start('1234', 'info');
+        taskLogs.add('1234', { level: 'info', message: 'hello' });
+        taskLogs.start('1234', 'error');
+
+        assert.deepStrictEqual(taskLogs.get('1234'), { logLevel: 'error', messages: [], dropped: 0 });
+    });
+});
@@ -0,0 +1,178 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const TaskQueue = require('../../../src/lib/taskQueue');
+
+describe('taskQueue', () => {
+    let taskQueue;
+    let started;
+
+    function deferredTask(taskId) {
+        let finish;
+        const promise = new Promise((resolve) => {
+            finish = resolve;
+        });
+        return {
+            start: () => {
+                started.push(taskId);
+                return promise;
+            },
+            finish
+        };
+    }
+
+    function waitForQueue() {
+        return new Promise((resolve) => {
+            setImmediate(resolve);
+        });
+    }
+
+    beforeEach(() => {
+        taskQueue = new TaskQueue();
+        started = [];
+    });
+
+    describe('getTarget', () => {
+        it('should default to localhost', () => {
+            assert.strictEqual(TaskQueue.getTarget(), 'localhost');
+        });
+
+        it('should include the port if there is one', () => {
+            assert.strictEqual(TaskQueue.getTarget('BIGIP1.example.com', 8443), 'bigip1.example.com:8443');
+        });
+
+        it('should give the same target for the names of the local device', () => {
+            assert.strictEqual(TaskQueue.getTarget('127.0.0.1'), 'localhost');
+            assert.strictEqual(TaskQueue.getTarget('LOCALHOST'), 'localhost');
+            assert.strictEqual(TaskQueue.getTarget('127.0.0.1', 8443), 'localhost:8443');
+        });
+
+        it('should leave out the default port', () => {
+            assert.strictEqual(TaskQueue.getTarget('localhost', 443), 'localhost');
+            assert.strictEqual(TaskQueue.getTarget('127.0.0.1', '443'), 'localhost');
+            assert.strictEqual(TaskQueue.getTarget('10.1.1.1', 443), '10.1.1.1');
+        });
+    });
+
+    describe('getHostAndPort', () => {
+        it('should split a target into its host and port', () => {
+            assert.deepStrictEqual(TaskQueue.getHostAndPort('10.1.1.1:8443'), { host: '10.1.1.1', port: 8443 });
+            assert.deepStrictEqual(TaskQueue.getHostAndPort('10.1.1.1'), { host: '10.1.1.1', port: undefined });
+            assert.deepStrictEqual(TaskQueue.getHostAndPort('fe80::1'), { host: 'fe80::1', port: undefined });
+        });
+    });
+
+    describe('isLocal', () => {
+        it('should know the local targets', () => {
+            assert.strictEqual(TaskQueue.isLocal(TaskQueue.getTarget()), true);
+            assert.strictEqual(TaskQueue.isLocal('127.0.0.1:8443'), true);
+            assert.strictEqual(TaskQueue.isLocal('10.1.1.1'), false);
+            assert.strictEqual(TaskQueue.isLocal('localhost.example.com'), false);
+        });
+    });
+
+    it('should start a task immediately if the target is not busy', () => {
+        const task = deferredTask('task1');
+        assert.strictEqual(taskQueue.enqueue('localhost', 'task1', task.start), true);
+        assert.strictEqual(taskQueue.isBusy('localhost'), true);
+        assert.strictEqual(taskQueue.getRunning('localhost'), 'task1');
+        return Promise.resolve()
+            .then(() => {
+                assert.deepStrictEqual(started, ['task1']);
+            });
+    });
+
+    it('should run tasks for the same target in order', () => {
+        const task1 = deferredTask('task1');
+        const task2 = deferredTask('task2');
+        const task3 = deferredTask('task3');
+
+        taskQueue.enqueue('localhost', 'task1', task1.start);
+        assert.strictEqual(taskQueue.enqueue('localhost', 'task2', task2.start), false);
+        taskQueue.enqueue('localhost', 'task3', task3.start);
+        assert.deepStrictEqual(taskQueue.getQueued('localhost'), ['task2', 'task3']);
+
+        return waitForQueue()
+            .then(() => {
+                assert.deepStrictEqual(started, ['task1']);
+                task1.finish();
+                return waitForQueue();
+            })
+            .then(() => {
+                assert.deepStrictEqual(started, ['task1', 'task2']);
+                assert.strictEqual(taskQueue.getRunning('localhost'), 'task2');
+                task2.finish();
+                return waitForQueue();
+            })
+            .then(() => {
+                assert.deepStrictEqual(started, ['task1', 'task2', 'task3']);
+                task3.finish();
+                return waitForQueue();
+            })
+            .then(() => {
+                assert.strictEqual(taskQueue.isBusy('localhost'), false);
+            });
+    });
+
+    it('should not queue tasks for different targets', () => {
+        taskQueue.enqueue('localhost', 'task1', deferredTask('task1').start);
+        assert.strictEqual(taskQueue.enqueue('10.1.1.1', 'task2', deferredTask('task2').start), true);
+    });
+
+    it('should move on if a task fails', () => {
+        const task2 = deferredTask('task2');
+        taskQueue.enqueue('localhost', 'task1', () => Promise.reject(new Error('failed')));
+        taskQueue.enqueue('localhost', 'task2', task2.start);
+        return waitForQueue()
+            .then(() => {
+                assert.strictEqual(taskQueue.getRunning('localhost'), 'task2');
+            });
+    });
+
+    it('should cancel queued tasks', () => {
+        const cancelled = [];
+        const task1 = deferredTask('task1');
+        taskQueue.enqueue('localhost', 'task1', task1.start, () => cancelled.push('task1'));
+        taskQueue.enqueue('localhost', 'task2', deferredTask('task2').start, (reason) => cancelled.push(reason));
+
+        assert.deepStrictEqual(taskQueue.cancelQueued('localhost', 'replaced'), ['task2']);
+        assert.deepStrictEqual(cancelled, ['replaced']);
+        assert.deepStrictEqual(taskQueue.getQueued('localhost'), []);
+        assert.strictEqual(taskQueue.getRunning('localhost'), 'task1');
+
+        task1.finish();
+        return waitForQueue()
+            .then(() => {
+                assert.deepStrictEqual(started, ['task1']);
+            });
+    });
+
+    it('should cancel a single queued task', () => {
+        const cancelled = [];
+        taskQueue.enqueue('localhost', 'task1', deferredTask('task1').start);
+        taskQueue.enqueue('localhost', 'task2', deferredTask('task2').start, (reason) => cancelled.push(reason));
+        taskQueue.enqueue('localhost', 'task3', deferredTask('task3').start);
+
+        assert.strictEqual(taskQueue.cancel('task2', 'by request'), true);
+        assert.strictEqual(taskQueue.cancel('task1', 'by request'), false);
+        assert.deepStrictEqual(cancelled, ['by request']);
+        assert.deepStrictEqual(taskQueue.getQueued('localhost'), ['task3']);
+    });
+});
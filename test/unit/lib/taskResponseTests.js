@@ -76,6 +76,23 @@ state.tasks = {
         traceDiff: {
             diff: 'for 5678'
         },
+        plan: {
+            rebootRequired: false,
+            operations: [{ method: 'modify', path: '/tm/sys/global-settings' }]
+        },
+        completedHandlers: ['SystemHandler'],
+        handlers: [
+            {
+                name: 'SystemHandler',
+                start: '2022-05-09T18:44:41.123Z',
+                end: '2022-05-09T18:44:45.623Z',
+                durationMs: 4500,
+                iControlCalls: 42,
+                outcome: 'failed'
+            }
+        ],
+        rawErrors: [{ keyword: 'type', dataPath: '.declaration.Common.hostname' }],
+        rollbackOf: '1234',
         lastUpdate: 'last update 5678'
     }
 };
@@ -157,6 +174,49 @@ describe('taskResponse', () => {
         );
     });
 
+    it('should return the plan for a task', () => {
+        assert.deepEqual(taskResponse.getData(5678).plan, {
+            rebootRequired: false,
+            operations: [{ method: 'modify', path: '/tm/sys/global-settings' }]
+        });
+    });
+
+    it('should return the task that a rollback task rolled back', () => {
+        assert.strictEqual(taskResponse.getData(5678).rollbackOf, '1234');
+        assert.strictEqual(taskResponse.getData(1234).rollbackOf, undefined);
+    });
+
+    it('should return the masked secrets for a task with remediation', () => {
+        state.tasks[1234].maskedSecrets = ['/Common/admin/password'];
+        try {
+            assert.strictEqual(taskResponse.getData(1234).maskedSecrets, undefined);
+            state.tasks[1234].declaration = { controls: { remediation: { mode: 'always' } } };
+            assert.deepStrictEqual(taskResponse.getData(1234).maskedSecrets, ['/Common/admin/password']);
+        } finally {
+            delete state.tasks[1234].maskedSecrets;
+            state.tasks[1234].declaration = { hello: 'declaration for 1234' };
+        }
+    });
+
+    it('should return the completed handlers for a cancelled task', () => {
+        assert.deepStrictEqual(taskResponse.getCompletedHandlers(5678), ['SystemHandler']);
+        assert.strictEqual(taskResponse.getCompletedHandlers(1234), undefined);
+    });
+
+    it('should return the timing and outcome of the handlers for a task', () => {
+        assert.strictEqual(taskResponse.getHandlers(5678)[0].durationMs, 4500);
+        assert.strictEqual(taskResponse.getHandlers(5678)[0].outcome, 'failed');
+        assert.strictEqual(taskResponse.getHandlers(1234), undefined);
+    });
+
+    it('should return the raw validation errors for a task', () => {
+        assert.deepStrictEqual(
+            taskResponse.getRawErrors(5678),
+            [{ keyword: 'type', dataPath: '.declaration.Common.hostname' }]
+        );
+        assert.strictEqual(taskResponse.getRawErrors(1234), undefined);
+    });
+
     it('should return httpStatus of 404 when it does not exist', () => {
         assert.deepEqual(
             taskResponse.getData(123),
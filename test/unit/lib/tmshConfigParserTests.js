@@ -0,0 +1,166 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const tmshConfigParser = require('../../../src/lib/tmshConfigParser');
+
+describe('tmshConfigParser', () => {
+    describe('parse', () => {
+        it('should get the version from the header', () => {
+            const parsed = tmshConfigParser.parse('#TMSH-VERSION: 14.1.2\n\nsys dns { }\n');
+            assert.strictEqual(parsed.version, '14.1.2');
+        });
+
+        it('should parse collections into named objects', () => {
+            const parsed = tmshConfigParser.parse([
+                'net vlan /Common/external {',
+                '    interfaces {',
+                '        1.1 {',
+                '            tagged',
+                '        }',
+                '    }',
+                '    mtu 1400',
+                '    tag 4094',
+                '}',
+                'net vlan /Common/internal {',
+                '    description "my internal vlan"',
+                '}'
+            ].join('\n'));
+
+            assert.deepStrictEqual(parsed.objects['/tm/net/vlan'], [
+                {
+                    name: 'external',
+                    partition: 'Common',
+                    fullPath: '/Common/external',
+                    interfaces: [
+                        {
+                            name: '1.1',
+                            fullPath: '1.1',
+                            tagged: true
+                        }
+                    ],
+                    mtu: 1400,
+                    tag: 4094
+                },
+                {
+                    name: 'internal',
+                    partition: 'Common',
+                    fullPath: '/Common/internal',
+                    description: 'my internal vlan'
+                }
+            ]);
+        });
+
+        it('should parse singletons into objects', () => {
+            const parsed = tmshConfigParser.parse([
+                'sys ntp {',
+                '    servers { 0.pool.ntp.org 1.pool.ntp.org }',
+                '    timezone America/Los_Angeles',
+                '}',
+                'sys dns {',
+                '    name-servers {',
+                '        8.8.8.8',
+                '        "2001:4860:4860::8844"',
+                '    }',
+                '}'
+            ].join('\n'));
+
+            assert.deepStrictEqual(parsed.objects['/tm/sys/ntp'], {
+                servers: ['0.pool.ntp.org', '1.pool.ntp.org'],
+                timezone: 'America/Los_Angeles'
+            });
+            assert.deepStrictEqual(parsed.objects['/tm/sys/dns'], {
+                nameServers: ['8.8.8.8', '2001:4860:4860::8844']
+            });
+        });
+
+        it('should move nested collections to their own paths', () => {
+            const parsed = tmshConfigParser.parse([
+                'sys snmp {',
+                '    agent-addresses { tcp6:161 udp6:161 }',
+                '    communities {',
+                '        /Common/comm-public {',
+                '            community-name public',
+                '            source default',
+                '        }',
+                '    }',
+                '    sys-contact "Op Center"',
+                '}'
+            ].join('\n'));
+
+            assert.deepStrictEqual(parsed.objects['/tm/sys/snmp'], {
+                agentAddresses: ['tcp6:161', 'udp6:161'],
+                sysContact: 'Op Center'
+            });
+            assert.deepStrictEqual(parsed.objects['/tm/sys/snmp/communities'], [
+                {
+                    name: 'comm-public',
+                    partition: 'Common',
+                    fullPath: '/Common/comm-public',
+                    communityName: 'public',
+                    source: 'default'
+                }
+            ]);
+        });
+
+        it('should keep quoted numbers and braces as strings', () => {
+            const parsed = tmshConfigParser.parse([
+                'sys global-settings {',
+                '    gui-security-banner-text "{ 123 }"',
+                '    hostname bigip1.example.com',
+                '}',
+                'net route-domain /Common/0 {',
+                '    id 0',
+                '    description "1234"',
+                '}'
+            ].join('\n'));
+
+            assert.strictEqual(parsed.objects['/tm/sys/global-settings'].guiSecurityBannerText, '{ 123 }');
+            assert.strictEqual(parsed.objects['/tm/net/route-domain'][0].id, 0);
+            assert.strictEqual(parsed.objects['/tm/net/route-domain'][0].description, '1234');
+        });
+
+        it('should rename reserved property names like iControl REST', () => {
+            const parsed = tmshConfigParser.parse('cm device /Common/bigip1 {\n    interface 1.1\n}\n');
+            assert.strictEqual(parsed.objects['/tm/cm/device'][0].tmInterface, '1.1');
+        });
+
+        it('should skip comments and unknown types', () => {
+            const parsed = tmshConfigParser.parse([
+                '# sys dns { }',
+                'ltm rule /Common/myRule {',
+                '    when HTTP_REQUEST { }',
+                '}',
+                'auth user admin {',
+                '    role admin',
+                '}'
+            ].join('\n'));
+
+            assert.deepStrictEqual(parsed.objects, {});
+            assert.deepStrictEqual(parsed.skipped, ['ltm rule', 'auth user']);
+        });
+    });
+
+    describe('isSingleton', () => {
+        it('should know which paths are singletons', () => {
+            assert.strictEqual(tmshConfigParser.isSingleton('/tm/sys/dns'), true);
+            assert.strictEqual(tmshConfigParser.isSingleton('/tm/net/vlan'), false);
+        });
+    });
+});
@@ -71,6 +71,7 @@ describe('userValidator', () => {
                 .then((validation) => {
                     assert.ok(!validation.isValid);
                     assert.strictEqual(validation.errors[0], 'user1 must have userType regular');
+                    assert.strictEqual(validation.pointers[0], '/declaration/Common/user1/userType');
                 });
         });
 
@@ -0,0 +1,168 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const ValidateResponse = require('../../../src/lib/validateResponse');
+
+describe('validateResponse', () => {
+    let validatorMock;
+
+    beforeEach(() => {
+        validatorMock = {
+            validate: () => Promise.resolve({ isValid: true, errors: null, messages: null })
+        };
+    });
+
+    it('should return the proper selfLink', () => {
+        const validateResponse = new ValidateResponse(validatorMock, {}, { queryParams: { validateAll: 'true' } });
+        assert.strictEqual(
+            validateResponse.getSelfLink(),
+            'https://localhost/mgmt/shared/declarative-onboarding/validate?validateAll=true'
+        );
+    });
+
+    it('should report a valid declaration', () => {
+        const validateResponse = new ValidateResponse(validatorMock, { class: 'DO', declaration: {} });
+        return validateResponse.getData()
+            .then((data) => {
+                assert.deepStrictEqual(data, { isValid: true });
+                assert.strictEqual(validateResponse.getCode(), 200);
+                assert.strictEqual(validateResponse.getStatus(), 'OK');
+                assert.strictEqual(validateResponse.getMessage(), 'valid');
+                assert.deepStrictEqual(validateResponse.getErrors(), []);
+                assert.strictEqual(validateResponse.getRawErrors(), undefined);
+            });
+    });
+
+    it('should report validation errors', () => {
+        let validateOptions;
+        validatorMock.validate = (data, options) => {
+            validateOptions = options;
+            return Promise.resolve({
+                isValid: false,
+                errors: [{ pointer: '/declaration/Common/hostname', message: 'bad' }],
+                messages: ['/Common/hostname: bad (Tenant)']
+            });
+        };
+        const validateResponse = new ValidateResponse(validatorMock, { class: 'DO', declaration: {} }, { all: true });
+        return validateResponse.getData()
+            .then((data) => {
+                assert.deepStrictEqual(data, { isValid: false });
+                assert.deepStrictEqual(validateOptions, { all: true });
+                assert.strictEqual(validateResponse.getCode(), 400);
+                assert.strictEqual(validateResponse.getStatus(), 'ERROR');
+                assert.strictEqual(validateResponse.getMessage(), 'bad declaration');
+                assert.deepStrictEqual(validateResponse.getErrors(), ['/Common/hostname: bad (Tenant)']);
+                assert.deepStrictEqual(
+                    validateResponse.getRawErrors(),
+                    [{ pointer: '/declaration/Common/hostname', message: 'bad' }]
+                );
+            });
+    });
+
+    it('should report a body which could not be parsed', () => {
+        const validateResponse = new ValidateResponse(validatorMock);
+        return validateResponse.getData()
+            .then((data) => {
+                assert.deepStrictEqual(data, { isValid: false });
+                assert.strictEqual(validateResponse.getCode(), 400);
+                assert.deepStrictEqual(
+                    validateResponse.getErrors(),
+                    ['Unable to parse request body. Should be JSON format.']
+                );
+            });
+    });
+
+    it('should report errors found before validation', () => {
+        let validateCalled = false;
+        validatorMock.validate = () => {
+            validateCalled = true;
+            return Promise.resolve({ isValid: true });
+        };
+        const validateResponse = new ValidateResponse(
+            validatorMock,
+            { class: 'DO', declaration: {} },
+            { errors: ['/Common/mySystem/hostname: parameter hostname is not defined'] }
+        );
+        return validateResponse.getData()
+            .then((data) => {
+                assert.deepStrictEqual(data, { isValid: false });
+                assert.strictEqual(validateCalled, false);
+                assert.strictEqual(validateResponse.getCode(), 400);
+                assert.deepStrictEqual(
+                    validateResponse.getErrors(),
+                    ['/Common/mySystem/hostname: parameter hostname is not defined']
+                );
+            });
+    });
+
+    it('should validate secret references without resolving them', () => {
+        let validatedData;
+        validatorMock.validate = (data) => {
+            validatedData = data;
+            return Promise.resolve({ isValid: true });
+        };
+        const wrapper = {
+            class: 'DO',
+            declaration: {
+                Common: {
+                    myUser: { class: 'User', password: { secretRef: 'env:DO_TEST_PASSWORD' } }
+                }
+            }
+        };
+        const validateResponse = new ValidateResponse(validatorMock, wrapper);
+        return validateResponse.getData()
+            .then((data) => {
+                assert.deepStrictEqual(data, { isValid: true });
+                assert.strictEqual(validatedData.declaration.Common.myUser.password, 'secretRef');
+            });
+    });
+
+    it('should report secret references which are not valid', () => {
+        const wrapper = {
+            class: 'DO',
+            declaration: {
+                Common: {
+                    myUser: { class: 'User', password: { secretRef: 'vault:password' } }
+                }
+            }
+        };
+        const validateResponse = new ValidateResponse(validatorMock, wrapper);
+        return validateResponse.getData()
+            .then((data) => {
+                assert.deepStrictEqual(data, { isValid: false });
+                assert.strictEqual(validateResponse.getCode(), 400);
+                assert.deepStrictEqual(
+                    validateResponse.getErrors(),
+                    ['/Common/myUser/password: secretRef must be file:<path>, env:<name> or stored:<id>']
+                );
+            });
+    });
+
+    it('should report errors from the validators', () => {
+        validatorMock.validate = () => Promise.reject(new Error('validator failed'));
+        const validateResponse = new ValidateResponse(validatorMock, { class: 'DO', declaration: {} });
+        return validateResponse.getData()
+            .then(() => {
+                assert.strictEqual(validateResponse.getCode(), 500);
+                assert.strictEqual(validateResponse.getMessage(), 'failed');
+                assert.deepStrictEqual(validateResponse.getErrors(), ['validator failed']);
+            });
+    });
+});
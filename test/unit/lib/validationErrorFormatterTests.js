@@ -0,0 +1,277 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const AjvValidator = require('../../../src/lib/ajvValidator');
+const validationErrorFormatter = require('../../../src/lib/validationErrorFormatter');
+
+describe('validationErrorFormatter', () => {
+    let data;
+
+    beforeEach(() => {
+        data = {
+            class: 'DO',
+            declaration: {
+                schemaVersion: '1.0.0',
+                class: 'Device',
+                Common: {
+                    class: 'Tenant',
+                    external: {
+                        class: 'VLAN',
+                        tag: 5000
+                    },
+                    'my/vlan': {
+                        class: 'VLAN',
+                        tag: 5000
+                    }
+                }
+            }
+        };
+    });
+
+    describe('formatAjvErrors', () => {
+        it('should format errors from the schema', () => {
+            const ajvValidator = new AjvValidator();
+            delete data.declaration.Common['my/vlan'];
+            return ajvValidator.validate(data)
+                .then((validation) => {
+                    assert.strictEqual(validation.isValid, false);
+                    assert.deepStrictEqual(
+                        validation.messages,
+                        ['/Common/external/tag: must be integer 1-4094 (VLAN)']
+                    );
+                    assert.strictEqual(validation.errors[0].keyword, 'maximum');
+                    assert.strictEqual(validation.errors[0].parentSchema, undefined);
+                });
+        });
+
+        it('should point to property names which are not valid', () => {
+            const ajvValidator = new AjvValidator();
+            data.declaration.Common['my/vlan'].tag = 100;
+            delete data.declaration.Common.external;
+            return ajvValidator.validate(data)
+                .then((validation) => {
+                    assert.deepStrictEqual(
+                        validation.messages,
+                        ['/Common/my~1vlan: name must match the pattern ^[A-Za-z][0-9A-Za-z_.-]*$ (VLAN)']
+                    );
+                });
+        });
+
+        it('should drop errors from the options for another license type', () => {
+            const ajvValidator = new AjvValidator();
+            delete data.declaration.Common.external;
+            delete data.declaration.Common['my/vlan'];
+            data.declaration.Common.myLicense = {
+                class: 'License',
+                licenseType: 'licensePool',
+                bigIqHost: '10.1.1.1',
+                bigIqUsername: 'admin',
+                bigIqPassword: 'foo',
+                licensePool: 'pool',
+                reachable: false
+            };
+            return ajvValidator.validate(data)
+                .then((validation) => {
+                    assert.strictEqual(validation.isValid, false);
+                    assert.deepStrictEqual(
+                        validation.messages,
+                        ['/Common/myLicense/hypervisor: is required (License)']
+                    );
+                });
+        });
+
+        it('should keep the errors from the option for the license type', () => {
+            const ajvValidator = new AjvValidator();
+            delete data.declaration.Common.external;
+            delete data.declaration.Common['my/vlan'];
+            data.declaration.Common.myLicense = {
+                class: 'License',
+                licenseType: 'regKey',
+                regKey: 'foo',
+                bigIqHost: '10.1.1.1'
+            };
+            return ajvValidator.validate(data)
+                .then((validation) => {
+                    assert.deepStrictEqual(
+                        validation.messages,
+                        ['/Common/myLicense/bigIqHost: is not allowed (License)']
+                    );
+                });
+        });
+
+        it('should handle JavaScript and JSON pointer data paths', () => {
+            const errors = [
+                {
+                    keyword: 'maximum',
+                    dataPath: ".declaration.Common['my/vlan'].tag",
+                    schemaPath: '#/properties/tag/maximum',
+                    params: { comparison: '<=', limit: 4094 },
+                    parentSchema: { type: 'integer', minimum: 1, maximum: 4094 }
+                },
+                {
+                    keyword: 'maximum',
+                    dataPath: '/declaration/Common/external/tag',
+                    schemaPath: '#/properties/tag/maximum',
+                    params: { comparison: '<=', limit: 4094 },
+                    parentSchema: { type: 'integer', minimum: 1, maximum: 4094 }
+                }
+            ];
+            assert.deepStrictEqual(
+                validationErrorFormatter.formatAjvErrors(errors, data),
+                [
+                    '/Common/my~1vlan/tag: must be integer 1-4094 (VLAN)',
+                    '/Common/external/tag: must be integer 1-4094 (VLAN)'
+                ]
+            );
+        });
+
+        it('should drop if errors and add the property to required and additionalProperties errors', () => {
+            const errors = [
+                {
+                    keyword: 'required',
+                    dataPath: ".declaration.Common['external']",
+                    schemaPath: '#/allOf/0/then/required',
+                    params: { missingProperty: 'interfaces' }
+                },
+                {
+                    keyword: 'if',
+                    dataPath: ".declaration.Common['external']",
+                    schemaPath: '#/allOf/0/if',
+                    params: { failingKeyword: 'then' }
+                },
+                {
+                    keyword: 'additionalProperties',
+                    dataPath: ".declaration.Common['external']",
+                    schemaPath: '#/allOf/0/then/additionalProperties',
+                    params: { additionalProperty: 'foo' }
+                }
+            ];
+            assert.deepStrictEqual(
+                validationErrorFormatter.formatAjvErrors(errors, data),
+                [
+                    '/Common/external/interfaces: is required (VLAN)',
+                    '/Common/external/foo: is not allowed (VLAN)'
+                ]
+            );
+        });
+
+        it('should point to missing properties given as JavaScript property access', () => {
+            const errors = [
+                {
+                    keyword: 'required',
+                    dataPath: ".declaration.Common['external']",
+                    schemaPath: '#/then/required',
+                    params: { missingProperty: '.interfaces' }
+                },
+                {
+                    keyword: 'required',
+                    dataPath: ".declaration.Common['my/vlan']",
+                    schemaPath: '#/then/required',
+                    params: { missingProperty: "['my/interfaces']" }
+                }
+            ];
+            assert.deepStrictEqual(
+                validationErrorFormatter.formatAjvErrors(errors, data),
+                [
+                    '/Common/external/interfaces: is required (VLAN)',
+                    '/Common/my~1vlan/my~1interfaces: is required (VLAN)'
+                ]
+            );
+        });
+
+        it('should combine the options of an anyOf', () => {
+            const errors = [
+                {
+                    keyword: 'type',
+                    dataPath: ".declaration.Common['external'].tag",
+                    schemaPath: '#/properties/tag/anyOf/0/type',
+                    params: { type: 'integer' },
+                    parentSchema: { type: 'integer', minimum: 1, maximum: 4094 }
+                },
+                {
+                    keyword: 'enum',
+                    dataPath: ".declaration.Common['external'].tag",
+                    schemaPath: '#/properties/tag/anyOf/1/enum',
+                    params: { allowedValues: ['none'] },
+                    parentSchema: { type: 'string', enum: ['none'] }
+                },
+                {
+                    keyword: 'anyOf',
+                    dataPath: ".declaration.Common['external'].tag",
+                    schemaPath: '#/properties/tag/anyOf',
+                    params: {}
+                }
+            ];
+            assert.deepStrictEqual(
+                validationErrorFormatter.formatAjvErrors(errors, data),
+                ['/Common/external/tag: must be integer 1-4094 or must be one of "none" (VLAN)']
+            );
+        });
+
+        it('should drop anyOf errors when the options report errors deeper in the data', () => {
+            const errors = [
+                {
+                    keyword: 'type',
+                    dataPath: ".declaration.Common['external'].tag",
+                    schemaPath: '#/anyOf/0/properties/tag/type',
+                    params: { type: 'integer' },
+                    parentSchema: { type: 'integer' }
+                },
+                {
+                    keyword: 'anyOf',
+                    dataPath: ".declaration.Common['external']",
+                    schemaPath: '#/anyOf',
+                    params: {},
+                    message: 'should match some schema in anyOf'
+                }
+            ];
+            assert.deepStrictEqual(
+                validationErrorFormatter.formatAjvErrors(errors, data),
+                ['/Common/external/tag: must be integer (VLAN)']
+            );
+        });
+    });
+
+    describe('formatError', () => {
+        it('should use the class of the object with the error', () => {
+            assert.strictEqual(
+                validationErrorFormatter.formatError('/declaration/Common/external/tag', 'is bad', data),
+                '/Common/external/tag: is bad (VLAN)'
+            );
+        });
+
+        it('should not use the class of an object when the class is the error', () => {
+            assert.strictEqual(
+                validationErrorFormatter.formatError('/declaration/Common/external/class', 'is bad', data),
+                '/Common/external/class: is bad (Tenant)'
+            );
+        });
+
+        it('should handle pointers outside of the declaration', () => {
+            assert.strictEqual(
+                validationErrorFormatter.formatError('/targetHost', 'is bad', data),
+                '/targetHost: is bad'
+            );
+            assert.strictEqual(
+                validationErrorFormatter.formatError('', 'is bad', data),
+                '/: is bad'
+            );
+        });
+    });
+});
@@ -71,4 +71,166 @@ describe('validator', () => {
                     'traffic-group-local-only');
             });
     });
+
+    it('should format errors for people to read', () => {
+        const data = {
+            "class": "DO",
+            "declaration": {
+                "schemaVersion": "1.0.0",
+                "class": "Device",
+                "Common": {
+                    "class": "Tenant",
+                    "external": {
+                        "class": "VLAN",
+                        "tag": 5000,
+                        "interfaces": [{ "name": "1.1" }]
+                    }
+                }
+            }
+        };
+        return validator.validate(data)
+            .then((validation) => {
+                assert.strictEqual(validation.isValid, false);
+                assert.deepStrictEqual(validation.messages, ['/Common/external/tag: must be integer 1-4094 (VLAN)']);
+                assert.strictEqual(validation.errors[0].keyword, 'maximum');
+                assert.deepStrictEqual(validation.validators, ['AjvValidator']);
+            });
+    });
+
+    it('should format errors from custom validators', () => {
+        const data = {
+            "class": "DO",
+            "declaration": {
+                "schemaVersion": "1.0.0",
+                "class": "Device",
+                "Common": {
+                    "class": "Tenant",
+                    "user1": {
+                        "class": "User",
+                        "userType": "root",
+                        "oldPassword": "foo",
+                        "newPassword": "bar"
+                    }
+                }
+            }
+        };
+        return validator.validate(data)
+            .then((validation) => {
+                assert.strictEqual(validation.isValid, false);
+                assert.deepStrictEqual(validation.errors, ['user1 must have userType regular']);
+                assert.deepStrictEqual(
+                    validation.messages,
+                    ['/Common/user1/userType: user1 must have userType regular (User)']
+                );
+                assert.deepStrictEqual(validation.validators, ['UserValidator']);
+            });
+    });
+
+    describe('all errors', () => {
+        it('should report errors from all validators with JSON pointers', () => {
+            const data = {
+                "class": "DO",
+                "declaration": {
+                    "schemaVersion": "1.0.0",
+                    "class": "Device",
+                    "Common": {
+                        "class": "Tenant",
+                        "myVlan": {
+                            "class": "VLAN",
+                            "mtu": 100000,
+                            "interfaces": [{ "name": "1.1" }]
+                        },
+                        "myDns": {
+                            "class": "DNS",
+                            "nameServers": ["1.2.3.4"],
+                            "foo": "bar"
+                        },
+                        "user1": {
+                            "class": "User",
+                            "userType": "root",
+                            "oldPassword": "foo",
+                            "newPassword": "bar"
+                        }
+                    }
+                }
+            };
+            return validator.validate(data, { all: true })
+                .then((validation) => {
+                    assert.strictEqual(validation.isValid, false);
+                    assert.deepStrictEqual(
+                        validation.errors,
+                        [
+                            {
+                                "pointer": "/Common/myVlan/mtu",
+                                "message": "should be <= 9198",
+                                "params": { "comparison": "<=", "limit": 9198, "exclusive": false }
+                            },
+                            {
+                                "pointer": "/Common/myDns",
+                                "message": "should NOT have additional properties",
+                                "params": { "additionalProperty": "foo" }
+                            },
+                            {
+                                "pointer": "/Common/user1/userType",
+                                "message": "user1 must have userType regular"
+                            }
+                        ]
+                    );
+                    assert.deepStrictEqual(
+                        validation.messages,
+                        [
+                            "/Common/myVlan/mtu: must be integer 576-9198 (VLAN)",
+                            "/Common/myDns/foo: is not allowed (DNS)",
+                            "/Common/user1/userType: user1 must have userType regular (User)"
+                        ]
+                    );
+                    assert.deepStrictEqual(validation.validators, ['AjvValidator', 'UserValidator']);
+                });
+        });
+
+        it('should ignore validators that cannot handle data which does not match the schema', () => {
+            const data = {
+                "class": "DO",
+                "declaration": {
+                    "schemaVersion": "1.0.0",
+                    "class": "Device",
+                    "Common": {
+                        "class": "Tenant",
+                        "myCert": {
+                            "class": "DeviceCertificate"
+                        }
+                    }
+                }
+            };
+            return validator.validate(data, { all: true })
+                .then((validation) => {
+                    assert.strictEqual(validation.isValid, false);
+                    assert.deepStrictEqual(
+                        validation.errors,
+                        [
+                            {
+                                "pointer": "/Common/myCert",
+                                "message": "should have required property 'certificate'",
+                                "params": { "missingProperty": "certificate" }
+                            }
+                        ]
+                    );
+                });
+        });
+
+        it('should validate valid data', () => {
+            const data = {
+                "class": "DO",
+                "declaration": {
+                    "schemaVersion": "1.0.0",
+                    "class": "Device"
+                }
+            };
+            return validator.validate(data, { all: true })
+                .then((validation) => {
+                    assert.strictEqual(validation.isValid, true);
+                    assert.strictEqual(validation.errors, null);
+                });
+        });
+    });
 });
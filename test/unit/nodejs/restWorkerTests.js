@@ -28,6 +28,7 @@ const EVENTS = require('../../../src/lib/sharedConstants').EVENTS;
 
 describe('restWorker', () => {
     let DeclarationHandlerMock;
+    let DriftHandlerMock;
     let ConfigManagerMock;
     let RestWorker;
     let cryptoUtilMock;
@@ -39,15 +40,18 @@ describe('restWorker', () => {
     let SshUtilMock;
     let httpUtilMock;
     let doUtilMock;
+    let Logger;
 
     before(() => {
         cryptoUtilMock = require('../../../src/lib/cryptoUtil');
         ConfigManagerMock = require('../../../src/lib/configManager');
         DeclarationHandlerMock = require('../../../src/lib/declarationHandler');
+        DriftHandlerMock = require('../../../src/lib/driftHandler');
         SshUtilMock = require('../../../src/lib/sshUtil');
         RestWorker = require('../../../src/nodejs/restWorker');
         httpUtilMock = require('../../../node_modules/@f5devcentral/f5-cloud-libs').httpUtil;
         doUtilMock = require('../../../src/lib/doUtil');
+        Logger = require('../../../src/lib/logger');
     });
 
     beforeEach(() => {
@@ -181,6 +185,62 @@ describe('restWorker', () => {
             });
         });
 
+        it('should not count tasks which finished before a restart in the metrics', () => {
+            RestWorker.prototype.loadState = (foo, callback) => {
+                callback(null, {
+                    doState: {
+                        tasks: {
+                            1234: {
+                                result: {
+                                    code: 200,
+                                    status: STATUS.STATUS_OK
+                                }
+                            }
+                        }
+                    }
+                });
+            };
+
+            return new Promise((resolve, reject) => {
+                const restWorker = new RestWorker();
+                const success = () => {
+                    try {
+                        assert.strictEqual(restWorker.metrics.getCount('do_tasks_total', { code: 200, status: 'OK' }), 0);
+                        resolve();
+                    } catch (err) {
+                        reject(err);
+                    }
+                };
+                const error = (err) => {
+                    reject(new Error(`Should have called success, but got error: ${err}`));
+                };
+
+                restWorker.onStartCompleted(success, error);
+            });
+        });
+
+        it('should count licensing attempts from task progress events', () => new Promise((resolve, reject) => {
+            const restWorker = new RestWorker();
+            const success = () => {
+                try {
+                    restWorker.eventEmitter.emit(EVENTS.TASK_PROGRESS, '1234', 'licensingStarted', { licenseType: 'regKey' });
+                    restWorker.eventEmitter.emit(EVENTS.TASK_PROGRESS, '1234', 'licensingFinished', { licenseType: 'regKey' });
+                    assert.strictEqual(
+                        restWorker.metrics.getCount('do_licensing_attempts_total', { license_type: 'regKey' }),
+                        1
+                    );
+                    resolve();
+                } catch (err) {
+                    reject(err);
+                }
+            };
+            const error = (err) => {
+                reject(new Error(`Should have called success, but got error: ${err}`));
+            };
+
+            restWorker.onStartCompleted(success, error);
+        }));
+
         it('should handle load state errors', () => {
             RestWorker.prototype.loadState = (foo, callback) => {
                 const state = {
@@ -472,6 +532,99 @@ describe('restWorker', () => {
                 restWorker.onStartCompleted(success, error);
             }));
 
+            it('should decrypt the encrypted secrets after a restart', () => new Promise((resolve, reject) => {
+                const success = () => {};
+                const error = () => {
+                    reject(new Error('should have called success'));
+                };
+
+                let processedDeclaration;
+                DeclarationHandlerMock.prototype.process = (processed) => {
+                    processedDeclaration = processedDeclaration || processed;
+                    return Promise.resolve();
+                };
+                sinon.stub(cryptoUtilMock, 'decryptValue').callsFake((value) => Promise.resolve(value.replace('encrypted-', '')));
+
+                state = {
+                    doState: {
+                        mostRecentTask: 1234,
+                        tasks: {
+                            1234: {
+                                result: {
+                                    status: STATUS.STATUS_REBOOTING_AND_RESUMING
+                                },
+                                internalDeclaration: {
+                                    Common: {
+                                        admin: {
+                                            class: 'User',
+                                            userType: 'regular'
+                                        }
+                                    }
+                                },
+                                encryptedSecrets: [
+                                    {
+                                        path: ['Common', 'admin', 'password'],
+                                        value: ['encrypted-my', 'encrypted-Password']
+                                    }
+                                ]
+                            }
+                        }
+                    }
+                };
+
+                bigIpMock.reboot = () => {
+                    try {
+                        assert.strictEqual(processedDeclaration.Common.admin.password, 'myPassword');
+                        assert.strictEqual(
+                            restWorker.state.doState.tasks[1234].internalDeclaration.Common.admin.password,
+                            undefined
+                        );
+                        assert.strictEqual(restWorker.state.doState.tasks[1234].encryptedSecrets, undefined);
+                        resolve();
+                    } catch (err) {
+                        reject(err);
+                    }
+                };
+
+                restWorker.onStartCompleted(success, error);
+            }));
+
+            it('should hold the target in the task queue while resuming', () => new Promise((resolve, reject) => {
+                const success = () => {};
+                const error = () => {
+                    reject(new Error('should have called success'));
+                };
+
+                state = {
+                    doState: {
+                        mostRecentTask: 1234,
+                        tasks: {
+                            1234: {
+                                result: {
+                                    status: STATUS.STATUS_RUNNING
+                                },
+                                internalDeclaration: {
+                                    Common: {}
+                                }
+                            }
+                        }
+                    }
+                };
+
+                DeclarationHandlerMock.prototype.process = () => {
+                    try {
+                        assert.strictEqual(restWorker.taskQueue.getRunning('localhost'), 1234);
+                        assert.strictEqual(restWorker.taskQueue.enqueue('localhost', 'newTask', () => Promise.resolve()), false);
+                        resolve();
+                    } catch (err) {
+                        reject(err);
+                    }
+                    return Promise.resolve();
+                };
+
+                restWorker.onStartCompleted(success, error);
+            }));
+
             it('should not decrypt ids if not necessary after revoking', () => new Promise((resolve, reject) => {
                 const success = () => {};
                 const error = () => {
@@ -546,6 +699,60 @@ describe('restWorker', () => {
             restWorker.onStartCompleted(success, error);
         }));
 
+        it('should encrypt the secrets of the task from LICENSE_WILL_BE_REVOKED event', () => new Promise((resolve, reject) => {
+            const restWorker = new RestWorker();
+            const taskId = 1234;
+
+            RestWorker.prototype.saveState = (foo, theState, callback) => {
+                callback();
+            };
+            RestWorker.prototype.loadState = (foo, callback) => {
+                callback(null, {
+                    doState: {
+                        tasks: {
+                            1234: { id: taskId, result: {} }
+                        }
+                    }
+                });
+            };
+            restWorker.bigIps[taskId] = {
+                save() {
+                    return Promise.resolve();
+                }
+            };
+            restWorker.secrets[taskId] = [
+                { path: ['Common', 'admin', 'password'], value: 'myPassword' }
+            ];
+
+            cryptoUtilMock.encryptAndStoreValue = () => Promise.resolve();
+            sinon.stub(cryptoUtilMock, 'encryptValue').callsFake((value) => Promise.resolve([`encrypted-${value}`]));
+            restWorker.eventEmitter.on(EVENTS.READY_FOR_REVOKE, () => {
+                try {
+                    assert.deepStrictEqual(
+                        restWorker.state.doState.getEncryptedSecrets(taskId),
+                        [{ path: ['Common', 'admin', 'password'], value: ['encrypted-myPassword'] }]
+                    );
+                    resolve();
+                } catch (err) {
+                    reject(err);
+                }
+            });
+
+            const success = () => {
+                restWorker.eventEmitter.emit(
+                    EVENTS.LICENSE_WILL_BE_REVOKED,
+                    taskId,
+                    'foo',
+                    'foofoo'
+                );
+            };
+            const error = () => {
+                reject(new Error('should have called success'));
+            };
+
+            restWorker.onStartCompleted(success, error);
+        }));
+
         it('should emit READY_FOR_REVOKE from LICENSE_WILL_BE_REVOKED event', () => new Promise((resolve, reject) => {
             const restWorker = new RestWorker();
             const taskId = 1234;
@@ -736,484 +943,2369 @@ describe('restWorker', () => {
 
             restWorker.onGet(restOperationMock);
         }));
-    });
 
-    describe('getExampleState', () => {
-        let restWorker;
+        describe('task events', () => {
+            let taskId;
+            let contentType;
 
-        beforeEach(() => {
-            restWorker = new RestWorker();
-        });
+            beforeEach(() => {
+                restWorker.state.doState = new State();
+                taskId = restWorker.state.doState.addTask();
+                restWorker.state.doState.updateResult(taskId, 202, 'RUNNING', 'processing');
 
-        it('should return contents of onboard.json', () => {
-            sinon.stub(fs, 'readFileSync').callsFake(() => (JSON.stringify({ hello: 'world' })));
-            const response = restWorker.getExampleState();
-            assert.deepEqual(response, { hello: 'world' });
-        });
+                contentType = null;
+                restOperationMock.setContentType = (type) => { contentType = type; };
+                restOperationMock.getHeader = () => undefined;
+                restOperationMock.getUri = () => ({
+                    pathname: `/shared/declarative-onboarding/task/${taskId}/events`,
+                    query: {}
+                });
+            });
 
-        it('should handle errors gracefully', () => {
-            sinon.stub(fs, 'readFileSync').throws();
-            const response = restWorker.getExampleState();
-            assert.deepEqual(response, { message: 'no example available' });
-        });
-    });
+            it('should send the events as server-sent events', () => new Promise((resolve, reject) => {
+                restWorker.taskEvents.add(taskId, 'taskStarted');
+                restWorker.taskEvents.add(taskId, 'handlerStarted', { handler: 'SystemHandler' });
+                restWorker.taskEvents.add(taskId, 'handlerFinished', { handler: 'SystemHandler' });
+                restOperationMock.getUri = () => ({
+                    pathname: `/shared/declarative-onboarding/task/${taskId}/events`,
+                    query: { since: '1' }
+                });
 
-    describe('onDelete', () => {
-        let restWorker;
-        let deletedId;
+                restOperationMock.complete = () => {
+                    try {
+                        assert.strictEqual(statusCode, 200);
+                        assert.strictEqual(contentType, 'text/event-stream');
+                        assert.ok(responseBody.indexOf('id: 1\n') === -1, 'should not send events already seen');
+                        assert.ok(responseBody.indexOf('id: 2\nevent: handlerStarted\ndata: {') !== -1);
+                        assert.ok(responseBody.indexOf('id: 3\nevent: handlerFinished\ndata: {') !== -1);
+                        resolve();
+                    } catch (err) {
+                        reject(err);
+                    }
+                };
 
-        const config1234 = {
-            foo: 'bar'
-        };
-        const config5678 = {
-            hello: 'world'
-        };
+                restWorker.onGet(restOperationMock);
+            }));
 
-        beforeEach(() => {
-            deletedId = null;
-            restWorker = new RestWorker();
-            restWorker.state = {
-                doState: {
-                    originalConfig: {
-                        1234: config1234,
-                        5678: config5678
-                    },
-                    getOriginalConfigByConfigId(id) {
-                        return this.originalConfig[id];
-                    },
-                    deleteOriginalConfigByConfigId(id) {
-                        deletedId = id;
+            it('should wait for the next event after the Last-Event-ID', () => new Promise((resolve, reject) => {
+                restWorker.taskEvents.add(taskId, 'taskStarted');
+                restOperationMock.getHeader = (name) => (name === 'Last-Event-ID' ? '1' : undefined);
+
+                restOperationMock.complete = () => {
+                    try {
+                        assert.strictEqual(statusCode, 200);
+                        assert.ok(responseBody.indexOf('event: taskStarted') === -1);
+                        assert.ok(responseBody.indexOf('id: 2\nevent: rebootStarted\n') !== -1);
+                        resolve();
+                    } catch (err) {
+                        reject(err);
                     }
-                }
-            };
+                };
 
-            RestWorker.prototype.saveState = (foo, state, callback) => {
-                callback();
-            };
-        });
+                restWorker.onGet(restOperationMock);
+                restWorker.taskEvents.add(taskId, 'rebootStarted');
+            }));
 
-        it('should delete original config', () => new Promise((resolve, reject) => {
-            restOperationMock.complete = () => {
-                try {
-                    assert.strictEqual(deletedId, '1234');
-                    resolve();
-                } catch (err) {
-                    reject(err);
-                }
-            };
-            restOperationMock.getUri = () => ({
-                pathname: '/shared/declarative-onboarding/config/1234'
-            });
+            it('should send 204 when the task has finished and there are no more events', () => new Promise((resolve, reject) => {
+                restWorker.state.doState.updateResult(taskId, 200, 'OK', 'success');
+                restWorker.taskEvents.add(taskId, 'taskFinished', { code: 200, status: 'OK', message: 'success' });
+                restOperationMock.getUri = () => ({
+                    pathname: `/shared/declarative-onboarding/task/${taskId}/events`,
+                    query: { since: '1' }
+                });
 
-            restWorker.onDelete(restOperationMock);
-        }));
+                restOperationMock.complete = () => {
+                    try {
+                        assert.strictEqual(statusCode, 204);
+                        resolve();
+                    } catch (err) {
+                        reject(err);
+                    }
+                };
 
-        it('should return 404 for non-existing id', () => new Promise((resolve, reject) => {
-            restOperationMock.complete = () => {
-                try {
-                    assert.strictEqual(statusCode, 404);
-                    resolve();
-                } catch (err) {
-                    reject(err);
-                }
-            };
-            restOperationMock.getUri = () => ({
-                pathname: '/shared/declarative-onboarding/config/9999'
+                restWorker.onGet(restOperationMock);
+            }));
+
+            it('should send 404 if the task does not exist', () => new Promise((resolve, reject) => {
+                restOperationMock.getUri = () => ({
+                    pathname: '/shared/declarative-onboarding/task/foo/events',
+                    query: {}
+                });
+
+                restOperationMock.complete = () => {
+                    try {
+                        assert.strictEqual(statusCode, 404);
+                        resolve();
+                    } catch (err) {
+                        reject(err);
+                    }
+                };
+
+                restWorker.onGet(restOperationMock);
+            }));
+        });
+
+        describe('task logs', () => {
+            let taskId;
+
+            beforeEach(() => {
+                restWorker.state.doState = new State();
+                taskId = restWorker.state.doState.addTask();
+                restOperationMock.getUri = () => ({
+                    pathname: `/shared/declarative-onboarding/task/${taskId}/logs`
+                });
             });
 
-            restWorker.onDelete(restOperationMock);
-        }));
-    });
+            it('should send the log messages kept for the task', () => new Promise((resolve, reject) => {
+                const message = {
+                    timestamp: '2022-05-09T18:44:41.123Z',
+                    level: 'debug',
+                    file: 'networkHandler.js',
+                    handler: 'NetworkHandler',
+                    message: 'Checking VLANs'
+                };
+                restWorker.taskLogs.start(taskId, 'debug');
+                restWorker.taskLogs.add(taskId, message);
 
-    describe('onPost', () => {
-        const validatorMock = {};
-        let updateResultSpy;
+                restOperationMock.complete = () => {
+                    try {
+                        assert.strictEqual(statusCode, 200);
+                        assert.deepStrictEqual(
+                            responseBody,
+                            {
+                                id: taskId,
+                                logLevel: 'debug',
+                                messages: [message],
+                                dropped: 0
+                            }
+                        );
+                        resolve();
+                    } catch (err) {
+                        reject(err);
+                    }
+                };
+
+                restWorker.onGet(restOperationMock);
+            }));
+
+            it('should send 404 if no logs were kept for the task', () => new Promise((resolve, reject) => {
+                restOperationMock.complete = () => {
+                    try {
+                        assert.strictEqual(statusCode, 404);
+                        assert.ok(responseBody.indexOf('Set logLevel in the controls') !== -1);
+                        resolve();
+                    } catch (err) {
+                        reject(err);
+                    }
+                };
+
+                restWorker.onGet(restOperationMock);
+            }));
+
+            it('should send 404 if the task does not exist', () => new Promise((resolve, reject) => {
+                restOperationMock.getUri = () => ({
+                    pathname: '/shared/declarative-onboarding/task/foo/logs'
+                });
+
+                restOperationMock.complete = () => {
+                    try {
+                        assert.strictEqual(statusCode, 404);
+                        assert.strictEqual(responseBody, 'foo does not exist');
+                        resolve();
+                    } catch (err) {
+                        reject(err);
+                    }
+                };
+
+                restWorker.onGet(restOperationMock);
+            }));
+        });
+
+        describe('metrics', () => {
+            let contentType;
+
+            beforeEach(() => {
+                restWorker.state.doState = new State();
+                contentType = null;
+                restOperationMock.setContentType = (type) => { contentType = type; };
+                restOperationMock.getUri = () => ({
+                    pathname: '/shared/declarative-onboarding/metrics'
+                });
+            });
+
+            it('should send the metrics in the Prometheus text format', () => new Promise((resolve, reject) => {
+                const taskId = restWorker.state.doState.addTask();
+                restWorker.state.doState.updateResult(taskId, 422, 'ERROR', 'failed');
+                restWorker.metrics.increment('do_reboots_total');
+
+                restOperationMock.complete = () => {
+                    try {
+                        assert.strictEqual(statusCode, 200);
+                        assert.strictEqual(contentType, 'text/plain; version=0.0.4');
+                        assert.ok(responseBody.indexOf('# TYPE do_tasks_total counter\n') !== -1);
+                        assert.ok(responseBody.indexOf('do_tasks_total{status="ERROR",code="422"} 1\n') !== -1);
+                        assert.ok(responseBody.indexOf('do_reboots_total 1\n') !== -1);
+                        resolve();
+                    } catch (err) {
+                        reject(err);
+                    }
+                };
+
+                restWorker.onGet(restOperationMock);
+            }));
+
+            it('should only count each finished task once', () => new Promise((resolve, reject) => {
+                const runningId = restWorker.state.doState.addTask();
+                restWorker.state.doState.updateResult(runningId, 202, 'RUNNING', 'processing');
+                const finishedId = restWorker.state.doState.addTask();
+                restWorker.state.doState.updateResult(finishedId, 200, 'OK', 'success');
+
+                restOperationMock.complete = () => {
+                    restWorker.state.doState.updateResult(runningId, 200, 'OK', 'success');
+                    restOperationMock.complete = () => {
+                        try {
+                            assert.ok(responseBody.indexOf('do_tasks_total{status="OK",code="200"} 2\n') !== -1);
+                            resolve();
+                        } catch (err) {
+                            reject(err);
+                        }
+                    };
+                    restWorker.onGet(restOperationMock);
+                };
+
+                restWorker.onGet(restOperationMock);
+            }));
+        });
+    });
 
+    describe('getExampleState', () => {
         let restWorker;
-        let bigIpOptionsCalled;
-        let saveCalled;
-        let saveStateCalled;
 
-        let getBigIpStub;
+        beforeEach(() => {
+            restWorker = new RestWorker();
+        });
+
+        it('should return contents of onboard.json', () => {
+            sinon.stub(fs, 'readFileSync').callsFake(() => (JSON.stringify({ hello: 'world' })));
+            const response = restWorker.getExampleState();
+            assert.deepEqual(response, { hello: 'world' });
+        });
+
+        it('should handle errors gracefully', () => {
+            sinon.stub(fs, 'readFileSync').throws();
+            const response = restWorker.getExampleState();
+            assert.deepEqual(response, { message: 'no example available' });
+        });
+    });
+
+    describe('onPatch', () => {
+        let restWorker;
+        let processedDeclaration;
+        let lastTaskId;
 
         beforeEach(() => {
-            restOperationMock.getMethod = () => 'Post';
+            restOperationMock.getMethod = () => 'Patch';
+            restOperationMock.getContentType = () => 'application/json-patch+json';
+            restOperationMock.getUri = () => ({
+                pathname: '/shared/declarative-onboarding',
+                query: {}
+            });
             ConfigManagerMock.prototype.get = () => Promise.resolve();
+            DeclarationHandlerMock.prototype.process = (decl) => {
+                processedDeclaration = decl;
+                return Promise.resolve({});
+            };
+            processedDeclaration = null;
 
-            DeclarationHandlerMock.prototype.process = () => Promise.resolve({});
-
-            bigIpOptionsCalled = {};
-            saveCalled = false;
-            saveStateCalled = false;
             bigIpMock = {
                 save() {
-                    saveCalled = true;
                     return Promise.resolve();
                 },
                 reboot() {}
             };
-
-            getBigIpStub = sinon.stub(doUtilMock, 'getBigIp').callsFake((logger, bigIpOptions) => {
-                bigIpOptionsCalled = bigIpOptions;
-                return Promise.resolve(bigIpMock);
-            });
+            sinon.stub(doUtilMock, 'getBigIp').resolves(bigIpMock);
             sinon.stub(doUtilMock, 'getCurrentPlatform').resolves('BIG-IP');
 
-            validatorMock.validate = () => Promise.resolve({
-                isValid: true
-            });
-
             RestWorker.prototype.saveState = (foo, state, callback) => {
-                saveStateCalled = true;
                 callback();
             };
 
             restWorker = new RestWorker();
-            restWorker.validator = validatorMock;
+            restWorker.validator = {
+                validate: () => Promise.resolve({ isValid: true })
+            };
             const doState = new State();
-            const origUpdateResult = doState.updateResult;
-            updateResultSpy = sinon.stub(doState, 'updateResult').callsFake((taskId, code, status, message, errors) => {
-                saveStateCalled = false;
-                return origUpdateResult.call(doState, taskId, code, status, message, errors);
+            lastTaskId = doState.addTask();
+            doState.setDeclaration(lastTaskId, {
+                schemaVersion: '1.29.0',
+                class: 'Device',
+                Common: {
+                    class: 'Tenant',
+                    myNtp: {
+                        class: 'NTP',
+                        servers: ['0.pool.ntp.org']
+                    }
+                }
             });
+            doState.updateResult(lastTaskId, 200, 'OK', 'success');
             restWorker.state = {
                 doState
             };
             restWorker.platform = 'BIG-IP';
         });
 
-        it('should pass off auth token if provided', () => new Promise((resolve, reject) => {
-            const authToken = '1234ABCD';
-            declaration = {
-                class: 'DO',
-                targetTokens: {
-                    'X-F5-Auth-Token': authToken
-                },
-                declaration: {}
-            };
+        it('should apply the patch to the last successful declaration', () => new Promise((resolve, reject) => {
+            declaration = JSON.stringify([
+                { op: 'add', path: '/Common/myNtp/servers/-', value: '1.pool.ntp.org' },
+                { op: 'add', path: '/Common/myVlan', value: { class: 'VLAN', interfaces: [{ name: '1.1' }] } }
+            ]);
 
             restOperationMock.complete = () => {
                 try {
-                    assert.strictEqual(bigIpOptionsCalled.authToken, '1234ABCD');
+                    assert.strictEqual(statusCode, 200);
+                    assert.deepStrictEqual(processedDeclaration.Common.myNtp.servers, ['0.pool.ntp.org', '1.pool.ntp.org']);
+                    assert.deepStrictEqual(processedDeclaration.Common.myVlan, { class: 'VLAN', interfaces: [{ name: '1.1' }] });
+                    assert.notStrictEqual(responseBody.id, lastTaskId);
                     resolve();
                 } catch (err) {
                     reject(err);
                 }
             };
 
-            restWorker.onPost(restOperationMock);
+            restWorker.onPatch(restOperationMock);
         }));
 
-        it('should dereference json-pointers in the DO wrapper', () => new Promise((resolve, reject) => {
-            declaration = {
-                class: 'DO',
-                targetUsername: '/declaration/Credentials/0/username',
-                targetPassphrase: '/declaration/Credentials/1/password',
-                declaration: {
-                    Credentials: [
-                        { username: 'my user' },
-                        { password: 'my password' }
-                    ]
+        it('should not keep the reconciliation userAgent from remediation', () => new Promise((resolve, reject) => {
+            const lastDeclaration = restWorker.state.doState.getDeclaration(lastTaskId);
+            lastDeclaration.controls = { userAgent: 'DO-reconciliation' };
+            declaration = JSON.stringify([
+                { op: 'add', path: '/Common/myNtp/servers/-', value: '1.pool.ntp.org' }
+            ]);
+
+            restOperationMock.complete = () => {
+                try {
+                    assert.strictEqual(statusCode, 200);
+                    assert.deepStrictEqual(processedDeclaration.controls, {});
+                    assert.strictEqual(lastDeclaration.controls.userAgent, 'DO-reconciliation');
+                    resolve();
+                } catch (err) {
+                    reject(err);
                 }
             };
 
+            restWorker.onPatch(restOperationMock);
+        }));
+
+        it('should resolve the secret references of the last successful declaration again', () => new Promise((resolve, reject) => {
+            let validatedPassword;
+            restWorker.validator.validate = (wrapper) => {
+                validatedPassword = wrapper.declaration.Common.myUser.password;
+                return Promise.resolve({ isValid: true });
+            };
+            process.env.DO_TEST_PASSWORD = 'myPassword';
+            restWorker.state.doState.getDeclaration(lastTaskId).Common.myUser = {
+                class: 'User',
+                userType: 'regular',
+                password: { secretRef: 'env:DO_TEST_PASSWORD' }
+            };
+            declaration = JSON.stringify([
+                { op: 'add', path: '/Common/myNtp/servers/-', value: '1.pool.ntp.org' }
+            ]);
+
             restOperationMock.complete = () => {
+                delete process.env.DO_TEST_PASSWORD;
                 try {
-                    assert.strictEqual(bigIpOptionsCalled.user, 'my user');
-                    assert.strictEqual(bigIpOptionsCalled.password, 'my password');
+                    assert.strictEqual(statusCode, 200);
+                    assert.strictEqual(validatedPassword, 'myPassword');
+                    assert.strictEqual(processedDeclaration.Common.myUser.password, 'myPassword');
+                    assert.deepStrictEqual(
+                        restWorker.state.doState.getDeclaration(responseBody.id).Common.myUser.password,
+                        { secretRef: 'env:DO_TEST_PASSWORD' }
+                    );
                     resolve();
                 } catch (err) {
                     reject(err);
                 }
             };
 
-            restWorker.onPost(restOperationMock);
+            restWorker.onPatch(restOperationMock);
         }));
 
-        it('should handle validation errors', () => new Promise((resolve, reject) => {
-            validatorMock.validate = () => Promise.resolve({
-                isValid: false
-            });
+        it('should reject a body that is not a JSON Patch', () => new Promise((resolve, reject) => {
+            declaration = { op: 'add', path: '/Common/foo', value: {} };
 
             restOperationMock.complete = () => {
                 try {
                     assert.strictEqual(responseBody.result.code, 400);
-                    assert.strictEqual(responseBody.result.status, 'ERROR');
-                    assert(responseBody.result.message.includes('bad declaration'));
+                    assert.strictEqual(responseBody.result.message, 'bad patch');
+                    assert.strictEqual(processedDeclaration, null);
                     resolve();
                 } catch (err) {
                     reject(err);
                 }
             };
 
-            restWorker.onPost(restOperationMock);
+            restWorker.onPatch(restOperationMock);
         }));
 
-        it('should handle missing content header with valid content', () => new Promise((resolve, reject) => {
+        it('should reject a patch that cannot be applied', () => new Promise((resolve, reject) => {
+            declaration = [{ op: 'remove', path: '/Common/doesNotExist' }];
+
             restOperationMock.complete = () => {
                 try {
-                    assert.strictEqual(statusCode, 200);
+                    assert.strictEqual(responseBody.result.code, 422);
+                    assert.strictEqual(responseBody.result.message, 'bad patch');
+                    assert.match(responseBody.result.errors[0], /operation 0 failed/);
+                    assert.strictEqual(processedDeclaration, null);
                     resolve();
                 } catch (err) {
                     reject(err);
                 }
             };
 
-            restOperationMock.getContentType = () => {};
-            restOperationMock.getBody = () => '{}';
-
-            restWorker.onPost(restOperationMock);
+            restWorker.onPatch(restOperationMock);
         }));
 
-        it('should handle the charset in the Content-Type header', () => new Promise((resolve, reject) => {
+        it('should reject a patch if there is no successful declaration', () => new Promise((resolve, reject) => {
+            restWorker.state.doState.updateResult(lastTaskId, 422, 'ERROR', 'failed');
+            declaration = [{ op: 'add', path: '/Common/hostname', value: 'bigip1.example.com' }];
+
             restOperationMock.complete = () => {
                 try {
-                    assert.strictEqual(statusCode, 200);
+                    assert.strictEqual(responseBody.result.code, 422);
+                    assert.strictEqual(
+                        responseBody.result.errors[0],
+                        'There is no successful declaration for localhost to patch.'
+                    );
                     resolve();
                 } catch (err) {
                     reject(err);
                 }
             };
 
-            restOperationMock.getContentType = () => 'application/json; charset=UTF-8';
-
-            restWorker.onPost(restOperationMock);
+            restWorker.onPatch(restOperationMock);
         }));
 
-        it('should handle missing content header with invalid content', () => new Promise((resolve, reject) => {
+        it('should patch the last successful declaration for the target in the query', () => new Promise((resolve, reject) => {
+            let validatedWrapper;
+            restWorker.validator.validate = (wrapper) => {
+                validatedWrapper = wrapper;
+                return Promise.resolve({ isValid: false });
+            };
+            const remoteTaskId = restWorker.state.doState.addTask();
+            restWorker.state.doState.setDeclaration(remoteTaskId, { class: 'Device', Common: { hostname: 'remote' } });
+            restWorker.state.doState.setTarget(remoteTaskId, '10.1.1.1');
+            restWorker.state.doState.updateResult(remoteTaskId, 200, 'OK', 'success');
+            restOperationMock.getUri = () => ({
+                pathname: '/shared/declarative-onboarding',
+                query: { targetHost: '10.1.1.1', targetUsername: 'admin', targetPassword: 'myPassword' }
+            });
+            declaration = JSON.stringify([
+                { op: 'replace', path: '/Common/hostname', value: 'remote.example.com' }
+            ]);
+
             restOperationMock.complete = () => {
                 try {
-                    assert.strictEqual(responseBody.result.code, 400);
-                    assert.strictEqual(responseBody.result.status, 'ERROR');
-                    assert(responseBody.result.message.includes('bad declaration'));
-                    assert(responseBody.result.errors[0].includes('Should be JSON format'));
+                    assert.deepStrictEqual(
+                        validatedWrapper,
+                        {
+                            class: 'DO',
+                            targetHost: '10.1.1.1',
+                            targetUsername: 'admin',
+                            targetPassphrase: 'myPassword',
+                            declaration: { class: 'Device', Common: { hostname: 'remote.example.com' } }
+                        }
+                    );
                     resolve();
                 } catch (err) {
                     reject(err);
                 }
             };
 
-            restOperationMock.getContentType = () => {};
-            restOperationMock.getBody = () => 'foobar';
-
-            restWorker.onPost(restOperationMock);
+            restWorker.onPatch(restOperationMock);
         }));
 
-        it('should handle failure to get/initialize a device', () => new Promise((resolve, reject) => {
-            getBigIpStub.restore();
-            sinon.stub(doUtilMock, 'getBigIp').callsFake(() => {
-                const error = new Error('failed to initialize');
-                error.code = 503;
-                return Promise.reject(error);
-            });
+        it('should not patch the declaration of another target', () => new Promise((resolve, reject) => {
+            restWorker.state.doState.setTarget(lastTaskId, '10.1.1.1');
+            declaration = JSON.stringify([
+                { op: 'add', path: '/Common/myNtp/servers/-', value: '1.pool.ntp.org' }
+            ]);
+
             restOperationMock.complete = () => {
                 try {
-                    assert.strictEqual(responseBody.result.code, 503);
-                    assert.strictEqual(responseBody.result.status, 'ERROR');
-                    assert.notStrictEqual(responseBody.result.errors.indexOf('failed to initialize'), -1);
+                    assert.strictEqual(responseBody.result.code, 422);
+                    assert.strictEqual(processedDeclaration, null);
                     resolve();
                 } catch (err) {
                     reject(err);
                 }
             };
 
-            restWorker.onPost(restOperationMock);
+            restWorker.onPatch(restOperationMock);
         }));
 
-        it('should add defaults to the declaration', () => new Promise((resolve, reject) => {
-            declaration = {
-                schemaVersion: '1.0.0',
+        it('should reject a patch if secrets were not stored with the declaration', () => new Promise((resolve, reject) => {
+            restWorker.state.doState.setDeclaration(lastTaskId, {
                 class: 'Device',
                 Common: {
-                    mySelfIp: {
-                        class: 'SelfIp',
-                        address: '1.2.3.4',
-                        vlan: 'foo'
-                    }
+                    admin: { class: 'User', userType: 'regular', password: 'myPassword' }
                 }
-            };
-            restWorker.validator = new RealValidator();
+            });
+            declaration = JSON.stringify([
+                { op: 'add', path: '/Common/hostname', value: 'bigip1.example.com' }
+            ]);
 
             restOperationMock.complete = () => {
                 try {
-                    const state = restWorker.state.doState;
-                    const taskId = Object.keys(state.tasks)[0];
-                    assert.strictEqual(
-                        state.tasks[taskId].internalDeclaration.Common.mySelfIp.trafficGroup,
-                        'traffic-group-local-only'
-                    );
+                    assert.strictEqual(responseBody.result.code, 422);
+                    assert.ok(responseBody.result.errors[0].includes('/Common/admin/password'));
+                    assert.strictEqual(processedDeclaration, null);
                     resolve();
                 } catch (err) {
                     reject(err);
                 }
             };
 
-            restWorker.onPost(restOperationMock);
+            restWorker.onPatch(restOperationMock);
         }));
 
-        it('should save sys config', () => new Promise((resolve, reject) => {
+        it('should reject a patch with invalid target query parameters', () => new Promise((resolve, reject) => {
+            restOperationMock.getUri = () => ({
+                pathname: '/shared/declarative-onboarding',
+                query: { targetPort: '443' }
+            });
+            declaration = JSON.stringify([]);
+
             restOperationMock.complete = () => {
                 try {
-                    assert.ok(saveCalled);
+                    assert.strictEqual(responseBody.result.code, 400);
+                    assert.strictEqual(responseBody.result.errors[0], '"targetHost" should be specified.');
                     resolve();
                 } catch (err) {
                     reject(err);
                 }
             };
 
-            restWorker.onPost(restOperationMock);
+            restWorker.onPatch(restOperationMock);
         }));
 
-        it('should not save sys config if dry run', () => new Promise((resolve, reject) => {
-            declaration = {
-                schemaVersion: '1.0.0',
-                class: 'Device',
-                controls: {
-                    dryRun: true
-                },
-                Common: {}
-            };
+        it('should only allow PATCH on the base endpoint', () => new Promise((resolve, reject) => {
+            restOperationMock.getUri = () => ({
+                pathname: '/shared/declarative-onboarding/task',
+                query: {}
+            });
+            declaration = [];
+
             restOperationMock.complete = () => {
                 try {
-                    assert.strictEqual(saveCalled, false);
+                    assert.strictEqual(statusCode, 400);
                     resolve();
                 } catch (err) {
                     reject(err);
                 }
             };
 
-            restWorker.onPost(restOperationMock);
+            restWorker.onPatch(restOperationMock);
         }));
+    });
 
-        it('should save state', () => new Promise((resolve, reject) => {
+    describe('onDelete', () => {
+        let restWorker;
+        let deletedId;
+
+        const config1234 = {
+            foo: 'bar'
+        };
+        const config5678 = {
+            hello: 'world'
+        };
+
+        beforeEach(() => {
+            deletedId = null;
+            restWorker = new RestWorker();
+            restWorker.state = {
+                doState: {
+                    originalConfig: {
+                        1234: config1234,
+                        5678: config5678
+                    },
+                    getOriginalConfigByConfigId(id) {
+                        return this.originalConfig[id];
+                    },
+                    deleteOriginalConfigByConfigId(id) {
+                        deletedId = id;
+                    },
+                    getTaskIds() {
+                        return [];
+                    },
+                    prune() {}
+                }
+            };
+
+            RestWorker.prototype.saveState = (foo, state, callback) => {
+                callback();
+            };
+        });
+
+        it('should delete original config', () => new Promise((resolve, reject) => {
             restOperationMock.complete = () => {
                 try {
-                    assert.ok(saveStateCalled, 'State should have been saved');
+                    assert.strictEqual(deletedId, '1234');
                     resolve();
                 } catch (err) {
                     reject(err);
                 }
             };
+            restOperationMock.getUri = () => ({
+                pathname: '/shared/declarative-onboarding/config/1234'
+            });
 
-            restWorker.onPost(restOperationMock);
+            restWorker.onDelete(restOperationMock);
         }));
 
-        it('should set status to rebooting if reboot is required', () => new Promise((resolve, reject) => {
-            doUtilMock.rebootRequired.restore();
-            sinon.stub(doUtilMock, 'rebootRequired').resolves(true);
+        it('should return 404 for non-existing id', () => new Promise((resolve, reject) => {
             restOperationMock.complete = () => {
                 try {
-                    assert.strictEqual(responseBody.result.status, 'REBOOTING');
-                    assert.ok(saveStateCalled, 'State should have been saved after updating');
+                    assert.strictEqual(statusCode, 404);
                     resolve();
                 } catch (err) {
                     reject(err);
                 }
             };
+            restOperationMock.getUri = () => ({
+                pathname: '/shared/declarative-onboarding/config/9999'
+            });
 
-            restWorker.onPost(restOperationMock);
+            restWorker.onDelete(restOperationMock);
         }));
 
-        it('should set status to rolled back if an error occurs', () => {
-            const rollbackReason = 'this it the rollback reason';
-            let processCallCount = 0;
-            return new Promise((resolve, reject) => {
-                DeclarationHandlerMock.prototype.process = () => {
-                    // For this test, we want to reject the first call to simulate
-                    // an error but resolve the second call to simulate successful
-                    // rollback
-                    processCallCount += 1;
-                    if (processCallCount === 1) {
-                        return Promise.reject(new Error(rollbackReason));
-                    }
-                    return Promise.resolve();
-                };
+        describe('task', () => {
+            let doState;
+            let taskId;
+
+            beforeEach(() => {
+                doState = new State();
+                taskId = doState.addTask();
+                restWorker.state = { doState };
+            });
+
+            it('should cancel a queued task', () => new Promise((resolve, reject) => {
+                let cancelReason;
+                restWorker.taskQueue.enqueue('localhost', 'runningTask', () => new Promise(() => {}));
+                restWorker.taskQueue.enqueue('localhost', taskId, () => Promise.resolve(), (reason) => {
+                    cancelReason = reason;
+                    doState.updateResult(taskId, 409, 'ERROR', 'cancelled', reason);
+                });
+                doState.updateResult(taskId, 202, 'QUEUED', 'queued');
 
                 restOperationMock.complete = () => {
                     try {
-                        assert.strictEqual(responseBody.result.status, 'ERROR');
-                        assert(responseBody.result.message.includes('rolled back'));
-                        assert.strictEqual(responseBody.result.errors[0], 'this it the rollback reason');
+                        assert.strictEqual(cancelReason, 'Cancelled by request');
+                        assert.deepStrictEqual(restWorker.taskQueue.getQueued('localhost'), []);
+                        assert.strictEqual(responseBody.result.code, 409);
+                        assert.strictEqual(responseBody.result.message, 'cancelled');
                         resolve();
                     } catch (err) {
                         reject(err);
                     }
                 };
+                restOperationMock.getUri = () => ({
+                    pathname: `/shared/declarative-onboarding/task/${taskId}`
+                });
 
-                restWorker.onPost(restOperationMock);
-            });
-        });
-
-        it('should set task status to [running -> rolling back -> error] if an error occurs', () => {
-            const rollbackReason = 'verify rollback in progress';
-            let processCallCount = 0;
+                restWorker.onDelete(restOperationMock);
+            }));
 
-            return new Promise((resolve, reject) => {
-                DeclarationHandlerMock.prototype.process = () => {
-                    // For this test, we want to reject the first call to simulate
-                    // an error but resolve the second call to simulate successful
-                    // rollback
-                    processCallCount += 1;
-                    if (processCallCount === 1) {
-                        return Promise.reject(new Error(rollbackReason));
-                    }
-                    return Promise.resolve();
-                };
+            it('should request cancellation of a running task', () => new Promise((resolve, reject) => {
+                doState.updateResult(taskId, 202, 'RUNNING', 'processing');
 
                 restOperationMock.complete = () => {
                     try {
-                        const runningArgs = updateResultSpy.getCall(0).args;
-                        const rollingBackArgs = updateResultSpy.getCall(1).args;
-                        const rolledBackArgs = updateResultSpy.getCall(2).args;
-
-                        assert.deepStrictEqual(runningArgs[1], 202);
-                        assert.deepStrictEqual(runningArgs[2], 'RUNNING');
-
-                        assert.deepStrictEqual(rollingBackArgs[1], 202);
-                        assert.deepStrictEqual(rollingBackArgs[2], 'ROLLING_BACK');
-
-                        assert.deepStrictEqual(rolledBackArgs[1], 500);
-                        assert.deepStrictEqual(rolledBackArgs[2], 'ERROR');
+                        assert.strictEqual(responseBody.result.code, 202);
+                        assert.strictEqual(responseBody.result.status, 'CANCELLING');
+                        assert.deepStrictEqual(doState.getCancelRequest(taskId), { rollback: true });
                         resolve();
                     } catch (err) {
                         reject(err);
                     }
                 };
+                restOperationMock.getUri = () => ({
+                    pathname: `/shared/declarative-onboarding/task/${taskId}`,
+                    query: { rollback: 'true' }
+                });
 
-                restWorker.onPost(restOperationMock);
-            });
-        });
+                restWorker.onDelete(restOperationMock);
+            }));
 
-        it('should report that rollback failed', () => {
-            const rollbackReason = 'this it the rollback reason';
-            const rollbackFailReason = 'this is the rollback fail reason';
-            let proccessCallCount = 0;
-            return new Promise((resolve, reject) => {
-                DeclarationHandlerMock.prototype.process = () => {
-                    // For this test, we want to reject the first call to simulate
-                    // an error but resolve the second call to simulate successful
-                    // rollback
-                    proccessCallCount += 1;
-                    if (proccessCallCount === 1) {
-                        return Promise.reject(new Error(rollbackReason));
+            it('should return 409 for a task that is not queued or running', () => new Promise((resolve, reject) => {
+                doState.updateResult(taskId, 200, 'OK', 'success');
+
+                restOperationMock.complete = () => {
+                    try {
+                        assert.strictEqual(statusCode, 409);
+                        assert.strictEqual(doState.getCancelRequest(taskId), undefined);
+                        resolve();
+                    } catch (err) {
+                        reject(err);
                     }
-                    return Promise.reject(new Error(rollbackFailReason));
                 };
+                restOperationMock.getUri = () => ({
+                    pathname: `/shared/declarative-onboarding/task/${taskId}`
+                });
+
+                restWorker.onDelete(restOperationMock);
+            }));
 
+            it('should return 404 for a non-existing task', () => new Promise((resolve, reject) => {
                 restOperationMock.complete = () => {
                     try {
-                        assert.strictEqual(responseBody.result.status, 'ERROR');
-                        assert(responseBody.result.message.includes('rollback failed'));
-                        assert.strictEqual(responseBody.result.errors[0], 'this it the rollback reason');
-                        assert.strictEqual(responseBody.result.errors[1], 'this is the rollback fail reason');
+                        assert.strictEqual(statusCode, 404);
                         resolve();
                     } catch (err) {
                         reject(err);
                     }
                 };
+                restOperationMock.getUri = () => ({
+                    pathname: '/shared/declarative-onboarding/task/9999'
+                });
 
-                restWorker.onPost(restOperationMock);
+                restWorker.onDelete(restOperationMock);
+            }));
+        });
+    });
+
+    describe('onPost', () => {
+        const validatorMock = {};
+        let updateResultSpy;
+
+        let restWorker;
+        let bigIpOptionsCalled;
+        let saveCalled;
+        let saveStateCalled;
+
+        let getBigIpStub;
+
+        beforeEach(() => {
+            restOperationMock.getMethod = () => 'Post';
+            ConfigManagerMock.prototype.get = () => Promise.resolve();
+
+            DeclarationHandlerMock.prototype.process = () => Promise.resolve({});
+
+            bigIpOptionsCalled = {};
+            saveCalled = false;
+            saveStateCalled = false;
+            bigIpMock = {
+                save() {
+                    saveCalled = true;
+                    return Promise.resolve();
+                },
+                reboot() {}
+            };
+
+            getBigIpStub = sinon.stub(doUtilMock, 'getBigIp').callsFake((logger, bigIpOptions) => {
+                bigIpOptionsCalled = bigIpOptions;
+                return Promise.resolve(bigIpMock);
+            });
+            sinon.stub(doUtilMock, 'getCurrentPlatform').resolves('BIG-IP');
+
+            validatorMock.validate = () => Promise.resolve({
+                isValid: true
+            });
+
+            RestWorker.prototype.saveState = (foo, state, callback) => {
+                saveStateCalled = true;
+                callback();
+            };
+
+            restWorker = new RestWorker();
+            restWorker.validator = validatorMock;
+            const doState = new State();
+            const origUpdateResult = doState.updateResult;
+            updateResultSpy = sinon.stub(doState, 'updateResult').callsFake((taskId, code, status, message, errors) => {
+                saveStateCalled = false;
+                return origUpdateResult.call(doState, taskId, code, status, message, errors);
             });
+            restWorker.state = {
+                doState
+            };
+            restWorker.platform = 'BIG-IP';
+        });
+
+        it('should pass off auth token if provided', () => new Promise((resolve, reject) => {
+            const authToken = '1234ABCD';
+            declaration = {
+                class: 'DO',
+                targetTokens: {
+                    'X-F5-Auth-Token': authToken
+                },
+                declaration: {}
+            };
+
+            restOperationMock.complete = () => {
+                try {
+                    assert.strictEqual(bigIpOptionsCalled.authToken, '1234ABCD');
+                    resolve();
+                } catch (err) {
+                    reject(err);
+                }
+            };
+
+            restWorker.onPost(restOperationMock);
+        }));
+
+        it('should record when the task starts and finishes as task events', () => new Promise((resolve, reject) => {
+            declaration = {
+                class: 'DO',
+                declaration: {}
+            };
+
+            restOperationMock.complete = () => {
+                const taskId = restWorker.state.doState.getTaskIds()[0];
+                restWorker.taskEvents.waitFor(taskId, 1, 1000)
+                    .then((events) => {
+                        assert.strictEqual(restWorker.taskEvents.get(taskId)[0].type, 'taskStarted');
+                        assert.strictEqual(events[0].type, 'taskFinished');
+                        assert.strictEqual(events[0].status, 'OK');
+                        resolve();
+                    })
+                    .catch(reject);
+            };
+
+            restWorker.onPost(restOperationMock);
+        }));
+
+        it('should keep the log messages of the task if controls.logLevel is set', () => new Promise((resolve, reject) => {
+            declaration = {
+                class: 'DO',
+                declaration: {
+                    controls: {
+                        logLevel: 'debug'
+                    }
+                }
+            };
+
+            restOperationMock.complete = () => {
+                try {
+                    const logs = restWorker.taskLogs.get(responseBody.id);
+                    assert.strictEqual(logs.logLevel, 'debug');
+                    assert.ok(logs.messages.some((message) => message.message === 'Saving sys config.'));
+                    resolve();
+                } catch (err) {
+                    reject(err);
+                }
+            };
+
+            restWorker.onPost(restOperationMock);
+        }));
+
+        it('should report the timing and outcome of the handlers in the result', () => new Promise((resolve, reject) => {
+            declaration = {
+                class: 'DO',
+                declaration: {}
+            };
+            const handlers = [
+                {
+                    name: 'SystemHandler',
+                    start: '2022-05-09T18:44:41.123Z',
+                    end: '2022-05-09T18:44:45.623Z',
+                    durationMs: 4500,
+                    iControlCalls: 42,
+                    outcome: 'success'
+                }
+            ];
+            DeclarationHandlerMock.prototype.process = () => Promise.resolve({ handlers });
+
+            restOperationMock.complete = () => {
+                try {
+                    assert.strictEqual(responseBody.result.code, 200);
+                    assert.deepStrictEqual(responseBody.result.handlers, handlers);
+                    assert.ok(restWorker.metrics.toText().indexOf(
+                        'do_handler_duration_seconds_bucket{handler="SystemHandler",outcome="success",le="5"} 1\n'
+                    ) !== -1);
+                    resolve();
+                } catch (err) {
+                    reject(err);
+                }
+            };
+
+            restWorker.onPost(restOperationMock);
+        }));
+
+        it('should dereference json-pointers in the DO wrapper', () => new Promise((resolve, reject) => {
+            declaration = {
+                class: 'DO',
+                targetUsername: '/declaration/Credentials/0/username',
+                targetPassphrase: '/declaration/Credentials/1/password',
+                declaration: {
+                    Credentials: [
+                        { username: 'my user' },
+                        { password: 'my password' }
+                    ]
+                }
+            };
+
+            restOperationMock.complete = () => {
+                try {
+                    assert.strictEqual(bigIpOptionsCalled.user, 'my user');
+                    assert.strictEqual(bigIpOptionsCalled.password, 'my password');
+                    resolve();
+                } catch (err) {
+                    reject(err);
+                }
+            };
+
+            restWorker.onPost(restOperationMock);
+        }));
+
+        it('should handle validation errors', () => new Promise((resolve, reject) => {
+            validatorMock.validate = () => Promise.resolve({
+                isValid: false
+            });
+
+            restOperationMock.complete = () => {
+                try {
+                    assert.strictEqual(responseBody.result.code, 400);
+                    assert.strictEqual(responseBody.result.status, 'ERROR');
+                    assert(responseBody.result.message.includes('bad declaration'));
+                    resolve();
+                } catch (err) {
+                    reject(err);
+                }
+            };
+
+            restWorker.onPost(restOperationMock);
+        }));
+
+        it('should count validation failures by validator', () => new Promise((resolve, reject) => {
+            validatorMock.validate = () => Promise.resolve({
+                isValid: false,
+                errors: ['user1 must have userType regular'],
+                validators: ['UserValidator']
+            });
+
+            restOperationMock.complete = () => {
+                try {
+                    assert.strictEqual(responseBody.result.code, 400);
+                    assert.strictEqual(
+                        restWorker.metrics.getCount('do_validation_failures_total', { validator: 'UserValidator' }),
+                        1
+                    );
+                    resolve();
+                } catch (err) {
+                    reject(err);
+                }
+            };
+
+            restWorker.onPost(restOperationMock);
+        }));
+
+        it('should report formatted validation errors and keep the raw errors', () => new Promise((resolve, reject) => {
+            validatorMock.validate = () => Promise.resolve({
+                isValid: false,
+                errors: [{ keyword: 'maximum', dataPath: ".declaration.Common['external'].tag" }],
+                messages: ['/Common/external/tag: must be integer 1-4094 (VLAN)']
+            });
+
+            restOperationMock.complete = () => {
+                try {
+                    assert.strictEqual(responseBody.result.code, 400);
+                    assert.deepStrictEqual(
+                        responseBody.result.errors,
+                        ['/Common/external/tag: must be integer 1-4094 (VLAN)']
+                    );
+                    assert.deepStrictEqual(
+                        responseBody.result.rawErrors,
+                        [{ keyword: 'maximum', dataPath: ".declaration.Common['external'].tag" }]
+                    );
+                    resolve();
+                } catch (err) {
+                    reject(err);
+                }
+            };
+
+            restWorker.onPost(restOperationMock);
+        }));
+
+        it('should ask for all validation errors if validateAll is true', () => new Promise((resolve, reject) => {
+            let validateOptions;
+            validatorMock.validate = (data, options) => {
+                validateOptions = options;
+                return Promise.resolve({ isValid: false });
+            };
+            restOperationMock.getUri = () => ({
+                query: { validateAll: 'true' }
+            });
+
+            restOperationMock.complete = () => {
+                try {
+                    assert.deepStrictEqual(validateOptions, { all: true });
+                    resolve();
+                } catch (err) {
+                    reject(err);
+                }
+            };
+
+            restWorker.onPost(restOperationMock);
+        }));
+
+        it('should ask for all validation errors if controls.validation is all', () => new Promise((resolve, reject) => {
+            let validateOptions;
+            validatorMock.validate = (data, options) => {
+                validateOptions = options;
+                return Promise.resolve({ isValid: false });
+            };
+            declaration = { controls: { validation: 'all' } };
+
+            restOperationMock.complete = () => {
+                try {
+                    assert.deepStrictEqual(validateOptions, { all: true });
+                    resolve();
+                } catch (err) {
+                    reject(err);
+                }
+            };
+
+            restWorker.onPost(restOperationMock);
+        }));
+
+        it('should resolve templates before validating', () => new Promise((resolve, reject) => {
+            let validatedData;
+            validatorMock.validate = (data) => {
+                validatedData = data;
+                return Promise.resolve({ isValid: false });
+            };
+            declaration = {
+                template: {
+                    class: 'Device',
+                    parameters: {
+                        hostname: 'bigip1.example.com'
+                    },
+                    Common: {
+                        class: 'Tenant',
+                        mySystem: {
+                            class: 'System',
+                            hostname: '{{ hostname }}'
+                        }
+                    }
+                },
+                variables: {
+                    hostname: 'bigip2.example.com'
+                }
+            };
+
+            restOperationMock.complete = () => {
+                try {
+                    assert.deepStrictEqual(
+                        validatedData,
+                        {
+                            class: 'DO',
+                            declaration: {
+                                class: 'Device',
+                                Common: {
+                                    class: 'Tenant',
+                                    mySystem: {
+                                        class: 'System',
+                                        hostname: 'bigip2.example.com'
+                                    }
+                                }
+                            }
+                        }
+                    );
+                    resolve();
+                } catch (err) {
+                    reject(err);
+                }
+            };
+
+            restWorker.onPost(restOperationMock);
+        }));
+
+        it('should report template parameters which are not defined', () => new Promise((resolve, reject) => {
+            let validateCalled = false;
+            validatorMock.validate = () => {
+                validateCalled = true;
+                return Promise.resolve({ isValid: true });
+            };
+            declaration = {
+                class: 'Device',
+                parameters: {},
+                Common: {
+                    class: 'Tenant',
+                    mySystem: {
+                        class: 'System',
+                        hostname: '{{ hostname }}'
+                    }
+                }
+            };
+
+            restOperationMock.complete = () => {
+                try {
+                    assert.strictEqual(responseBody.result.code, 400);
+                    assert.strictEqual(responseBody.result.message, 'bad declaration');
+                    assert.deepStrictEqual(
+                        responseBody.result.errors,
+                        ['/Common/mySystem/hostname: parameter hostname is not defined']
+                    );
+                    assert.strictEqual(validateCalled, false);
+                    resolve();
+                } catch (err) {
+                    reject(err);
+                }
+            };
+
+            restWorker.onPost(restOperationMock);
+        }));
+
+        it('should resolve secret references before validating', () => new Promise((resolve, reject) => {
+            let validatedData;
+            validatorMock.validate = (data) => {
+                validatedData = data;
+                return Promise.resolve({ isValid: false });
+            };
+            process.env.DO_TEST_PASSWORD = 'myPassword';
+            declaration = {
+                class: 'Device',
+                Common: {
+                    class: 'Tenant',
+                    myUser: {
+                        class: 'User',
+                        userType: 'regular',
+                        password: { secretRef: 'env:DO_TEST_PASSWORD' }
+                    }
+                }
+            };
+
+            restOperationMock.complete = () => {
+                delete process.env.DO_TEST_PASSWORD;
+                try {
+                    assert.strictEqual(validatedData.declaration.Common.myUser.password, 'myPassword');
+                    resolve();
+                } catch (err) {
+                    reject(err);
+                }
+            };
+
+            restWorker.onPost(restOperationMock);
+        }));
+
+        it('should store the declaration with its secret references', () => new Promise((resolve, reject) => {
+            validatorMock.validate = () => Promise.resolve({ isValid: false });
+            process.env.DO_TEST_PASSWORD = 'myPassword';
+            declaration = {
+                class: 'Device',
+                Common: {
+                    class: 'Tenant',
+                    myUser: {
+                        class: 'User',
+                        userType: 'regular',
+                        password: { secretRef: 'env:DO_TEST_PASSWORD' }
+                    }
+                }
+            };
+
+            restOperationMock.complete = () => {
+                delete process.env.DO_TEST_PASSWORD;
+                try {
+                    const storedDeclaration = restWorker.state.doState.getDeclaration(responseBody.id);
+                    assert.deepStrictEqual(
+                        storedDeclaration.Common.myUser.password,
+                        { secretRef: 'env:DO_TEST_PASSWORD' }
+                    );
+                    resolve();
+                } catch (err) {
+                    reject(err);
+                }
+            };
+
+            restWorker.onPost(restOperationMock);
+        }));
+
+        it('should report secret references which cannot be resolved', () => new Promise((resolve, reject) => {
+            let validateCalled = false;
+            validatorMock.validate = () => {
+                validateCalled = true;
+                return Promise.resolve({ isValid: true });
+            };
+            declaration = {
+                class: 'Device',
+                Common: {
+                    class: 'Tenant',
+                    myUser: {
+                        class: 'User',
+                        userType: 'regular',
+                        password: { secretRef: 'env:DO_TEST_MISSING' }
+                    }
+                }
+            };
+
+            restOperationMock.complete = () => {
+                try {
+                    assert.strictEqual(responseBody.result.code, 400);
+                    assert.strictEqual(responseBody.result.message, 'bad declaration');
+                    assert.deepStrictEqual(
+                        responseBody.result.errors,
+                        ['/Common/myUser/password: unable to resolve secretRef env:DO_TEST_MISSING: environment variable is not set']
+                    );
+                    assert.strictEqual(validateCalled, false);
+                    resolve();
+                } catch (err) {
+                    reject(err);
+                }
+            };
+
+            restWorker.onPost(restOperationMock);
+        }));
+
+        describe('concurrent declarations', () => {
+            beforeEach(() => {
+                // Something else is holding the local device
+                restWorker.taskQueue.enqueue('localhost', 'runningTask', () => new Promise(() => {}));
+            });
+
+            it('should queue a declaration for a busy target', () => new Promise((resolve, reject) => {
+                declaration = { async: true };
+
+                restOperationMock.complete = () => {
+                    try {
+                        assert.strictEqual(responseBody.result.code, 202);
+                        assert.strictEqual(responseBody.result.status, 'QUEUED');
+                        assert.deepStrictEqual(restWorker.taskQueue.getQueued('localhost'), [responseBody.id]);
+                        assert.strictEqual(getBigIpStub.called, false);
+                        resolve();
+                    } catch (err) {
+                        reject(err);
+                    }
+                };
+
+                restWorker.onPost(restOperationMock);
+            }));
+
+            it('should not queue a declaration for a different target', () => new Promise((resolve, reject) => {
+                declaration = {
+                    class: 'DO',
+                    targetHost: '10.1.1.1',
+                    declaration: {}
+                };
+
+                restOperationMock.complete = () => {
+                    try {
+                        assert.strictEqual(statusCode, 200);
+                        assert.strictEqual(bigIpOptionsCalled.host, '10.1.1.1');
+                        assert.strictEqual(restWorker.state.doState.getTarget(responseBody.id), '10.1.1.1');
+                        resolve();
+                    } catch (err) {
+                        reject(err);
+                    }
+                };
+
+                restWorker.onPost(restOperationMock);
+            }));
+
+            it('should reject a declaration for a busy target if onConflict is reject', () => new Promise((resolve, reject) => {
+                declaration = { controls: { onConflict: 'reject' } };
+
+                restOperationMock.complete = () => {
+                    try {
+                        assert.strictEqual(responseBody.result.code, 409);
+                        assert.strictEqual(responseBody.result.status, 'ERROR');
+                        assert.strictEqual(responseBody.result.message, 'conflict');
+                        assert.deepStrictEqual(restWorker.taskQueue.getQueued('localhost'), []);
+                        resolve();
+                    } catch (err) {
+                        reject(err);
+                    }
+                };
+
+                restWorker.onPost(restOperationMock);
+            }));
+
+            it('should cancel queued declarations if onConflict is cancel-previous', () => new Promise((resolve, reject) => {
+                const responses = [];
+                declaration = {};
+
+                restOperationMock.complete = () => {
+                    responses.push(responseBody);
+                    if (responses.length < 2) {
+                        return;
+                    }
+                    try {
+                        const cancelled = responses.find((response) => response.result.message === 'cancelled');
+                        const queued = responses.find((response) => response.result.status === 'QUEUED');
+                        assert.ok(cancelled);
+                        assert.ok(queued);
+                        assert.strictEqual(cancelled.result.code, 409);
+                        assert.deepStrictEqual(restWorker.taskQueue.getQueued('localhost'), [queued.id]);
+                        resolve();
+                    } catch (err) {
+                        reject(err);
+                    }
+                };
+
+                // The first declaration is queued and its response is pending until it is cancelled
+                restWorker.onPost(restOperationMock);
+                setImmediate(() => {
+                    declaration = { async: true, controls: { onConflict: 'cancel-previous' } };
+                    restWorker.onPost(restOperationMock);
+                });
+            }));
+            it('should cancel the running declaration if onConflict is cancel-previous', () => new Promise((resolve, reject) => {
+                const runningTaskId = restWorker.state.doState.addTask();
+                restWorker.state.doState.updateResult(runningTaskId, 202, 'RUNNING', 'processing');
+                restWorker.taskQueue.enqueue('10.1.1.1', runningTaskId, () => new Promise(() => {}));
+                declaration = {
+                    class: 'DO',
+                    targetHost: '10.1.1.1',
+                    declaration: { async: true, controls: { onConflict: 'cancel-previous' } }
+                };
+
+                restOperationMock.complete = () => {
+                    try {
+                        assert.strictEqual(responseBody.result.status, 'QUEUED');
+                        assert.strictEqual(restWorker.state.doState.getStatus(runningTaskId), 'CANCELLING');
+                        assert.deepStrictEqual(
+                            restWorker.state.doState.getCancelRequest(runningTaskId),
+                            { rollback: false }
+                        );
+                        resolve();
+                    } catch (err) {
+                        reject(err);
+                    }
+                };
+
+                restWorker.onPost(restOperationMock);
+            }));
+        });
+
+        it('should handle missing content header with valid content', () => new Promise((resolve, reject) => {
+            restOperationMock.complete = () => {
+                try {
+                    assert.strictEqual(statusCode, 200);
+                    resolve();
+                } catch (err) {
+                    reject(err);
+                }
+            };
+
+            restOperationMock.getContentType = () => {};
+            restOperationMock.getBody = () => '{}';
+
+            restWorker.onPost(restOperationMock);
+        }));
+
+        it('should handle the charset in the Content-Type header', () => new Promise((resolve, reject) => {
+            restOperationMock.complete = () => {
+                try {
+                    assert.strictEqual(statusCode, 200);
+                    resolve();
+                } catch (err) {
+                    reject(err);
+                }
+            };
+
+            restOperationMock.getContentType = () => 'application/json; charset=UTF-8';
+
+            restWorker.onPost(restOperationMock);
+        }));
+
+        it('should handle missing content header with invalid content', () => new Promise((resolve, reject) => {
+            restOperationMock.complete = () => {
+                try {
+                    assert.strictEqual(responseBody.result.code, 400);
+                    assert.strictEqual(responseBody.result.status, 'ERROR');
+                    assert(responseBody.result.message.includes('bad declaration'));
+                    assert(responseBody.result.errors[0].includes('Should be JSON format'));
+                    resolve();
+                } catch (err) {
+                    reject(err);
+                }
+            };
+
+            restOperationMock.getContentType = () => {};
+            restOperationMock.getBody = () => 'foobar';
+
+            restWorker.onPost(restOperationMock);
+        }));
+
+        it('should handle failure to get/initialize a device', () => new Promise((resolve, reject) => {
+            getBigIpStub.restore();
+            sinon.stub(doUtilMock, 'getBigIp').callsFake(() => {
+                const error = new Error('failed to initialize');
+                error.code = 503;
+                return Promise.reject(error);
+            });
+            restOperationMock.complete = () => {
+                try {
+                    assert.strictEqual(responseBody.result.code, 503);
+                    assert.strictEqual(responseBody.result.status, 'ERROR');
+                    assert.notStrictEqual(responseBody.result.errors.indexOf('failed to initialize'), -1);
+                    resolve();
+                } catch (err) {
+                    reject(err);
+                }
+            };
+
+            restWorker.onPost(restOperationMock);
+        }));
+
+        it('should add defaults to the declaration', () => new Promise((resolve, reject) => {
+            declaration = {
+                schemaVersion: '1.0.0',
+                class: 'Device',
+                Common: {
+                    mySelfIp: {
+                        class: 'SelfIp',
+                        address: '1.2.3.4',
+                        vlan: 'foo'
+                    }
+                }
+            };
+            restWorker.validator = new RealValidator();
+
+            restOperationMock.complete = () => {
+                try {
+                    const state = restWorker.state.doState;
+                    const taskId = Object.keys(state.tasks)[0];
+                    assert.strictEqual(
+                        state.tasks[taskId].internalDeclaration.Common.mySelfIp.trafficGroup,
+                        'traffic-group-local-only'
+                    );
+                    resolve();
+                } catch (err) {
+                    reject(err);
+                }
+            };
+
+            restWorker.onPost(restOperationMock);
+        }));
+
+        it('should save sys config', () => new Promise((resolve, reject) => {
+            restOperationMock.complete = () => {
+                try {
+                    assert.ok(saveCalled);
+                    resolve();
+                } catch (err) {
+                    reject(err);
+                }
+            };
+
+            restWorker.onPost(restOperationMock);
+        }));
+
+        it('should not save sys config if dry run', () => new Promise((resolve, reject) => {
+            declaration = {
+                schemaVersion: '1.0.0',
+                class: 'Device',
+                controls: {
+                    dryRun: true
+                },
+                Common: {}
+            };
+            restOperationMock.complete = () => {
+                try {
+                    assert.strictEqual(saveCalled, false);
+                    resolve();
+                } catch (err) {
+                    reject(err);
+                }
+            };
+
+            restWorker.onPost(restOperationMock);
+        }));
+
+        it('should save state', () => new Promise((resolve, reject) => {
+            restOperationMock.complete = () => {
+                try {
+                    assert.ok(saveStateCalled, 'State should have been saved');
+                    resolve();
+                } catch (err) {
+                    reject(err);
+                }
+            };
+
+            restWorker.onPost(restOperationMock);
+        }));
+
+        it('should set status to rebooting if reboot is required', () => new Promise((resolve, reject) => {
+            doUtilMock.rebootRequired.restore();
+            sinon.stub(doUtilMock, 'rebootRequired').resolves(true);
+            restOperationMock.complete = () => {
+                try {
+                    assert.strictEqual(responseBody.result.status, 'REBOOTING');
+                    assert.ok(saveStateCalled, 'State should have been saved after updating');
+                    assert.strictEqual(restWorker.metrics.getCount('do_reboots_total'), 1);
+                    resolve();
+                } catch (err) {
+                    reject(err);
+                }
+            };
+
+            restWorker.onPost(restOperationMock);
+        }));
+
+        it('should hold the local target in the task queue while rebooting', () => new Promise((resolve, reject) => {
+            doUtilMock.rebootRequired.restore();
+            sinon.stub(doUtilMock, 'rebootRequired').resolves(true);
+            restOperationMock.complete = () => {
+                const taskId = responseBody.id;
+                setTimeout(() => {
+                    try {
+                        assert.strictEqual(restWorker.state.doState.getStatus(taskId), 'REBOOTING');
+                        assert.strictEqual(restWorker.taskQueue.getRunning('localhost'), taskId);
+                        resolve();
+                    } catch (err) {
+                        reject(err);
+                    }
+                }, 10);
+            };
+
+            restWorker.onPost(restOperationMock);
+        }));
+
+        it('should fail the task and release the local target if the reboot does not happen', () => {
+            const clock = sinon.useFakeTimers({ toFake: ['setTimeout'] });
+            doUtilMock.rebootRequired.restore();
+            sinon.stub(doUtilMock, 'rebootRequired').resolves(true);
+
+            return new Promise((resolve) => {
+                restOperationMock.complete = resolve;
+                restWorker.onPost(restOperationMock);
+            })
+                .then(() => new Promise((resolve) => {
+                    setImmediate(resolve);
+                }))
+                .then(() => {
+                    assert.strictEqual(restWorker.taskQueue.isBusy('localhost'), true);
+                    clock.tick(30 * 60 * 1000);
+                    return new Promise((resolve) => {
+                        setImmediate(resolve);
+                    });
+                })
+                .then(() => {
+                    const taskId = responseBody.id;
+                    assert.strictEqual(restWorker.state.doState.getStatus(taskId), 'ERROR');
+                    assert.strictEqual(restWorker.state.doState.getMessage(taskId), 'reboot timed out');
+                    assert.strictEqual(restWorker.taskQueue.isBusy('localhost'), false);
+                });
+        });
+
+        it('should wait for a remote target to reboot before releasing it', () => {
+            const clock = sinon.useFakeTimers({ toFake: ['setTimeout'] });
+            doUtilMock.rebootRequired.restore();
+            sinon.stub(doUtilMock, 'rebootRequired').resolves(true);
+            bigIpMock.ready = sinon.stub().resolves();
+            declaration = {
+                class: 'DO',
+                targetHost: '10.1.1.1',
+                declaration: {}
+            };
+
+            return new Promise((resolve) => {
+                restOperationMock.complete = resolve;
+                restWorker.onPost(restOperationMock);
+            })
+                .then(() => {
+                    assert.strictEqual(restWorker.taskQueue.isBusy('10.1.1.1'), true);
+                    clock.tick(10000);
+                    return new Promise((resolve) => {
+                        setImmediate(resolve);
+                    });
+                })
+                .then(() => {
+                    assert.strictEqual(bigIpMock.ready.calledOnce, true);
+                    assert.strictEqual(restWorker.state.doState.getStatus(responseBody.id), 'OK');
+                    assert.strictEqual(restWorker.taskQueue.isBusy('10.1.1.1'), false);
+                });
+        });
+
+        it('should set status to rolled back if an error occurs', () => {
+            const rollbackReason = 'this it the rollback reason';
+            let processCallCount = 0;
+            return new Promise((resolve, reject) => {
+                DeclarationHandlerMock.prototype.process = () => {
+                    // For this test, we want to reject the first call to simulate
+                    // an error but resolve the second call to simulate successful
+                    // rollback
+                    processCallCount += 1;
+                    if (processCallCount === 1) {
+                        return Promise.reject(new Error(rollbackReason));
+                    }
+                    return Promise.resolve();
+                };
+
+                restOperationMock.complete = () => {
+                    try {
+                        assert.strictEqual(responseBody.result.status, 'ERROR');
+                        assert(responseBody.result.message.includes('rolled back'));
+                        assert.strictEqual(responseBody.result.errors[0], 'this it the rollback reason');
+                        assert.strictEqual(restWorker.metrics.getCount('do_rollbacks_total', { reason: 'failed' }), 1);
+                        resolve();
+                    } catch (err) {
+                        reject(err);
+                    }
+                };
+
+                restWorker.onPost(restOperationMock);
+            });
+        });
+
+        it('should set task status to [running -> rolling back -> error] if an error occurs', () => {
+            const rollbackReason = 'verify rollback in progress';
+            let processCallCount = 0;
+
+            return new Promise((resolve, reject) => {
+                DeclarationHandlerMock.prototype.process = () => {
+                    // For this test, we want to reject the first call to simulate
+                    // an error but resolve the second call to simulate successful
+                    // rollback
+                    processCallCount += 1;
+                    if (processCallCount === 1) {
+                        return Promise.reject(new Error(rollbackReason));
+                    }
+                    return Promise.resolve();
+                };
+
+                restOperationMock.complete = () => {
+                    try {
+                        const runningArgs = updateResultSpy.getCall(0).args;
+                        const rollingBackArgs = updateResultSpy.getCall(1).args;
+                        const rolledBackArgs = updateResultSpy.getCall(2).args;
+
+                        assert.deepStrictEqual(runningArgs[1], 202);
+                        assert.deepStrictEqual(runningArgs[2], 'RUNNING');
+
+                        assert.deepStrictEqual(rollingBackArgs[1], 202);
+                        assert.deepStrictEqual(rollingBackArgs[2], 'ROLLING_BACK');
+
+                        assert.deepStrictEqual(rolledBackArgs[1], 500);
+                        assert.deepStrictEqual(rolledBackArgs[2], 'ERROR');
+                        resolve();
+                    } catch (err) {
+                        reject(err);
+                    }
+                };
+
+                restWorker.onPost(restOperationMock);
+            });
+        });
+
+        it('should report that rollback failed', () => {
+            const rollbackReason = 'this it the rollback reason';
+            const rollbackFailReason = 'this is the rollback fail reason';
+            let proccessCallCount = 0;
+            return new Promise((resolve, reject) => {
+                DeclarationHandlerMock.prototype.process = () => {
+                    // For this test, we want to reject the first call to simulate
+                    // an error but resolve the second call to simulate successful
+                    // rollback
+                    proccessCallCount += 1;
+                    if (proccessCallCount === 1) {
+                        return Promise.reject(new Error(rollbackReason));
+                    }
+                    return Promise.reject(new Error(rollbackFailReason));
+                };
+
+                restOperationMock.complete = () => {
+                    try {
+                        assert.strictEqual(responseBody.result.status, 'ERROR');
+                        assert(responseBody.result.message.includes('rollback failed'));
+                        assert.strictEqual(responseBody.result.errors[0], 'this it the rollback reason');
+                        assert.strictEqual(responseBody.result.errors[1], 'this is the rollback fail reason');
+                        resolve();
+                    } catch (err) {
+                        reject(err);
+                    }
+                };
+
+                restWorker.onPost(restOperationMock);
+            });
+        });
+
+        describe('validate', () => {
+            beforeEach(() => {
+                restOperationMock.getUri = () => ({
+                    pathname: '/shared/declarative-onboarding/validate',
+                    query: {}
+                });
+            });
+
+            it('should validate without creating a task or contacting the device', () => new Promise((resolve, reject) => {
+                let validatedData;
+                validatorMock.validate = (data) => {
+                    validatedData = data;
+                    return Promise.resolve({ isValid: true });
+                };
+                declaration = { schemaVersion: '1.0.0', class: 'Device' };
+
+                restOperationMock.complete = () => {
+                    try {
+                        assert.strictEqual(statusCode, 200);
+                        assert.strictEqual(responseBody.result.code, 200);
+                        assert.strictEqual(responseBody.isValid, true);
+                        assert.deepStrictEqual(
+                            validatedData,
+                            { class: 'DO', declaration: { schemaVersion: '1.0.0', class: 'Device' } }
+                        );
+                        assert.strictEqual(restWorker.state.doState.getTaskIds().length, 0);
+                        assert.strictEqual(saveStateCalled, false);
+                        assert.strictEqual(getBigIpStub.called, false);
+                        resolve();
+                    } catch (err) {
+                        reject(err);
+                    }
+                };
+
+                restWorker.onPost(restOperationMock);
+            }));
+
+            it('should report validation errors', () => new Promise((resolve, reject) => {
+                let validateOptions;
+                validatorMock.validate = (data, options) => {
+                    validateOptions = options;
+                    return Promise.resolve({
+                        isValid: false,
+                        errors: [{ keyword: 'maximum', dataPath: ".declaration.Common['external'].tag" }],
+                        messages: ['/Common/external/tag: must be integer 1-4094 (VLAN)']
+                    });
+                };
+                restOperationMock.getUri = () => ({
+                    pathname: '/shared/declarative-onboarding/validate',
+                    query: { validateAll: 'true' }
+                });
+
+                restOperationMock.complete = () => {
+                    try {
+                        assert.strictEqual(statusCode, 400);
+                        assert.deepStrictEqual(validateOptions, { all: true });
+                        assert.strictEqual(responseBody.isValid, false);
+                        assert.deepStrictEqual(
+                            responseBody.result.errors,
+                            ['/Common/external/tag: must be integer 1-4094 (VLAN)']
+                        );
+                        assert.strictEqual(restWorker.state.doState.getTaskIds().length, 0);
+                        assert.strictEqual(saveStateCalled, false);
+                        resolve();
+                    } catch (err) {
+                        reject(err);
+                    }
+                };
+
+                restWorker.onPost(restOperationMock);
+            }));
+        });
+
+        describe('convert', () => {
+            beforeEach(() => {
+                validatorMock.validate = () => Promise.resolve({ isValid: true });
+            });
+
+            it('should convert without creating a task or contacting the device', () => new Promise((resolve, reject) => {
+                restOperationMock.getUri = () => ({
+                    pathname: '/shared/declarative-onboarding/convert',
+                    query: { toVersion: '1.29.0' }
+                });
+                declaration = {
+                    schemaVersion: '1.0.0',
+                    class: 'Device',
+                    Common: {
+                        class: 'Tenant',
+                        hostname: 'bigip.example.com'
+                    }
+                };
+
+                restOperationMock.complete = () => {
+                    try {
+                        assert.strictEqual(statusCode, 200);
+                        assert.strictEqual(responseBody.result.code, 200);
+                        assert.deepStrictEqual(
+                            responseBody.declaration,
+                            {
+                                schemaVersion: '1.29.0',
+                                class: 'Device',
+                                Common: {
+                                    class: 'Tenant',
+                                    system: {
+                                        class: 'System',
+                                        hostname: 'bigip.example.com'
+                                    }
+                                }
+                            }
+                        );
+                        assert.strictEqual(restWorker.state.doState.getTaskIds().length, 0);
+                        assert.strictEqual(saveStateCalled, false);
+                        assert.strictEqual(getBigIpStub.called, false);
+                        resolve();
+                    } catch (err) {
+                        reject(err);
+                    }
+                };
+
+                restWorker.onPost(restOperationMock);
+            }));
+
+            it('should report classes the target version does not have', () => new Promise((resolve, reject) => {
+                restOperationMock.getUri = () => ({
+                    pathname: '/shared/declarative-onboarding/convert',
+                    query: { toVersion: '1.6.0' }
+                });
+                declaration = {
+                    schemaVersion: '1.29.0',
+                    class: 'Device',
+                    Common: {
+                        class: 'Tenant',
+                        myTrunk: {
+                            class: 'Trunk'
+                        }
+                    }
+                };
+
+                restOperationMock.complete = () => {
+                    try {
+                        assert.strictEqual(statusCode, 422);
+                        assert.deepStrictEqual(
+                            responseBody.result.errors,
+                            ['/Common/myTrunk: class Trunk requires schema version 1.7.0 or later']
+                        );
+                        resolve();
+                    } catch (err) {
+                        reject(err);
+                    }
+                };
+
+                restWorker.onPost(restOperationMock);
+            }));
+        });
+
+        describe('settings', () => {
+            beforeEach(() => {
+                restOperationMock.getUri = () => ({
+                    pathname: '/shared/declarative-onboarding/settings'
+                });
+            });
+
+            it('should change and save the settings', () => new Promise((resolve, reject) => {
+                declaration = { maxTaskCount: 10, keepTraces: false };
+
+                restOperationMock.complete = () => {
+                    try {
+                        assert.strictEqual(statusCode, 200);
+                        assert.strictEqual(responseBody.maxTaskCount, 10);
+                        assert.strictEqual(responseBody.keepTraces, false);
+                        assert.strictEqual(responseBody.keepCurrentConfig, true);
+                        assert.strictEqual(restWorker.state.doState.getSettings().maxTaskCount, 10);
+                        assert.strictEqual(restWorker.state.doState.getTaskIds().length, 0);
+                        assert.ok(saveStateCalled, 'State should have been saved');
+                        resolve();
+                    } catch (err) {
+                        reject(err);
+                    }
+                };
+
+                restWorker.onPost(restOperationMock);
+            }));
+
+            it('should switch the log format', () => new Promise((resolve, reject) => {
+                declaration = { logFormat: 'json' };
+
+                restOperationMock.complete = () => {
+                    try {
+                        assert.strictEqual(statusCode, 200);
+                        assert.strictEqual(Logger.getFormat(), 'json');
+                        resolve();
+                    } catch (err) {
+                        reject(err);
+                    } finally {
+                        Logger.setFormat('text');
+                    }
+                };
+
+                restWorker.onPost(restOperationMock);
+            }));
+
+            it('should not change the settings if any are not valid', () => new Promise((resolve, reject) => {
+                declaration = { maxTaskCount: 10, keepTraces: 'no' };
+
+                restOperationMock.complete = () => {
+                    try {
+                        assert.strictEqual(statusCode, 400);
+                        assert.strictEqual(responseBody.result.message, 'bad settings');
+                        assert.deepStrictEqual(responseBody.result.errors, ['/keepTraces: must be boolean']);
+                        assert.strictEqual(restWorker.state.doState.getSettings().maxTaskCount, null);
+                        assert.strictEqual(saveStateCalled, false);
+                        resolve();
+                    } catch (err) {
+                        reject(err);
+                    }
+                };
+
+                restWorker.onPost(restOperationMock);
+            }));
+
+            it('should get the settings', () => new Promise((resolve, reject) => {
+                restWorker.state.doState.setSettings({ maxTaskAgeDays: 3 });
+
+                restOperationMock.complete = () => {
+                    try {
+                        assert.strictEqual(statusCode, 200);
+                        assert.strictEqual(responseBody.maxTaskAgeDays, 3);
+                        resolve();
+                    } catch (err) {
+                        reject(err);
+                    }
+                };
+
+                restWorker.onGet(restOperationMock);
+            }));
+
+            it('should show the settings in the info', () => new Promise((resolve, reject) => {
+                restWorker.state.doState.setSettings({ teemEnabled: false });
+                restOperationMock.getUri = () => ({
+                    pathname: '/shared/declarative-onboarding/info'
+                });
+
+                restOperationMock.complete = () => {
+                    try {
+                        assert.strictEqual(statusCode, 200);
+                        assert.strictEqual(responseBody[0].settings.teemEnabled, false);
+                        assert.strictEqual(responseBody[0].settings.inspectTimeoutMs, 60000);
+                        resolve();
+                    } catch (err) {
+                        reject(err);
+                    }
+                };
+
+                restWorker.onGet(restOperationMock);
+            }));
+        });
+
+        describe('rollback to a previous task', () => {
+            let sourceTaskId;
+
+            beforeEach(() => {
+                sourceTaskId = restWorker.state.doState.addTask();
+                restOperationMock.getUri = () => ({
+                    pathname: `/shared/declarative-onboarding/task/${sourceTaskId}/rollback`,
+                    query: {}
+                });
+            });
+
+            it('should re-apply the initial config of the task', () => new Promise((resolve, reject) => {
+                const initialConfig = { parsed: true, Common: { hostname: 'before.example.com' } };
+                let processedDeclaration;
+                restWorker.state.doState.setInitialConfig(sourceTaskId, initialConfig);
+                DeclarationHandlerMock.prototype.process = (decl) => {
+                    processedDeclaration = decl;
+                    return Promise.resolve({});
+                };
+
+                restOperationMock.complete = () => {
+                    try {
+                        assert.deepStrictEqual(processedDeclaration, initialConfig);
+                        assert.notStrictEqual(responseBody.id, sourceTaskId);
+                        assert.strictEqual(responseBody.rollbackOf, sourceTaskId);
+                        assert.strictEqual(responseBody.result.code, 200);
+                        assert.strictEqual(responseBody.result.status, 'OK');
+                        assert.ok(saveCalled, 'sys config should have been saved');
+                        assert.strictEqual(
+                            restWorker.metrics.getCount('do_rollbacks_total', { reason: 'requested' }),
+                            1
+                        );
+                        resolve();
+                    } catch (err) {
+                        reject(err);
+                    }
+                };
+
+                restWorker.onPost(restOperationMock);
+            }));
+
+            it('should roll back the device the task ran against', () => new Promise((resolve, reject) => {
+                restWorker.state.doState.setInitialConfig(sourceTaskId, { parsed: true, Common: {} });
+                restWorker.state.doState.setTarget(sourceTaskId, '10.1.1.1:8443');
+                declaration = {};
+
+                restOperationMock.complete = () => {
+                    try {
+                        assert.strictEqual(bigIpOptionsCalled.host, '10.1.1.1');
+                        assert.strictEqual(bigIpOptionsCalled.port, 8443);
+                        assert.strictEqual(restWorker.state.doState.getTarget(responseBody.id), '10.1.1.1:8443');
+                        resolve();
+                    } catch (err) {
+                        reject(err);
+                    }
+                };
+
+                restWorker.onPost(restOperationMock);
+            }));
+
+            it('should return 422 if the target is not the one the task ran against', () => new Promise((resolve, reject) => {
+                restWorker.state.doState.setInitialConfig(sourceTaskId, { parsed: true, Common: {} });
+                restWorker.state.doState.setTarget(sourceTaskId, '10.1.1.1');
+                declaration = { targetHost: '10.2.2.2', targetUsername: 'admin', targetPassphrase: 'admin' };
+
+                restOperationMock.complete = () => {
+                    try {
+                        assert.strictEqual(statusCode, 422);
+                        assert.strictEqual(getBigIpStub.called, false);
+                        assert.strictEqual(restWorker.state.doState.getTaskIds().length, 1);
+                        resolve();
+                    } catch (err) {
+                        reject(err);
+                    }
+                };
+
+                restWorker.onPost(restOperationMock);
+            }));
+
+            it('should accept the target port of a task recorded without one', () => new Promise((resolve, reject) => {
+                restWorker.state.doState.setInitialConfig(sourceTaskId, { parsed: true, Common: {} });
+                restWorker.state.doState.setTarget(sourceTaskId, '10.1.1.1');
+                declaration = { targetHost: '10.1.1.1', targetPort: 8443 };
+
+                restOperationMock.complete = () => {
+                    try {
+                        assert.strictEqual(responseBody.rollbackOf, sourceTaskId);
+                        assert.strictEqual(bigIpOptionsCalled.port, 8443);
+                        resolve();
+                    } catch (err) {
+                        reject(err);
+                    }
+                };
+
+                restWorker.onPost(restOperationMock);
+            }));
+
+            it('should return 422 if the task has no initial config', () => new Promise((resolve, reject) => {
+                restOperationMock.complete = () => {
+                    try {
+                        assert.strictEqual(statusCode, 422);
+                        assert.strictEqual(restWorker.state.doState.getTaskIds().length, 1);
+                        resolve();
+                    } catch (err) {
+                        reject(err);
+                    }
+                };
+
+                restWorker.onPost(restOperationMock);
+            }));
+
+            it('should return 404 for a non-existing task', () => new Promise((resolve, reject) => {
+                restOperationMock.getUri = () => ({
+                    pathname: '/shared/declarative-onboarding/task/9999/rollback',
+                    query: {}
+                });
+                restOperationMock.complete = () => {
+                    try {
+                        assert.strictEqual(statusCode, 404);
+                        resolve();
+                    } catch (err) {
+                        reject(err);
+                    }
+                };
+
+                restWorker.onPost(restOperationMock);
+            }));
+        });
+
+        describe('cancellation', () => {
+            let processCallCount;
+
+            function cancel(rollback) {
+                processCallCount = 0;
+                DeclarationHandlerMock.prototype.process = (decl, state) => {
+                    processCallCount += 1;
+                    if (processCallCount === 1) {
+                        state.cancelRequest = { rollback };
+                        const error = new Error('Task cancelled. Completed handlers: SystemHandler');
+                        error.code = 409;
+                        error.cancelled = true;
+                        error.completedHandlers = ['SystemHandler'];
+                        error.handlers = [{ name: 'SystemHandler', outcome: 'success' }];
+                        return Promise.reject(error);
+                    }
+                    return Promise.resolve({ handlers: [{ name: 'NetworkHandler', outcome: 'success' }] });
+                };
+            }
+
+            it('should stop without rolling back', () => new Promise((resolve, reject) => {
+                cancel(false);
+
+                restOperationMock.complete = () => {
+                    try {
+                        assert.strictEqual(processCallCount, 1);
+                        assert.strictEqual(responseBody.result.code, 409);
+                        assert.strictEqual(responseBody.result.status, 'ERROR');
+                        assert.strictEqual(responseBody.result.message, 'cancelled');
+                        assert.deepStrictEqual(responseBody.result.completedHandlers, ['SystemHandler']);
+                        assert.strictEqual(restWorker.state.doState.getCancelRequest(responseBody.id), undefined);
+                        resolve();
+                    } catch (err) {
+                        reject(err);
+                    }
+                };
+
+                restWorker.onPost(restOperationMock);
+            }));
+
+            it('should roll back if requested', () => new Promise((resolve, reject) => {
+                cancel(true);
+
+                restOperationMock.complete = () => {
+                    try {
+                        assert.strictEqual(processCallCount, 2);
+                        assert.strictEqual(responseBody.result.code, 409);
+                        assert.strictEqual(responseBody.result.status, 'ERROR');
+                        assert.strictEqual(responseBody.result.message, 'cancelled - rolled back');
+                        assert.deepStrictEqual(responseBody.result.completedHandlers, ['SystemHandler']);
+                        assert.deepStrictEqual(
+                            responseBody.result.handlers,
+                            [{ name: 'SystemHandler', outcome: 'success' }],
+                            'should report the handlers of the task, not of the rollback'
+                        );
+                        resolve();
+                    } catch (err) {
+                        reject(err);
+                    }
+                };
+
+                restWorker.onPost(restOperationMock);
+            }));
+        });
+
+        describe('remediation', () => {
+            let clock;
+            let postedBodies;
+
+            function waitForPromises() {
+                return new Promise((resolve) => {
+                    setImmediate(resolve);
+                });
+            }
+
+            function applyDeclaration() {
+                return new Promise((resolve) => {
+                    restOperationMock.complete = resolve;
+                    restWorker.onPost(restOperationMock);
+                })
+                    // the task is still finishing up when the response is sent
+                    .then(() => waitForPromises());
+            }
+
+            beforeEach(() => {
+                clock = sinon.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+                postedBodies = [];
+
+                const remediationRestOperation = {
+                    setUri() { return this; },
+                    setIsSetBasicAuthHeader() { return this; },
+                    setContentType() { return this; },
+                    setBody(body) {
+                        postedBodies.push(body);
+                        return this;
+                    }
+                };
+                restWorker.restOperationFactory = {
+                    createRestOperationInstance() {
+                        return remediationRestOperation;
+                    }
+                };
+                restWorker.restHelper = {
+                    makeRestnodedUri(path) {
+                        return `http://localhost:8100/mgmt${path}`;
+                    }
+                };
+                restWorker.restRequestSender = {
+                    sendPost: sinon.stub().resolves()
+                };
+                declaration = {
+                    controls: {
+                        userAgent: 'my-tool',
+                        remediation: { mode: 'always', interval: 5 }
+                    },
+                    Common: {}
+                };
+            });
+
+            afterEach(() => {
+                clearTimeout(restWorker.remediationTimer);
+            });
+
+            it('should re-apply the last declaration with the reconciliation userAgent', () => applyDeclaration()
+                .then(() => {
+                    clock.tick(4 * 60 * 1000);
+                    assert.strictEqual(restWorker.restRequestSender.sendPost.called, false);
+                    clock.tick(60 * 1000);
+                    return waitForPromises();
+                })
+                .then(() => {
+                    assert.strictEqual(restWorker.restRequestSender.sendPost.calledOnce, true);
+                    assert.deepStrictEqual(
+                        postedBodies[0],
+                        {
+                            controls: {
+                                userAgent: 'DO-reconciliation',
+                                remediation: { mode: 'always', interval: 5 }
+                            },
+                            Common: {}
+                        }
+                    );
+                }));
+
+            it('should only re-apply the declaration on drift if mode is onDrift', () => {
+                const driftStub = sinon.stub(DriftHandlerMock.prototype, 'process').resolves({ hasDrift: false });
+                declaration.controls.remediation.mode = 'onDrift';
+
+                return applyDeclaration()
+                    .then(() => {
+                        clock.tick(5 * 60 * 1000);
+                        return waitForPromises();
+                    })
+                    .then(() => {
+                        assert.strictEqual(driftStub.calledOnce, true);
+                        assert.strictEqual(restWorker.restRequestSender.sendPost.called, false);
+
+                        driftStub.resolves({ hasDrift: true });
+                        clock.tick(5 * 60 * 1000);
+                        return waitForPromises();
+                    })
+                    .then(() => {
+                        assert.strictEqual(driftStub.calledTwice, true);
+                        assert.strictEqual(restWorker.restRequestSender.sendPost.calledOnce, true);
+                    });
+            });
+
+            it('should not remediate if secrets were not stored with the declaration', () => {
+                declaration.Common = {
+                    admin: { class: 'User', userType: 'regular', password: 'myPassword' }
+                };
+
+                return applyDeclaration()
+                    .then(() => {
+                        assert.deepStrictEqual(responseBody.maskedSecrets, ['/Common/admin/password']);
+                        assert.strictEqual(restWorker.remediationTimer, null);
+                    });
+            });
+
+            it('should remediate if secrets were given as secret references', () => {
+                declaration.Common = {
+                    admin: { class: 'User', userType: 'regular', password: { secretRef: 'env:DO_TEST_PASSWORD' } }
+                };
+                process.env.DO_TEST_PASSWORD = 'myPassword';
+
+                return applyDeclaration()
+                    .then(() => {
+                        assert.strictEqual(responseBody.maskedSecrets, undefined);
+                        clock.tick(5 * 60 * 1000);
+                        return waitForPromises();
+                    })
+                    .then(() => {
+                        assert.strictEqual(restWorker.restRequestSender.sendPost.calledOnce, true);
+                        assert.deepStrictEqual(
+                            postedBodies[0].Common.admin.password,
+                            { secretRef: 'env:DO_TEST_PASSWORD' }
+                        );
+                    })
+                    .finally(() => {
+                        delete process.env.DO_TEST_PASSWORD;
+                    });
+            });
+
+            it('should skip remediation while a declaration is being processed', () => applyDeclaration()
+                .then(() => {
+                    restWorker.taskQueue.enqueue('localhost', 'runningTask', () => new Promise(() => {}));
+                    clock.tick(5 * 60 * 1000);
+                    return waitForPromises();
+                })
+                .then(() => {
+                    assert.strictEqual(restWorker.restRequestSender.sendPost.called, false);
+                    assert.notStrictEqual(restWorker.remediationTimer, null);
+                }));
+
+            it('should patch, check drift and remediate against the task a rollback returned to', () => {
+                let firstTaskId;
+                let secondTaskId;
+                let processedDeclaration;
+                let driftDeclaration;
+                declaration.Common = { hostname: 'first.example.com' };
+
+                return applyDeclaration()
+                    .then(() => {
+                        firstTaskId = responseBody.id;
+                        declaration = { Common: { hostname: 'second.example.com' } };
+                        return applyDeclaration();
+                    })
+                    .then(() => {
+                        secondTaskId = responseBody.id;
+                        assert.strictEqual(restWorker.remediationTimer, null);
+                        restWorker.state.doState.setInitialConfig(secondTaskId, { parsed: true, Common: {} });
+                        restOperationMock.getUri = () => ({
+                            pathname: `/shared/declarative-onboarding/task/${secondTaskId}/rollback`,
+                            query: {}
+                        });
+                        declaration = {};
+                        return applyDeclaration();
+                    })
+                    .then(() => {
+                        assert.strictEqual(responseBody.rollbackOf, secondTaskId);
+                        assert.strictEqual(responseBody.result.status, 'OK');
+                        assert.strictEqual(restWorker.state.doState.getLastSuccessfulTaskId(), firstTaskId);
+
+                        clock.tick(5 * 60 * 1000);
+                        return waitForPromises();
+                    })
+                    .then(() => {
+                        assert.strictEqual(restWorker.restRequestSender.sendPost.calledOnce, true);
+                        assert.strictEqual(postedBodies[0].Common.hostname, 'first.example.com');
+
+                        sinon.stub(DeclarationHandlerMock.prototype, 'getDiffs').callsFake((decl) => {
+                            driftDeclaration = decl;
+                            return Promise.resolve([]);
+                        });
+                        restOperationMock.getUri = () => ({
+                            pathname: '/shared/declarative-onboarding/drift',
+                            query: {}
+                        });
+                        return new Promise((resolve) => {
+                            restOperationMock.complete = resolve;
+                            restWorker.onGet(restOperationMock);
+                        });
+                    })
+                    .then(() => {
+                        assert.strictEqual(statusCode, 200);
+                        assert.strictEqual(driftDeclaration.Common.hostname, 'first.example.com');
+
+                        DeclarationHandlerMock.prototype.process = (decl) => {
+                            processedDeclaration = decl;
+                            return Promise.resolve({});
+                        };
+                        restOperationMock.getMethod = () => 'Patch';
+                        restOperationMock.getUri = () => ({
+                            pathname: '/shared/declarative-onboarding',
+                            query: {}
+                        });
+                        declaration = JSON.stringify([
+                            { op: 'add', path: '/Common/myDns', value: { class: 'DNS', nameServers: ['1.2.3.4'] } }
+                        ]);
+                        return new Promise((resolve) => {
+                            restOperationMock.complete = resolve;
+                            restWorker.onPatch(restOperationMock);
+                        });
+                    })
+                    .then(() => {
+                        assert.strictEqual(statusCode, 200);
+                        assert.strictEqual(processedDeclaration.Common.hostname, 'first.example.com');
+                        assert.deepStrictEqual(processedDeclaration.Common.myDns, { class: 'DNS', nameServers: ['1.2.3.4'] });
+                    });
+            });
+
+            it('should stop remediation when a declaration without it is applied', () => applyDeclaration()
+                .then(() => {
+                    assert.notStrictEqual(restWorker.remediationTimer, null);
+                    declaration = { Common: {} };
+                    return applyDeclaration();
+                })
+                .then(() => {
+                    assert.strictEqual(restWorker.remediationTimer, null);
+                }));
         });
 
         describe('POST to webhook', () => {